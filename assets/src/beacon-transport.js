@@ -0,0 +1,85 @@
+import { TransportResult } from './transport-result.js';
+
+/**
+ * Beacon Transport - navigator.sendBeacon Transport Adapter
+ *
+ * Requests survive page unload, but sendBeacon can't set headers or read
+ * the response:
+ * - Content-Type becomes the Blob type
+ * - X-Api-Key is sent as the api_key query parameter
+ * - Other headers are dropped, so bodies must not be compressed
+ *   (Transport disables compression for adapters with canSetHeaders = false)
+ * - The result is 202 if the browser queued the request, 0 otherwise
+ *
+ * @example
+ * const beacon = new BeaconTransport();
+ * const result = beacon.sendNow({ url, headers, body }); // synchronous, for unload handlers
+ */
+export class BeaconTransport {
+    constructor() {
+        /** @type {string} */
+        this.name = 'beacon';
+        /** @type {boolean} Only Content-Type and X-Api-Key (as query parameter) arrive */
+        this.canSetHeaders = false;
+    }
+
+    /**
+     * Check if the browser supports sendBeacon
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function';
+    }
+
+    /**
+     * Send a request
+     *
+     * @param {Object} request - See FetchTransport.send() (timeout and keepalive are ignored)
+     * @returns {Promise<TransportResult>}
+     */
+    send(request) {
+        try {
+            return Promise.resolve(this.sendNow(request));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Send a request synchronously (page unload handlers)
+     *
+     * @param {Object} request - See send()
+     * @returns {TransportResult} 202 if queued by the browser, 0 if not
+     * @throws {TypeError} If sendBeacon is not supported
+     */
+    sendNow(request) {
+        if (!BeaconTransport.isSupported()) {
+            throw new TypeError('sendBeacon is not supported');
+        }
+
+        const headers = request.headers || {};
+        const blob = new Blob([request.body], { type: headers['Content-Type'] || 'application/json' });
+        const sent = navigator.sendBeacon(this.getUrl(request.url, headers['X-Api-Key']), blob);
+
+        return new TransportResult(sent
+            ? { status: 202, statusText: 'Accepted' }
+            : { status: 0, statusText: 'sendBeacon failed (queue full or too large)' });
+    }
+
+    /**
+     * Add the API key to the URL (sendBeacon can't send headers)
+     *
+     * @private
+     * @param {string} url
+     * @param {string} [apiKey]
+     * @returns {string}
+     */
+    getUrl(url, apiKey) {
+        if (!apiKey) {
+            return url;
+        }
+
+        return `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(apiKey)}`;
+    }
+}
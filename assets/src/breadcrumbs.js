@@ -5,13 +5,31 @@
  * When console.error() is called with an Error object, automatically
  * captures it and sends to API. This provides zero-config tracking for
  * the common pattern: .catch(err => console.error('Failed:', err))
+ *
+ * TRACE PROPAGATION:
+ * With a TraceContext, fetch and XHR requests to same-origin or allow-listed
+ * URLs get traceparent/tracestate/X-AppLogger-Session headers. The trace ID
+ * is stored on the HTTP breadcrumb, and the trace ID of the last failing
+ * request is available via getLastFailedTraceId() for the next error
+ * payload (only for FAILED_TRACE_TTL_MS; takeLastFailedTraceId() once the
+ * error is sent).
  */
 export class BreadcrumbCollector {
-    constructor(maxBreadcrumbs = 50, errorCaptureCallback = null) {
+    /** @type {number} How long a failed request's trace ID may be attached to an error (ms) */
+    static FAILED_TRACE_TTL_MS = 10000;
+
+    /**
+     * @param {number} [maxBreadcrumbs=50] - Max breadcrumbs kept
+     * @param {Function|null} [errorCaptureCallback=null] - Captures errors logged via console.error()
+     * @param {TraceContext|null} [traceContext=null] - Trace header propagation for fetch/XHR (optional)
+     */
+    constructor(maxBreadcrumbs = 50, errorCaptureCallback = null, traceContext = null) {
         this.breadcrumbs = [];
         this.maxBreadcrumbs = maxBreadcrumbs;
         this.installed = false; // Track installation state
         this.errorCaptureCallback = errorCaptureCallback; // Callback to capture errors automatically
+        this.traceContext = traceContext;
+        this.lastFailedTrace = null; // {traceId, timestamp} of the last failed HTTP request
     }
 
     /**
@@ -96,8 +114,9 @@ export class BreadcrumbCollector {
         // Track console messages
         this.wrapConsole();
 
-        // Track fetch requests
+        // Track fetch and XHR requests
         this.wrapFetch();
+        this.wrapXhr();
     }
 
     /**
@@ -130,6 +149,34 @@ export class BreadcrumbCollector {
         this.breadcrumbs = [];
     }
 
+    /**
+     * Get the trace ID of the last failed traced HTTP request
+     *
+     * @returns {string|null} Null if none failed in the last FAILED_TRACE_TTL_MS
+     */
+    getLastFailedTraceId() {
+        if (!this.lastFailedTrace || Date.now() - this.lastFailedTrace.timestamp > BreadcrumbCollector.FAILED_TRACE_TTL_MS) {
+            return null;
+        }
+
+        return this.lastFailedTrace.traceId;
+    }
+
+    /**
+     * Get and forget the trace ID of the last failed traced HTTP request
+     *
+     * Only the next error is joined with the failed request; later,
+     * unrelated errors don't carry its trace ID.
+     *
+     * @returns {string|null}
+     */
+    takeLastFailedTraceId() {
+        const traceId = this.getLastFailedTraceId();
+        this.lastFailedTrace = null;
+
+        return traceId;
+    }
+
     /**
    * Wrap console methods for breadcrumb tracking
    *
@@ -172,6 +219,8 @@ export class BreadcrumbCollector {
                                             .map(arg => String(arg))
                                             .join(' '),
                                     },
+                                    // Captured by the SDK: not the app's lastEventId()
+                                    automatic: true,
                                 });
                             }
                         }
@@ -246,18 +295,30 @@ export class BreadcrumbCollector {
     }
 
     /**
-   * Wrap fetch for HTTP request breadcrumbs
+   * Wrap fetch for HTTP request breadcrumbs and trace propagation
    */
     wrapFetch() {
         const originalFetch = window.fetch;
 
         window.fetch = async (...args) => {
-            const url = typeof args[0] === 'string' ? args[0] : args[0].url;
-            const method = args[1]?.method || 'GET';
+            const input = args[0];
+            const url = typeof input === 'string' ? input : (input?.url || String(input));
+            const method = args[1]?.method || input?.method || 'GET';
             const startTime = Date.now();
 
+            // Session still loading from async storage - wait for its ID
+            const pendingSession = this.traceContext && this.traceContext.shouldPropagate(url)
+                ? this.traceContext.getPendingSession()
+                : null;
+            if (pendingSession) {
+                await pendingSession.catch(() => {});
+            }
+
+            const traced = this.injectFetchTraceHeaders(args, url);
+            const traceData = traced.traceId ? { trace_id: traced.traceId } : {};
+
             try {
-                const response = await originalFetch.apply(window, args);
+                const response = await originalFetch.apply(window, traced.args);
                 const duration = Date.now() - startTime;
 
                 this.add({
@@ -269,10 +330,15 @@ export class BreadcrumbCollector {
                         method,
                         status_code: response.status,
                         duration,
+                        ...traceData,
                     },
                     level: response.ok ? 'info' : 'warning',
                 });
 
+                if (!response.ok) {
+                    this.recordFailedTrace(traced.traceId);
+                }
+
                 return response;
             } catch (error) {
                 const duration = Date.now() - startTime;
@@ -286,12 +352,180 @@ export class BreadcrumbCollector {
                         method,
                         error: error.message,
                         duration,
+                        ...traceData,
                     },
                     level: 'error',
                 });
 
+                this.recordFailedTrace(traced.traceId);
+
                 throw error;
             }
         };
     }
+
+    /**
+   * Wrap XMLHttpRequest for HTTP request breadcrumbs and trace propagation
+   */
+    wrapXhr() {
+        if (typeof XMLHttpRequest === 'undefined') {
+            return;
+        }
+
+        const collector = this;
+        const proto = XMLHttpRequest.prototype;
+        const originalOpen = proto.open;
+        const originalSend = proto.send;
+        const originalSetRequestHeader = proto.setRequestHeader;
+
+        proto.open = function(method, url, ...rest) {
+            this._appLoggerRequest = { method: method || 'GET', url: String(url), traceparent: null };
+            return originalOpen.call(this, method, url, ...rest);
+        };
+
+        proto.setRequestHeader = function(name, value) {
+            if (this._appLoggerRequest && String(name).toLowerCase() === 'traceparent') {
+                this._appLoggerRequest.traceparent = value;
+            }
+            return originalSetRequestHeader.call(this, name, value);
+        };
+
+        proto.send = function(...args) {
+            const request = this._appLoggerRequest;
+
+            if (request) {
+                try {
+                    const traceId = collector.injectXhrTraceHeaders(this, request, originalSetRequestHeader);
+                    const startTime = Date.now();
+
+                    this.addEventListener('loadend', () => {
+                        collector.addXhrBreadcrumb(this, request, traceId, Date.now() - startTime);
+                    });
+                } catch {
+                    // Never break the request because of tracking
+                }
+            }
+
+            return originalSend.apply(this, args);
+        };
+    }
+
+    /**
+     * Add trace headers to fetch() arguments (same-origin or allow-listed URLs)
+     *
+     * @private
+     * @param {Array} args - fetch() arguments
+     * @param {string} url - Request URL
+     * @returns {{args: Array, traceId: string|null}}
+     */
+    injectFetchTraceHeaders(args, url) {
+        if (!this.traceContext || !this.traceContext.shouldPropagate(url)) {
+            return { args, traceId: null };
+        }
+
+        try {
+            const [input, init = {}] = args;
+            // A Request keeps its own headers unless init.headers overrides them
+            const requestHeaders = input && typeof input === 'object' && input.headers ? input.headers : undefined;
+            const headers = new Headers(init.headers || requestHeaders);
+
+            // Respect an existing trace (e.g. from an APM agent)
+            const existingTraceId = this.traceContext.parseTraceId(headers.get('traceparent'));
+            if (existingTraceId) {
+                return { args, traceId: existingTraceId };
+            }
+
+            const trace = this.traceContext.createHeaders();
+            for (const [name, value] of Object.entries(trace.headers)) {
+                if (!headers.has(name)) {
+                    headers.set(name, value);
+                }
+            }
+
+            return { args: [input, { ...init, headers }, ...args.slice(2)], traceId: trace.traceId };
+        } catch {
+            // Propagation is optional - send the request unchanged
+            return { args, traceId: null };
+        }
+    }
+
+    /**
+     * Add trace headers to an opened XHR (same-origin or allow-listed URLs)
+     *
+     * @private
+     * @param {XMLHttpRequest} xhr
+     * @param {Object} request - {method, url, traceparent}
+     * @param {Function} setRequestHeader - Unwrapped setRequestHeader
+     * @returns {string|null} Trace ID
+     */
+    injectXhrTraceHeaders(xhr, request, setRequestHeader) {
+        if (!this.traceContext || !this.traceContext.shouldPropagate(request.url)) {
+            return null;
+        }
+
+        const existingTraceId = this.traceContext.parseTraceId(request.traceparent);
+        if (existingTraceId) {
+            return existingTraceId;
+        }
+
+        const trace = this.traceContext.createHeaders();
+        for (const [name, value] of Object.entries(trace.headers)) {
+            setRequestHeader.call(xhr, name, value);
+        }
+
+        return trace.traceId;
+    }
+
+    /**
+     * Add the breadcrumb for a finished XHR
+     *
+     * @private
+     * @param {XMLHttpRequest} xhr
+     * @param {Object} request - {method, url}
+     * @param {string|null} traceId
+     * @param {number} duration
+     */
+    addXhrBreadcrumb(xhr, request, traceId, duration) {
+        const { method, url } = request;
+        const traceData = traceId ? { trace_id: traceId } : {};
+        const ok = xhr.status >= 200 && xhr.status < 300;
+
+        if (xhr.status === 0) {
+            // Network error, CORS failure or abort
+            this.add({
+                type: 'http',
+                category: 'xhr',
+                message: `${method} ${url} failed`,
+                data: { url, method, duration, ...traceData },
+                level: 'error',
+            });
+        } else {
+            this.add({
+                type: 'http',
+                category: 'xhr',
+                message: `${method} ${url}`,
+                data: { url, method, status_code: xhr.status, duration, ...traceData },
+                level: ok ? 'info' : 'warning',
+            });
+        }
+
+        if (!ok) {
+            this.recordFailedTrace(traceId);
+        }
+    }
+
+    /**
+     * Remember the trace ID of a failed request
+     *
+     * Untraced requests (third-party URLs, SDK endpoints) have no backend
+     * event to join, so they keep the previous trace ID.
+     *
+     * @private
+     * @param {string|null} traceId
+     */
+    recordFailedTrace(traceId) {
+        if (traceId) {
+            this.lastFailedTrace = { traceId, timestamp: Date.now() };
+        }
+    }
 }
@@ -0,0 +1,227 @@
+import { ResourceErrorTracker } from './resource-error-tracker.js';
+import { SessionDedupStore } from './session-dedup-store.js';
+
+/**
+ * Browser Report Observer - Deprecation, Intervention and Crash Reports
+ *
+ * Uses ReportingObserver to turn browser reports into warning-level events:
+ * - deprecation: APIs that will stop working (with anticipated removal date)
+ * - intervention: the browser blocked or changed something (e.g. ignored a
+ *   non-passive touch listener, blocked a heavy ad)
+ * - crash: previous page crash (only where the browser exposes it)
+ *
+ * Each report ID (e.g. 'UnloadHandler') is sent once per session via
+ * SessionDedupStore. Events are grouped per report type + ID
+ * (fingerprint ['browser-report', type, id]) and carry the source
+ * location (file, line) the browser blamed.
+ *
+ * @example
+ * const observer = new BrowserReportObserver((message, level, options) => {
+ *     client.captureMessage(message, level, options);
+ * }, { sessionProvider: () => sessionManager.getSessionId() });
+ * observer.install();
+ */
+export class BrowserReportObserver {
+    /** @type {string[]} Report types observed by default */
+    static DEFAULT_TYPES = ['deprecation', 'intervention', 'crash'];
+
+    /** @type {Object<string, string>} Message prefix per report type */
+    static TITLES = {
+        deprecation: 'Deprecation',
+        intervention: 'Intervention',
+        crash: 'Crash',
+    };
+
+    /**
+     * @param {Function} captureCallback - (message, level, options) => void
+     * @param {Object} [config] - Configuration options
+     * @param {string[]} [config.types] - Report types (default: deprecation, intervention, crash)
+     * @param {SessionDedupStore|null} [config.dedupStore=null] - Store for sent report keys
+     * @param {Function|null} [config.sessionProvider=null] - Session ID for the default dedup store
+     * @param {string[]} [config.scrubFields=[]] - Extra query parameter names to redact
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(captureCallback, config = {}) {
+        this.captureCallback = captureCallback;
+        this.config = {
+            types: Array.isArray(config.types) ? config.types : BrowserReportObserver.DEFAULT_TYPES,
+            scrubFields: Array.isArray(config.scrubFields) ? config.scrubFields : [],
+            debug: config.debug || false,
+        };
+
+        this.dedupStore = config.dedupStore || new SessionDedupStore({
+            storageKey: 'app_logger_browser_reports',
+            sessionProvider: config.sessionProvider,
+        });
+        this.observer = null;
+        this.installed = false;
+
+        // Statistics
+        this.stats = {
+            captured: 0,
+            deduplicated: 0,
+        };
+    }
+
+    /**
+     * Start observing browser reports (including buffered ones)
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+
+        this.installed = true;
+
+        try {
+            if (typeof ReportingObserver === 'undefined') {
+                return;
+            }
+
+            this.observer = new ReportingObserver(reports => this.handleReports(reports), {
+                types: this.config.types,
+                buffered: true,
+            });
+            this.observer.observe();
+        } catch (error) {
+            if (this.config.debug) {
+                console.warn('BrowserReportObserver: Cannot observe reports', error);
+            }
+        }
+    }
+
+    /**
+     * Stop observing
+     */
+    cleanup() {
+        try {
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+        } catch {
+            // Ignore
+        }
+        this.observer = null;
+    }
+
+    /**
+     * Convert reports into events (once per report type + ID per session)
+     *
+     * Waits until report keys of previous pages are loaded.
+     *
+     * @param {Report[]} reports - {type, url, body}
+     * @returns {Promise<void>}
+     */
+    async handleReports(reports) {
+        await this.dedupStore.ready;
+
+        for (const report of reports) {
+            try {
+                if (!report || !this.config.types.includes(report.type)) {
+                    continue;
+                }
+
+                const body = report.body || {};
+                const id = body.id || body.reason || body.message || 'unknown';
+                const key = `${report.type}:${id}`;
+
+                if (this.dedupStore.has(key)) {
+                    this.stats.deduplicated++;
+                    continue;
+                }
+
+                this.dedupStore.add(key);
+                this.stats.captured++;
+
+                const details = this.createDetails(report, id);
+                const extra = { report: details };
+
+                // Reported location becomes file/line of the event
+                if (details.source_file) {
+                    extra.filename = details.source_file;
+                    extra.lineno = details.line_number;
+                }
+
+                this.captureCallback(this.createMessage(report.type, body), 'warning', {
+                    tags: { report_type: report.type, report_id: String(id) },
+                    extra,
+                    fingerprint: ['browser-report', report.type, String(id)],
+                    // The capture stack would point at the SDK, not the reported code
+                    stackTrace: [],
+                });
+            } catch (error) {
+                // Never crash on report handling
+                if (this.config.debug) {
+                    console.warn('BrowserReportObserver: Failed to handle report', error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get observer statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Build the event message for a report
+     *
+     * @private
+     * @param {string} type
+     * @param {Object} body
+     * @returns {string}
+     */
+    createMessage(type, body) {
+        const title = BrowserReportObserver.TITLES[type] || type;
+        const text = body.message || body.reason || body.id || 'unknown';
+
+        return `${title}: ${text}`;
+    }
+
+    /**
+     * Build the report details sent as event context
+     *
+     * @private
+     * @param {Report} report
+     * @param {string} id
+     * @returns {Object}
+     */
+    createDetails(report, id) {
+        const body = report.body || {};
+        const details = {
+            type: report.type,
+            id,
+            message: body.message || null,
+            source_file: this.scrubUrl(body.sourceFile),
+            line_number: body.lineNumber || null,
+            column_number: body.columnNumber || null,
+            anticipated_removal: body.anticipatedRemoval ? String(body.anticipatedRemoval) : null,
+            reason: body.reason || null,
+            url: this.scrubUrl(report.url),
+        };
+
+        // Drop empty fields to reduce payload size
+        for (const key of Object.keys(details)) {
+            if (details[key] === null) {
+                delete details[key];
+            }
+        }
+
+        return details;
+    }
+
+    /**
+     * Scrub a report URL
+     *
+     * @private
+     * @param {string} url
+     * @returns {string|null}
+     */
+    scrubUrl(url) {
+        return url ? ResourceErrorTracker.scrubUrl(url, this.config.scrubFields) : null;
+    }
+}
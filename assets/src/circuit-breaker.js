@@ -1,8 +1,18 @@
+import { StorageAdapter } from './storage-adapter.js';
+
 /**
  * Circuit Breaker for JavaScript
  *
  * Implements the circuit breaker pattern to prevent repeated calls to a failing service.
- * Uses sessionStorage to persist state across page reloads within the same session.
+ * Uses sessionStorage (or another storage adapter) to persist state across page
+ * reloads within the same session. State is kept in memory and written through;
+ * the stored state is loaded asynchronously (see `ready`). Failures count
+ * towards the threshold only within the failure window of the last one, so
+ * a stored count doesn't add up over days.
+ *
+ * With a TabCoordinator, the state is shared by all tabs: changes are sent
+ * to the other tabs, so one tab discovering an outage protects the others,
+ * and it is stored in localStorage by default so new tabs start with it.
  *
  * States:
  * - CLOSED: Normal operation, requests go through
@@ -27,6 +37,8 @@ export class CircuitBreaker {
     static STATE_OPEN = 'open';
     /** @type {string} Circuit is testing if service recovered */
     static STATE_HALF_OPEN = 'half_open';
+    /** @type {string} Message sent to the other tabs on state changes */
+    static STATE_MESSAGE = 'circuit_breaker_state';
 
     /**
      * Create a new CircuitBreaker instance
@@ -34,16 +46,46 @@ export class CircuitBreaker {
      * @param {Object} [config={}] - Configuration options
      * @param {number} [config.failureThreshold=5] - Number of failures before opening circuit
      * @param {number} [config.timeout=60000] - Milliseconds before attempting reset (default 60s)
+     * @param {number} [config.failureWindow] - Milliseconds after the last failure before the
+     *        failure count resets (default: timeout)
+     * @param {string|Object} [config.storage='sessionStorage'] - Storage name or adapter (see StorageAdapter),
+     *        'localStorage' by default with an enabled coordinator
+     * @param {TabCoordinator} [config.coordinator] - Share the state with other tabs
      */
     constructor(config = {}) {
         /** @type {number} */
         this.failureThreshold = config.failureThreshold || 5;
         /** @type {number} */
         this.timeout = config.timeout || 60000;
+        /** @type {number} */
+        this.failureWindow = config.failureWindow || this.timeout;
         /** @type {string} */
         this.storageKey = 'app_logger_circuit_breaker';
+        /** @type {Object} Storage adapter */
+        this.storage = StorageAdapter.create(
+            config.storage,
+            config.coordinator && config.coordinator.enabled ? 'localStorage' : 'sessionStorage',
+        );
+        /** @type {TabCoordinator|null} */
+        this.coordinator = config.coordinator || null;
+
+        this.state = CircuitBreaker.STATE_CLOSED;
+        this.failureCount = 0;
+        this.lastFailureAt = null;
+        this.openedAt = null;
+        /** @type {boolean} State changed on this page (newer than the stored state) */
+        this.changed = false;
+
+        /** @type {Promise<void>} Resolves once the stored state is loaded */
+        this.ready = this.loadState();
 
-        this.loadState();
+        if (this.coordinator) {
+            this.coordinator.onMessage((message) => {
+                if (message.type === CircuitBreaker.STATE_MESSAGE && message.state) {
+                    this.applyRemoteState(message.state);
+                }
+            });
+        }
     }
 
     /**
@@ -103,7 +145,9 @@ export class CircuitBreaker {
             // Failure in half-open = circuit opens again
             this.open();
         } else if (this.state === CircuitBreaker.STATE_CLOSED) {
+            this.expireFailures();
             this.failureCount++;
+            this.lastFailureAt = Date.now();
 
             if (this.failureCount >= this.failureThreshold) {
                 this.open();
@@ -116,12 +160,13 @@ export class CircuitBreaker {
     /**
      * Get current state for monitoring/debugging
      *
-     * @returns {{state: string, failureCount: number, openedAt: number|null}} Current circuit state
+     * @returns {{state: string, failureCount: number, lastFailureAt: number|null, openedAt: number|null}} Current circuit state
      */
     getState() {
         return {
             state: this.state,
             failureCount: this.failureCount,
+            lastFailureAt: this.lastFailureAt,
             openedAt: this.openedAt,
         };
     }
@@ -144,6 +189,7 @@ export class CircuitBreaker {
     close() {
         this.state = CircuitBreaker.STATE_CLOSED;
         this.failureCount = 0;
+        this.lastFailureAt = null;
         this.openedAt = null;
         this.saveState();
     }
@@ -186,51 +232,97 @@ export class CircuitBreaker {
     }
 
     /**
-     * Load state from sessionStorage (internal)
+     * Reset the failure count once the last failure is outside the failure window (internal)
+     *
+     * States stored by earlier versions have no lastFailureAt; their count is dropped.
      *
      * @private
      * @returns {void}
      */
-    loadState() {
+    expireFailures() {
+        if (this.state !== CircuitBreaker.STATE_CLOSED || this.failureCount === 0) {
+            return;
+        }
+
+        if (!this.lastFailureAt || (Date.now() - this.lastFailureAt) >= this.failureWindow) {
+            this.failureCount = 0;
+            this.lastFailureAt = null;
+        }
+    }
+
+    /**
+     * Load state from storage (internal)
+     *
+     * Ignored if the state already changed on this page.
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async loadState() {
         try {
-            const stored = sessionStorage.getItem(this.storageKey);
+            const state = await this.storage.getItem(this.storageKey);
 
-            if (stored) {
-                const state = JSON.parse(stored);
-                this.state = state.state || CircuitBreaker.STATE_CLOSED;
-                this.failureCount = state.failureCount || 0;
-                this.openedAt = state.openedAt || null;
-            } else {
-                this.state = CircuitBreaker.STATE_CLOSED;
-                this.failureCount = 0;
-                this.openedAt = null;
+            if (this.changed || !state || typeof state !== 'object') {
+                return;
             }
+
+            this.state = state.state || CircuitBreaker.STATE_CLOSED;
+            this.failureCount = state.failureCount || 0;
+            this.lastFailureAt = state.lastFailureAt || null;
+            this.openedAt = state.openedAt || null;
+            this.expireFailures();
         } catch {
             // If storage fails, default to closed state
-            this.state = CircuitBreaker.STATE_CLOSED;
-            this.failureCount = 0;
-            this.openedAt = null;
         }
     }
 
     /**
-     * Save state to sessionStorage (internal)
+     * Take over the state of another tab (internal)
+     *
+     * Stored but not sent back, the other tabs already have it.
+     *
+     * @private
+     * @param {{state: string, failureCount: number, lastFailureAt: number|null, openedAt: number|null}} state
+     * @returns {void}
+     */
+    applyRemoteState(state) {
+        this.state = state.state || CircuitBreaker.STATE_CLOSED;
+        this.failureCount = state.failureCount || 0;
+        this.lastFailureAt = state.lastFailureAt || null;
+        this.openedAt = state.openedAt || null;
+        this.changed = true;
+        this.writeState(this.getState());
+    }
+
+    /**
+     * Save state to storage and send it to the other tabs (internal)
      *
      * @private
      * @returns {void}
      */
     saveState() {
-        try {
-            const state = {
-                state: this.state,
-                failureCount: this.failureCount,
-                openedAt: this.openedAt,
-            };
+        this.changed = true;
 
-            sessionStorage.setItem(this.storageKey, JSON.stringify(state));
-        } catch {
+        const state = this.getState();
+
+        this.writeState(state);
+
+        if (this.coordinator) {
+            this.coordinator.broadcast({ type: CircuitBreaker.STATE_MESSAGE, state });
+        }
+    }
+
+    /**
+     * Write state to storage (internal)
+     *
+     * @private
+     * @param {{state: string, failureCount: number, lastFailureAt: number|null, openedAt: number|null}} state
+     * @returns {void}
+     */
+    writeState(state) {
+        this.storage.setItem(this.storageKey, state).catch(() => {
             // Storage failure should never crash the app
             // Circuit breaker still works in-memory for this page
-        }
+        });
     }
 }
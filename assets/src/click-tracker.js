@@ -170,6 +170,27 @@ export class ClickTracker {
         }
     }
 
+    /**
+     * Generate CSS selector for element (see ClickTracker.generateSelector)
+     */
+    generateSelector(element) {
+        return ClickTracker.generateSelector(element);
+    }
+
+    /**
+     * Get cleaned class list (see ClickTracker.getCleanClasses)
+     */
+    getCleanClasses(element) {
+        return ClickTracker.getCleanClasses(element);
+    }
+
+    /**
+     * Check if string contains potentially sensitive data (see ClickTracker.containsSensitiveData)
+     */
+    containsSensitiveData(str) {
+        return ClickTracker.containsSensitiveData(str);
+    }
+
     /**
      * Generate CSS selector for element
      *
@@ -177,8 +198,11 @@ export class ClickTracker {
      * - Uses tag name, ID, classes
      * - Limits depth to 5 levels
      * - Removes sensitive attributes (data-*, ng-*, etc.)
+     *
+     * Static so other modules (e.g. WebVitals attribution) can use it
+     * without a tracker instance.
      */
-    generateSelector(element) {
+    static generateSelector(element) {
         if (!element || element === document) {
             return '';
         }
@@ -193,14 +217,14 @@ export class ClickTracker {
                 let selector = current.tagName.toLowerCase();
 
                 // Add ID if available (most specific)
-                if (current.id && !this.containsSensitiveData(current.id)) {
+                if (current.id && !ClickTracker.containsSensitiveData(current.id)) {
                     selector += `#${CSS.escape(current.id)}`;
                     parts.unshift(selector);
                     break; // ID is unique, stop here
                 }
 
                 // Add classes (filter out utility/dynamic classes)
-                const classes = this.getCleanClasses(current);
+                const classes = ClickTracker.getCleanClasses(current);
                 if (classes.length > 0) {
                     selector += `.${classes.join('.')}`;
                 }
@@ -231,7 +255,7 @@ export class ClickTracker {
     /**
      * Get cleaned class list (remove utility and sensitive classes)
      */
-    getCleanClasses(element) {
+    static getCleanClasses(element) {
         if (!element.classList || element.classList.length === 0) {
             return [];
         }
@@ -250,7 +274,7 @@ export class ClickTracker {
                 }
 
                 // Filter out classes that look like they contain sensitive data
-                if (this.containsSensitiveData(cls)) {
+                if (ClickTracker.containsSensitiveData(cls)) {
                     return false;
                 }
 
@@ -263,7 +287,7 @@ export class ClickTracker {
     /**
      * Check if string contains potentially sensitive data
      */
-    containsSensitiveData(str) {
+    static containsSensitiveData(str) {
         const sensitivePatterns = [
             /user[-_]?id/i,
             /email/i,
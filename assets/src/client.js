@@ -1,3 +1,13 @@
+import { EventPipeline } from './event-pipeline.js';
+import { Fingerprinter } from './fingerprinter.js';
+import { Hash } from './hash.js';
+import { ResourceErrorTracker } from './resource-error-tracker.js';
+import { Sampler } from './sampler.js';
+import { Scope } from './scope.js';
+import { StackParser } from './stack-parser.js';
+import { UserContext } from './user-context.js';
+import { WebStorageAdapter } from './web-storage-adapter.js';
+
 /**
  * Client for capturing errors and sending to platform
  *
@@ -12,6 +22,23 @@
  * - Never crashes on logging errors
  */
 export class Client {
+    /**
+     * Default file patterns of frames that are never in-app
+     *
+     * @type {string[]}
+     */
+    static DEFAULT_IN_APP_EXCLUDE = [
+        '/node_modules/',
+        '/vendor/',
+        'polyfill',
+        'webpack/bootstrap',
+        'webpack/runtime',
+        'chrome-extension://',
+        'moz-extension://',
+        'safari-extension://',
+        'safari-web-extension://',
+    ];
+
     /**
      * @param {Object} config - Configuration options
      * @param {Transport} transport - Transport layer for API communication
@@ -25,11 +52,50 @@ export class Client {
         this.breadcrumbs = breadcrumbs;
         this.errorDetector = errorDetector;
         this.sessionManager = sessionManager;
-        this.userContext = null;
-        this.tags = {};
-        this.extra = {};
+        this.scopes = [new Scope()]; // Bottom scope is global
         this.pendingBeaconErrors = [];
         this.cachedSessionHash = null; // Pre-computed SHA-256 hash (async init)
+        this.clientSessionId = null; // Session ID the hash is computed from
+        this.sessionIdStorage = new WebStorageAdapter('sessionStorage');
+        // The inline nuclear error trap writes to localStorage directly
+        this.nuclearStorage = new WebStorageAdapter('localStorage');
+        this.lastCapturedEventId = null; // event_id of the last event accepted by the event processors
+        this.assignedEventId = null; // event_id of the latest capture call (before event processors run)
+        this.userPrivacy = new UserContext({
+            mode: config.userPrivacyMode,
+            // The DSN is public: without a private salt, known user IDs can be matched to their hashes
+            salt: config.userIdSalt || config.dsn,
+            segmentAttributes: config.userSegmentAttributes,
+            debug: config.debug,
+        });
+        if (config.debug && !config.userIdSalt && this.userPrivacy.config.mode === UserContext.MODE_HASHED) {
+            console.warn('ApplicationLogger: userIdSalt is not set, user IDs are hashed with the public DSN as salt');
+        }
+        this.eventPipeline = new EventPipeline({
+            beforeSend: config.beforeSend,
+            debug: config.debug,
+        });
+        this.stackParser = new StackParser();
+        /** @type {Set<string>} Files holding only SDK code (see recordSdkFiles()) */
+        this.sdkFiles = new Set();
+        this.fingerprinter = new Fingerprinter({
+            rules: config.fingerprintRules,
+            debug: config.debug,
+        });
+        this.sampler = new Sampler({
+            sampleRate: config.sampleRate,
+            replayOnErrorSampleRate: config.replayOnErrorSampleRate,
+            sampler: config.sampler,
+            rules: this.getSampleRules(config),
+            debug: config.debug,
+        });
+        this.resourceErrors = config.resourceErrorsEnabled === false
+            ? null
+            : new ResourceErrorTracker(resource => this.captureResourceError(resource), {
+                dedupe: config.resourceErrorDedupe,
+                scrubFields: config.scrubFields,
+                debug: config.debug,
+            });
     }
 
     /**
@@ -50,14 +116,34 @@ export class Client {
 
             // 1. Process "resurrected" errors first (from previous sessions)
             //    These are catastrophic errors that broke JS execution
-            this.processResurrectedErrors();
-
+            //    (async: captured as soon as storage has been read)
             // 2. Process any errors that were buffered before SDK loaded (current page)
-            this.processBufferedErrors();
+            //    With async session storage (IndexedDB), both wait for the
+            //    session so they carry its ID
+            const pendingSession = this.getPendingSession();
+            if (pendingSession) {
+                pendingSession.then(() => {
+                    this.processResurrectedErrors();
+                    this.processBufferedErrors();
+                });
+            } else {
+                this.processResurrectedErrors();
+                this.processBufferedErrors();
+            }
 
             // 3. Handle uncaught errors (live, from this point forward)
+            // Failed <script>/<link>/<img>/<source> loads (capture phase, they don't bubble)
+            if (this.resourceErrors) {
+                this.resourceErrors.install();
+            }
+
             window.addEventListener('error', (event) => {
                 try {
+                    // Resource load errors are reported by ResourceErrorTracker
+                    if (ResourceErrorTracker.isResourceError(event)) {
+                        return;
+                    }
+
                     this.captureException(event.error || new Error(event.message), {
                         extra: {
                             filename: event.filename,
@@ -96,6 +182,11 @@ export class Client {
                 }
             });
 
+            // And on pagehide, for browsers that skip visibilitychange on unload
+            window.addEventListener('pagehide', () => {
+                this.flushBeaconErrors();
+            });
+
             // Track breadcrumbs
             this.breadcrumbs.install();
         } catch (error) {
@@ -104,6 +195,18 @@ export class Client {
         }
     }
 
+    /**
+     * Get the session that is still loading from async storage
+     *
+     * @private
+     * @returns {Promise<void>|null} SessionManager.ready, or null if the session ID is available
+     */
+    getPendingSession() {
+        return this.sessionManager && this.sessionManager.initialized === false
+            ? this.sessionManager.ready
+            : null;
+    }
+
     /**
      * Process "resurrected" errors from previous page loads.
      *
@@ -123,48 +226,47 @@ export class Client {
      * 2. Parse stored errors
      * 3. Send each error to API with 'resurrected: true' flag
      * 4. Clear localStorage after successful send
+     *
+     * @returns {Promise<void>}
      */
-    processResurrectedErrors() {
+    async processResurrectedErrors() {
         try {
             const NUCLEAR_KEY = '_appLogger_nuclear';
             const RESURRECTION_ATTEMPTS_KEY = '_appLogger_resurrection_attempts';
             const MAX_ATTEMPTS = 5;
             const MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+            const storage = this.nuclearStorage;
 
             // Check if we've tried too many times
-            const attempts = parseInt(localStorage.getItem(RESURRECTION_ATTEMPTS_KEY) || '0', 10);
+            const attempts = parseInt(await storage.getItem(RESURRECTION_ATTEMPTS_KEY) || '0', 10);
             if (attempts >= MAX_ATTEMPTS) {
                 if (this.config.debug) {
                     console.warn('ApplicationLogger: Max resurrection attempts reached, clearing nuclear errors');
                 }
-                localStorage.removeItem(NUCLEAR_KEY);
-                localStorage.removeItem(RESURRECTION_ATTEMPTS_KEY);
+                await storage.removeItem(NUCLEAR_KEY);
+                await storage.removeItem(RESURRECTION_ATTEMPTS_KEY);
                 return;
             }
 
             // Try to load nuclear errors
-            const stored = localStorage.getItem(NUCLEAR_KEY);
-            if (!stored) {
+            const errors = await storage.getItem(NUCLEAR_KEY);
+            if (!errors) {
                 // No errors to resurrect
                 return;
             }
 
-            // Parse stored errors
-            let errors;
-            try {
-                errors = JSON.parse(stored);
-            } catch (parseError) {
-                // Corrupted data - clear it
+            // Corrupted data (not valid JSON) is returned as string - clear it
+            if (typeof errors === 'string') {
                 if (this.config.debug) {
-                    console.error('ApplicationLogger: Failed to parse nuclear errors, clearing', parseError);
+                    console.error('ApplicationLogger: Failed to parse nuclear errors, clearing');
                 }
-                localStorage.removeItem(NUCLEAR_KEY);
+                await storage.removeItem(NUCLEAR_KEY);
                 return;
             }
 
             // Validate array
             if (!Array.isArray(errors) || errors.length === 0) {
-                localStorage.removeItem(NUCLEAR_KEY);
+                await storage.removeItem(NUCLEAR_KEY);
                 return;
             }
 
@@ -183,7 +285,7 @@ export class Client {
                 if (this.config.debug) {
                     console.warn('ApplicationLogger: All nuclear errors expired, clearing');
                 }
-                localStorage.removeItem(NUCLEAR_KEY);
+                await storage.removeItem(NUCLEAR_KEY);
                 return;
             }
 
@@ -232,15 +334,15 @@ export class Client {
 
             // If all succeeded, clear localStorage
             if (failed === 0) {
-                localStorage.removeItem(NUCLEAR_KEY);
-                localStorage.removeItem(RESURRECTION_ATTEMPTS_KEY);
+                await storage.removeItem(NUCLEAR_KEY);
+                await storage.removeItem(RESURRECTION_ATTEMPTS_KEY);
 
                 if (this.config.debug) {
                     console.warn(`ApplicationLogger: Successfully resurrected ${succeeded} nuclear error(s)`);
                 }
             } else {
                 // Some failed - increment attempt counter
-                localStorage.setItem(RESURRECTION_ATTEMPTS_KEY, String(attempts + 1));
+                await storage.setItem(RESURRECTION_ATTEMPTS_KEY, attempts + 1);
 
                 if (this.config.debug) {
                     console.warn(`ApplicationLogger: Resurrection partial success (${succeeded} succeeded, ${failed} failed), will retry on next load`);
@@ -404,116 +506,343 @@ export class Client {
      * Phase 2 (Recovery): Continue recording, send recovery session separately
      *
      * Flow:
-     * 1. Build error payload
-     * 2. If session replay enabled:
+     * 1. Build error payload and make the sampling decision (sampleRate)
+     * 2. If session replay enabled and sampled (replayOnErrorSampleRate):
      *    a) Call errorDetector.handleError() to mark buffer and get events
-     *    b) Send error + pre-error replay immediately (don't wait)
-     *    c) Start recording recovery session (async, non-blocking)
-     * 3. If session replay disabled: send error only
+     *    b) Collect pre-error replay data (phase 1)
+     * 3. Run event processors + beforeSend (may modify or drop the event)
+     * 4. Send error (+ pre-error replay) immediately (don't wait)
+     * 5. Start recording recovery session (async, non-blocking)
+     *
+     * The payload (and its event_id) is built synchronously, so
+     * getAssignedEventId() is up to date as soon as this method is called;
+     * lastEventId() once the event processors accepted the event, unless
+     * options.automatic marks an error the SDK captured by itself (UI
+     * freezes, console.error() auto-capture).
+     *
+     * @param {Error} error - The error to capture
+     * @param {Object} [options] - tags, extra, fingerprint, automatic
+     * @returns {Promise<string|null>} event_id, or null if the event was dropped or sampled out
      */
     async captureException(error, options = {}) {
         try {
             // Build error payload
             const payload = this.buildPayload(error, 'error', options);
 
+            if (!this.applyErrorSampling(payload, error)) {
+                return null;
+            }
+
+            // Hint passed to event processors (they may strip replayData)
+            const hint = {
+                originalException: error,
+                replayData: null,
+            };
+
             // TWO-PHASE SESSION REPLAY (with defensive null checks)
-            if (this.errorDetector && this.errorDetector.replayBuffer && this.errorDetector.sessionManager) {
-                try {
-                    // CRITICAL: Call handleError() to properly mark the buffer and get events
-                    // This method:
-                    // 1. Marks the current buffer position as "error occurred"
-                    // 2. Gets all buffered events (before error)
-                    // 3. Triggers the onErrorDetected callback
-                    // 4. Returns replay context with events
-                    const replayContext = await this.errorDetector.handleError(error, payload);
-
-                    // Defensive: Check if we got replay context with events
-                    let replayData = null;
-                    if (replayContext && replayContext.events && replayContext.events.length > 0) {
-                        // Filter to get only pre-error events
-                        const preErrorEvents = replayContext.events.filter(event =>
-                            event.phase === 'before_error' || event.phase === 'error',
-                        );
-
-                        if (preErrorEvents.length > 0) {
-                            // Check if there are any click events (user interactions)
-                            const clickCount = this.countClickEvents(preErrorEvents);
-
-                            if (clickCount > 0) {
-                                replayData = {
-                                    sessionId: replayContext.sessionId,
-                                    events: preErrorEvents,
-                                    phase: 'pre-error', // Mark as phase 1
-                                };
-
-                                if (this.config.debug) {
-                                    console.warn('ApplicationLogger: Sending error with pre-error replay (phase 1)', {
-                                        totalEvents: replayContext.events.length,
-                                        preErrorEvents: preErrorEvents.length,
-                                        clickEvents: clickCount,
-                                        sessionId: replayData.sessionId,
-                                    });
-                                }
-                            } else if (this.config.debug) {
-                                console.warn('ApplicationLogger: No click events in replay buffer, skipping replay data', {
-                                    totalEvents: preErrorEvents.length,
-                                    bufferStats: this.errorDetector.replayBuffer.getStats(),
-                                });
-                            }
-                        } else if (this.config.debug) {
-                            console.warn('ApplicationLogger: No pre-error events in buffer', {
-                                totalEvents: replayContext.events.length,
-                                bufferStats: this.errorDetector.replayBuffer.getStats(),
-                            });
-                        }
-                    } else if (this.config.debug) {
-                        console.warn('ApplicationLogger: No replay context from error detector', {
-                            hasContext: !!replayContext,
-                            hasEvents: !!(replayContext && replayContext.events),
-                            eventCount: replayContext?.events?.length || 0,
-                            bufferStats: this.errorDetector.replayBuffer.getStats(),
-                        });
-                    }
+            // Sampled before handleError() so unsampled errors cost no replay work
+            let replayEnabled = !!(this.errorDetector && this.errorDetector.replayBuffer && this.errorDetector.sessionManager);
 
-                    // Send error + pre-error replay immediately
-                    await this.transport.send(payload, replayData);
+            if (replayEnabled) {
+                const replayDecision = this.sampler.sampleReplay(payload, error);
+                payload.replay_sample_rate = replayDecision.rate;
+                replayEnabled = replayDecision.sampled;
+            }
 
-                    // Phase 2: Start recording recovery session (async, non-blocking)
-                    // This runs in the background and sends separately when complete
-                    // Defensive: Check method exists before calling
-                    if (typeof this.errorDetector.startRecoveryRecording === 'function') {
-                        this.errorDetector.startRecoveryRecording(error).catch(recoveryError => {
-                            if (this.config.debug) {
-                                console.error('ApplicationLogger: Recovery recording failed', recoveryError);
-                            }
-                        });
-                    }
+            if (replayEnabled) {
+                try {
+                    hint.replayData = await this.collectReplayData(error, payload);
                 } catch (replayError) {
                     // If session replay fails, still send error without replay data
                     if (this.config.debug) {
                         console.error('ApplicationLogger: Session replay failed, sending error without replay', replayError);
                     }
-                    await this.transport.send(payload);
                 }
-            } else {
-                // No session replay - send error only
-                if (this.config.debug && !this.errorDetector) {
-                    console.warn('ApplicationLogger: Session replay disabled (no error detector)');
-                }
-                await this.transport.send(payload);
+            } else if (this.config.debug && !this.errorDetector) {
+                console.warn('ApplicationLogger: Session replay disabled (no error detector)');
+            }
+
+            // Event processors + beforeSend (null = drop event)
+            const event = await this.eventPipeline.process(payload, hint);
+            if (!event) {
+                return null;
+            }
+
+            this.consumeFailedTraceId(event);
+            if (!options.automatic) {
+                this.lastCapturedEventId = payload.event_id;
+            }
+
+            // Send error + pre-error replay immediately
+            await this.transport.send(event, hint.replayData);
+
+            // Phase 2: Start recording recovery session (async, non-blocking)
+            // This runs in the background and sends separately when complete
+            // Defensive: Check method exists before calling
+            if (replayEnabled && typeof this.errorDetector.startRecoveryRecording === 'function') {
+                // Recovery session is linked to the error via its event_id
+                this.errorDetector.startRecoveryRecording(error, payload.event_id).catch(recoveryError => {
+                    if (this.config.debug) {
+                        console.error('ApplicationLogger: Recovery recording failed', recoveryError);
+                    }
+                });
             }
+
+            return payload.event_id;
         } catch (captureError) {
             // Never crash on error capture
             console.error('Client: Failed to capture exception', captureError);
+            return null;
         }
     }
 
+    /**
+     * Collect pre-error replay data for phase 1 of session replay
+     *
+     * Calls errorDetector.handleError(), which:
+     * 1. Marks the current buffer position as "error occurred"
+     * 2. Gets all buffered events (before error)
+     * 3. Triggers the onErrorDetected callback
+     * 4. Returns replay context with events
+     *
+     * @param {Error} error - The captured error
+     * @param {Object} payload - The error payload
+     * @returns {Promise<Object|null>} Replay data ({sessionId, events, phase}) or null
+     */
+    async collectReplayData(error, payload) {
+        const replayContext = await this.errorDetector.handleError(error, payload);
+
+        // Defensive: Check if we got replay context with events
+        if (!replayContext || !replayContext.events || replayContext.events.length === 0) {
+            if (this.config.debug) {
+                console.warn('ApplicationLogger: No replay context from error detector', {
+                    hasContext: !!replayContext,
+                    hasEvents: !!(replayContext && replayContext.events),
+                    eventCount: replayContext?.events?.length || 0,
+                    bufferStats: this.errorDetector.replayBuffer.getStats(),
+                });
+            }
+            return null;
+        }
+
+        // Filter to get only pre-error events
+        const preErrorEvents = replayContext.events.filter(event =>
+            event.phase === 'before_error' || event.phase === 'error',
+        );
+
+        if (preErrorEvents.length === 0) {
+            if (this.config.debug) {
+                console.warn('ApplicationLogger: No pre-error events in buffer', {
+                    totalEvents: replayContext.events.length,
+                    bufferStats: this.errorDetector.replayBuffer.getStats(),
+                });
+            }
+            return null;
+        }
+
+        // Check if there are any click events (user interactions)
+        const clickCount = this.countClickEvents(preErrorEvents);
+
+        if (clickCount === 0) {
+            if (this.config.debug) {
+                console.warn('ApplicationLogger: No click events in replay buffer, skipping replay data', {
+                    totalEvents: preErrorEvents.length,
+                    bufferStats: this.errorDetector.replayBuffer.getStats(),
+                });
+            }
+            return null;
+        }
+
+        const replayData = {
+            sessionId: replayContext.sessionId,
+            events: preErrorEvents,
+            phase: 'pre-error', // Mark as phase 1
+        };
+
+        if (this.config.debug) {
+            console.warn('ApplicationLogger: Sending error with pre-error replay (phase 1)', {
+                totalEvents: replayContext.events.length,
+                preErrorEvents: preErrorEvents.length,
+                clickEvents: clickCount,
+                sessionId: replayData.sessionId,
+            });
+        }
+
+        return replayData;
+    }
+
     /**
    * Capture message
+   *
+   * Messages run through the same event processors as exceptions.
+   * options.automatic marks messages the SDK captured by itself (e.g.
+   * browser reports): they don't become the lastEventId().
+   *
+   * @returns {Promise<string|null>} event_id, or null if the event was dropped
    */
-    captureMessage(message, level = 'info', options = {}) {
-        const payload = this.buildPayload(new Error(message), level, options);
-        this.transport.send(payload);
+    async captureMessage(message, level = 'info', options = {}) {
+        try {
+            const error = new Error(message);
+            const payload = this.buildPayload(error, level, options);
+
+            if (!this.applyErrorSampling(payload, error)) {
+                return null;
+            }
+
+            const event = await this.eventPipeline.process(payload, {
+                originalException: error,
+                replayData: null,
+            });
+
+            if (!event) {
+                return null;
+            }
+
+            this.consumeFailedTraceId(event);
+            if (!options.automatic) {
+                this.lastCapturedEventId = payload.event_id;
+            }
+            await this.transport.send(event);
+
+            return payload.event_id;
+        } catch (captureError) {
+            // Never crash on message capture
+            console.error('Client: Failed to capture message', captureError);
+            return null;
+        }
+    }
+
+    /**
+     * Capture a failed resource load (see ResourceErrorTracker)
+     *
+     * Sent as a ResourceLoadError event without stack trace or replay data.
+     * The resource URL is reported as file (like filename of window errors).
+     * Not the lastEventId(): that stays the last event the app captured.
+     *
+     * @param {Object} resource - {tag, url, selector}
+     * @returns {Promise<string|null>} event_id, or null if the event was dropped
+     */
+    async captureResourceError(resource) {
+        try {
+            const error = new Error(`Failed to load ${resource.tag}: ${resource.url}`);
+            error.name = ResourceErrorTracker.ERROR_TYPE;
+
+            const payload = this.buildPayload(error, 'error', {
+                tags: { resource_tag: resource.tag },
+                extra: { filename: resource.url },
+                stackTrace: [],
+            });
+            payload.resource = { ...resource };
+
+            if (!this.applyErrorSampling(payload, error)) {
+                return null;
+            }
+
+            const event = await this.eventPipeline.process(payload, {
+                originalException: error,
+                replayData: null,
+            });
+
+            if (!event) {
+                return null;
+            }
+
+            this.consumeFailedTraceId(event);
+            await this.transport.send(event);
+
+            return payload.event_id;
+        } catch (captureError) {
+            // Never crash on error capture
+            console.error('Client: Failed to capture resource error', captureError);
+            return null;
+        }
+    }
+
+    /**
+     * Get sample rules, including the resourceErrorSampleRate rule
+     *
+     * User rules come first, so they can override the resource error rate.
+     *
+     * @private
+     * @param {Object} config
+     * @returns {Array<Object>}
+     */
+    getSampleRules(config) {
+        const rules = Array.isArray(config.sampleRules) ? [...config.sampleRules] : [];
+
+        if (typeof config.resourceErrorSampleRate === 'number') {
+            rules.push({
+                match: { type: ResourceErrorTracker.ERROR_TYPE },
+                sampleRate: config.resourceErrorSampleRate,
+            });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Make the error sampling decision for a payload
+     *
+     * Sampled events get the applied rate (sample_rate) and their event_id
+     * is assigned (see getAssignedEventId()). Unsampled events are dropped
+     * before any replay work.
+     *
+     * @private
+     * @param {Object} payload - The event payload
+     * @param {Error} error - The captured error
+     * @returns {boolean} True if the event should be sent
+     */
+    applyErrorSampling(payload, error) {
+        const decision = this.sampler.sampleError(payload, error);
+
+        if (!decision.sampled) {
+            this.assignedEventId = null;
+
+            if (this.config.debug) {
+                console.warn('ApplicationLogger: Event dropped by sampling', {
+                    type: payload.type,
+                    rate: decision.rate,
+                });
+            }
+            return false;
+        }
+
+        payload.sample_rate = decision.rate;
+        this.assignedEventId = payload.event_id;
+        return true;
+    }
+
+    /**
+     * Get the event_id of the last captured exception or message
+     *
+     * Only events accepted by the event processors and beforeSend count.
+     *
+     * @returns {string|null}
+     */
+    lastEventId() {
+        return this.lastCapturedEventId;
+    }
+
+    /**
+     * Get the event_id assigned by the latest capture call
+     *
+     * Available synchronously, before the event processors run (they may
+     * still drop the event). Null if the event was sampled out.
+     *
+     * @returns {string|null}
+     */
+    getAssignedEventId() {
+        return this.assignedEventId;
+    }
+
+    /**
+     * Register an event processor
+     *
+     * @param {Function} processor - (event, hint) => event | null | Promise
+     * @returns {Function} Function that removes the processor again
+     */
+    addEventProcessor(processor) {
+        return this.eventPipeline.add(processor);
     }
 
     /**
@@ -521,15 +850,22 @@ export class Client {
    *
    * API expects flat structure with snake_case field names:
    * {type, message, file, line, stack_trace, level, environment, ...}
+   *
+   * options.stackTrace replaces the parsed stack (e.g. [] for resource errors).
    */
     buildPayload(error, level, options = {}) {
         try {
-            const stackTrace = this.parseStackTrace(error);
-            const firstFrame = stackTrace.length > 0 ? stackTrace[0] : null;
+            const scope = this.getCurrentScope();
+            const stackTrace = Array.isArray(options.stackTrace) ? options.stackTrace : this.parseStackTrace(error);
+            // Report location of the first in-app frame (skips vendor/polyfill frames)
+            const firstFrame = stackTrace.find(frame => frame.in_app) || stackTrace[0] || null;
 
             // Build payload matching exact API format
             // Apply length limits to prevent API validation failures
             const payload = {
+                // Client-generated UUID (support reference, links recovery sessions)
+                event_id: this.generateEventId(),
+
                 // Required fields (flat structure, not nested)
                 // API length constraints: type (255), message (1000), file (500)
                 type: this.truncate(error.name || 'Error', 255),
@@ -538,9 +874,10 @@ export class Client {
                 // API requires line > 0 (Positive constraint), default to 1
                 line: firstFrame?.line || options.extra?.lineno || 1,
                 stack_trace: stackTrace,
+                linked_exceptions: this.collectLinkedExceptions(error),
 
                 // Optional fields (snake_case to match API)
-                level: level || 'error',
+                level: scope.level || level || 'error',
                 source: 'frontend',
                 environment: this.config.environment || 'production',
                 release: this.config.release || null,
@@ -549,20 +886,30 @@ export class Client {
                 http_status_code: this.extractHttpStatusCode(error, options),
                 session_hash: this.getSessionHash(),
                 session_id: this.sessionManager ? this.sessionManager.getSessionId() : null,
+                // Joins this error with the backend request that failed just before (W3C trace context);
+                // used up once the event is accepted (see consumeFailedTraceId())
+                trace_id: level === 'error' && typeof this.breadcrumbs.getLastFailedTraceId === 'function'
+                    ? this.breadcrumbs.getLastFailedTraceId()
+                    : null,
                 timestamp: new Date().toISOString(),
                 runtime: `JavaScript ${this.getBrowserInfo()}`,
                 user_agent: navigator.userAgent,
                 breadcrumbs: this.breadcrumbs.get(),
-                context: { ...this.extra, ...options.extra },
-                tags: { ...this.tags, ...options.tags },
+                context: { ...scope.extra, ...options.extra },
+                tags: { ...scope.tags, ...options.tags },
+                user: this.userPrivacy.serialize(scope.user),
             };
 
+            // Custom grouping: capture option > scope > config.fingerprintRules
+            payload.fingerprint = this.fingerprinter.resolve(payload, options.fingerprint || scope.fingerprint);
+
             // Clean up null values to reduce payload size
             return this.removeNullValues(payload);
         } catch (err) {
             // If payload building completely fails, return minimal payload
             console.error('ApplicationLogger: Failed to build payload', err);
             return {
+                event_id: this.generateEventId(),
                 type: 'Error',
                 message: this.truncate('Failed to build error payload', 1000),
                 file: 'unknown',
@@ -573,6 +920,115 @@ export class Client {
         }
     }
 
+    /**
+     * Collect linked exceptions (Error.cause chains and AggregateError children)
+     *
+     * Walks the error graph depth-first so the root failure is reported, not
+     * just the wrapper. Each linked exception gets its own parsed stack trace.
+     *
+     * IDs: the captured error itself is exception_id 0. Every linked exception
+     * references the exception it belongs to via parent_id.
+     *
+     * Limits (configurable):
+     * - maxLinkedExceptionDepth (default 5): how deep cause chains are followed
+     * - maxLinkedExceptions (default 10): total linked exceptions per event
+     * - Cycles (a.cause = b, b.cause = a) are detected and skipped
+     *
+     * @param {Error} error - The captured error
+     * @returns {Array<Object>|null} Linked exceptions, or null if there are none
+     */
+    collectLinkedExceptions(error) {
+        try {
+            if (!error || typeof error !== 'object') {
+                return null;
+            }
+
+            const maxDepth = this.config.maxLinkedExceptionDepth ?? 5;
+            const maxCount = this.config.maxLinkedExceptions ?? 10;
+            const linked = [];
+            const seen = new WeakSet([error]);
+
+            const visit = (parent, parentId, depth) => {
+                if (depth > maxDepth) {
+                    return;
+                }
+
+                for (const child of this.getChildExceptions(parent)) {
+                    if (linked.length >= maxCount) {
+                        return;
+                    }
+
+                    const isObject = child.value !== null && typeof child.value === 'object';
+
+                    // Cycle detection
+                    if (isObject) {
+                        if (seen.has(child.value)) {
+                            continue;
+                        }
+                        seen.add(child.value);
+                    }
+
+                    const exceptionId = linked.length + 1;
+                    const source = isObject ? child.value : {};
+
+                    linked.push({
+                        exception_id: exceptionId,
+                        parent_id: parentId,
+                        relation: child.relation,
+                        depth,
+                        type: this.truncate(isObject ? String(source.name || 'Error') : typeof child.value, 255),
+                        message: this.truncate(isObject ? String(source.message || '') : String(child.value), 1000),
+                        stack_trace: this.parseStackTrace(source),
+                    });
+
+                    if (isObject) {
+                        visit(child.value, exceptionId, depth + 1);
+                    }
+                }
+            };
+
+            visit(error, 0, 1);
+
+            return linked.length > 0 ? linked : null;
+        } catch {
+            // Linked exceptions are best effort - never break payload building
+            return null;
+        }
+    }
+
+    /**
+     * Get direct child exceptions of an error (internal)
+     *
+     * @private
+     * @param {Object} error
+     * @returns {Array<{value: *, relation: string}>} cause first, then AggregateError children
+     */
+    getChildExceptions(error) {
+        const children = [];
+
+        try {
+            if (error.cause !== undefined && error.cause !== null) {
+                children.push({ value: error.cause, relation: 'cause' });
+            }
+        } catch {
+            // Accessing cause can throw on exotic objects (proxies, getters)
+        }
+
+        try {
+            if (Array.isArray(error.errors)) {
+                for (const child of error.errors) {
+                    if (child !== undefined && child !== null) {
+                        children.push({ value: child, relation: 'aggregate' });
+                    }
+                }
+            }
+        } catch {
+            // Ignore inaccessible errors property
+        }
+
+        return children;
+    }
+
     /**
      * Truncate string to maximum length.
      *
@@ -600,7 +1056,12 @@ export class Client {
    * Parse error stack trace with cross-browser support
    *
    * Returns array of frames matching API format:
-   * [{file, line, function, class, column}, ...]
+   * [{file, line, function, column, is_native, is_eval, is_async, in_app}, ...]
+   *
+   * Line parsing is delegated to StackParser (V8, SpiderMonkey, JavaScriptCore).
+   *
+   * SDK-internal frames (see recordSdkFiles()) are stripped and every
+   * frame is classified as in_app (see isInAppFrame).
    */
     parseStackTrace(error) {
         if (!error.stack) {
@@ -608,16 +1069,16 @@ export class Client {
                 file: 'unknown',
                 line: 1, // API requires line > 0
                 function: 'unknown',
+                in_app: false,
             }];
         }
 
         try {
-            const lines = error.stack.split('\n');
             const frames = [];
 
-            for (const line of lines) {
-                const frame = this.parseStackLine(line.trim());
-                if (frame) {
+            for (const frame of this.stackParser.parse(error.stack)) {
+                if (!this.isSdkFrame(frame)) {
+                    frame.in_app = this.isInAppFrame(frame);
                     frames.push(frame);
                 }
             }
@@ -626,83 +1087,134 @@ export class Client {
                 file: 'unknown',
                 line: 1, // API requires line > 0
                 function: 'unknown',
+                in_app: false,
             }];
         } catch {
             return [{
                 file: 'unknown',
                 line: 1, // API requires line > 0
                 function: 'unknown',
+                in_app: false,
             }];
         }
     }
 
     /**
-   * Parse a single stack trace line (cross-browser)
-   *
-   * Handles formats from Chrome, Firefox, Safari, Edge
-   */
-    parseStackLine(line) {
-        if (!line) {
-            return null;
+     * Forget the failed request's trace ID once an event carrying it is accepted
+     *
+     * buildPayload() only reads it, so sampled out or dropped events leave
+     * it for the next error.
+     *
+     * @private
+     * @param {Object} event - Event accepted by the event processors
+     * @returns {void}
+     */
+    consumeFailedTraceId(event) {
+        if (event.trace_id && typeof this.breadcrumbs.takeLastFailedTraceId === 'function'
+            && this.breadcrumbs.getLastFailedTraceId() === event.trace_id) {
+            this.breadcrumbs.takeLastFailedTraceId();
         }
+    }
 
-        // Chrome/V8: "at functionName (file.js:line:col)"
-        let match = line.match(/at\s+(.+?)\s+\((.+?):(\d+):(\d+)\)/);
-        if (match) {
-            return {
-                function: match[1].trim(),
-                file: match[2],
-                line: parseInt(match[3], 10),
-                column: parseInt(match[4], 10),
-            };
-        }
+    /**
+     * Record the files of the SDK, whose frames are stripped from stack traces
+     *
+     * Called by ApplicationLogger.init() with an error created there: its
+     * first frame is in the SDK bundle, the second in the code that called
+     * init(). When both are in the same file, the SDK is bundled with the
+     * application and nothing is recorded (app frames would be stripped too).
+     * Unbundled modules record index.js and client.js.
+     *
+     * @param {Error} initError - Error created in ApplicationLogger.init()
+     */
+    recordSdkFiles(initError) {
+        try {
+            const [sdk, caller] = this.stackParser.parse(initError.stack);
+            if (!sdk || !caller || sdk.is_native || sdk.file === 'unknown' || sdk.file === caller.file) {
+                return;
+            }
 
-        // Chrome/V8 anonymous: "at file.js:line:col"
-        match = line.match(/at\s+(.+?):(\d+):(\d+)/);
-        if (match) {
-            return {
-                function: 'anonymous',
-                file: match[1],
-                line: parseInt(match[2], 10),
-                column: parseInt(match[3], 10),
-            };
-        }
+            this.sdkFiles.add(sdk.file);
 
-        // Firefox: "functionName@file.js:line:col"
-        match = line.match(/(.+?)@(.+?):(\d+):(\d+)/);
-        if (match) {
-            return {
-                function: match[1] || 'anonymous',
-                file: match[2],
-                line: parseInt(match[3], 10),
-                column: parseInt(match[4], 10),
-            };
+            const [own] = this.stackParser.parse(new Error().stack);
+            if (own && !own.is_native && own.file !== 'unknown' && own.file !== caller.file) {
+                this.sdkFiles.add(own.file);
+            }
+        } catch {
+            // Without recorded files, all frames are kept
         }
+    }
 
-        // Safari/Firefox (no column): "functionName@file.js:line"
-        match = line.match(/(?:(.+)@)?(.+?):(\d+)$/);
-        if (match) {
-            return {
-                function: match[1] || 'anonymous',
-                file: match[2],
-                line: parseInt(match[3], 10),
-                column: null,
-            };
+    /**
+     * Check if a frame belongs to the SDK itself (wrapConsole, wrapFetch, capture path)
+     *
+     * @param {Object} frame - Parsed stack frame
+     * @returns {boolean}
+     */
+    isSdkFrame(frame) {
+        return this.sdkFiles.has(frame.file);
+    }
+
+    /**
+     * Classify a frame as application code (in_app) or library code
+     *
+     * Order of precedence:
+     * 1. config.inAppInclude match -> in-app
+     * 2. config.inAppExclude or DEFAULT_IN_APP_EXCLUDE match -> not in-app
+     * 3. Native/unknown frames -> not in-app
+     * 4. Cross-origin http(s) files (CDNs, third-party scripts) -> not in-app
+     * 5. Everything else -> in-app
+     *
+     * Patterns may be strings (substring match) or RegExp objects.
+     *
+     * @param {Object} frame - Parsed stack frame
+     * @returns {boolean}
+     */
+    isInAppFrame(frame) {
+        try {
+            const file = frame.file || '';
+
+            if (this.matchesAnyPattern(file, this.config.inAppInclude)) {
+                return true;
+            }
+
+            if (this.matchesAnyPattern(file, this.config.inAppExclude) ||
+                this.matchesAnyPattern(file, Client.DEFAULT_IN_APP_EXCLUDE)) {
+                return false;
+            }
+
+            if (frame.is_native || !file || file === 'unknown' || file === 'native' || file === '<anonymous>') {
+                return false;
+            }
+
+            if (/^https?:\/\//i.test(file)) {
+                return new URL(file).origin === window.location.origin;
+            }
+
+            return true;
+        } catch {
+            return true;
         }
+    }
 
-        // Edge legacy: "at functionName (file.js:line:col)"
-        match = line.match(/at\s+(.+?)\s+\[(.+?):(\d+):(\d+)\]/);
-        if (match) {
-            return {
-                function: match[1].trim(),
-                file: match[2],
-                line: parseInt(match[3], 10),
-                column: parseInt(match[4], 10),
-            };
+    /**
+     * Check if value matches any string (substring) or RegExp pattern
+     *
+     * @param {string} value
+     * @param {Array<string|RegExp>|undefined} patterns
+     * @returns {boolean}
+     */
+    matchesAnyPattern(value, patterns) {
+        if (!Array.isArray(patterns)) {
+            return false;
         }
 
-        // Could not parse this line
-        return null;
+        return patterns.some(pattern => {
+            if (pattern instanceof RegExp) {
+                return pattern.test(value);
+            }
+            return typeof pattern === 'string' && pattern !== '' && value.includes(pattern);
+        });
     }
 
     /**
@@ -826,10 +1338,14 @@ export class Client {
                 return this.cachedSessionHash;
             }
 
-            // 3. Fallback to synchronous djb2Hash if async hash not yet computed
+            // 3. Fallback to synchronous DJB2 hash if async hash not yet computed
             //    This ensures we always return a valid hash for error tracking
-            const sessionId = this.getOrCreateSessionId();
-            return this.djb2Hash(sessionId);
+            //    (the stored session ID replaces this one once it is loaded)
+            if (!this.clientSessionId) {
+                this.clientSessionId = this.generateSessionId();
+            }
+
+            return Hash.djb2(this.clientSessionId);
         } catch {
             // If session tracking fails, return null (errors still captured)
             return null;
@@ -842,8 +1358,26 @@ export class Client {
      * @returns {string} Random session ID
      */
     generateSessionId() {
+        return this.generateUuid();
+    }
+
+    /**
+     * Generate a unique event ID (sent as payload.event_id)
+     *
+     * @returns {string} Random UUID v4
+     */
+    generateEventId() {
+        return this.generateUuid();
+    }
+
+    /**
+     * Generate a random UUID v4
+     *
+     * @returns {string}
+     */
+    generateUuid() {
         // Use crypto.randomUUID if available (modern browsers)
-        if (crypto && crypto.randomUUID) {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
             return crypto.randomUUID();
         }
 
@@ -867,7 +1401,7 @@ export class Client {
     async initSessionHash() {
         try {
             // Get or create session ID
-            const sessionId = this.getOrCreateSessionId();
+            const sessionId = await this.getOrCreateSessionId();
 
             // Use Web Crypto API for real SHA-256 (modern browsers)
             if (crypto && crypto.subtle) {
@@ -882,7 +1416,7 @@ export class Client {
                 }
             } else {
                 // Fallback for old browsers (rare)
-                this.cachedSessionHash = this.djb2Hash(sessionId);
+                this.cachedSessionHash = Hash.djb2(sessionId);
 
                 if (this.config.debug) {
                     console.warn('ApplicationLogger: Session hash initialized (fallback)');
@@ -891,7 +1425,7 @@ export class Client {
         } catch (error) {
             // If crypto fails, use fallback
             try {
-                this.cachedSessionHash = this.djb2Hash(this.getOrCreateSessionId());
+                this.cachedSessionHash = Hash.djb2(await this.getOrCreateSessionId());
             } catch {
                 // Complete failure - session hash will be null
                 if (this.config.debug) {
@@ -902,44 +1436,27 @@ export class Client {
     }
 
     /**
-     * Get or create session ID for hashing.
+     * Get or create session ID for hashing (kept in sessionStorage).
      *
-     * @returns {string} Session ID
+     * @returns {Promise<string>} Session ID
      */
-    getOrCreateSessionId() {
-        if (typeof sessionStorage !== 'undefined') {
-            let sessionId = sessionStorage.getItem('_app_logger_session_id');
+    async getOrCreateSessionId() {
+        try {
+            const stored = await this.sessionIdStorage.getItem('_app_logger_session_id');
 
-            if (!sessionId) {
-                sessionId = this.generateSessionId();
-                sessionStorage.setItem('_app_logger_session_id', sessionId);
+            if (stored && typeof stored === 'string') {
+                this.clientSessionId = stored;
+                return this.clientSessionId;
             }
 
-            return sessionId;
-        }
-
-        // Fallback if sessionStorage not available
-        return this.generateSessionId();
-    }
-
-    /**
-     * DJB2 hash function (fallback for browsers without Web Crypto API).
-     *
-     * This is a simple hash function used as fallback. It's not SHA-256
-     * but produces consistent results that pass regex validation.
-     *
-     * @param {string} str - String to hash
-     * @returns {string} 64-character hexadecimal hash
-     */
-    djb2Hash(str) {
-        let hash = 5381;
-        for (let i = 0; i < str.length; i++) {
-            hash = ((hash << 5) + hash) + str.charCodeAt(i);
+            this.clientSessionId = this.clientSessionId || this.generateSessionId();
+            await this.sessionIdStorage.setItem('_app_logger_session_id', this.clientSessionId);
+        } catch {
+            // Fallback if sessionStorage not available (ID lasts for this page)
+            this.clientSessionId = this.clientSessionId || this.generateSessionId();
         }
 
-        // Convert to hex and pad to 64 characters
-        const hex = Math.abs(hash).toString(16);
-        return hex.padStart(64, '0');
+        return this.clientSessionId;
     }
 
     /**
@@ -957,26 +1474,165 @@ export class Client {
         return cleaned;
     }
 
+    /**
+     * Get the active scope (top of the scope stack)
+     *
+     * @returns {Scope}
+     */
+    getCurrentScope() {
+        return this.scopes[this.scopes.length - 1];
+    }
+
+    /**
+     * Push a clone of the current scope onto the stack
+     *
+     * Must be balanced with popScope(). Prefer withScope() where possible.
+     *
+     * @returns {Scope} The new active scope
+     */
+    pushScope() {
+        const scope = this.getCurrentScope().clone();
+        this.scopes.push(scope);
+        return scope;
+    }
+
+    /**
+     * Pop the active scope (the global scope is never removed)
+     *
+     * @returns {boolean} True if a scope was popped
+     */
+    popScope() {
+        if (this.scopes.length <= 1) {
+            return false;
+        }
+
+        this.scopes.pop();
+        return true;
+    }
+
+    /**
+     * Run callback with a temporary scope
+     *
+     * Context set on the scope only applies to events captured inside the
+     * callback. If the callback returns a promise, the scope stays active
+     * until it settles. Note that concurrent async callbacks share one stack.
+     *
+     * @param {Function} callback - (scope) => any
+     * @returns {*} Callback return value
+     */
+    withScope(callback) {
+        const scope = this.pushScope();
+        let result;
+
+        try {
+            result = callback(scope);
+        } catch (error) {
+            this.removeScope(scope);
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => this.removeScope(scope));
+        }
+
+        this.removeScope(scope);
+        return result;
+    }
+
+    /**
+     * Modify the active scope
+     *
+     * @param {Function} callback - (scope) => void
+     */
+    configureScope(callback) {
+        try {
+            callback(this.getCurrentScope());
+        } catch (error) {
+            console.error('ApplicationLogger: configureScope callback failed', error);
+        }
+    }
+
+    /**
+     * Remove a specific scope from the stack (internal)
+     *
+     * Used by withScope() so a scope is removed even if other scopes were
+     * pushed on top of it in the meantime.
+     *
+     * @private
+     * @param {Scope} scope
+     */
+    removeScope(scope) {
+        const index = this.scopes.indexOf(scope);
+        if (index > 0) {
+            this.scopes.splice(index, 1);
+        }
+    }
+
+    /**
+     * User context of the active scope
+     *
+     * @returns {Object|null}
+     */
+    get userContext() {
+        return this.getCurrentScope().user;
+    }
+
+    /**
+     * Tags of the active scope
+     *
+     * @returns {Object}
+     */
+    get tags() {
+        return this.getCurrentScope().tags;
+    }
+
+    /**
+     * Extra context of the active scope
+     *
+     * @returns {Object}
+     */
+    get extra() {
+        return this.getCurrentScope().extra;
+    }
+
+    /**
+     * Set user context on the active scope
+     *
+     * The user is sent in privacy-preserving form (see UserContext).
+     * In hashed mode the hash is pre-computed here (async, non-blocking).
+     *
+     * @param {Object|null} user
+     */
     setUser(user) {
-        this.userContext = user;
+        this.getCurrentScope().setUser(user);
+        this.userPrivacy.prepare(user);
+    }
+
+    /**
+     * Get the active user in its payload form (for recovery sessions and replay)
+     *
+     * @returns {Object|null}
+     */
+    getUserPayload() {
+        return this.userPrivacy.serialize(this.getCurrentScope().user);
     }
 
     setTags(tags) {
-        this.tags = { ...this.tags, ...tags };
+        this.getCurrentScope().setTags(tags);
     }
 
     setExtra(extra) {
-        this.extra = { ...this.extra, ...extra };
+        this.getCurrentScope().setExtra(extra);
     }
 
     /**
-     * Flush pending errors using Beacon API
+     * Flush pending errors on page unload (keepalive fetch or sendBeacon)
      * Called on page unload to ensure critical errors are sent
      */
     flushBeaconErrors() {
         try {
-            // Check if Beacon API is available
-            if (!navigator.sendBeacon) {
+            // keepalive fetch needs no sendBeacon; the XHR and beacon transports do
+            if (!this.transport.canSendOnUnload()) {
                 return;
             }
 
@@ -0,0 +1,219 @@
+import { ResourceErrorTracker } from './resource-error-tracker.js';
+
+/**
+ * CSP Violation Tracker - Content-Security-Policy Violation Reporting
+ *
+ * Listens for 'securitypolicyviolation' events and sends each violation to
+ * the CSP endpoint via Transport.sendCspViolation() with:
+ * - directive (effective directive, e.g. script-src-elem) and the original policy directive
+ * - blocked_uri: scrubbed URL, or a keyword (inline, eval, ...)
+ * - source_file / line_number / column_number: where the violation happened
+ * - disposition: enforce (blocked) or report (report-only policy)
+ *
+ * Every reported violation also becomes a 'security' breadcrumb, so later
+ * JS errors show that e.g. a blocked script preceded them.
+ *
+ * DEDUPLICATION:
+ * Each directive + blocked URI is reported once per page, and at most
+ * maxReportsPerPage violations are reported (misconfigured policies can fire
+ * on every element).
+ *
+ * @example
+ * const csp = new CspViolationTracker(transport, breadcrumbs, {
+ *     sessionProvider: () => sessionManager.getSessionId(),
+ * });
+ * csp.install();
+ */
+export class CspViolationTracker {
+    /**
+     * @param {Transport} transport - Transport used to send reports
+     * @param {BreadcrumbCollector|null} breadcrumbs - Breadcrumb collector (optional)
+     * @param {Object} [config] - Configuration options
+     * @param {number} [config.maxReportsPerPage=20] - Max violations reported per page
+     * @param {string} [config.release] - Application release
+     * @param {string} [config.environment] - Environment
+     * @param {string[]} [config.scrubFields=[]] - Extra query parameter names to redact
+     * @param {Function|null} [config.sessionProvider=null] - Returns the current session ID
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(transport, breadcrumbs = null, config = {}) {
+        this.transport = transport;
+        this.breadcrumbs = breadcrumbs;
+        this.config = {
+            maxReportsPerPage: config.maxReportsPerPage ?? 20,
+            release: config.release || null,
+            environment: config.environment || 'production',
+            scrubFields: Array.isArray(config.scrubFields) ? config.scrubFields : [],
+            sessionProvider: typeof config.sessionProvider === 'function' ? config.sessionProvider : null,
+            debug: config.debug || false,
+        };
+
+        /** @type {Set<string>} Reported directive + blocked URI keys */
+        this.reported = new Set();
+        this.installed = false;
+
+        // Statistics
+        this.stats = {
+            reported: 0,
+            deduplicated: 0,
+            dropped: 0,
+        };
+    }
+
+    /**
+     * Listen for CSP violations
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+
+        try {
+            document.addEventListener('securitypolicyviolation', event => this.handleViolation(event));
+            this.installed = true;
+        } catch (error) {
+            console.error('CspViolationTracker: Failed to install', error);
+        }
+    }
+
+    /**
+     * Handle a securitypolicyviolation event
+     *
+     * @param {SecurityPolicyViolationEvent} event
+     * @returns {Object|null} The report, or null if deduplicated or dropped
+     */
+    handleViolation(event) {
+        try {
+            const report = this.createReport(event);
+            const key = `${report.directive} ${report.blocked_uri}`;
+
+            if (this.reported.has(key)) {
+                this.stats.deduplicated++;
+                return null;
+            }
+
+            if (this.reported.size >= this.config.maxReportsPerPage) {
+                this.stats.dropped++;
+                return null;
+            }
+
+            this.reported.add(key);
+            this.stats.reported++;
+
+            this.addBreadcrumb(report);
+            this.transport.sendCspViolation(report);
+
+            return report;
+        } catch (error) {
+            // Never crash on violation handling
+            if (this.config.debug) {
+                console.warn('CspViolationTracker: Failed to handle violation', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get reporting statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Build the report for a violation event
+     *
+     * @private
+     * @param {SecurityPolicyViolationEvent} event
+     * @returns {Object}
+     */
+    createReport(event) {
+        const report = {
+            directive: event.effectiveDirective || event.violatedDirective || 'unknown',
+            violated_directive: event.violatedDirective || null,
+            blocked_uri: this.scrubUri(event.blockedURI) || 'unknown',
+            source_file: this.scrubUri(event.sourceFile),
+            line_number: event.lineNumber || null,
+            column_number: event.columnNumber || null,
+            disposition: event.disposition || 'enforce',
+            status_code: event.statusCode || null,
+            document_url: window.location.href,
+            session_id: this.getSessionId(),
+            release: this.config.release,
+            environment: this.config.environment,
+            timestamp: new Date().toISOString(),
+        };
+
+        // Drop empty fields to reduce payload size
+        for (const key of Object.keys(report)) {
+            if (report[key] === null || report[key] === undefined) {
+                delete report[key];
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Add a breadcrumb for a violation
+     *
+     * @private
+     * @param {Object} report
+     */
+    addBreadcrumb(report) {
+        if (!this.breadcrumbs) {
+            return;
+        }
+
+        const enforced = report.disposition === 'enforce';
+
+        this.breadcrumbs.add({
+            type: 'security',
+            category: 'csp',
+            message: `CSP ${enforced ? 'blocked' : 'reported'} ${report.directive}: ${report.blocked_uri}`,
+            data: {
+                directive: report.directive,
+                blocked_uri: report.blocked_uri,
+                disposition: report.disposition,
+                source_file: report.source_file || null,
+                line_number: report.line_number || null,
+            },
+            level: enforced ? 'error' : 'warning',
+        });
+    }
+
+    /**
+     * Scrub a URL, keeping CSP keywords (inline, eval, ...) as-is
+     *
+     * @private
+     * @param {string} uri
+     * @returns {string|null}
+     */
+    scrubUri(uri) {
+        if (!uri) {
+            return null;
+        }
+
+        if (/^[a-z-]+$/i.test(uri)) {
+            return uri;
+        }
+
+        return ResourceErrorTracker.scrubUrl(uri, this.config.scrubFields);
+    }
+
+    /**
+     * Get the current session ID (if any)
+     *
+     * @private
+     * @returns {string|null}
+     */
+    getSessionId() {
+        try {
+            return this.config.sessionProvider ? this.config.sessionProvider() : null;
+        } catch {
+            return null;
+        }
+    }
+}
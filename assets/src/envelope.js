@@ -0,0 +1,118 @@
+/**
+ * Envelope - Batch Wire Format
+ *
+ * Carries several events in one request as newline-delimited JSON:
+ *
+ *     {"sdk":"ApplicationLogger-JS-SDK/1.0","sent_at":"2026-01-01T00:00:00.000Z"}
+ *     {"type":"error","length":1234}
+ *     {"type":"TypeError","message":"...",...}
+ *     {"type":"log","length":321}
+ *     {"logs":[...]}
+ *
+ * The first line holds envelope headers. Every item is an item header
+ * (type and UTF-8 byte length of the payload line) followed by its payload.
+ *
+ * Item types: error, recovery, log, metric, feedback, csp.
+ *
+ * @example
+ * const envelope = new Envelope({ sdk: 'ApplicationLogger-JS-SDK/1.0' });
+ * envelope.add('error', payload);
+ * await fetch(url, { method: 'POST', headers: { 'Content-Type': Envelope.CONTENT_TYPE }, body: envelope.serialize() });
+ */
+export class Envelope {
+    /** @type {string} Content-Type of serialized envelopes */
+    static CONTENT_TYPE = 'application/x-ndjson';
+
+    /**
+     * @param {Object} [headers={}] - Envelope headers (first line)
+     */
+    constructor(headers = {}) {
+        /** @type {Object} Envelope headers */
+        this.headers = headers;
+        /** @type {Array<{type: string, payload: Object, lines: string}>} Items in order */
+        this.items = [];
+        /** @type {number} Serialized size in bytes */
+        this.size = Envelope.byteLength(JSON.stringify(headers)) + 1;
+    }
+
+    /**
+     * Add an item
+     *
+     * @param {string} type - Item type (error, recovery, log, metric, feedback, csp)
+     * @param {Object} payload - Item payload
+     */
+    add(type, payload) {
+        const lines = Envelope.serializeItem(type, payload);
+
+        this.items.push({ type, payload, lines });
+        this.size += Envelope.byteLength(lines) + 1;
+    }
+
+    /**
+     * Serialize to newline-delimited JSON
+     *
+     * @returns {string}
+     */
+    serialize() {
+        return [JSON.stringify(this.headers), ...this.items.map(item => item.lines)].join('\n') + '\n';
+    }
+
+    /**
+     * Serialize one item (header line + payload line, without trailing newline)
+     *
+     * @param {string} type - Item type
+     * @param {Object} payload - Item payload
+     * @returns {string}
+     */
+    static serializeItem(type, payload) {
+        const body = JSON.stringify(payload);
+
+        return `${JSON.stringify({ type, length: Envelope.byteLength(body) })}\n${body}`;
+    }
+
+    /**
+     * Parse a serialized envelope
+     *
+     * @param {string} text - Newline-delimited JSON
+     * @returns {{headers: Object, items: Array<{type: string, payload: Object}>}}
+     * @throws {SyntaxError} If a line is not valid JSON
+     */
+    static parse(text) {
+        const lines = text.split('\n').filter(line => line !== '');
+        const items = [];
+
+        for (let i = 1; i < lines.length; i += 2) {
+            items.push({ type: JSON.parse(lines[i]).type, payload: JSON.parse(lines[i + 1]) });
+        }
+
+        return { headers: JSON.parse(lines[0]), items };
+    }
+
+    /**
+     * UTF-8 byte length of a string
+     *
+     * @param {string} text
+     * @returns {number}
+     */
+    static byteLength(text) {
+        let bytes = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xd800 && code <= 0xdbff) {
+                // Surrogate pair: one 4-byte character
+                bytes += 4;
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+
+        return bytes;
+    }
+}
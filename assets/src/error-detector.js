@@ -1,3 +1,5 @@
+import { Fingerprinter } from './fingerprinter.js';
+
 /**
  * Error Detector - Triggers Session Replay on Errors
  *
@@ -126,8 +128,8 @@ export class ErrorDetector {
                 return null;
             }
 
-            // Generate error fingerprint for deduplication
-            const errorFingerprint = this.generateErrorFingerprint(error);
+            // Generate error fingerprint for deduplication (custom fingerprint aware)
+            const errorFingerprint = this.generateErrorFingerprint(error, errorPayload);
 
             // Check if we recently captured this error
             if (this.recentErrors.has(errorFingerprint)) {
@@ -143,7 +145,7 @@ export class ErrorDetector {
 
             // Create error context
             const errorContext = {
-                errorId: null, // Will be set by backend response
+                errorId: errorPayload?.event_id || null, // Client-generated event_id
                 message: error.message || 'Unknown error',
                 type: error.name || 'Error',
                 timestamp: Date.now(),
@@ -229,11 +231,19 @@ export class ErrorDetector {
     /**
      * Generate error fingerprint for deduplication
      *
+     * Events with a custom fingerprint use the same key as Transport.isDuplicate()
+     * (see Fingerprinter.getDedupKey), so both dedup paths group them identically.
+     *
      * @param {Error} error
+     * @param {Object|null} [errorPayload=null] - Event payload (may contain a fingerprint)
      * @returns {string}
      */
-    generateErrorFingerprint(error) {
+    generateErrorFingerprint(error, errorPayload = null) {
         try {
+            if (Array.isArray(errorPayload?.fingerprint) && errorPayload.fingerprint.length > 0) {
+                return Fingerprinter.getDedupKey(errorPayload);
+            }
+
             const message = error.message || '';
             const stack = error.stack || '';
 
@@ -263,9 +273,10 @@ export class ErrorDetector {
      * - Handles null/undefined buffer states
      *
      * @param {Error} error - The error object
+     * @param {string|null} [eventId=null] - event_id of the error payload (links the recovery session)
      * @returns {Promise<void>}
      */
-    async startRecoveryRecording(error) {
+    async startRecoveryRecording(error, eventId = null) {
         try {
             // EDGE CASE 1: Check if already recording recovery
             if (this.isRecordingRecovery) {
@@ -301,7 +312,7 @@ export class ErrorDetector {
             }
 
             const errorContext = {
-                errorId: null, // Could be set from backend response if needed
+                errorId: eventId, // event_id of the error sent in phase 1
                 message: error.message || 'Unknown error',
                 type: error.name || 'Error',
                 timestamp: Date.now(),
@@ -461,6 +472,11 @@ export class ErrorDetector {
                 url: window.location.href,
             };
 
+            // Link recovery session to the exact error (phase 1 event_id)
+            if (errorContext?.errorId) {
+                recoveryPayload.eventId = errorContext.errorId;
+            }
+
             // Send via transport if available
             if (this.transport && typeof this.transport.sendRecoverySession === 'function') {
                 this.transport.sendRecoverySession(recoveryPayload, useBeacon).catch(error => {
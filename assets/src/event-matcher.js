@@ -0,0 +1,116 @@
+/**
+ * Event Matcher - Declarative Conditions for Event Rules
+ *
+ * Shared by fingerprint rules (Fingerprinter) and sample rules (Sampler).
+ *
+ * A match is either a function (payload) => boolean, or an object of
+ * conditions on payload fields. All conditions must match:
+ * - type, message, level, environment, release
+ * - file, function (of the first in-app frame)
+ * - url, route (URL pathname)
+ * - tags: {key: condition}
+ *
+ * Conditions: strings match exactly, RegExps by pattern, arrays if any
+ * entry matches.
+ *
+ * @example
+ * const matcher = new EventMatcher();
+ * matcher.matches({ type: 'ChunkLoadError', route: /^\/checkout/ }, payload);
+ */
+export class EventMatcher {
+    /**
+     * Check if all conditions match the payload
+     *
+     * @param {Object|Function} match - Conditions or predicate
+     * @param {Object} payload - Event payload
+     * @returns {boolean}
+     */
+    matches(match, payload) {
+        try {
+            if (typeof match === 'function') {
+                return !!match(payload);
+            }
+
+            if (!match || typeof match !== 'object') {
+                return false;
+            }
+
+            const values = this.getValues(payload);
+
+            return Object.entries(match).every(([field, condition]) => {
+                if (field === 'tags') {
+                    const tags = payload.tags || {};
+                    return Object.entries(condition || {}).every(([key, tagCondition]) =>
+                        this.matchesCondition(tags[key], tagCondition),
+                    );
+                }
+
+                return this.matchesCondition(values[field], condition);
+            });
+        } catch {
+            // Broken rule never matches
+            return false;
+        }
+    }
+
+    /**
+     * Match a single value (string = exact, RegExp = pattern, array = any)
+     *
+     * @param {*} value
+     * @param {string|RegExp|Array} condition
+     * @returns {boolean}
+     */
+    matchesCondition(value, condition) {
+        if (Array.isArray(condition)) {
+            return condition.some(entry => this.matchesCondition(value, entry));
+        }
+
+        if (value === undefined || value === null) {
+            return false;
+        }
+
+        if (condition instanceof RegExp) {
+            return condition.test(String(value));
+        }
+
+        return String(value) === String(condition);
+    }
+
+    /**
+     * Collect matchable values from a payload
+     *
+     * @param {Object} payload
+     * @returns {Object}
+     */
+    getValues(payload) {
+        const frames = Array.isArray(payload.stack_trace) ? payload.stack_trace : [];
+        const frame = frames.find(f => f.in_app) || frames[0] || {};
+
+        return {
+            type: payload.type,
+            message: payload.message,
+            level: payload.level,
+            environment: payload.environment,
+            release: payload.release,
+            file: payload.file || frame.file,
+            function: frame.function,
+            url: payload.url,
+            route: this.getRoute(payload.url),
+        };
+    }
+
+    /**
+     * Extract pathname from a URL
+     *
+     * @private
+     * @param {string} url
+     * @returns {string|null}
+     */
+    getRoute(url) {
+        try {
+            return url ? new URL(url, window.location.origin).pathname : null;
+        } catch {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Event Pipeline - Inspect, Mutate or Drop Outgoing Events
+ *
+ * Runs every outgoing event through a chain of processors before it is
+ * handed to the Transport. Processors may be synchronous or async.
+ *
+ * Processor contract:
+ * - Signature: (event, hint) => event | null | Promise<event | null>
+ * - Return the (optionally modified) event to continue the chain
+ * - Return null to drop the event (nothing is sent)
+ * - hint.originalException is the captured Error
+ * - hint.replayData is the phase 1 replay data (may be modified or set to null)
+ *
+ * Processors registered via add() run in registration order. The global
+ * beforeSend hook (from config) always runs last, so it sees the final event.
+ *
+ * RESILIENCE:
+ * - A processor that throws is skipped (event continues unchanged)
+ * - A processor returning a non-object is treated as a no-op
+ *
+ * @example
+ * const pipeline = new EventPipeline({ beforeSend: (event) => event });
+ * pipeline.add((event, hint) => {
+ *     if (event.message.includes('ResizeObserver')) {
+ *         return null; // Drop noisy browser error
+ *     }
+ *     return event;
+ * });
+ * const event = await pipeline.process(payload, { originalException: error, replayData });
+ */
+export class EventPipeline {
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {Function|null} [config.beforeSend=null] - Global hook, runs after all registered processors
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(config = {}) {
+        this.config = {
+            beforeSend: typeof config.beforeSend === 'function' ? config.beforeSend : null,
+            debug: config.debug || false,
+        };
+
+        /** @type {Function[]} Registered event processors */
+        this.processors = [];
+
+        // Statistics
+        this.stats = {
+            processed: 0,
+            dropped: 0,
+            processorErrors: 0,
+        };
+    }
+
+    /**
+     * Register an event processor
+     *
+     * @param {Function} processor - (event, hint) => event | null | Promise
+     * @returns {Function} Function that removes the processor again
+     */
+    add(processor) {
+        if (typeof processor !== 'function') {
+            console.warn('EventPipeline: Processor must be a function');
+            return () => {};
+        }
+
+        this.processors.push(processor);
+
+        return () => this.remove(processor);
+    }
+
+    /**
+     * Remove a previously registered event processor
+     *
+     * @param {Function} processor
+     * @returns {boolean} True if the processor was registered
+     */
+    remove(processor) {
+        const index = this.processors.indexOf(processor);
+
+        if (index === -1) {
+            return false;
+        }
+
+        this.processors.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Run an event through all processors and beforeSend
+     *
+     * @param {Object} event - Event payload (as built by Client.buildPayload)
+     * @param {Object} [hint={}] - Additional context for processors
+     * @param {Error} [hint.originalException] - The captured error
+     * @param {Object|null} [hint.replayData] - Phase 1 replay data
+     * @returns {Promise<Object|null>} Final event, or null if dropped
+     */
+    async process(event, hint = {}) {
+        this.stats.processed++;
+
+        const chain = this.config.beforeSend
+            ? [...this.processors, this.config.beforeSend]
+            : this.processors;
+
+        let current = event;
+
+        for (const processor of chain) {
+            let result;
+
+            try {
+                result = await processor(current, hint);
+            } catch (error) {
+                // Never let a broken processor drop or crash error reporting
+                this.stats.processorErrors++;
+                if (this.config.debug) {
+                    console.error('EventPipeline: Processor failed, continuing with unmodified event', error);
+                }
+                continue;
+            }
+
+            if (result === null) {
+                this.stats.dropped++;
+                if (this.config.debug) {
+                    console.warn('EventPipeline: Event dropped by processor', {
+                        type: current.type,
+                        message: current.message,
+                    });
+                }
+                return null;
+            }
+
+            if (result && typeof result === 'object') {
+                current = result;
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Get pipeline statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            processorCount: this.processors.length,
+            hasBeforeSend: !!this.config.beforeSend,
+        };
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Fetch Transport - Default Transport Adapter
+ *
+ * Sends requests with fetch(), aborting after request.timeout. Returns the
+ * fetch Response as-is. Timeouts reject with an AbortError, network errors
+ * with a TypeError (like fetch itself).
+ *
+ * Transport adapter interface (see TransportAdapter):
+ *
+ *     send(request): Promise<Response|TransportResult>
+ *
+ * @example
+ * const response = await new FetchTransport().send({
+ *     url: 'https://logger.example.com/api/errors/ingest',
+ *     headers: { 'Content-Type': 'application/json' },
+ *     body: JSON.stringify(payload),
+ *     timeout: 3000,
+ * });
+ */
+export class FetchTransport {
+    constructor() {
+        /** @type {string} */
+        this.name = 'fetch';
+    }
+
+    /**
+     * Send a request
+     *
+     * @param {Object} request
+     * @param {string} request.url - Endpoint URL
+     * @param {string} [request.method='POST'] - HTTP method
+     * @param {Object<string, string>} [request.headers={}] - Request headers
+     * @param {string|Uint8Array} request.body - Request body
+     * @param {number} [request.timeout] - Abort after this many ms
+     * @param {boolean} [request.keepalive] - Outlive the page (fetch keepalive)
+     * @returns {Promise<Response>}
+     */
+    async send(request) {
+        const controller = new AbortController();
+        const timeoutId = request.timeout ? setTimeout(() => controller.abort(), request.timeout) : null;
+
+        const options = {
+            method: request.method || 'POST',
+            headers: request.headers || {},
+            body: request.body,
+            signal: controller.signal,
+        };
+        if (request.keepalive) {
+            options.keepalive = true;
+        }
+
+        try {
+            return await fetch(request.url, options);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+import { EventMatcher } from './event-matcher.js';
+
+/**
+ * Fingerprinter - Custom Grouping Fingerprints
+ *
+ * Resolves the fingerprint sent with an event (payload.fingerprint), which
+ * tells the backend how to group errors, and derives the client-side
+ * deduplication key from it.
+ *
+ * RESOLUTION ORDER (first one wins):
+ * 1. captureException(error, { fingerprint: [...] })
+ * 2. Scope fingerprint (scope.setFingerprint([...]))
+ * 3. First matching rule in config.fingerprintRules
+ * 4. None - backend default grouping
+ *
+ * RULES:
+ * Each rule has a `match` (object of conditions or a function, see
+ * EventMatcher) and a `fingerprint` (array of strings).
+ *
+ * Fingerprint parts may use variables: {{ type }}, {{ message }},
+ * {{ level }}, {{ file }}, {{ function }}, {{ route }}.
+ *
+ * DEDUPLICATION:
+ * Transport.isDuplicate() and ErrorDetector.generateErrorFingerprint() both use
+ * getDedupKey(), so events with the same custom fingerprint are deduplicated
+ * consistently even if their messages or stacks differ.
+ *
+ * @example
+ * new Fingerprinter({
+ *     rules: [{
+ *         match: { type: 'ChunkLoadError', route: /^\/checkout/ },
+ *         fingerprint: ['chunk-load-error', '{{ route }}'],
+ *     }],
+ * });
+ */
+export class Fingerprinter {
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {Array<Object>} [config.rules=[]] - Declarative fingerprint rules
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(config = {}) {
+        this.config = {
+            rules: Array.isArray(config.rules) ? config.rules : [],
+            debug: config.debug || false,
+        };
+
+        this.matcher = new EventMatcher();
+    }
+
+    /**
+     * Resolve the fingerprint for a payload
+     *
+     * @param {Object} payload - Event payload (type, message, stack_trace, url, tags, ...)
+     * @param {Array<string>|null} [explicit=null] - Fingerprint from capture options or scope
+     * @returns {string[]|null} Fingerprint, or null for default grouping
+     */
+    resolve(payload, explicit = null) {
+        try {
+            if (Array.isArray(explicit) && explicit.length > 0) {
+                return this.interpolate(explicit, payload);
+            }
+
+            for (const rule of this.config.rules) {
+                if (rule && Array.isArray(rule.fingerprint) && rule.fingerprint.length > 0 &&
+                    this.matcher.matches(rule.match, payload)) {
+                    return this.interpolate(rule.fingerprint, payload);
+                }
+            }
+
+            return null;
+        } catch (error) {
+            // Never crash on fingerprinting - fall back to default grouping
+            if (this.config.debug) {
+                console.warn('Fingerprinter: Failed to resolve fingerprint', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get the client-side deduplication key for a payload
+     *
+     * Uses the fingerprint when present, otherwise type, message and top 3 frames.
+     *
+     * @param {Object} payload
+     * @returns {string}
+     */
+    static getDedupKey(payload) {
+        if (Array.isArray(payload.fingerprint) && payload.fingerprint.length > 0) {
+            return JSON.stringify({ fingerprint: payload.fingerprint });
+        }
+
+        return JSON.stringify({
+            type: payload.type,
+            message: payload.message,
+            stack: payload.stack_trace?.slice(0, 3), // Top 3 frames
+        });
+    }
+
+    /**
+     * Replace {{ variable }} placeholders in fingerprint parts
+     *
+     * @private
+     * @param {Array<string>} parts
+     * @param {Object} payload
+     * @returns {string[]}
+     */
+    interpolate(parts, payload) {
+        const values = this.matcher.getValues(payload);
+
+        return parts.map(part => String(part).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+            values[name] !== undefined && values[name] !== null ? String(values[name]) : '',
+        ));
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Freeze Detector - Long Task and UI Freeze Detection
+ *
+ * Observes main-thread blocking with PerformanceObserver:
+ * - long-animation-frame (LoAF): preferred, with script attribution
+ *   (source URL, function, invoker)
+ * - longtask: fallback for browsers without LoAF (no script attribution)
+ *
+ * For every task of at least longTaskThresholdMs:
+ * - a 'performance' breadcrumb is added
+ * - a 'longTask' event is added to the ReplayBuffer timeline (if replay is enabled)
+ *
+ * When a single task blocks the main thread for freezeThresholdMs or more,
+ * a dedicated "UIFreeze" event is captured through the capture callback
+ * (at most once per freezeCooldownMs). Its stack frames are the scripts
+ * LoAF blamed for the frame, so it groups by the blocking code.
+ *
+ * @example
+ * const detector = new FreezeDetector(breadcrumbs, replayBuffer, (error, options) => {
+ *     client.captureException(error, options);
+ * }, { freezeThresholdMs: 3000 });
+ * detector.install();
+ */
+export class FreezeDetector {
+    /** @type {string} Error name of UI freeze events */
+    static FREEZE_ERROR_NAME = 'UIFreeze';
+
+    /** @type {number} Max scripts kept per task (longest first) */
+    static MAX_SCRIPTS = 3;
+
+    /**
+     * @param {BreadcrumbCollector} breadcrumbs - Breadcrumb collector
+     * @param {ReplayBuffer|null} replayBuffer - Replay timeline (optional)
+     * @param {Function|null} captureCallback - (error, options) => void, captures UI freeze events
+     * @param {Object} [config] - Configuration options
+     * @param {number} [config.longTaskThresholdMs=200] - Min task duration for breadcrumbs/replay events
+     * @param {number} [config.freezeThresholdMs=3000] - Min task duration for a UI freeze event
+     * @param {number} [config.freezeCooldownMs=60000] - Min time between UI freeze events
+     * @param {Function|null} [config.sessionProvider=null] - Returns the current session ID
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(breadcrumbs, replayBuffer = null, captureCallback = null, config = {}) {
+        this.breadcrumbs = breadcrumbs;
+        this.replayBuffer = replayBuffer;
+        this.captureCallback = captureCallback;
+        this.config = {
+            longTaskThresholdMs: Math.max(50, config.longTaskThresholdMs || 200),
+            freezeThresholdMs: config.freezeThresholdMs || 3000,
+            freezeCooldownMs: config.freezeCooldownMs ?? 60000,
+            sessionProvider: typeof config.sessionProvider === 'function' ? config.sessionProvider : null,
+            debug: config.debug || false,
+        };
+
+        this.observer = null;
+        this.entryType = null; // Observed entry type
+        this.lastFreezeAt = null;
+        this.installed = false;
+
+        // Statistics
+        this.stats = {
+            longTasks: 0,
+            freezes: 0,
+            freezesCaptured: 0,
+            longestTaskMs: 0,
+        };
+    }
+
+    /**
+     * Start observing long animation frames (or long tasks as fallback)
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+
+        this.installed = true;
+
+        try {
+            if (typeof PerformanceObserver === 'undefined') {
+                return;
+            }
+
+            const supported = PerformanceObserver.supportedEntryTypes || [];
+            this.entryType = ['long-animation-frame', 'longtask'].find(type => supported.includes(type)) || null;
+
+            if (!this.entryType) {
+                return;
+            }
+
+            this.observer = new PerformanceObserver(list => {
+                this.handleEntries(list.getEntries());
+            });
+            this.observer.observe({ type: this.entryType, buffered: true });
+        } catch (error) {
+            if (this.config.debug) {
+                console.warn('FreezeDetector: Cannot observe long tasks', error);
+            }
+        }
+    }
+
+    /**
+     * Stop observing
+     */
+    cleanup() {
+        try {
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+        } catch {
+            // Ignore
+        }
+        this.observer = null;
+    }
+
+    /**
+     * Handle longtask / long-animation-frame entries
+     *
+     * @param {PerformanceEntry[]} entries
+     */
+    handleEntries(entries) {
+        for (const entry of entries) {
+            try {
+                if (entry.duration < this.config.longTaskThresholdMs) {
+                    continue;
+                }
+
+                const task = this.createTask(entry);
+                const isFreeze = task.duration >= this.config.freezeThresholdMs;
+
+                this.stats.longTasks++;
+                this.stats.longestTaskMs = Math.max(this.stats.longestTaskMs, task.duration);
+
+                this.addBreadcrumb(task, isFreeze);
+                this.addReplayEvent(task, isFreeze);
+
+                if (isFreeze) {
+                    this.stats.freezes++;
+                    this.captureFreeze(task);
+                }
+            } catch (error) {
+                // Never crash on tracking
+                if (this.config.debug) {
+                    console.warn('FreezeDetector: Failed to handle entry', error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get detection statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            entryType: this.entryType,
+        };
+    }
+
+    /**
+     * Convert a performance entry into a task summary
+     *
+     * @private
+     * @param {PerformanceEntry} entry
+     * @returns {Object} {entry_type, start_time, timestamp, duration, blocking_duration, scripts}
+     */
+    createTask(entry) {
+        const timeOrigin = performance.timeOrigin || (Date.now() - performance.now());
+
+        return {
+            entry_type: entry.entryType || this.entryType,
+            start_time: Math.round(entry.startTime),
+            timestamp: Math.round(timeOrigin + entry.startTime),
+            duration: Math.round(entry.duration),
+            // LoAF only: time that blocked input handling
+            blocking_duration: typeof entry.blockingDuration === 'number'
+                ? Math.round(entry.blockingDuration)
+                : null,
+            scripts: this.getScripts(entry),
+        };
+    }
+
+    /**
+     * Get the longest scripts of a long animation frame
+     *
+     * @private
+     * @param {PerformanceEntry} entry
+     * @returns {Array<Object>} {source_url, function, invoker, char_position, duration}
+     */
+    getScripts(entry) {
+        if (!Array.isArray(entry.scripts)) {
+            return [];
+        }
+
+        return [...entry.scripts]
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, FreezeDetector.MAX_SCRIPTS)
+            .map(script => ({
+                source_url: this.stripQuery(script.sourceURL),
+                function: script.sourceFunctionName || null,
+                invoker: script.invoker || null,
+                char_position: typeof script.sourceCharPosition === 'number' ? script.sourceCharPosition : null,
+                duration: Math.round(script.duration || 0),
+            }));
+    }
+
+    /**
+     * Add a breadcrumb for a long task
+     *
+     * @private
+     * @param {Object} task
+     * @param {boolean} isFreeze
+     */
+    addBreadcrumb(task, isFreeze) {
+        const script = task.scripts[0];
+
+        this.breadcrumbs.add({
+            type: 'performance',
+            category: 'long-task',
+            message: `${isFreeze ? 'UI freeze' : 'Long task'} (${task.duration}ms)`,
+            data: {
+                duration: task.duration,
+                blocking_duration: task.blocking_duration,
+                entry_type: task.entry_type,
+                source_url: script?.source_url || null,
+                function: script?.function || null,
+            },
+            level: isFreeze ? 'error' : 'warning',
+        });
+    }
+
+    /**
+     * Add a long task to the replay timeline
+     *
+     * @private
+     * @param {Object} task
+     * @param {boolean} isFreeze
+     */
+    addReplayEvent(task, isFreeze) {
+        if (!this.replayBuffer) {
+            return;
+        }
+
+        this.replayBuffer.addEvent({
+            type: 'longTask',
+            url: window.location.href,
+            timestamp: task.timestamp,
+            longTaskData: {
+                duration: task.duration,
+                blockingDuration: task.blocking_duration,
+                entryType: task.entry_type,
+                freeze: isFreeze,
+                scripts: task.scripts,
+            },
+            sessionId: this.getSessionId(),
+        });
+    }
+
+    /**
+     * Capture a UI freeze event (rate limited by freezeCooldownMs)
+     *
+     * @private
+     * @param {Object} task
+     */
+    captureFreeze(task) {
+        if (!this.captureCallback) {
+            return;
+        }
+
+        const now = Date.now();
+        if (this.lastFreezeAt !== null && now - this.lastFreezeAt < this.config.freezeCooldownMs) {
+            if (this.config.debug) {
+                console.warn('FreezeDetector: UI freeze not captured (cooldown)', task);
+            }
+            return;
+        }
+
+        this.lastFreezeAt = now;
+        this.stats.freezesCaptured++;
+
+        const error = new Error(`UI freeze: main thread blocked for ${task.duration}ms`);
+        error.name = FreezeDetector.FREEZE_ERROR_NAME;
+        error.stack = this.createStack(error, task.scripts);
+
+        this.captureCallback(error, {
+            extra: { freeze: task },
+            fingerprint: ['ui-freeze', '{{ file }}', '{{ function }}'],
+            // Captured by the SDK: not the app's lastEventId()
+            automatic: true,
+        });
+    }
+
+    /**
+     * Build a V8-style stack from the blamed scripts
+     *
+     * LoAF reports a character position, not line/column, so frames use
+     * line 1 (exact for minified bundles). Without scripts the stack has
+     * no frames (the SDK's own frames would be misleading).
+     *
+     * @private
+     * @param {Error} error
+     * @param {Array<Object>} scripts
+     * @returns {string}
+     */
+    createStack(error, scripts) {
+        const frames = scripts
+            .filter(script => script.source_url)
+            .map(script => {
+                const column = script.char_position !== null && script.char_position >= 0
+                    ? script.char_position + 1
+                    : 1;
+                return `    at ${script.function || '<anonymous>'} (${script.source_url}:1:${column})`;
+            });
+
+        return [`${error.name}: ${error.message}`, ...frames].join('\n');
+    }
+
+    /**
+     * Remove query string and fragment (may contain tokens)
+     *
+     * @private
+     * @param {string} url
+     * @returns {string|null}
+     */
+    stripQuery(url) {
+        if (!url) {
+            return null;
+        }
+
+        return String(url).split(/[?#]/)[0];
+    }
+
+    /**
+     * Get the current session ID (if any)
+     *
+     * @private
+     * @returns {string|null}
+     */
+    getSessionId() {
+        try {
+            return this.config.sessionProvider ? this.config.sessionProvider() : null;
+        } catch {
+            return null;
+        }
+    }
+}
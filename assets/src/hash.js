@@ -0,0 +1,29 @@
+/**
+ * Hash - DJB2 String Hash
+ *
+ * Fallback for browsers without Web Crypto (crypto.subtle), shared by the
+ * session hash (Client) and hashed user IDs (UserContext). Not SHA-256 and
+ * not cryptographic, but the 64-character hex output has the same format,
+ * so it passes the same validation.
+ *
+ * @example
+ * Hash.djb2('session-id'); // '0000...1f3a9c2b'
+ */
+export class Hash {
+    /**
+     * DJB2 hash of a string
+     *
+     * @param {string} str - String to hash
+     * @returns {string} 64-character hexadecimal hash
+     */
+    static djb2(str) {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash) + str.charCodeAt(i);
+        }
+
+        // Convert to hex and pad to 64 characters
+        const hex = Math.abs(hash).toString(16);
+        return hex.padStart(64, '0');
+    }
+}
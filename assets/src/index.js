@@ -4,13 +4,15 @@
  * ERROR-TRIGGERED SESSION REPLAY:
  * - Only captures replay when errors occur (not continuously)
  * - Buffers N seconds/clicks before and after error
- * - Cross-page session continuity via localStorage
+ * - Cross-page session continuity via localStorage (replay buffer optionally in IndexedDB)
  * - Privacy-first (no PII in DOM snapshots)
  *
  * FEATURES:
  * - JavaScript error capture and reporting
  * - Session replay on error (configurable buffer size)
  * - Breadcrumb tracking for debugging context
+ * - Structured logging with batched delivery (logger.log.info(...))
+ * - Core Web Vitals (LCP, CLS, INP, FCP, TTFB) per page view
  * - Click heatmap for user behavior analysis
  *
  * @module ApplicationLogger
@@ -24,6 +26,14 @@ import { ReplayBuffer } from './replay-buffer.js';
 import { ErrorDetector } from './error-detector.js';
 import { SessionManager } from './session-manager.js';
 import { StorageManager } from './storage-manager.js';
+import { ReportDialog } from './report-dialog.js';
+import { LogCollector } from './log-collector.js';
+import { WebVitals } from './web-vitals.js';
+import { FreezeDetector } from './freeze-detector.js';
+import { CspViolationTracker } from './csp-violation-tracker.js';
+import { BrowserReportObserver } from './browser-report-observer.js';
+import { TraceContext } from './trace-context.js';
+import { StorageAdapter } from './storage-adapter.js';
 
 /**
  * Main ApplicationLogger class
@@ -37,6 +47,31 @@ class ApplicationLogger {
      * @param {string} [config.environment] Environment (production, staging, etc.)
      * @param {boolean} [config.debug=false] Enable debug logging
      * @param {string[]} [config.scrubFields] Additional fields to scrub
+     * @param {string} [config.userPrivacyMode='hashed'] How setUser() IDs are sent: hashed, raw or segment
+     * @param {string} [config.userIdSalt] Private salt for hashed user IDs; defaults to the DSN,
+     *        which is public, so set it to keep known user IDs from being matched to their hashes
+     * @param {string[]} [config.userSegmentAttributes=['plan','role','segment']] User attributes sent in every mode
+     * @param {number} [config.maxLinkedExceptionDepth=5] How deep Error.cause chains are followed
+     * @param {number} [config.maxLinkedExceptions=10] Max linked exceptions (causes, AggregateError children) per event
+     * @param {Array<string|RegExp>} [config.inAppInclude] Stack frame file patterns that are always in-app
+     * @param {Array<string|RegExp>} [config.inAppExclude] Stack frame file patterns that are never in-app (vendor bundles)
+     * @param {Array<Object>} [config.fingerprintRules] Grouping rules: [{match: {type, message, route, ...}, fingerprint: [...]}]
+     * @param {Object} [config.reportDialog] Default showReportDialog() options (labels, theme, showName)
+     * @param {number} [config.sampleRate=1] Share of error events to send (0..1)
+     * @param {number} [config.replayOnErrorSampleRate=1] Share of sent errors that get replay data (0..1)
+     * @param {Function} [config.sampler] Per-event rate: ({kind, event, originalException}) => number | boolean | undefined
+     * @param {Array<Object>} [config.sampleRules] Sampling rules: [{match: {type, url, environment, tags, ...}, sampleRate, replayOnErrorSampleRate}]
+     * @param {Function} [config.beforeSend] Last hook before sending: (event, hint) => event | null | Promise
+     * @param {boolean} [config.resourceErrorsEnabled=true] Report failed script/link/img/source loads as ResourceLoadError events
+     * @param {number} [config.resourceErrorSampleRate] Share of ResourceLoadError events to send (defaults to sampleRate)
+     * @param {boolean} [config.resourceErrorDedupe=true] Report each failed resource URL once per page
+     * @param {boolean} [config.cspReportingEnabled=true] Report Content-Security-Policy violations (once per directive + blocked URI)
+     * @param {number} [config.cspMaxReportsPerPage=20] Max CSP violations reported per page
+     * @param {boolean} [config.browserReportsEnabled=true] Send deprecation/intervention/crash reports (ReportingObserver) as warnings, once per session
+     * @param {string[]} [config.browserReportTypes=['deprecation','intervention','crash']] Observed report types
+     * @param {string|Object} [config.storage='localStorage'] Where the offline queue, replay buffer, session, circuit breaker and rate limits are kept: localStorage, sessionStorage, indexedDB, memory or a custom adapter (see StorageAdapter)
+     * @param {boolean} [config.compression=true] Gzip request bodies and the offline queue (where CompressionStream is supported)
+     * @param {string|Object} [config.transport='fetch'] How requests are sent: fetch, xhr, beacon, memory or a custom adapter with send(request) (see TransportAdapter)
      *
      * Session Replay Configuration (error-triggered only):
      * @param {boolean} [config.sessionReplayEnabled=true] Enable session replay on errors
@@ -47,7 +82,7 @@ class ApplicationLogger {
      * @param {number} [config.snapshotThrottleMs=1000] DOM snapshot throttle (min 500ms)
      * @param {number} [config.maxSnapshotSize=1048576] Max snapshot size (default 1MB)
      * @param {number} [config.sessionTimeoutMinutes=30] Session timeout (max 120 min)
-     * @param {number} [config.maxBufferSizeMB=5] Max localStorage buffer size (max 20MB)
+     * @param {number} [config.maxBufferSizeMB=5] Max stored replay buffer size (max 20MB)
      * @param {boolean} [config.exposeApi=true] Expose control API for developers
      *
      * Resilience Configuration (transport layer):
@@ -58,6 +93,30 @@ class ApplicationLogger {
      * @param {number} [config.rateLimiterMaxTokens=10] Max errors per minute
      * @param {number} [config.rateLimiterRefillRate=0.167] Token refill rate (~10/min)
      * @param {number} [config.deduplicationWindowMs=5000] Duplicate detection window (ms)
+     * @param {number} [config.logsRateLimiterMaxTokens=10] Max log batches per minute
+     * @param {number} [config.logsRateLimiterRefillRate=0.167] Log batch token refill rate (~10/min)
+     * @param {boolean} [config.batching=true] Send queued events together as one envelope (single sends if unsupported)
+     * @param {number} [config.batchMaxItems=20] Max events per envelope
+     * @param {number} [config.batchMaxBytes=262144] Max envelope size before compression (256KB)
+     * @param {number} [config.batchLingerMs=0] Wait for more events before sending (ms)
+     * @param {number} [config.unloadMaxBytes=65536] Max bytes sent in total per page unload (keepalive fetch / sendBeacon share one browser budget); the rest is sent on the next page load
+     * @param {boolean} [config.tabCoordination=true] Coordinate tabs: one leader flushes the offline queue, shared circuit breaker (Web Locks / BroadcastChannel)
+     *
+     * Structured Logging Configuration (logger.log):
+     * @param {number} [config.logsMaxBufferSize=100] Max buffered log records (oldest dropped)
+     * @param {number} [config.logsMaxBatchSize=20] Log records per request (flush when reached)
+     * @param {number} [config.logsFlushIntervalMs=5000] Max delay before buffered logs are sent (ms)
+     * @param {string} [config.logsMinLevel='debug'] Minimum level: debug, info, warn or error
+     *
+     * Performance Configuration:
+     * @param {boolean} [config.webVitalsEnabled=true] Report Core Web Vitals when the page is hidden
+     * @param {boolean} [config.freezeDetectionEnabled=true] Detect long tasks and UI freezes
+     * @param {number} [config.longTaskThresholdMs=200] Min task duration for long task breadcrumbs and replay events (ms)
+     * @param {number} [config.freezeThresholdMs=3000] Min main-thread blocking for a UIFreeze event (ms)
+     *
+     * Trace Propagation Configuration (fetch/XHR):
+     * @param {boolean} [config.tracePropagationEnabled=true] Add traceparent/tracestate/X-AppLogger-Session headers
+     * @param {Array<string|RegExp>} [config.tracePropagationTargets=[]] Cross-origin URLs (prefix or RegExp) that get trace headers; same-origin always does
      */
     constructor(config) {
         // Validate required configuration
@@ -73,6 +132,15 @@ class ApplicationLogger {
             // Core config
             debug: false,
             scrubFields: ['password', 'token', 'api_key', 'secret'],
+            resourceErrorsEnabled: true,
+            resourceErrorDedupe: true,
+            cspReportingEnabled: true,
+            cspMaxReportsPerPage: 20,
+            browserReportsEnabled: true,
+            browserReportTypes: ['deprecation', 'intervention', 'crash'],
+            storage: 'localStorage',
+            compression: true,
+            transport: 'fetch', // XHR where fetch is missing
 
             // Session replay config (error-triggered only)
             sessionReplayEnabled: true,
@@ -86,6 +154,16 @@ class ApplicationLogger {
             maxBufferSizeMB: 5,
             exposeApi: true,
 
+            // Performance config
+            webVitalsEnabled: true,
+            freezeDetectionEnabled: true,
+            longTaskThresholdMs: 200,
+            freezeThresholdMs: 3000,
+
+            // Trace propagation config (same-origin requests + tracePropagationTargets)
+            tracePropagationEnabled: true,
+            tracePropagationTargets: [],
+
             // Resilience config (transport layer)
             circuitBreakerFailureThreshold: 5,
             circuitBreakerTimeoutMs: 60000, // 60 seconds
@@ -94,11 +172,20 @@ class ApplicationLogger {
             rateLimiterMaxTokens: 10,
             rateLimiterRefillRate: 0.167, // ~10 tokens per minute
             deduplicationWindowMs: 5000, // 5 seconds
+            batching: true,
+            batchMaxItems: 20,
+            batchMaxBytes: 262144, // 256KB
+            batchLingerMs: 0, // Batch what queues up while a request is in flight
+            unloadMaxBytes: 65536, // Browser budget for all beacon/keepalive bodies in flight
+            tabCoordination: true,
 
             // Merge user config
             ...config,
         };
 
+        // One adapter shared by all SDK persistence (queue, replay buffer, session, circuit breaker, ...)
+        this.config.storage = StorageAdapter.create(this.config.storage);
+
         // Initialize core components
         this.transport = new Transport(this.config);
 
@@ -113,12 +200,23 @@ class ApplicationLogger {
                 }
                 this.captureException(error, options);
             }, // errorCaptureCallback
+            new TraceContext({
+                enabled: this.config.tracePropagationEnabled,
+                tracePropagationTargets: this.config.tracePropagationTargets,
+                ignoreUrls: this.transport.getEndpointPrefixes(),
+                // Session manager is created below - resolved per request
+                sessionProvider: () => (this.sessionManager ? this.sessionManager.getSessionId() : null),
+                pendingSessionProvider: () => (this.sessionManager && !this.sessionManager.initialized
+                    ? this.sessionManager.ready
+                    : null),
+            }),
         );
 
         // Initialize session replay components (if enabled)
         this.sessionManager = null;
         this.replayBuffer = null;
         this.storageManager = null;
+        this.replayBufferRestored = false; // Stored buffer loaded (saves would overwrite it before)
         this.errorDetector = null;
         this.heatmap = null;
 
@@ -135,6 +233,74 @@ class ApplicationLogger {
             this.sessionManager,
         );
 
+        // Recovery sessions and replay uploads carry the same user context as errors
+        this.transport.setUserProvider(() => this.client.getUserPayload());
+
+        // Structured logging: logger.log.{debug,info,warn,error}(message, attributes)
+        this.log = new LogCollector(this.transport, {
+            maxBufferSize: this.config.logsMaxBufferSize,
+            maxBatchSize: this.config.logsMaxBatchSize,
+            flushIntervalMs: this.config.logsFlushIntervalMs,
+            minLevel: this.config.logsMinLevel,
+            release: this.config.release,
+            environment: this.config.environment,
+            contextProvider: () => ({
+                session_id: this.sessionManager ? this.sessionManager.getSessionId() : null,
+                session_hash: this.client.getSessionHash(),
+            }),
+            debug: this.config.debug,
+        });
+
+        // Core Web Vitals (reported when the page is hidden)
+        this.webVitals = this.config.webVitalsEnabled
+            ? new WebVitals(this.transport, this.sessionManager, {
+                release: this.config.release,
+                environment: this.config.environment,
+                debug: this.config.debug,
+            })
+            : null;
+
+        // Long tasks -> breadcrumbs + replay timeline, UI freezes -> UIFreeze events
+        this.freezeDetector = this.config.freezeDetectionEnabled
+            ? new FreezeDetector(
+                this.breadcrumbs,
+                this.replayBuffer,
+                (error, options) => this.captureException(error, options),
+                {
+                    longTaskThresholdMs: this.config.longTaskThresholdMs,
+                    freezeThresholdMs: this.config.freezeThresholdMs,
+                    sessionProvider: () => (this.sessionManager ? this.sessionManager.getSessionId() : null),
+                    debug: this.config.debug,
+                },
+            )
+            : null;
+
+        // CSP violations -> CSP endpoint + breadcrumbs
+        this.cspViolations = this.config.cspReportingEnabled
+            ? new CspViolationTracker(this.transport, this.breadcrumbs, {
+                maxReportsPerPage: this.config.cspMaxReportsPerPage,
+                release: this.config.release,
+                environment: this.config.environment,
+                scrubFields: this.config.scrubFields,
+                sessionProvider: () => (this.sessionManager ? this.sessionManager.getSessionId() : null),
+                debug: this.config.debug,
+            })
+            : null;
+
+        // Deprecation/intervention/crash reports -> warning events (once per session)
+        this.browserReports = this.config.browserReportsEnabled
+            ? new BrowserReportObserver(
+                (message, level, options) => this.client.captureMessage(message, level, { ...options, automatic: true }),
+                {
+                    types: this.config.browserReportTypes,
+                    sessionProvider: () => (this.sessionManager ? this.sessionManager.getSessionId() : null),
+                    scrubFields: this.config.scrubFields,
+                    debug: this.config.debug,
+                },
+            )
+            : null;
+
+        this.reportDialog = null; // Open feedback dialog (showReportDialog)
         this.initialized = false;
     }
 
@@ -147,6 +313,7 @@ class ApplicationLogger {
             this.sessionManager = new SessionManager({
                 sessionTimeoutMinutes: this.config.sessionTimeoutMinutes,
                 debug: this.config.debug,
+                storage: this.config.storage,
             });
 
             // Replay buffer (circular buffer for events)
@@ -159,10 +326,11 @@ class ApplicationLogger {
                 debug: this.config.debug,
             });
 
-            // Storage manager (localStorage persistence)
+            // Storage manager (replay buffer persistence, see config.storage)
             this.storageManager = new StorageManager({
                 maxBufferSizeMB: this.config.maxBufferSizeMB,
                 debug: this.config.debug,
+                storage: this.config.storage,
             });
 
             // Error detector (triggers replay on error)
@@ -184,16 +352,19 @@ class ApplicationLogger {
                 this.config,
             );
 
-            // Load existing buffer from localStorage (cross-page continuity)
-            const savedBuffer = this.storageManager.load();
-            if (savedBuffer) {
-                this.replayBuffer.deserialize(savedBuffer);
-                if (this.config.debug) {
-                    console.warn('ApplicationLogger: Loaded replay buffer from localStorage', {
-                        events: savedBuffer.buffer?.length || 0,
-                    });
+            // Load existing buffer from storage (cross-page continuity)
+            this.storageManager.load().then((savedBuffer) => {
+                if (savedBuffer) {
+                    this.replayBuffer.deserialize(savedBuffer);
+                    if (this.config.debug) {
+                        console.warn('ApplicationLogger: Loaded replay buffer from storage', {
+                            events: savedBuffer.buffer?.length || 0,
+                        });
+                    }
                 }
-            }
+            }).finally(() => {
+                this.replayBufferRestored = true;
+            });
 
             if (this.config.debug) {
                 console.warn('ApplicationLogger: Session replay initialized');
@@ -209,10 +380,10 @@ class ApplicationLogger {
      * Handle replay capture when error is detected
      *
      * Called by ErrorDetector after buffering is complete.
-     * Saves buffer to localStorage for cross-page continuity.
+     * Saves buffer to storage for cross-page continuity.
      *
      * Note: Replay data is sent WITH the error payload in client.captureException(),
-     * not as a separate request. This callback is just for localStorage persistence.
+     * not as a separate request. This callback is just for storage persistence.
      *
      * @param {Object} errorContext - Error context
      * @param {Array} events - Buffered events (before + after error)
@@ -229,9 +400,8 @@ class ApplicationLogger {
                 });
             }
 
-            // Save buffer to localStorage for cross-page continuity
-            const serialized = this.replayBuffer.serialize();
-            this.storageManager.save(serialized);
+            // Save buffer to storage for cross-page continuity
+            this.saveBufferToStorage();
         } catch (error) {
             console.error('ApplicationLogger: Failed to save replay buffer', error);
         }
@@ -251,22 +421,28 @@ class ApplicationLogger {
             return;
         }
 
+        // Frames of the SDK bundle are stripped from stack traces
+        this.client.recordSdkFiles(new Error());
+
         // 1. Install breadcrumbs FIRST (wraps console/fetch immediately)
         // This ensures we capture breadcrumbs for any errors that occur during init
         this.breadcrumbs.install();
 
+        // Flush stored errors when the device comes back online or the page is visible again
+        this.transport.install();
+
         // 2. Install session replay tracking (if enabled)
         if (this.config.sessionReplayEnabled && this.heatmap) {
             this.heatmap.install();
             this.errorDetector.install();
 
-            // Periodic saves to localStorage (every 5 seconds)
+            // Periodic saves to storage (every 5 seconds)
             // This ensures buffer persists even if page closes unexpectedly
             this.bufferSaveInterval = setInterval(() => {
                 this.saveBufferToStorage();
             }, 5000);
 
-            // Save buffer to localStorage on page unload
+            // Save buffer to storage on page unload
             window.addEventListener('beforeunload', () => {
                 this.saveBufferToStorage();
             });
@@ -283,6 +459,29 @@ class ApplicationLogger {
             }
         }
 
+        // Flush buffered logs when the page is hidden or unloaded
+        this.log.install();
+
+        // Observe Core Web Vitals (buffered entries include those before init)
+        if (this.webVitals) {
+            this.webVitals.install();
+        }
+
+        // Observe long tasks / long animation frames
+        if (this.freezeDetector) {
+            this.freezeDetector.install();
+        }
+
+        // Report CSP violations
+        if (this.cspViolations) {
+            this.cspViolations.install();
+        }
+
+        // Observe deprecation/intervention/crash reports
+        if (this.browserReports) {
+            this.browserReports.install();
+        }
+
         // 3. Install error capture LAST (processes buffered errors, then starts live capture)
         // Note: breadcrumbs.install() is called again in client.install() but it's idempotent
         this.client.install();
@@ -306,16 +505,18 @@ class ApplicationLogger {
     }
 
     /**
-     * Save buffer to localStorage for cross-page continuity
+     * Save buffer to storage for cross-page continuity
+     *
+     * Skipped until the stored buffer is restored (it would be overwritten).
      */
     saveBufferToStorage() {
         try {
-            if (this.replayBuffer && this.storageManager) {
+            if (this.replayBuffer && this.storageManager && this.replayBufferRestored) {
                 const serialized = this.replayBuffer.serialize();
                 this.storageManager.save(serialized);
 
                 if (this.config.debug) {
-                    console.warn('ApplicationLogger: Buffer saved to localStorage');
+                    console.warn('ApplicationLogger: Buffer saved to storage');
                 }
             }
         } catch (error) {
@@ -330,9 +531,13 @@ class ApplicationLogger {
    * @param {Object} [options] Additional options
    * @param {Object} [options.tags] Key-value tags
    * @param {Object} [options.extra] Additional context data
+   * @param {string[]} [options.fingerprint] Custom grouping fingerprint (overrides scope and rules)
+   * @returns {string|null} Event ID (e.g. to show users as support reference)
    */
     captureException(error, options = {}) {
+        // The event_id is assigned synchronously, processing and sending continue in the background
         this.client.captureException(error, options);
+        return this.client.getAssignedEventId();
     }
 
     /**
@@ -341,9 +546,91 @@ class ApplicationLogger {
    * @param {string} message The message to capture
    * @param {string} [level='info'] Log level
    * @param {Object} [options] Additional options
+   * @returns {string|null} Event ID
    */
     captureMessage(message, level = 'info', options = {}) {
         this.client.captureMessage(message, level, options);
+        return this.client.getAssignedEventId();
+    }
+
+    /**
+     * Get the event ID of the last captured exception or message
+     *
+     * Events dropped by beforeSend or an event processor don't count.
+     *
+     * @returns {string|null}
+     */
+    lastEventId() {
+        return this.client.lastEventId();
+    }
+
+    /**
+     * Show a feedback dialog linked to a captured error
+     *
+     * Feedback is sent with the event ID and session ID to the feedback
+     * endpoint (same circuit breaker and offline queue as errors).
+     *
+     * @example
+     * const eventId = logger.captureException(error);
+     * logger.showReportDialog({ eventId, labels: { title: 'Oops!' } });
+     *
+     * @param {Object} [options] Dialog options (merged over config.reportDialog)
+     * @param {string} [options.eventId] Event to link (defaults to lastEventId())
+     * @param {Object} [options.labels] Text overrides for localization (see ReportDialog.DEFAULT_LABELS)
+     * @param {Object} [options.theme] Theme overrides (see ReportDialog.DEFAULT_THEME)
+     * @param {boolean} [options.showName=true] Show the optional name field
+     * @param {Function} [options.onSubmit] Called with the feedback after sending
+     * @param {Function} [options.onClose] Called when the dialog closes
+     * @returns {ReportDialog|null} The open dialog, or null without event ID
+     */
+    showReportDialog(options = {}) {
+        try {
+            const eventId = options.eventId || this.client.lastEventId();
+
+            if (!eventId) {
+                if (this.config.debug) {
+                    console.warn('ApplicationLogger: No event ID for report dialog (capture an error first)');
+                }
+                return null;
+            }
+
+            // Only one dialog at a time
+            if (this.reportDialog) {
+                this.reportDialog.close();
+            }
+
+            const defaults = this.config.reportDialog || {};
+
+            this.reportDialog = new ReportDialog({
+                ...defaults,
+                ...options,
+                labels: { ...defaults.labels, ...options.labels },
+                theme: { ...defaults.theme, ...options.theme },
+                eventId,
+                sessionId: this.sessionManager ? this.sessionManager.getSessionId() : null,
+                transport: this.transport,
+                debug: this.config.debug,
+            });
+
+            return this.reportDialog.show() ? this.reportDialog : null;
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to show report dialog', error);
+            return null;
+        }
+    }
+
+    /**
+     * Register an event processor
+     *
+     * Processors run (in registration order, before config.beforeSend) for every
+     * outgoing event. Return the event (optionally modified) or null to drop it.
+     * hint.replayData holds the phase 1 replay data attached to the error.
+     *
+     * @param {Function} processor (event, hint) => event | null | Promise
+     * @returns {Function} Function that removes the processor again
+     */
+    addEventProcessor(processor) {
+        return this.client.addEventProcessor(processor);
     }
 
     /**
@@ -363,8 +650,12 @@ class ApplicationLogger {
     /**
    * Set user context
    *
-   * @param {Object} user User data
-   * @param {string} [user.id] User ID
+   * Sent with every error, recovery session and replay according to
+   * config.userPrivacyMode. Email and username are never sent unless
+   * listed in config.userSegmentAttributes.
+   *
+   * @param {Object|null} user User data (null to clear)
+   * @param {string} [user.id] User ID (hashed by default)
    * @param {string} [user.email] User email
    * @param {string} [user.username] Username
    */
@@ -390,6 +681,46 @@ class ApplicationLogger {
         this.client.setExtra(extra);
     }
 
+    /**
+     * Run callback with a temporary scope
+     *
+     * Tags, extra, user, level and fingerprint set on the scope only apply to
+     * events captured inside the callback.
+     *
+     * @param {Function} callback (scope) => any
+     * @returns {*} Callback return value
+     */
+    withScope(callback) {
+        return this.client.withScope(callback);
+    }
+
+    /**
+     * Modify the active scope
+     *
+     * @param {Function} callback (scope) => void
+     */
+    configureScope(callback) {
+        this.client.configureScope(callback);
+    }
+
+    /**
+     * Push a new scope (must be balanced with popScope)
+     *
+     * @returns {Scope} The new active scope
+     */
+    pushScope() {
+        return this.client.pushScope();
+    }
+
+    /**
+     * Pop the active scope
+     *
+     * @returns {boolean} True if a scope was popped
+     */
+    popScope() {
+        return this.client.popScope();
+    }
+
     /**
      * Session Replay API - exposed for developer control
      *
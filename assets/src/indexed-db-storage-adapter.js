@@ -0,0 +1,158 @@
+import { MemoryStorageAdapter } from './memory-storage-adapter.js';
+
+/**
+ * IndexedDB Storage Adapter - Large Values Without the localStorage Ceiling
+ *
+ * Stores values in one object store of an IndexedDB database. Values are
+ * structured-cloned by the browser (no JSON.stringify on the main thread)
+ * and are not limited by the ~5MB localStorage quota, so large replay
+ * buffers and offline queues fit.
+ *
+ * The database is opened lazily on first use. If it can't be opened
+ * (IndexedDB missing, Firefox private browsing, blocked by policy), the
+ * adapter falls back to memory for the rest of the page.
+ *
+ * @example
+ * const storage = new IndexedDbStorageAdapter();
+ * await storage.setItem('_app_logger_replay_buffer', replayBuffer.serialize());
+ */
+export class IndexedDbStorageAdapter {
+    /** @type {string} Object store holding all values (key = storage key) */
+    static STORE_NAME = 'keyval';
+
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {string} [config.dbName='app_logger'] - Database name
+     */
+    constructor(config = {}) {
+        /** @type {string} Database name */
+        this.dbName = config.dbName || 'app_logger';
+
+        /** @type {Promise<IDBDatabase|null>|null} Open database (null = not opened yet) */
+        this.dbPromise = null;
+        /** @type {MemoryStorageAdapter|null} Used when the database can't be opened */
+        this.fallback = null;
+    }
+
+    /**
+     * Get a value
+     *
+     * @param {string} key
+     * @returns {Promise<*|null>} Stored value or null
+     */
+    async getItem(key) {
+        const db = await this.open();
+        if (!db) {
+            return this.fallback.getItem(key);
+        }
+
+        const value = await this.request(db, 'readonly', store => store.get(key));
+
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Store a value
+     *
+     * @param {string} key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        const db = await this.open();
+        if (!db) {
+            return this.fallback.setItem(key, value);
+        }
+
+        await this.request(db, 'readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Remove a value
+     *
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        const db = await this.open();
+        if (!db) {
+            return this.fallback.removeItem(key);
+        }
+
+        await this.request(db, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Get all stored keys
+     *
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        const db = await this.open();
+        if (!db) {
+            return this.fallback.keys();
+        }
+
+        const keys = await this.request(db, 'readonly', store => store.getAllKeys());
+
+        return (keys || []).map(String);
+    }
+
+    /**
+     * Open the database (once), creating the object store on first use
+     *
+     * @private
+     * @returns {Promise<IDBDatabase|null>} Database, or null when falling back to memory
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                try {
+                    const request = indexedDB.open(this.dbName, 1);
+
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains(IndexedDbStorageAdapter.STORE_NAME)) {
+                            db.createObjectStore(IndexedDbStorageAdapter.STORE_NAME);
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch {
+                    resolve(null);
+                }
+            }).then((db) => {
+                if (!db) {
+                    this.fallback = new MemoryStorageAdapter();
+                }
+
+                return db;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction
+     *
+     * Resolves when the transaction completes (the write is durable), rejects
+     * with the transaction error (e.g. QuotaExceededError) when it fails.
+     *
+     * @private
+     * @param {IDBDatabase} db
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (IDBObjectStore) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    request(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IndexedDbStorageAdapter.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(IndexedDbStorageAdapter.STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Log Collector - Structured Logging with Batched Delivery
+ *
+ * Collects structured log records in a bounded in-memory buffer and ships
+ * them in batches to the logs endpoint, instead of one request per message.
+ *
+ * FLUSHING:
+ * - Size: as soon as maxBatchSize records are buffered
+ * - Time: flushIntervalMs after the first unflushed record
+ * - Page hide / unload: whatever is left, handed to the transport's unload
+ *   delivery (keepalive fetch / sendBeacon, see Transport.flushWithBeacon())
+ *
+ * Batches go through Transport.sendLogs(), so they share the circuit breaker,
+ * retry and offline StorageQueue with errors. Rate limiting uses a separate
+ * bucket (one token per batch), so logs never use up the error budget.
+ *
+ * Every record gets timestamp, release, environment and url, plus the
+ * fields returned by contextProvider (session_id, session_hash).
+ *
+ * When the buffer is full (e.g. while a flush is pending), the oldest
+ * records are dropped.
+ *
+ * @example
+ * logger.log.info('Checkout started', { cartSize: 3 });
+ * logger.log.warn('Slow response', { endpoint: '/api/cart', durationMs: 2300 });
+ */
+export class LogCollector {
+    /** @type {string[]} Levels, lowest first */
+    static LEVELS = ['debug', 'info', 'warn', 'error'];
+
+    /** @type {number} Max message length (matches error message limit) */
+    static MAX_MESSAGE_LENGTH = 1000;
+
+    /**
+     * @param {Transport} transport - Transport used to deliver batches
+     * @param {Object} [config] - Configuration options
+     * @param {number} [config.maxBufferSize=100] - Max buffered records (oldest dropped)
+     * @param {number} [config.maxBatchSize=20] - Records per request (flush when reached)
+     * @param {number} [config.flushIntervalMs=5000] - Max delay before buffered records are sent
+     * @param {string} [config.minLevel='debug'] - Records below this level are ignored
+     * @param {string} [config.release] - Application release
+     * @param {string} [config.environment] - Environment
+     * @param {Function|null} [config.contextProvider=null] - Returns extra fields for every record
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(transport, config = {}) {
+        this.transport = transport;
+        this.config = {
+            maxBufferSize: Math.max(1, config.maxBufferSize || 100),
+            maxBatchSize: Math.max(1, config.maxBatchSize || 20),
+            flushIntervalMs: config.flushIntervalMs ?? 5000,
+            minLevel: LogCollector.LEVELS.includes(config.minLevel) ? config.minLevel : 'debug',
+            release: config.release || null,
+            environment: config.environment || 'production',
+            contextProvider: typeof config.contextProvider === 'function' ? config.contextProvider : null,
+            debug: config.debug || false,
+        };
+
+        /** @type {Object[]} Buffered log records */
+        this.buffer = [];
+        this.flushTimer = null;
+        this.installed = false;
+
+        // Statistics
+        this.stats = {
+            logged: 0,
+            sent: 0,
+            dropped: 0,
+            batches: 0,
+        };
+    }
+
+    /**
+     * Log a debug message
+     *
+     * @param {string} message
+     * @param {Object} [attributes] - Structured attributes
+     * @returns {Object|null} The buffered record, or null if ignored
+     */
+    debug(message, attributes = {}) {
+        return this.add('debug', message, attributes);
+    }
+
+    /**
+     * Log an info message
+     *
+     * @param {string} message
+     * @param {Object} [attributes] - Structured attributes
+     * @returns {Object|null} The buffered record, or null if ignored
+     */
+    info(message, attributes = {}) {
+        return this.add('info', message, attributes);
+    }
+
+    /**
+     * Log a warning
+     *
+     * @param {string} message
+     * @param {Object} [attributes] - Structured attributes
+     * @returns {Object|null} The buffered record, or null if ignored
+     */
+    warn(message, attributes = {}) {
+        return this.add('warn', message, attributes);
+    }
+
+    /**
+     * Log an error message (does not create an error event)
+     *
+     * @param {string} message
+     * @param {Object} [attributes] - Structured attributes
+     * @returns {Object|null} The buffered record, or null if ignored
+     */
+    error(message, attributes = {}) {
+        return this.add('error', message, attributes);
+    }
+
+    /**
+     * Add a record to the buffer and schedule delivery
+     *
+     * @param {string} level - One of LogCollector.LEVELS
+     * @param {string} message
+     * @param {Object} [attributes]
+     * @returns {Object|null} The buffered record, or null if ignored
+     */
+    add(level, message, attributes = {}) {
+        try {
+            const levelIndex = LogCollector.LEVELS.indexOf(level);
+
+            if (levelIndex === -1 || levelIndex < LogCollector.LEVELS.indexOf(this.config.minLevel)) {
+                return null;
+            }
+
+            const record = this.createRecord(level, message, attributes);
+
+            this.buffer.push(record);
+            this.stats.logged++;
+
+            // Bounded buffer - drop oldest
+            while (this.buffer.length > this.config.maxBufferSize) {
+                this.buffer.shift();
+                this.stats.dropped++;
+            }
+
+            if (this.buffer.length >= this.config.maxBatchSize) {
+                this.flush();
+            } else {
+                this.scheduleFlush();
+            }
+
+            return record;
+        } catch (error) {
+            // Logging must never crash the app
+            if (this.config.debug) {
+                console.warn('LogCollector: Failed to add log record', error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Send all buffered records (in batches of maxBatchSize)
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        this.cancelFlush();
+
+        while (this.buffer.length > 0) {
+            const batch = this.buffer.splice(0, this.config.maxBatchSize);
+
+            try {
+                const accepted = await this.transport.sendLogs(batch);
+
+                if (accepted) {
+                    this.stats.sent += batch.length;
+                    this.stats.batches++;
+                } else {
+                    this.stats.dropped += batch.length;
+                }
+            } catch (error) {
+                this.stats.dropped += batch.length;
+
+                if (this.config.debug) {
+                    console.warn('LogCollector: Failed to send logs', error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Hand all buffered records to the transport's unload delivery
+     *
+     * A normal flush() would be cancelled with the page. Must run before
+     * the client's unload listeners, which send the transport's pending
+     * items (install() is called before client.install()).
+     */
+    flushOnUnload() {
+        this.cancelFlush();
+
+        while (this.buffer.length > 0) {
+            const batch = this.buffer.splice(0, this.config.maxBatchSize);
+
+            this.transport.queueLogsForUnload(batch);
+            this.stats.sent += batch.length;
+            this.stats.batches++;
+        }
+    }
+
+    /**
+     * Flush remaining records when the page is hidden or unloaded
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+
+        try {
+            window.addEventListener('beforeunload', () => {
+                this.flushOnUnload();
+            });
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.flushOnUnload();
+                }
+            });
+
+            this.installed = true;
+        } catch (error) {
+            console.error('LogCollector: Failed to install', error);
+        }
+    }
+
+    /**
+     * Get logging statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            buffered: this.buffer.length,
+        };
+    }
+
+    /**
+     * Build a log record with automatic context
+     *
+     * @private
+     * @param {string} level
+     * @param {string} message
+     * @param {Object} attributes
+     * @returns {Object}
+     */
+    createRecord(level, message, attributes) {
+        const text = String(message);
+        const record = {
+            timestamp: new Date().toISOString(),
+            level,
+            message: text.length > LogCollector.MAX_MESSAGE_LENGTH
+                ? text.substring(0, LogCollector.MAX_MESSAGE_LENGTH)
+                : text,
+            attributes: attributes && typeof attributes === 'object' ? { ...attributes } : {},
+            release: this.config.release,
+            environment: this.config.environment,
+            url: window.location.href,
+        };
+
+        if (this.config.contextProvider) {
+            try {
+                Object.assign(record, this.config.contextProvider());
+            } catch {
+                // Context is optional
+            }
+        }
+
+        // Drop empty context fields to reduce payload size
+        for (const key of Object.keys(record)) {
+            if (record[key] === null || record[key] === undefined) {
+                delete record[key];
+            }
+        }
+
+        return record;
+    }
+
+    /**
+     * Start the flush timer (if not already running)
+     *
+     * @private
+     */
+    scheduleFlush() {
+        if (this.flushTimer !== null) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.config.flushIntervalMs);
+    }
+
+    /**
+     * Stop the flush timer
+     *
+     * @private
+     */
+    cancelFlush() {
+        if (this.flushTimer !== null) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+}
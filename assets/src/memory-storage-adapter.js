@@ -0,0 +1,76 @@
+/**
+ * Memory Storage Adapter - Non-Persistent Storage
+ *
+ * Keeps values in a Map for the lifetime of the page. Used when nothing
+ * should outlive the page (storage: 'memory'), as fallback when IndexedDB
+ * cannot be opened, and in tests.
+ *
+ * Values are copied on write and read, like a real storage backend, so
+ * callers can't change stored data by mutating objects they passed in.
+ *
+ * @example
+ * const storage = new MemoryStorageAdapter();
+ * await storage.setItem('app_logger_queue', [{ payload, timestamp }]);
+ * const queue = await storage.getItem('app_logger_queue');
+ */
+export class MemoryStorageAdapter {
+    constructor() {
+        /** @type {Map<string, *>} Stored values */
+        this.items = new Map();
+    }
+
+    /**
+     * Get a value
+     *
+     * @param {string} key
+     * @returns {Promise<*|null>} Stored value or null
+     */
+    async getItem(key) {
+        return this.items.has(key) ? this.copy(this.items.get(key)) : null;
+    }
+
+    /**
+     * Store a value
+     *
+     * @param {string} key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        this.items.set(key, this.copy(value));
+    }
+
+    /**
+     * Remove a value
+     *
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * Get all stored keys
+     *
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        return [...this.items.keys()];
+    }
+
+    /**
+     * Copy a value (strings and primitives are returned as-is)
+     *
+     * @private
+     * @param {*} value
+     * @returns {*}
+     */
+    copy(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        return JSON.parse(JSON.stringify(value));
+    }
+}
@@ -0,0 +1,53 @@
+import { TransportResult } from './transport-result.js';
+
+/**
+ * Memory Transport - In-Memory Transport Adapter
+ *
+ * Records requests instead of sending them. For tests, local development
+ * and demos without an ingest server.
+ *
+ * @example
+ * const transport = new MemoryTransport({ respond: () => ({ status: 429, headers: { 'Retry-After': '30' } }) });
+ * const logger = new ApplicationLogger({ dsn, apiKey, transport });
+ * // ... transport.requests holds everything the SDK tried to send
+ */
+export class MemoryTransport {
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {Function} [config.respond] - (request) => TransportResult init ({status, headers, body}), default 200
+     * @param {number} [config.maxRequests=100] - Recorded requests kept (oldest dropped)
+     */
+    constructor(config = {}) {
+        /** @type {string} */
+        this.name = 'memory';
+        /** @type {Function|null} */
+        this.respond = typeof config.respond === 'function' ? config.respond : null;
+        /** @type {number} */
+        this.maxRequests = config.maxRequests || 100;
+        /** @type {Object[]} Recorded requests */
+        this.requests = [];
+    }
+
+    /**
+     * Record a request
+     *
+     * @param {Object} request - See FetchTransport.send()
+     * @returns {Promise<TransportResult>}
+     */
+    async send(request) {
+        this.requests.push({ ...request, headers: { ...request.headers } });
+
+        if (this.requests.length > this.maxRequests) {
+            this.requests.shift();
+        }
+
+        return new TransportResult(this.respond ? this.respond(request) : { status: 200 });
+    }
+
+    /**
+     * Forget recorded requests
+     */
+    clear() {
+        this.requests = [];
+    }
+}
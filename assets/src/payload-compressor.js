@@ -0,0 +1,128 @@
+/**
+ * Payload Compressor - Gzip via CompressionStream
+ *
+ * Error payloads carry breadcrumbs and replay data (serialized DOM trees),
+ * which are large, repetitive JSON and typically shrink 5-10x with gzip.
+ *
+ * Uses the native CompressionStream / DecompressionStream (no bundled
+ * library). Callers check isSupported() and keep sending or storing plain
+ * JSON where the browser has no streams support.
+ *
+ * @example
+ * if (PayloadCompressor.isSupported()) {
+ *     const body = await PayloadCompressor.compress(JSON.stringify(payload));
+ *     await fetch(url, { method: 'POST', headers: { 'Content-Encoding': 'gzip' }, body });
+ * }
+ */
+export class PayloadCompressor {
+    /** @type {number} Smaller texts aren't worth compressing (gzip overhead, CPU) */
+    static MIN_SIZE = 1024;
+
+    /** @type {number} Bytes per String.fromCharCode() call when encoding base64 */
+    static BASE64_CHUNK_SIZE = 0x8000;
+
+    /**
+     * Check if the browser can compress and decompress gzip
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof CompressionStream !== 'undefined'
+            && typeof DecompressionStream !== 'undefined'
+            && typeof TextEncoder !== 'undefined'
+            && typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * Gzip a string
+     *
+     * @param {string} text - Text to compress (usually JSON)
+     * @returns {Promise<Uint8Array>} Gzip bytes
+     */
+    static compress(text) {
+        return PayloadCompressor.pipe(new TextEncoder().encode(text), new CompressionStream('gzip'));
+    }
+
+    /**
+     * Gunzip bytes back to a string
+     *
+     * @param {Uint8Array} bytes - Gzip bytes
+     * @returns {Promise<string>} Decompressed text
+     * @throws {TypeError} If the bytes are not valid gzip
+     */
+    static async decompress(bytes) {
+        const decompressed = await PayloadCompressor.pipe(bytes, new DecompressionStream('gzip'));
+
+        return new TextDecoder().decode(decompressed);
+    }
+
+    /**
+     * Encode bytes as base64 (for storage that only holds strings)
+     *
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    static toBase64(bytes) {
+        let binary = '';
+
+        for (let i = 0; i < bytes.length; i += PayloadCompressor.BASE64_CHUNK_SIZE) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + PayloadCompressor.BASE64_CHUNK_SIZE));
+        }
+
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     *
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Write bytes through a transform stream and collect the output
+     *
+     * @private
+     * @param {Uint8Array} bytes - Input
+     * @param {CompressionStream|DecompressionStream} stream - Transform stream
+     * @returns {Promise<Uint8Array>} Output
+     */
+    static async pipe(bytes, stream) {
+        // Write errors also fail the reader below, which reports them
+        const writer = stream.writable.getWriter();
+        writer.write(bytes).catch(() => {});
+        writer.close().catch(() => {});
+
+        const reader = stream.readable.getReader();
+        const chunks = [];
+        let length = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            chunks.push(value);
+            length += value.length;
+        }
+
+        const output = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return output;
+    }
+}
@@ -57,7 +57,7 @@ export class ReplayBuffer {
      * Add an event to the buffer
      *
      * @param {Object} event - Event data (click, page transition, etc.)
-     * @param {string} event.type - Event type (click, pageTransition)
+     * @param {string} event.type - Event type (click, pageTransition, longTask)
      * @param {string} event.url - Current URL
      * @param {number} event.timestamp - Event timestamp (milliseconds)
      * @param {Object} [event.clickData] - Click-specific data
@@ -0,0 +1,515 @@
+/**
+ * Report Dialog - User Feedback Linked to Captured Errors
+ *
+ * Framework-free modal that asks the user what they were doing when an
+ * error happened. Feedback is linked to the error's event_id and the
+ * SessionManager session ID, and sent via Transport.sendFeedback() (same
+ * queue, circuit breaker and offline storage as errors).
+ *
+ * ACCESSIBILITY:
+ * - role="dialog" with aria-modal, aria-labelledby and aria-describedby
+ * - Focus moves into the dialog, is trapped while open (Tab/Shift+Tab)
+ *   and restored to the previously focused element on close
+ * - Escape and the overlay close the dialog
+ * - Labelled inputs, validation errors announced via role="alert"
+ *
+ * THEMING: theme values are applied as CSS custom properties
+ * (--app-logger-dialog-*), so they can also be overridden from CSS.
+ *
+ * LOCALIZATION: every visible text comes from labels (see DEFAULT_LABELS).
+ *
+ * @example
+ * const dialog = new ReportDialog({
+ *     eventId: logger.lastEventId(),
+ *     sessionId: sessionManager.getSessionId(),
+ *     transport,
+ *     labels: { title: 'Er ging iets mis' },
+ *     theme: { primaryColor: '#0f766e' },
+ * });
+ * dialog.show();
+ */
+export class ReportDialog {
+    /** @type {Object<string, string>} Default (English) texts */
+    static DEFAULT_LABELS = {
+        title: 'It looks like something went wrong',
+        subtitle: 'Our team has been notified. If you would like to help, tell us what happened below.',
+        nameLabel: 'Name (optional)',
+        namePlaceholder: 'Jane Doe',
+        descriptionLabel: 'What happened?',
+        descriptionPlaceholder: 'I clicked on "Checkout" and nothing happened...',
+        descriptionRequired: 'Please describe what happened.',
+        submitLabel: 'Send feedback',
+        submittingLabel: 'Sending...',
+        closeLabel: 'Close',
+        successMessage: 'Thank you! Your feedback has been sent.',
+        errorMessage: 'Your feedback could not be sent. Please try again later.',
+        eventIdLabel: 'Reference:',
+    };
+
+    /** @type {Object<string, string|number>} Default theme (CSS values) */
+    static DEFAULT_THEME = {
+        primaryColor: '#2563eb',
+        primaryTextColor: '#ffffff',
+        backgroundColor: '#ffffff',
+        textColor: '#1f2937',
+        borderColor: '#d1d5db',
+        errorColor: '#b91c1c',
+        overlayColor: 'rgba(0, 0, 0, 0.5)',
+        fontFamily: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+        borderRadius: '8px',
+        zIndex: 2147483647,
+    };
+
+    /** @type {string} ID of the shared <style> element */
+    static STYLE_ID = 'app-logger-report-dialog-styles';
+
+    /** @type {number} Max description length (characters) */
+    static MAX_DESCRIPTION_LENGTH = 5000;
+
+    /** @type {number} Max name length (characters) */
+    static MAX_NAME_LENGTH = 255;
+
+    /** @type {number} Instance counter for unique element IDs */
+    static instanceCount = 0;
+
+    /**
+     * @param {Object} options - Dialog options
+     * @param {string} options.eventId - event_id of the captured error
+     * @param {Transport} options.transport - Transport used to send feedback
+     * @param {string|null} [options.sessionId=null] - SessionManager session ID
+     * @param {Object} [options.labels] - Text overrides (see DEFAULT_LABELS)
+     * @param {Object} [options.theme] - Theme overrides (see DEFAULT_THEME)
+     * @param {boolean} [options.showName=true] - Show the optional name field
+     * @param {string} [options.name] - Prefill for the name field
+     * @param {Function} [options.onSubmit] - Called with the feedback after sending
+     * @param {Function} [options.onClose] - Called when the dialog closes
+     * @param {boolean} [options.debug=false] - Enable debug logging
+     */
+    constructor(options = {}) {
+        this.config = {
+            eventId: options.eventId || null,
+            sessionId: options.sessionId || null,
+            labels: { ...ReportDialog.DEFAULT_LABELS, ...options.labels },
+            theme: { ...ReportDialog.DEFAULT_THEME, ...options.theme },
+            showName: options.showName !== false,
+            name: options.name || '',
+            onSubmit: typeof options.onSubmit === 'function' ? options.onSubmit : null,
+            onClose: typeof options.onClose === 'function' ? options.onClose : null,
+            debug: options.debug || false,
+        };
+
+        this.transport = options.transport || null;
+        this.idPrefix = `app-logger-dialog-${++ReportDialog.instanceCount}`;
+
+        // State
+        this.root = null;
+        this.elements = {};
+        this.previouslyFocused = null;
+        this.isOpen = false;
+        this.isSubmitting = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Render and open the dialog
+     *
+     * @returns {boolean} True if the dialog is open
+     */
+    show() {
+        try {
+            if (this.isOpen) {
+                return true;
+            }
+
+            if (typeof document === 'undefined' || !document.body) {
+                return false;
+            }
+
+            this.injectStyles();
+            this.previouslyFocused = document.activeElement;
+            this.root = this.render();
+            document.body.appendChild(this.root);
+            document.addEventListener('keydown', this.handleKeydown, true);
+            this.isOpen = true;
+
+            // Focus first field (name is optional, description is what we need)
+            (this.elements.name || this.elements.description).focus();
+
+            return true;
+        } catch (error) {
+            // Never crash the host application
+            console.error('ReportDialog: Failed to show dialog', error);
+            return false;
+        }
+    }
+
+    /**
+     * Close the dialog and restore focus
+     */
+    close() {
+        try {
+            if (!this.isOpen) {
+                return;
+            }
+
+            document.removeEventListener('keydown', this.handleKeydown, true);
+
+            if (this.root && this.root.parentNode) {
+                this.root.parentNode.removeChild(this.root);
+            }
+
+            this.isOpen = false;
+            this.root = null;
+            this.elements = {};
+
+            if (this.previouslyFocused && typeof this.previouslyFocused.focus === 'function') {
+                this.previouslyFocused.focus();
+            }
+            this.previouslyFocused = null;
+
+            if (this.config.onClose) {
+                this.config.onClose();
+            }
+        } catch (error) {
+            console.error('ReportDialog: Failed to close dialog', error);
+        }
+    }
+
+    /**
+     * Validate and send the feedback
+     *
+     * @returns {Promise<boolean>} True if sent (or queued for retry)
+     */
+    async submit() {
+        if (!this.isOpen || this.isSubmitting) {
+            return false;
+        }
+
+        const { name, description, submit, error } = this.elements;
+        const labels = this.config.labels;
+        const text = description.value.trim();
+
+        if (!text) {
+            description.setAttribute('aria-invalid', 'true');
+            error.textContent = labels.descriptionRequired;
+            description.focus();
+            return false;
+        }
+
+        description.removeAttribute('aria-invalid');
+        error.textContent = '';
+
+        this.isSubmitting = true;
+        submit.disabled = true;
+        submit.textContent = labels.submittingLabel;
+
+        const feedback = this.buildFeedback(name ? name.value.trim() : '', text);
+        let sent = false;
+
+        try {
+            sent = this.transport ? await this.transport.sendFeedback(feedback) : false;
+        } catch (sendError) {
+            if (this.config.debug) {
+                console.error('ReportDialog: Failed to send feedback', sendError);
+            }
+        }
+
+        this.isSubmitting = false;
+
+        if (!this.isOpen) {
+            return sent;
+        }
+
+        if (!sent) {
+            submit.disabled = false;
+            submit.textContent = labels.submitLabel;
+            error.textContent = labels.errorMessage;
+            return false;
+        }
+
+        this.showSuccess();
+
+        if (this.config.onSubmit) {
+            try {
+                this.config.onSubmit(feedback);
+            } catch (callbackError) {
+                console.error('ReportDialog: onSubmit callback failed', callbackError);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Build the feedback payload (snake_case, like error payloads)
+     *
+     * @private
+     * @param {string} name
+     * @param {string} description
+     * @returns {Object}
+     */
+    buildFeedback(name, description) {
+        const feedback = {
+            event_id: this.config.eventId,
+            session_id: this.config.sessionId,
+            description: description.substring(0, ReportDialog.MAX_DESCRIPTION_LENGTH),
+            url: window.location.href,
+            timestamp: new Date().toISOString(),
+        };
+
+        if (name) {
+            feedback.name = name.substring(0, ReportDialog.MAX_NAME_LENGTH);
+        }
+
+        return feedback;
+    }
+
+    /**
+     * Replace the form with the success message
+     *
+     * @private
+     */
+    showSuccess() {
+        const { form, status, close } = this.elements;
+
+        form.hidden = true;
+        status.textContent = this.config.labels.successMessage;
+        close.focus();
+    }
+
+    /**
+     * Build the dialog DOM
+     *
+     * Texts are set via textContent (labels may come from translations).
+     *
+     * @private
+     * @returns {HTMLElement} Overlay element containing the dialog
+     */
+    render() {
+        const labels = this.config.labels;
+        const id = (suffix) => `${this.idPrefix}-${suffix}`;
+
+        const overlay = this.createElement('div', 'app-logger-dialog-overlay');
+        this.applyTheme(overlay);
+        overlay.addEventListener('mousedown', (event) => {
+            if (event.target === overlay) {
+                this.close();
+            }
+        });
+
+        const dialog = this.createElement('div', 'app-logger-dialog', {
+            role: 'dialog',
+            'aria-modal': 'true',
+            'aria-labelledby': id('title'),
+            'aria-describedby': id('subtitle'),
+        });
+
+        const title = this.createElement('h2', 'app-logger-dialog-title', { id: id('title') });
+        title.textContent = labels.title;
+
+        const subtitle = this.createElement('p', 'app-logger-dialog-subtitle', { id: id('subtitle') });
+        subtitle.textContent = labels.subtitle;
+
+        const status = this.createElement('p', 'app-logger-dialog-status', { 'aria-live': 'polite' });
+
+        const form = this.createElement('form', 'app-logger-dialog-form', { novalidate: '' });
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        let name = null;
+        if (this.config.showName) {
+            const nameLabel = this.createElement('label', 'app-logger-dialog-label', { for: id('name') });
+            nameLabel.textContent = labels.nameLabel;
+            name = this.createElement('input', 'app-logger-dialog-input', {
+                id: id('name'),
+                type: 'text',
+                name: 'name',
+                autocomplete: 'name',
+                maxlength: String(ReportDialog.MAX_NAME_LENGTH),
+                placeholder: labels.namePlaceholder,
+            });
+            name.value = this.config.name;
+            form.append(nameLabel, name);
+        }
+
+        const descriptionLabel = this.createElement('label', 'app-logger-dialog-label', { for: id('description') });
+        descriptionLabel.textContent = labels.descriptionLabel;
+        const description = this.createElement('textarea', 'app-logger-dialog-input', {
+            id: id('description'),
+            name: 'description',
+            rows: '5',
+            required: '',
+            'aria-required': 'true',
+            'aria-describedby': id('error'),
+            maxlength: String(ReportDialog.MAX_DESCRIPTION_LENGTH),
+            placeholder: labels.descriptionPlaceholder,
+        });
+
+        const error = this.createElement('p', 'app-logger-dialog-error', { id: id('error'), role: 'alert' });
+
+        const actions = this.createElement('div', 'app-logger-dialog-actions');
+        const submit = this.createElement('button', 'app-logger-dialog-submit', { type: 'submit' });
+        submit.textContent = labels.submitLabel;
+        actions.append(submit);
+
+        form.append(descriptionLabel, description, error, actions);
+
+        const close = this.createElement('button', 'app-logger-dialog-close', { type: 'button' });
+        close.textContent = labels.closeLabel;
+        close.addEventListener('click', () => this.close());
+
+        dialog.append(title, subtitle, form, status);
+
+        if (this.config.eventId) {
+            const reference = this.createElement('p', 'app-logger-dialog-reference');
+            reference.textContent = `${labels.eventIdLabel} ${this.config.eventId}`;
+            dialog.append(reference);
+        }
+
+        dialog.append(close);
+        overlay.append(dialog);
+
+        this.elements = { dialog, form, name, description, error, submit, close, status };
+
+        return overlay;
+    }
+
+    /**
+     * Keyboard handling: Escape closes, Tab is trapped inside the dialog
+     *
+     * @private
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown(event) {
+        if (!this.isOpen) {
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (event.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = this.getFocusableElements();
+        if (focusable.length === 0) {
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (event.shiftKey && (active === first || !this.root.contains(active))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || !this.root.contains(active))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Get visible, enabled focusable elements inside the dialog
+     *
+     * @private
+     * @returns {HTMLElement[]}
+     */
+    getFocusableElements() {
+        if (!this.root) {
+            return [];
+        }
+
+        return Array.from(this.root.querySelectorAll('input, textarea, button'))
+            .filter(element => !element.disabled && !element.closest('[hidden]'));
+    }
+
+    /**
+     * Apply theme as CSS custom properties
+     *
+     * @private
+     * @param {HTMLElement} element
+     */
+    applyTheme(element) {
+        const theme = this.config.theme;
+        const properties = {
+            primary: theme.primaryColor,
+            'primary-text': theme.primaryTextColor,
+            background: theme.backgroundColor,
+            text: theme.textColor,
+            border: theme.borderColor,
+            error: theme.errorColor,
+            overlay: theme.overlayColor,
+            font: theme.fontFamily,
+            radius: theme.borderRadius,
+            'z-index': theme.zIndex,
+        };
+
+        for (const [name, value] of Object.entries(properties)) {
+            if (value !== undefined && value !== null) {
+                element.style.setProperty(`--app-logger-dialog-${name}`, String(value));
+            }
+        }
+    }
+
+    /**
+     * Inject shared styles once per document
+     *
+     * @private
+     */
+    injectStyles() {
+        if (document.getElementById(ReportDialog.STYLE_ID)) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = ReportDialog.STYLE_ID;
+        style.textContent = `
+.app-logger-dialog-overlay { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; padding: 16px; background: var(--app-logger-dialog-overlay); z-index: var(--app-logger-dialog-z-index); }
+.app-logger-dialog { box-sizing: border-box; width: 100%; max-width: 480px; max-height: 100%; overflow: auto; padding: 24px; background: var(--app-logger-dialog-background); color: var(--app-logger-dialog-text); font-family: var(--app-logger-dialog-font); font-size: 15px; line-height: 1.5; border-radius: var(--app-logger-dialog-radius); box-shadow: 0 10px 40px rgba(0, 0, 0, 0.25); }
+.app-logger-dialog-title { margin: 0 0 8px; font-size: 20px; }
+.app-logger-dialog-subtitle, .app-logger-dialog-status { margin: 0 0 16px; }
+.app-logger-dialog-status:empty { display: none; }
+.app-logger-dialog-label { display: block; margin: 0 0 4px; font-weight: 600; }
+.app-logger-dialog-input { box-sizing: border-box; display: block; width: 100%; margin: 0 0 12px; padding: 8px 10px; font: inherit; color: inherit; background: var(--app-logger-dialog-background); border: 1px solid var(--app-logger-dialog-border); border-radius: var(--app-logger-dialog-radius); }
+.app-logger-dialog-input[aria-invalid="true"] { border-color: var(--app-logger-dialog-error); }
+.app-logger-dialog-error { margin: 0 0 12px; color: var(--app-logger-dialog-error); }
+.app-logger-dialog-error:empty { display: none; }
+.app-logger-dialog-actions { display: flex; justify-content: flex-end; }
+.app-logger-dialog-submit, .app-logger-dialog-close { padding: 8px 16px; font: inherit; border-radius: var(--app-logger-dialog-radius); cursor: pointer; }
+.app-logger-dialog-submit { color: var(--app-logger-dialog-primary-text); background: var(--app-logger-dialog-primary); border: 1px solid var(--app-logger-dialog-primary); }
+.app-logger-dialog-submit:disabled { opacity: 0.6; cursor: default; }
+.app-logger-dialog-close { margin-top: 12px; color: inherit; background: transparent; border: 1px solid var(--app-logger-dialog-border); }
+.app-logger-dialog-reference { margin: 12px 0 0; font-size: 12px; opacity: 0.7; word-break: break-all; }
+.app-logger-dialog :focus-visible { outline: 2px solid var(--app-logger-dialog-primary); outline-offset: 2px; }
+`;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Create element with class and attributes
+     *
+     * @private
+     * @param {string} tag
+     * @param {string} className
+     * @param {Object<string, string>} [attributes]
+     * @returns {HTMLElement}
+     */
+    createElement(tag, className, attributes = {}) {
+        const element = document.createElement(tag);
+        element.className = className;
+
+        for (const [name, value] of Object.entries(attributes)) {
+            element.setAttribute(name, value);
+        }
+
+        return element;
+    }
+}
@@ -0,0 +1,199 @@
+import { ClickTracker } from './click-tracker.js';
+import { Transport } from './transport.js';
+
+/**
+ * Resource Error Tracker - Failed Script, Stylesheet and Image Loads
+ *
+ * Resource load errors do not bubble, so the window 'error' listener used for
+ * JS exceptions never sees them. This tracker listens in the capture phase
+ * and reports failed <script>, <link>, <img> and <source> loads as
+ * ResourceLoadError events (not JS exceptions) with:
+ * - tag: element tag name
+ * - url: resource URL, scrubbed (credentials and fragment removed, sensitive
+ *   query parameters redacted, data:/blob: URLs reduced to their scheme)
+ * - selector: initiator element selector (ClickTracker.generateSelector)
+ *
+ * DEDUPLICATION:
+ * With dedupe enabled (default), each tag + URL is reported once per page.
+ *
+ * SAMPLING:
+ * Events go through the Client sampler; Client adds a rule for the
+ * ResourceLoadError type when resourceErrorSampleRate is set.
+ *
+ * @example
+ * const tracker = new ResourceErrorTracker(resource => client.captureResourceError(resource));
+ * tracker.install();
+ */
+export class ResourceErrorTracker {
+    /** @type {string} Error type of resource load events */
+    static ERROR_TYPE = 'ResourceLoadError';
+
+    /** @type {string[]} Tracked element tags */
+    static TAGS = ['script', 'link', 'img', 'source'];
+
+    /**
+     * @param {Function} captureCallback - (resource) => void, receives {tag, url, selector}
+     * @param {Object} [config] - Configuration options
+     * @param {boolean} [config.dedupe=true] - Report each tag + URL once per page
+     * @param {string[]} [config.scrubFields=[]] - Extra query parameter names to redact
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(captureCallback, config = {}) {
+        this.captureCallback = captureCallback;
+        this.config = {
+            dedupe: config.dedupe !== false,
+            scrubFields: Array.isArray(config.scrubFields) ? config.scrubFields : [],
+            debug: config.debug || false,
+        };
+
+        /** @type {Set<string>} Reported tag + URL keys (dedupe) */
+        this.reported = new Set();
+        this.installed = false;
+
+        // Statistics
+        this.stats = {
+            captured: 0,
+            deduplicated: 0,
+        };
+    }
+
+    /**
+     * Listen for resource load errors (capture phase)
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+
+        try {
+            window.addEventListener('error', event => this.handleErrorEvent(event), true);
+            this.installed = true;
+        } catch (error) {
+            console.error('ResourceErrorTracker: Failed to install', error);
+        }
+    }
+
+    /**
+     * Check if an error event is a resource load error (not a JS exception)
+     *
+     * @param {Event} event
+     * @returns {boolean}
+     */
+    static isResourceError(event) {
+        const target = event?.target;
+
+        return !!(target && target !== window && target.tagName &&
+            ResourceErrorTracker.TAGS.includes(target.tagName.toLowerCase()));
+    }
+
+    /**
+     * Handle a capture-phase 'error' event
+     *
+     * @param {Event} event
+     */
+    handleErrorEvent(event) {
+        try {
+            if (!ResourceErrorTracker.isResourceError(event)) {
+                return;
+            }
+
+            const element = event.target;
+            const tag = element.tagName.toLowerCase();
+            const url = ResourceErrorTracker.scrubUrl(this.getResourceUrl(element), this.config.scrubFields);
+
+            if (!url) {
+                return;
+            }
+
+            const key = `${tag} ${url}`;
+            if (this.config.dedupe && this.reported.has(key)) {
+                this.stats.deduplicated++;
+                return;
+            }
+            this.reported.add(key);
+            this.stats.captured++;
+
+            this.captureCallback({
+                tag,
+                url,
+                selector: ClickTracker.generateSelector(element),
+            });
+        } catch (error) {
+            // Never crash on error handling
+            if (this.config.debug) {
+                console.warn('ResourceErrorTracker: Failed to handle resource error', error);
+            }
+        }
+    }
+
+    /**
+     * Get tracking statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Get the URL an element failed to load
+     *
+     * @private
+     * @param {Element} element
+     * @returns {string|null}
+     */
+    getResourceUrl(element) {
+        const tag = element.tagName.toLowerCase();
+
+        if (tag === 'link') {
+            return element.href || element.getAttribute('href');
+        }
+        if (tag === 'img') {
+            return element.currentSrc || element.src || element.getAttribute('src');
+        }
+
+        return element.src || element.getAttribute('src') || element.getAttribute('srcset');
+    }
+
+    /**
+     * Remove sensitive parts of a URL
+     *
+     * Static so other modules (e.g. CSP violation reports) can use it.
+     *
+     * @param {string|null} url
+     * @param {string[]} [scrubFields=[]] - Extra query parameter names to redact
+     * @returns {string|null}
+     */
+    static scrubUrl(url, scrubFields = []) {
+        if (!url) {
+            return null;
+        }
+
+        try {
+            const parsed = new URL(url, window.location.href);
+
+            // Inline data can be huge and may contain user content
+            if (parsed.protocol === 'data:' || parsed.protocol === 'blob:') {
+                return parsed.protocol;
+            }
+
+            parsed.username = '';
+            parsed.password = '';
+            parsed.hash = '';
+
+            const patterns = [...scrubFields, ...Transport.SCRUB_PATTERNS]
+                .map(pattern => pattern.toLowerCase());
+
+            for (const name of [...new Set(parsed.searchParams.keys())]) {
+                if (patterns.some(pattern => name.toLowerCase().includes(pattern))) {
+                    parsed.searchParams.set(name, '[REDACTED]');
+                }
+            }
+
+            // Keep the marker readable (searchParams encodes the brackets)
+            return parsed.href.replace(/%5BREDACTED%5D/g, '[REDACTED]');
+        } catch {
+            return String(url).split(/[?#]/)[0];
+        }
+    }
+}
@@ -0,0 +1,189 @@
+import { EventMatcher } from './event-matcher.js';
+
+/**
+ * Sampler - Error and Replay Sampling Decisions
+ *
+ * Decides whether an event is sent at all (sampleRate) and whether replay
+ * data is attached to it (replayOnErrorSampleRate). The rate that was applied
+ * is sent with the event (sample_rate, replay_sample_rate), so the backend
+ * can extrapolate real counts.
+ *
+ * RATE RESOLUTION (first one wins):
+ * 1. config.sampler(context) returning a number (0..1) or boolean
+ * 2. First matching rule in config.rules that defines the rate
+ * 3. Global rate (config.sampleRate / config.replayOnErrorSampleRate)
+ *
+ * The sampler callback receives {kind: 'error'|'replay', event, originalException}.
+ * Returning undefined/null (or throwing) falls through to the rules.
+ *
+ * Rules use EventMatcher conditions (type, url, route, environment, tags, ...).
+ *
+ * The replay decision is made before ErrorDetector.handleError(), so
+ * unsampled errors cost no replay work.
+ *
+ * @example
+ * new Sampler({
+ *     sampleRate: 0.25,
+ *     replayOnErrorSampleRate: 0.1,
+ *     rules: [
+ *         { match: { route: /^\/checkout/ }, sampleRate: 1, replayOnErrorSampleRate: 1 },
+ *         { match: { type: 'ChunkLoadError' }, sampleRate: 0.01 },
+ *     ],
+ * });
+ */
+export class Sampler {
+    /** @type {string} */
+    static KIND_ERROR = 'error';
+
+    /** @type {string} */
+    static KIND_REPLAY = 'replay';
+
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {number} [config.sampleRate=1] - Share of error events to send (0..1)
+     * @param {number} [config.replayOnErrorSampleRate=1] - Share of sent errors with replay data (0..1)
+     * @param {Function|null} [config.sampler=null] - (context) => number | boolean | undefined
+     * @param {Array<Object>} [config.rules=[]] - [{match, sampleRate?, replayOnErrorSampleRate?}]
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(config = {}) {
+        this.config = {
+            sampleRate: this.normalizeRate(config.sampleRate, 1),
+            replayOnErrorSampleRate: this.normalizeRate(config.replayOnErrorSampleRate, 1),
+            sampler: typeof config.sampler === 'function' ? config.sampler : null,
+            rules: Array.isArray(config.rules) ? config.rules : [],
+            debug: config.debug || false,
+        };
+
+        this.matcher = new EventMatcher();
+
+        // Statistics
+        this.stats = {
+            errorsSampled: 0,
+            errorsDropped: 0,
+            replaysSampled: 0,
+            replaysDropped: 0,
+        };
+    }
+
+    /**
+     * Decide whether an error event is sent
+     *
+     * @param {Object} payload - Event payload
+     * @param {Error} [originalException] - The captured error
+     * @returns {{sampled: boolean, rate: number}}
+     */
+    sampleError(payload, originalException = null) {
+        const decision = this.decide(Sampler.KIND_ERROR, payload, originalException);
+
+        if (decision.sampled) {
+            this.stats.errorsSampled++;
+        } else {
+            this.stats.errorsDropped++;
+        }
+
+        return decision;
+    }
+
+    /**
+     * Decide whether replay data is attached to an error event
+     *
+     * @param {Object} payload - Event payload
+     * @param {Error} [originalException] - The captured error
+     * @returns {{sampled: boolean, rate: number}}
+     */
+    sampleReplay(payload, originalException = null) {
+        const decision = this.decide(Sampler.KIND_REPLAY, payload, originalException);
+
+        if (decision.sampled) {
+            this.stats.replaysSampled++;
+        } else {
+            this.stats.replaysDropped++;
+        }
+
+        return decision;
+    }
+
+    /**
+     * Resolve the rate for a decision (sampler callback, rules, global rate)
+     *
+     * @param {string} kind - Sampler.KIND_ERROR or Sampler.KIND_REPLAY
+     * @param {Object} payload - Event payload
+     * @param {Error} [originalException] - The captured error
+     * @returns {number} Rate between 0 and 1
+     */
+    getRate(kind, payload, originalException = null) {
+        const key = kind === Sampler.KIND_REPLAY ? 'replayOnErrorSampleRate' : 'sampleRate';
+
+        if (this.config.sampler) {
+            try {
+                const result = this.config.sampler({ kind, event: payload, originalException });
+
+                if (typeof result === 'boolean') {
+                    return result ? 1 : 0;
+                }
+                if (typeof result === 'number' && !Number.isNaN(result)) {
+                    return this.normalizeRate(result, this.config[key]);
+                }
+            } catch (error) {
+                // Broken sampler falls through to rules
+                if (this.config.debug) {
+                    console.warn('Sampler: sampler callback threw, using rules', error);
+                }
+            }
+        }
+
+        for (const rule of this.config.rules) {
+            if (rule && typeof rule[key] === 'number' && this.matcher.matches(rule.match, payload)) {
+                return this.normalizeRate(rule[key], this.config[key]);
+            }
+        }
+
+        return this.config[key];
+    }
+
+    /**
+     * Get sampling statistics
+     *
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            sampleRate: this.config.sampleRate,
+            replayOnErrorSampleRate: this.config.replayOnErrorSampleRate,
+        };
+    }
+
+    /**
+     * Make a sampling decision
+     *
+     * @private
+     * @param {string} kind
+     * @param {Object} payload
+     * @param {Error|null} originalException
+     * @returns {{sampled: boolean, rate: number}}
+     */
+    decide(kind, payload, originalException) {
+        const rate = this.getRate(kind, payload, originalException);
+
+        // rate 1 always samples, rate 0 never does (Math.random() is in [0, 1))
+        return { sampled: Math.random() < rate, rate };
+    }
+
+    /**
+     * Clamp a rate to 0..1, falling back for invalid values
+     *
+     * @private
+     * @param {*} rate
+     * @param {number} fallback
+     * @returns {number}
+     */
+    normalizeRate(rate, fallback) {
+        if (typeof rate !== 'number' || Number.isNaN(rate)) {
+            return fallback;
+        }
+
+        return Math.min(1, Math.max(0, rate));
+    }
+}
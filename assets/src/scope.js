@@ -0,0 +1,130 @@
+/**
+ * Scope - Contextual Data Applied to Captured Events
+ *
+ * Holds tags, extra context, user, level and fingerprint that are merged
+ * into every event captured while the scope is active.
+ *
+ * The Client keeps a stack of scopes. The bottom scope is global; withScope()
+ * pushes a clone of the current scope, runs the callback and pops it again,
+ * so context added inside the callback never leaks into unrelated errors.
+ *
+ * @example
+ * logger.withScope((scope) => {
+ *     scope.setTag('widget', 'checkout');
+ *     scope.setExtra({ cartSize: 3 });
+ *     logger.captureException(error); // Has widget tag
+ * });
+ * logger.captureException(otherError); // Does not
+ */
+export class Scope {
+    constructor() {
+        /** @type {Object<string, string>} */
+        this.tags = {};
+        /** @type {Object<string, *>} */
+        this.extra = {};
+        /** @type {Object|null} */
+        this.user = null;
+        /** @type {string|null} Overrides the capture level when set */
+        this.level = null;
+        /** @type {string[]|null} Custom grouping fingerprint */
+        this.fingerprint = null;
+    }
+
+    /**
+     * Set a single tag
+     *
+     * @param {string} key
+     * @param {string} value
+     * @returns {Scope}
+     */
+    setTag(key, value) {
+        this.tags = { ...this.tags, [key]: value };
+        return this;
+    }
+
+    /**
+     * Merge tags into the scope
+     *
+     * @param {Object<string, string>} tags
+     * @returns {Scope}
+     */
+    setTags(tags) {
+        this.tags = { ...this.tags, ...tags };
+        return this;
+    }
+
+    /**
+     * Merge extra context into the scope
+     *
+     * @param {Object<string, *>} extra
+     * @returns {Scope}
+     */
+    setExtra(extra) {
+        this.extra = { ...this.extra, ...extra };
+        return this;
+    }
+
+    /**
+     * Set user context (null to clear)
+     *
+     * @param {Object|null} user
+     * @returns {Scope}
+     */
+    setUser(user) {
+        this.user = user || null;
+        return this;
+    }
+
+    /**
+     * Set level for events captured in this scope (null to clear)
+     *
+     * @param {string|null} level - debug, info, warning, error, fatal
+     * @returns {Scope}
+     */
+    setLevel(level) {
+        this.level = level || null;
+        return this;
+    }
+
+    /**
+     * Set grouping fingerprint for events captured in this scope (null to clear)
+     *
+     * @param {string[]|null} fingerprint
+     * @returns {Scope}
+     */
+    setFingerprint(fingerprint) {
+        this.fingerprint = Array.isArray(fingerprint) && fingerprint.length > 0
+            ? fingerprint.map(part => String(part))
+            : null;
+        return this;
+    }
+
+    /**
+     * Reset all scope data
+     *
+     * @returns {Scope}
+     */
+    clear() {
+        this.tags = {};
+        this.extra = {};
+        this.user = null;
+        this.level = null;
+        this.fingerprint = null;
+        return this;
+    }
+
+    /**
+     * Create an independent copy of this scope
+     *
+     * @returns {Scope}
+     */
+    clone() {
+        const scope = new Scope();
+        scope.tags = { ...this.tags };
+        scope.extra = { ...this.extra };
+        scope.user = this.user ? { ...this.user } : null;
+        scope.level = this.level;
+        scope.fingerprint = this.fingerprint ? [...this.fingerprint] : null;
+        return scope;
+    }
+}
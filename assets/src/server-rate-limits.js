@@ -0,0 +1,253 @@
+import { StorageAdapter } from './storage-adapter.js';
+
+/**
+ * Server Rate Limits - Honor 429 / 503 and Retry-After
+ *
+ * Tracks until when the server asked us to stop sending, per category
+ * (errors, replays, recovery, logs, metrics, feedback, csp). Unlike the
+ * circuit breaker, these blocks are not failures: the server is up and
+ * told us exactly when to come back.
+ *
+ * HEADERS:
+ * - X-AppLogger-Rate-Limits: "<seconds>:<category>;<category>, <seconds>:"
+ *   Blocks the listed categories for the given seconds; no categories
+ *   blocks everything. Honored on every response, not only 429.
+ * - Retry-After (seconds or HTTP date) on 429 and 503 blocks the categories
+ *   of the request, unless the header above already does (60s if
+ *   Retry-After is missing or invalid).
+ *
+ * Cross-origin APIs must send `Access-Control-Expose-Headers: Retry-After,
+ * X-AppLogger-Rate-Limits`; browsers hide other headers, so a 429/503
+ * then blocks the request categories for the default 60s.
+ *
+ * Blocks are persisted (localStorage by default) so other page loads and
+ * tabs respect them. They are kept in memory and written through; the
+ * stored blocks are loaded asynchronously (see `ready`).
+ *
+ * @example
+ * const limits = new ServerRateLimits();
+ * if (!limits.isLimited('errors')) {
+ *     const response = await fetch(url, options);
+ *     if (limits.update(response, ['errors'])) {
+ *         queue.enqueue(payload); // 429/503 - try again after Retry-After
+ *     }
+ * }
+ */
+export class ServerRateLimits {
+    /** @type {string} Category key that blocks all categories */
+    static ALL = 'all';
+
+    /** @type {number[]} Statuses meaning "slow down" */
+    static LIMITED_STATUSES = [429, 503];
+
+    /** @type {string} Header with per-category limits */
+    static HEADER = 'X-AppLogger-Rate-Limits';
+
+    /** @type {number} Block used when a 429/503 has no valid Retry-After (ms) */
+    static DEFAULT_RETRY_AFTER_MS = 60000;
+
+    /** @type {number} Longest block honored (ms), protects against bogus headers */
+    static MAX_RETRY_AFTER_MS = 86400000;
+
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {string|Object} [config.storage='localStorage'] - Storage name or adapter (see StorageAdapter)
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(config = {}) {
+        /** @type {string} */
+        this.storageKey = 'app_logger_rate_limits';
+        /** @type {Object} Storage adapter */
+        this.storage = StorageAdapter.create(config.storage);
+        /** @type {boolean} */
+        this.debug = config.debug || false;
+
+        /** @type {Object<string, number>} Category => blocked until (timestamp) */
+        this.blockedUntil = {};
+
+        /** @type {Promise<void>} Resolves once the stored blocks are loaded */
+        this.ready = this.load();
+    }
+
+    /**
+     * Check if a category is blocked
+     *
+     * @param {string} category - errors, replays, recovery, ...
+     * @returns {boolean}
+     */
+    isLimited(category) {
+        return this.getBlockedUntil(category) > Date.now();
+    }
+
+    /**
+     * Get until when a category is blocked
+     *
+     * @param {string} category
+     * @returns {number} Timestamp (0 if not blocked)
+     */
+    getBlockedUntil(category) {
+        return Math.max(this.blockedUntil[category] || 0, this.blockedUntil[ServerRateLimits.ALL] || 0);
+    }
+
+    /**
+     * Record rate limits from a response
+     *
+     * @param {Response} response - Fetch response
+     * @param {string[]} categories - Categories of the request (blocked on 429/503 without category header)
+     * @returns {boolean} True if the response is a 429/503 (the request was not accepted)
+     */
+    update(response, categories) {
+        try {
+            const now = Date.now();
+            const limited = ServerRateLimits.LIMITED_STATUSES.includes(response.status);
+            const header = this.getHeader(response, ServerRateLimits.HEADER);
+
+            if (header) {
+                this.parseRateLimits(header).forEach(({ categories: limitedCategories, ms }) => {
+                    this.block(limitedCategories.length > 0 ? limitedCategories : [ServerRateLimits.ALL], now + ms);
+                });
+            }
+
+            // Rejected, but the header doesn't cover this request - use Retry-After
+            if (limited && !categories.some(category => this.isLimited(category))) {
+                this.block(categories, now + this.parseRetryAfter(this.getHeader(response, 'Retry-After'), now));
+            }
+
+            return limited;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Get active blocks for monitoring/debugging
+     *
+     * @returns {Object<string, number>} Category => blocked until (timestamp)
+     */
+    getState() {
+        const now = Date.now();
+
+        return Object.fromEntries(Object.entries(this.blockedUntil).filter(([, until]) => until > now));
+    }
+
+    /**
+     * Block categories until a timestamp (never shortens an existing block)
+     *
+     * @private
+     * @param {string[]} categories
+     * @param {number} until - Timestamp
+     */
+    block(categories, until) {
+        let changed = false;
+
+        categories.forEach((category) => {
+            if ((this.blockedUntil[category] || 0) < until) {
+                this.blockedUntil[category] = until;
+                changed = true;
+            }
+        });
+
+        if (!changed) {
+            return;
+        }
+
+        if (this.debug) {
+            console.warn('ApplicationLogger: Server rate limit', { categories, until: new Date(until).toISOString() });
+        }
+
+        this.save();
+    }
+
+    /**
+     * Parse a Retry-After header (delay in seconds or HTTP date)
+     *
+     * @private
+     * @param {string|null} value
+     * @param {number} now - Current timestamp
+     * @returns {number} Delay in ms (DEFAULT_RETRY_AFTER_MS if missing or invalid)
+     */
+    parseRetryAfter(value, now) {
+        if (!value) {
+            return ServerRateLimits.DEFAULT_RETRY_AFTER_MS;
+        }
+
+        let ms = /^\s*\d+(\.\d+)?\s*$/.test(value) ? parseFloat(value) * 1000 : Date.parse(value) - now;
+
+        if (!Number.isFinite(ms) || ms < 0) {
+            ms = ServerRateLimits.DEFAULT_RETRY_AFTER_MS;
+        }
+
+        return Math.min(ms, ServerRateLimits.MAX_RETRY_AFTER_MS);
+    }
+
+    /**
+     * Parse the X-AppLogger-Rate-Limits header
+     *
+     * @private
+     * @param {string} value - e.g. "60:errors;replays, 120:recovery"
+     * @returns {Array<{categories: string[], ms: number}>}
+     */
+    parseRateLimits(value) {
+        return value.split(',').map((limit) => {
+            const [seconds, categories = ''] = limit.trim().split(':');
+            const ms = parseFloat(seconds) * 1000;
+
+            return {
+                categories: categories.split(';').map(category => category.trim()).filter(Boolean),
+                ms: Math.min(ms, ServerRateLimits.MAX_RETRY_AFTER_MS),
+            };
+        }).filter(limit => Number.isFinite(limit.ms) && limit.ms > 0);
+    }
+
+    /**
+     * Read a response header (mocked or opaque responses may have none)
+     *
+     * @private
+     * @param {Response} response
+     * @param {string} name
+     * @returns {string|null}
+     */
+    getHeader(response, name) {
+        return response.headers && typeof response.headers.get === 'function'
+            ? response.headers.get(name)
+            : null;
+    }
+
+    /**
+     * Load stored blocks (internal)
+     *
+     * Merged with blocks recorded on this page (the later one wins).
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const stored = await this.storage.getItem(this.storageKey);
+
+            if (!stored || typeof stored !== 'object') {
+                return;
+            }
+
+            Object.entries(stored).forEach(([category, until]) => {
+                if (typeof until === 'number' && until > (this.blockedUntil[category] || 0)) {
+                    this.blockedUntil[category] = until;
+                }
+            });
+        } catch {
+            // Without storage, blocks only apply to this page
+        }
+    }
+
+    /**
+     * Save active blocks (internal)
+     *
+     * @private
+     * @returns {void}
+     */
+    save() {
+        this.storage.setItem(this.storageKey, this.getState()).catch(() => {
+            // Storage failure should never crash the app
+        });
+    }
+}
@@ -0,0 +1,137 @@
+import { StorageAdapter } from './storage-adapter.js';
+
+/**
+ * Session Dedup Store - "Once per Session" Keys in localStorage
+ *
+ * Remembers which keys were already sent in the current session, across
+ * page loads. The store belongs to one session ID: when the session
+ * changes (timeout, new visit), all keys are forgotten.
+ *
+ * Without a session ID (session replay disabled) keys are only kept in
+ * memory, i.e. once per page. Storage failures (quota, private browsing)
+ * fall back to memory as well.
+ *
+ * Keys of previous pages are loaded asynchronously (see `ready`); has()
+ * and add() are synchronous and write through to storage.
+ *
+ * @example
+ * const store = new SessionDedupStore({ sessionProvider: () => sessionManager.getSessionId() });
+ * if (!store.has('deprecation:UnloadHandler')) {
+ *     store.add('deprecation:UnloadHandler');
+ * }
+ */
+export class SessionDedupStore {
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {string} [config.storageKey='app_logger_session_dedup'] - Storage key
+     * @param {number} [config.maxEntries=100] - Max keys kept (oldest dropped)
+     * @param {Function|null} [config.sessionProvider=null] - Returns the current session ID
+     * @param {string|Object} [config.storage='localStorage'] - Storage name or adapter (see StorageAdapter)
+     */
+    constructor(config = {}) {
+        /** @type {string} Storage key for the store */
+        this.storageKey = config.storageKey || 'app_logger_session_dedup';
+        /** @type {number} Maximum keys kept */
+        this.maxEntries = config.maxEntries || 100;
+        this.sessionProvider = typeof config.sessionProvider === 'function' ? config.sessionProvider : null;
+        /** @type {Object} Storage adapter */
+        this.storage = StorageAdapter.create(config.storage);
+
+        /** @type {Set<string>} Keys of the current page (fallback without storage) */
+        this.memory = new Set();
+        /** @type {{sessionId: string, keys: string[]}|null} Last stored keys */
+        this.stored = null;
+
+        /** @type {Promise<void>} Resolves once stored keys are loaded */
+        this.ready = this.load();
+    }
+
+    /**
+     * Check if a key was already added in this session
+     *
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.memory.has(key) || this.getStoredKeys().includes(key);
+    }
+
+    /**
+     * Remember a key for the rest of the session
+     *
+     * @param {string} key
+     * @returns {void}
+     */
+    add(key) {
+        this.memory.add(key);
+
+        const sessionId = this.getSessionId();
+        if (!sessionId) {
+            return;
+        }
+
+        const keys = this.getStoredKeys().filter(existing => existing !== key);
+        keys.push(key);
+
+        this.stored = {
+            sessionId,
+            keys: keys.slice(-this.maxEntries),
+        };
+
+        this.storage.setItem(this.storageKey, this.stored).catch(() => {
+            // Storage failures should never crash the app - memory still dedupes
+        });
+    }
+
+    /**
+     * Load the stored keys (kept if the session matches on use)
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const stored = await this.storage.getItem(this.storageKey);
+
+            // Keys added on this page are newer
+            if (this.stored || !stored || typeof stored !== 'object' || !Array.isArray(stored.keys)) {
+                return;
+            }
+
+            this.stored = stored;
+        } catch {
+            // Memory still dedupes
+        }
+    }
+
+    /**
+     * Get the stored keys of the current session
+     *
+     * @private
+     * @returns {string[]}
+     */
+    getStoredKeys() {
+        const sessionId = this.getSessionId();
+
+        // Keys of another (expired) session don't count
+        if (!sessionId || !this.stored || this.stored.sessionId !== sessionId) {
+            return [];
+        }
+
+        return this.stored.keys;
+    }
+
+    /**
+     * Get the current session ID (if any)
+     *
+     * @private
+     * @returns {string|null}
+     */
+    getSessionId() {
+        try {
+            return this.sessionProvider ? this.sessionProvider() : null;
+        } catch {
+            return null;
+        }
+    }
+}
@@ -1,8 +1,16 @@
+import { StorageAdapter } from './storage-adapter.js';
+
 /**
  * Session Manager - Cross-Page Session Management
  *
- * Manages session ID persistence across page navigations using localStorage.
- * Tracks page transitions and session metadata for replay continuity.
+ * Manages session ID persistence across page navigations using localStorage
+ * (or another storage adapter). Tracks page transitions and session metadata
+ * for replay continuity.
+ *
+ * With localStorage/sessionStorage the stored session is loaded
+ * synchronously, so getSessionId() has a value right away. Other storage
+ * (IndexedDB, custom adapters) is read asynchronously: getSessionId()
+ * returns null until `ready` resolves (see `initialized`).
  *
  * Features:
  * - Persistent session ID (UUID) in localStorage
@@ -16,6 +24,7 @@ export class SessionManager {
      * @param {Object} [config] - Configuration options
      * @param {number} [config.sessionTimeoutMinutes=30] - Session timeout in minutes
      * @param {boolean} [config.debug=false] - Enable debug logging
+     * @param {string|Object} [config.storage='localStorage'] - Storage name or adapter (see StorageAdapter)
      */
     constructor(config = {}) {
         this.config = {
@@ -23,9 +32,10 @@ export class SessionManager {
             debug: config.debug || false,
         };
 
-        // localStorage keys
+        // Storage keys
         this.STORAGE_KEY_SESSION_ID = '_app_logger_session_id';
         this.STORAGE_KEY_SESSION_METADATA = '_app_logger_session_metadata';
+        this.storage = StorageAdapter.create(config.storage);
 
         // Session state
         this.sessionId = null;
@@ -36,25 +46,32 @@ export class SessionManager {
             pages: [],
         };
 
-        // Initialize
-        this.initialize();
+        /** @type {boolean} Session loaded or created (getSessionId() has a value) */
+        this.initialized = false;
 
-        if (this.config.debug) {
-            console.warn('SessionManager initialized', {
-                sessionId: this.sessionId,
-                metadata: this.metadata,
-            });
-        }
+        /** @type {Promise<void>} Resolves once the session is loaded or created */
+        this.ready = typeof this.storage.getItemSync === 'function'
+            ? Promise.resolve(this.start(this.loadSessionSync()))
+            : this.initialize();
     }
 
     /**
-     * Initialize session (load or create)
+     * Initialize session from async storage (load or create)
+     *
+     * @returns {Promise<void>}
      */
-    initialize() {
-        try {
-            // Try to load existing session
-            const loaded = this.loadSession();
+    async initialize() {
+        this.start(await this.loadSession());
+    }
 
+    /**
+     * Continue the loaded session or create a new one
+     *
+     * @private
+     * @param {boolean} loaded - A stored session was loaded
+     */
+    start(loaded) {
+        try {
             if (!loaded || this.isSessionExpired()) {
                 // Create new session
                 this.createNewSession();
@@ -73,6 +90,15 @@ export class SessionManager {
             // Fallback: create new session
             this.createNewSession();
         }
+
+        this.initialized = true;
+
+        if (this.config.debug) {
+            console.warn('SessionManager initialized', {
+                sessionId: this.sessionId,
+                metadata: this.metadata,
+            });
+        }
     }
 
     /**
@@ -99,36 +125,16 @@ export class SessionManager {
     }
 
     /**
-     * Load session from localStorage
+     * Load session from storage
      *
-     * @returns {boolean} True if session loaded successfully
+     * @returns {Promise<boolean>} True if session loaded successfully
      */
-    loadSession() {
+    async loadSession() {
         try {
-            const sessionId = localStorage.getItem(this.STORAGE_KEY_SESSION_ID);
-            const metadataJson = localStorage.getItem(this.STORAGE_KEY_SESSION_METADATA);
-
-            if (!sessionId || !metadataJson) {
-                return false;
-            }
-
-            const metadata = JSON.parse(metadataJson);
-
-            if (!metadata || !metadata.startedAt) {
-                return false;
-            }
-
-            this.sessionId = sessionId;
-            this.metadata = metadata;
-
-            if (this.config.debug) {
-                console.warn('SessionManager: Loaded session', {
-                    sessionId,
-                    age: this.getSessionAge(),
-                });
-            }
-
-            return true;
+            return this.restoreSession(
+                await this.storage.getItem(this.STORAGE_KEY_SESSION_ID),
+                await this.storage.getItem(this.STORAGE_KEY_SESSION_METADATA),
+            );
         } catch (error) {
             console.error('SessionManager: Failed to load session:', error);
             return false;
@@ -136,20 +142,63 @@ export class SessionManager {
     }
 
     /**
-     * Save session to localStorage
+     * Load session from synchronous storage (Web Storage)
+     *
+     * @private
+     * @returns {boolean} True if session loaded successfully
      */
-    saveSession() {
+    loadSessionSync() {
         try {
-            localStorage.setItem(this.STORAGE_KEY_SESSION_ID, this.sessionId);
-            localStorage.setItem(
-                this.STORAGE_KEY_SESSION_METADATA,
-                JSON.stringify(this.metadata),
+            return this.restoreSession(
+                this.storage.getItemSync(this.STORAGE_KEY_SESSION_ID),
+                this.storage.getItemSync(this.STORAGE_KEY_SESSION_METADATA),
             );
         } catch (error) {
-            console.error('SessionManager: Failed to save session:', error);
+            console.error('SessionManager: Failed to load session:', error);
+            return false;
         }
     }
 
+    /**
+     * Take over a stored session
+     *
+     * @private
+     * @param {*} sessionId - Stored session ID
+     * @param {*} metadata - Stored session metadata
+     * @returns {boolean} True if the stored session is valid
+     */
+    restoreSession(sessionId, metadata) {
+        if (!sessionId || typeof sessionId !== 'string' || !metadata || typeof metadata !== 'object' || !metadata.startedAt) {
+            return false;
+        }
+
+        this.sessionId = sessionId;
+        this.metadata = metadata;
+
+        if (this.config.debug) {
+            console.warn('SessionManager: Loaded session', {
+                sessionId,
+                age: this.getSessionAge(),
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Save session to storage
+     *
+     * @returns {Promise<void>}
+     */
+    saveSession() {
+        return Promise.all([
+            this.storage.setItem(this.STORAGE_KEY_SESSION_ID, this.sessionId),
+            this.storage.setItem(this.STORAGE_KEY_SESSION_METADATA, this.metadata),
+        ]).then(() => {}, (error) => {
+            console.error('SessionManager: Failed to save session:', error);
+        });
+    }
+
     /**
      * Check if session is expired
      *
@@ -339,26 +388,28 @@ export class SessionManager {
 
     /**
      * Clear session (force new session on next page load)
+     *
+     * @returns {Promise<void>}
      */
     clearSession() {
-        try {
-            localStorage.removeItem(this.STORAGE_KEY_SESSION_ID);
-            localStorage.removeItem(this.STORAGE_KEY_SESSION_METADATA);
+        this.sessionId = null;
+        this.metadata = {
+            startedAt: null,
+            lastActivityAt: null,
+            pageCount: 0,
+            pages: [],
+        };
 
-            this.sessionId = null;
-            this.metadata = {
-                startedAt: null,
-                lastActivityAt: null,
-                pageCount: 0,
-                pages: [],
-            };
+        if (this.config.debug) {
+            console.warn('SessionManager: Session cleared');
+        }
 
-            if (this.config.debug) {
-                console.warn('SessionManager: Session cleared');
-            }
-        } catch (error) {
+        return Promise.all([
+            this.storage.removeItem(this.STORAGE_KEY_SESSION_ID),
+            this.storage.removeItem(this.STORAGE_KEY_SESSION_METADATA),
+        ]).then(() => {}, (error) => {
             console.error('SessionManager: Failed to clear session:', error);
-        }
+        });
     }
 
     /**
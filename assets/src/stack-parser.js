@@ -0,0 +1,416 @@
+/**
+ * Stack Parser - Cross-Engine Stack Trace Parsing
+ *
+ * Parses Error.stack strings into structured frames with a dedicated parser
+ * per JavaScript engine:
+ * - V8 (Chrome, Edge, Opera, Node): "    at fn (file:line:col)"
+ * - SpiderMonkey (Firefox): "fn@file:line:col"
+ * - JavaScriptCore (Safari): "fn@file:line:col", "global code@...", "[native code]"
+ *
+ * Output frame (matches API format):
+ * {function, file, line, column, is_native, is_eval, is_async}
+ * line and column are always numbers: 0 where the engine gives none
+ * (native, "[native code]" and location-less eval/global code frames).
+ *
+ * Handled edge cases:
+ * - Constructors ("at new Foo"), async frames ("at async fn", "async*fn@")
+ * - eval frames ("eval at fn (...)", "file line 12 > eval", "eval code@")
+ * - Native frames ("native", "<anonymous>", "[native code]", "index 0")
+ * - URLs with colons or parentheses (webpack://, blob:, Next.js route groups)
+ * - Function names containing "@" (SpiderMonkey/JavaScriptCore)
+ *
+ * Fixtures of real-world stacks live in assets/tests/fixtures/stack-traces.js.
+ *
+ * @example
+ * const parser = new StackParser();
+ * parser.parse(error.stack);
+ * // [{function: 'checkout', file: 'https://app/main.js', line: 10, column: 5, is_native: false, ...}]
+ */
+export class StackParser {
+    /** @type {string} */
+    static ENGINE_V8 = 'v8';
+    /** @type {string} */
+    static ENGINE_SPIDERMONKEY = 'spidermonkey';
+    /** @type {string} */
+    static ENGINE_JAVASCRIPTCORE = 'javascriptcore';
+
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {number} [config.maxFrames=100] - Maximum frames to parse
+     */
+    constructor(config = {}) {
+        this.config = {
+            maxFrames: config.maxFrames || 100,
+        };
+    }
+
+    /**
+     * Parse a full stack string
+     *
+     * @param {string} stack - Error.stack value
+     * @returns {Array<Object>} Parsed frames (unparseable lines are skipped)
+     */
+    parse(stack) {
+        if (!stack || typeof stack !== 'string') {
+            return [];
+        }
+
+        const engine = this.detectEngine(stack);
+        const frames = [];
+
+        for (const rawLine of stack.split('\n')) {
+            if (frames.length >= this.config.maxFrames) {
+                break;
+            }
+
+            const frame = this.parseLine(rawLine, engine);
+            if (frame) {
+                frames.push(frame);
+            }
+        }
+
+        return frames;
+    }
+
+    /**
+     * Parse a single stack line
+     *
+     * Tries the parser of the detected engine first, then the others
+     * (stacks can mix formats, e.g. after manual concatenation).
+     *
+     * @param {string} line - Single stack line
+     * @param {string|null} [engine=null] - Preferred engine
+     * @returns {Object|null} Parsed frame or null
+     */
+    parseLine(line, engine = null) {
+        const trimmed = (line || '').trim();
+
+        if (!trimmed) {
+            return null;
+        }
+
+        const parsers = {
+            [StackParser.ENGINE_V8]: () => this.parseV8Line(trimmed),
+            [StackParser.ENGINE_JAVASCRIPTCORE]: () => this.parseJavaScriptCoreLine(trimmed),
+            [StackParser.ENGINE_SPIDERMONKEY]: () => this.parseSpiderMonkeyLine(trimmed),
+        };
+
+        const order = engine && parsers[engine]
+            ? [engine, ...Object.keys(parsers).filter(name => name !== engine)]
+            : Object.keys(parsers);
+
+        for (const name of order) {
+            try {
+                const frame = parsers[name]();
+                if (frame) {
+                    return frame;
+                }
+            } catch {
+                // Try next parser
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect which engine produced a stack string
+     *
+     * @param {string} stack
+     * @returns {string} Engine identifier
+     */
+    detectEngine(stack) {
+        if (/^\s*at\s/m.test(stack)) {
+            return StackParser.ENGINE_V8;
+        }
+
+        if (/\[native code\]|^(?:global|eval|module) code@/m.test(stack)) {
+            return StackParser.ENGINE_JAVASCRIPTCORE;
+        }
+
+        return StackParser.ENGINE_SPIDERMONKEY;
+    }
+
+    /**
+     * Parse a V8 line: "at [async] [new] fn (location)" or "at [async] location"
+     *
+     * @param {string} line - Trimmed line
+     * @returns {Object|null}
+     */
+    parseV8Line(line) {
+        const match = line.match(/^at\s+(.*)$/);
+        if (!match) {
+            return null;
+        }
+
+        let rest = match[1];
+        let isAsync = false;
+
+        if (rest.startsWith('async ')) {
+            isAsync = true;
+            rest = rest.substring(6);
+        }
+
+        let functionName = null;
+        let location = rest;
+
+        // "fn (location)" - function name is up to the first " (", location up to the last ")"
+        const withName = rest.match(/^(.*?) \((.*)\)$/);
+        // Legacy Edge: "fn [location]"
+        const withBrackets = rest.match(/^(.*?) \[(.*)\]$/);
+
+        if (withName) {
+            functionName = withName[1];
+            location = withName[2];
+        } else if (withBrackets) {
+            functionName = withBrackets[1];
+            location = withBrackets[2];
+        }
+
+        const parsed = this.parseV8Location(location);
+        if (!parsed) {
+            return null;
+        }
+
+        // "at Promise.all (index 0)" only appears in async stack traces
+        if (parsed.isAsyncIndex) {
+            isAsync = true;
+        }
+
+        return this.createFrame({
+            function: functionName,
+            file: parsed.file,
+            line: parsed.line,
+            column: parsed.column,
+            isNative: parsed.isNative,
+            isEval: parsed.isEval,
+            isAsync,
+        });
+    }
+
+    /**
+     * Parse a V8 location ("file:line:col", "native", "eval at fn (file:1:2), <anonymous>:1:1")
+     *
+     * @private
+     * @param {string} location
+     * @returns {Object|null} {file, line, column, isNative, isEval, isAsyncIndex}
+     */
+    parseV8Location(location) {
+        if (location === 'native' || location === '<anonymous>') {
+            return { file: location, line: null, column: null, isNative: true, isEval: false };
+        }
+
+        if (/^index \d+$/.test(location)) {
+            return { file: 'native', line: null, column: null, isNative: true, isEval: false, isAsyncIndex: true };
+        }
+
+        if (location.startsWith('eval at ')) {
+            // Use the innermost "(file:line:col)" - where eval() was called
+            const origins = [...location.matchAll(/\(([^()]+?):(\d+):(\d+)\)/g)];
+            const origin = origins.length > 0 ? origins[origins.length - 1] : null;
+
+            if (origin) {
+                return {
+                    file: origin[1],
+                    line: parseInt(origin[2], 10),
+                    column: parseInt(origin[3], 10),
+                    isNative: false,
+                    isEval: true,
+                };
+            }
+
+            const fallback = this.splitLocation(location.substring(location.lastIndexOf(', ') + 2));
+            return fallback ? { ...fallback, isNative: false, isEval: true } : null;
+        }
+
+        const split = this.splitLocation(location);
+        return split ? { ...split, isNative: false, isEval: false } : null;
+    }
+
+    /**
+     * Parse a SpiderMonkey (Firefox) line: "[cause*]fn@location"
+     *
+     * @param {string} line - Trimmed line
+     * @returns {Object|null}
+     */
+    parseSpiderMonkeyLine(line) {
+        // Async frames are prefixed with their cause: "async*", "promise callback*", "setTimeout handler*"
+        const asyncMatch = line.match(/^[a-z][\w .]*\*(.*)$/i);
+        const isAsync = !!asyncMatch;
+        const parts = this.splitAtLocation(asyncMatch ? asyncMatch[1] : line);
+        if (!parts) {
+            return null;
+        }
+
+        const { functionName, location } = parts;
+        let isEval = false;
+
+        // "file line 12 > eval:1:1" / "file line 3 > Function:1:1" - report the eval call site
+        const evalMatch = location.match(/^(.*?) line (\d+)(?: > (?:eval|Function) line \d+)* > (?:eval|Function)(?::\d+)*$/);
+        if (evalMatch) {
+            return this.createFrame({
+                function: functionName,
+                file: evalMatch[1],
+                line: parseInt(evalMatch[2], 10),
+                column: null,
+                isEval: true,
+                isAsync,
+            });
+        }
+
+        if (location.startsWith('debugger eval code')) {
+            isEval = true;
+        }
+
+        const split = this.splitLocation(location);
+        if (!split) {
+            return null;
+        }
+
+        return this.createFrame({
+            function: functionName,
+            file: split.file,
+            line: split.line,
+            column: split.column,
+            isEval,
+            isAsync,
+        });
+    }
+
+    /**
+     * Parse a JavaScriptCore (Safari) line: "fn@location", "global code@location", "[native code]"
+     *
+     * @param {string} line - Trimmed line
+     * @returns {Object|null}
+     */
+    parseJavaScriptCoreLine(line) {
+        if (line === '[native code]') {
+            return this.createFrame({ function: null, file: '[native code]', isNative: true });
+        }
+
+        // "eval code" / "global code" frames without location
+        if (/^(?:global|eval|module) code$/.test(line)) {
+            return this.createFrame({ function: line, file: null, isEval: line === 'eval code' });
+        }
+
+        const parts = this.splitAtLocation(line);
+
+        if (!parts) {
+            // Old Safari: anonymous frames without "@"
+            const split = this.looksLikeLocation(line) && /:\d+(?::\d+)?$/.test(line)
+                ? this.splitLocation(line)
+                : null;
+            return split ? this.createFrame({ function: null, ...split }) : null;
+        }
+
+        const { functionName, location } = parts;
+
+        if (location === '[native code]') {
+            return this.createFrame({ function: functionName, file: '[native code]', isNative: true });
+        }
+
+        const split = this.splitLocation(location);
+        if (!split) {
+            return null;
+        }
+
+        return this.createFrame({
+            function: functionName,
+            file: split.file,
+            line: split.line,
+            column: split.column,
+            isEval: functionName === 'eval code' || functionName === 'eval',
+        });
+    }
+
+    /**
+     * Split "fn@location" at the "@" that starts the location
+     *
+     * Function names may contain "@" and URLs may contain "@" (user info),
+     * so the first "@" followed by something that looks like a location wins.
+     *
+     * @private
+     * @param {string} line
+     * @returns {{functionName: string|null, location: string}|null}
+     */
+    splitAtLocation(line) {
+        let index = line.indexOf('@');
+
+        while (index !== -1) {
+            const location = line.substring(index + 1);
+
+            if (this.looksLikeLocation(location)) {
+                return {
+                    functionName: line.substring(0, index) || null,
+                    location,
+                };
+            }
+
+            index = line.indexOf('@', index + 1);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a string looks like a frame location
+     *
+     * @private
+     * @param {string} value
+     * @returns {boolean}
+     */
+    looksLikeLocation(value) {
+        // Scheme URLs, special schemes, Windows and absolute paths, engine placeholders -
+        // but not "TypeError: ..." message lines
+        return /^(?:[a-z][\w+.-]*:\/|(?:blob|node|data):|[a-z]:\\|\/|\[native code\]|debugger eval code|<anonymous>)/i.test(value) ||
+            /^[^@\s]+:\d+(?::\d+)?$/.test(value) ||
+            / line \d+ > (?:eval|Function)/.test(value);
+    }
+
+    /**
+     * Split "file:line:col" (or "file:line", or "file") into its parts
+     *
+     * Greedy on the file part, so URLs containing colons stay intact.
+     *
+     * @private
+     * @param {string} location
+     * @returns {{file: string, line: number|null, column: number|null}|null}
+     */
+    splitLocation(location) {
+        if (!location) {
+            return null;
+        }
+
+        let match = location.match(/^(.*):(\d+):(\d+)$/);
+        if (match) {
+            return { file: match[1], line: parseInt(match[2], 10), column: parseInt(match[3], 10) };
+        }
+
+        match = location.match(/^(.*):(\d+)$/);
+        if (match) {
+            return { file: match[1], line: parseInt(match[2], 10), column: null };
+        }
+
+        return { file: location, line: null, column: null };
+    }
+
+    /**
+     * Create a frame in API format
+     *
+     * @private
+     * @param {Object} parts
+     * @returns {Object}
+     */
+    createFrame(parts) {
+        return {
+            function: parts.function ? parts.function.trim() : 'anonymous',
+            file: parts.file || 'unknown',
+            // 0 = unknown (the API expects numbers)
+            line: parts.line ?? 0,
+            column: parts.column ?? 0,
+            is_native: !!parts.isNative,
+            is_eval: !!parts.isEval,
+            is_async: !!parts.isAsync,
+        };
+    }
+}
@@ -0,0 +1,70 @@
+import { IndexedDbStorageAdapter } from './indexed-db-storage-adapter.js';
+import { MemoryStorageAdapter } from './memory-storage-adapter.js';
+import { WebStorageAdapter } from './web-storage-adapter.js';
+
+/**
+ * Storage Adapter - Pluggable Persistence
+ *
+ * All SDK persistence (offline queue, replay buffer, session, circuit
+ * breaker, once-per-session keys) goes through one async interface:
+ *
+ *     getItem(key): Promise<*|null>
+ *     setItem(key, value): Promise<void>   (rejects e.g. with QuotaExceededError)
+ *     removeItem(key): Promise<void>
+ *     keys(): Promise<string[]>
+ *
+ * Implementations:
+ * - 'localStorage' / 'sessionStorage': WebStorageAdapter
+ * - 'indexedDB': IndexedDbStorageAdapter (large values, no ~5MB ceiling)
+ * - 'memory': MemoryStorageAdapter (nothing survives the page)
+ *
+ * Any object implementing the interface can be passed instead of a name.
+ *
+ * @example
+ * const queue = new StorageQueue({ storage: StorageAdapter.create('indexedDB') });
+ */
+export class StorageAdapter {
+    /** @type {string[]} Built-in storage names */
+    static TYPES = ['localStorage', 'sessionStorage', 'indexedDB', 'memory'];
+
+    /**
+     * Create an adapter from a storage name (or return a custom adapter as-is)
+     *
+     * Without IndexedDB support, 'indexedDB' falls back to localStorage.
+     * Unknown names use the default.
+     *
+     * @param {string|Object} [storage] - Storage name or adapter instance
+     * @param {string} [defaultType='localStorage'] - Storage name used when none is given
+     * @returns {Object} Storage adapter
+     */
+    static create(storage, defaultType = 'localStorage') {
+        if (StorageAdapter.isAdapter(storage)) {
+            return storage;
+        }
+
+        const type = StorageAdapter.TYPES.includes(storage) ? storage : defaultType;
+
+        switch (type) {
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'indexedDB':
+            return typeof indexedDB !== 'undefined'
+                ? new IndexedDbStorageAdapter()
+                : new WebStorageAdapter('localStorage');
+        default:
+            return new WebStorageAdapter(type);
+        }
+    }
+
+    /**
+     * Check if an object implements the adapter interface
+     *
+     * @param {*} storage
+     * @returns {boolean}
+     */
+    static isAdapter(storage) {
+        return !!storage
+            && typeof storage === 'object'
+            && ['getItem', 'setItem', 'removeItem', 'keys'].every(method => typeof storage[method] === 'function');
+    }
+}
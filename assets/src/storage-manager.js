@@ -1,11 +1,15 @@
+import { StorageAdapter } from './storage-adapter.js';
+
 /**
- * Storage Manager - localStorage Management for Replay Buffer
+ * Storage Manager - Storage Management for Replay Buffer
  *
- * Manages localStorage for replay buffer persistence across pages.
+ * Manages replay buffer persistence across pages through a storage adapter
+ * (localStorage by default, IndexedDB for large buffers beyond the ~5MB
+ * localStorage ceiling).
  * Handles quota management, compression, and cleanup.
  *
  * Features:
- * - Save/load replay buffer to/from localStorage
+ * - Save/load replay buffer to/from storage (async)
  * - Quota management (prevents quota exceeded errors)
  * - Automatic cleanup of old sessions
  * - LRU eviction when quota is tight
@@ -16,6 +20,7 @@ export class StorageManager {
      * @param {Object} [config] - Configuration options
      * @param {number} [config.maxBufferSizeMB=5] - Maximum buffer size in MB
      * @param {boolean} [config.debug=false] - Enable debug logging
+     * @param {string|Object} [config.storage='localStorage'] - Storage name or adapter (see StorageAdapter)
      */
     constructor(config = {}) {
         this.config = {
@@ -23,9 +28,18 @@ export class StorageManager {
             debug: config.debug || false,
         };
 
-        // localStorage keys
+        // Storage keys
         this.STORAGE_KEY_BUFFER = '_app_logger_replay_buffer';
         this.STORAGE_KEY_METADATA = '_app_logger_replay_metadata';
+        this.storage = StorageAdapter.create(config.storage);
+
+        // Last origin storage estimate (see refreshSpaceInfo)
+        this.spaceInfo = {
+            usedBytes: 0,
+            usedMB: 'unknown',
+            availableMB: 'unknown',
+            totalMB: 'unknown',
+        };
 
         // Statistics
         this.stats = {
@@ -43,12 +57,12 @@ export class StorageManager {
     }
 
     /**
-     * Save replay buffer to localStorage
+     * Save replay buffer to storage
      *
      * @param {Object} bufferData - Serialized buffer data from ReplayBuffer
-     * @returns {boolean} Success
+     * @returns {Promise<boolean>} Success
      */
-    save(bufferData) {
+    async save(bufferData) {
         try {
             if (!bufferData || typeof bufferData !== 'object') {
                 console.warn('StorageManager: Invalid buffer data');
@@ -69,7 +83,7 @@ export class StorageManager {
                 }
 
                 // Try to make space
-                this.cleanup();
+                await this.cleanup();
 
                 // If still too large, prune the buffer
                 if (estimatedSize > maxSizeBytes) {
@@ -77,11 +91,11 @@ export class StorageManager {
                 }
             }
 
-            // Save to localStorage
-            localStorage.setItem(this.STORAGE_KEY_BUFFER, JSON.stringify(bufferData));
+            // Save to storage
+            await this.storage.setItem(this.STORAGE_KEY_BUFFER, bufferData);
 
             // Save metadata
-            this.saveMetadata({
+            await this.saveMetadata({
                 savedAt: Date.now(),
                 size: estimatedSize,
             });
@@ -107,7 +121,7 @@ export class StorageManager {
                 }
 
                 // Try to make space and retry
-                this.cleanup();
+                await this.cleanup();
 
                 try {
                     // Retry with pruned buffer
@@ -116,10 +130,7 @@ export class StorageManager {
                         this.config.maxBufferSizeMB * 1024 * 1024 / 2, // Use half max size
                     );
 
-                    localStorage.setItem(
-                        this.STORAGE_KEY_BUFFER,
-                        JSON.stringify(prunedBuffer),
-                    );
+                    await this.storage.setItem(this.STORAGE_KEY_BUFFER, prunedBuffer);
 
                     this.stats.savesSuccessful++;
                     return true;
@@ -135,22 +146,20 @@ export class StorageManager {
     }
 
     /**
-     * Load replay buffer from localStorage
+     * Load replay buffer from storage
      *
-     * @returns {Object|null} Buffer data or null if not found/invalid
+     * @returns {Promise<Object|null>} Buffer data or null if not found/invalid
      */
-    load() {
+    async load() {
         try {
-            const stored = localStorage.getItem(this.STORAGE_KEY_BUFFER);
+            const bufferData = await this.storage.getItem(this.STORAGE_KEY_BUFFER);
 
-            if (!stored) {
+            if (!bufferData) {
                 return null;
             }
 
-            const bufferData = JSON.parse(stored);
-
-            if (!bufferData || typeof bufferData !== 'object') {
-                return null;
+            if (typeof bufferData !== 'object') {
+                throw new Error('Stored buffer is not an object');
             }
 
             // Validate buffer structure
@@ -177,12 +186,14 @@ export class StorageManager {
     }
 
     /**
-     * Clear replay buffer from localStorage
+     * Clear replay buffer from storage
+     *
+     * @returns {Promise<void>}
      */
-    clear() {
+    async clear() {
         try {
-            localStorage.removeItem(this.STORAGE_KEY_BUFFER);
-            localStorage.removeItem(this.STORAGE_KEY_METADATA);
+            await this.storage.removeItem(this.STORAGE_KEY_BUFFER);
+            await this.storage.removeItem(this.STORAGE_KEY_METADATA);
 
             if (this.config.debug) {
                 console.warn('StorageManager: Buffer cleared');
@@ -194,18 +205,20 @@ export class StorageManager {
 
     /**
      * Clean up old/expired data
+     *
+     * @returns {Promise<void>}
      */
-    cleanup() {
+    async cleanup() {
         try {
             // Remove old buffer if it exists
-            const metadata = this.loadMetadata();
+            const metadata = await this.loadMetadata();
 
             if (metadata && metadata.savedAt) {
                 const age = Date.now() - metadata.savedAt;
                 const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
                 if (age > maxAge) {
-                    this.clear();
+                    await this.clear();
                     this.stats.cleanupCount++;
 
                     if (this.config.debug) {
@@ -224,13 +237,11 @@ export class StorageManager {
      * Save metadata
      *
      * @param {Object} metadata
+     * @returns {Promise<void>}
      */
-    saveMetadata(metadata) {
+    async saveMetadata(metadata) {
         try {
-            localStorage.setItem(
-                this.STORAGE_KEY_METADATA,
-                JSON.stringify(metadata),
-            );
+            await this.storage.setItem(this.STORAGE_KEY_METADATA, metadata);
         } catch (error) {
             // Metadata save failure is not critical
             if (this.config.debug) {
@@ -242,17 +253,13 @@ export class StorageManager {
     /**
      * Load metadata
      *
-     * @returns {Object|null}
+     * @returns {Promise<Object|null>}
      */
-    loadMetadata() {
+    async loadMetadata() {
         try {
-            const stored = localStorage.getItem(this.STORAGE_KEY_METADATA);
-
-            if (!stored) {
-                return null;
-            }
+            const metadata = await this.storage.getItem(this.STORAGE_KEY_METADATA);
 
-            return JSON.parse(stored);
+            return metadata && typeof metadata === 'object' ? metadata : null;
         } catch {
             return null;
         }
@@ -321,51 +328,38 @@ export class StorageManager {
     }
 
     /**
-     * Get available localStorage space (approximate)
+     * Get origin storage usage (last estimate, see refreshSpaceInfo)
      *
      * @returns {Object} Space info
      */
     getSpaceInfo() {
-        try {
-            const testKey = '_app_logger_space_test';
-            const testData = '0'.repeat(1024); // 1KB test string
-
-            let available = 0;
-            let used = 0;
+        return { ...this.spaceInfo };
+    }
 
-            // Estimate used space
-            for (const key in localStorage) {
-                if (Object.prototype.hasOwnProperty.call(localStorage, key)) {
-                    used += localStorage[key].length + key.length;
-                }
+    /**
+     * Update the storage estimate (StorageManager API, covers all storage types)
+     *
+     * @returns {Promise<Object>} Space info
+     */
+    async refreshSpaceInfo() {
+        try {
+            if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+                return this.getSpaceInfo();
             }
 
-            // Estimate available space (crude test)
-            try {
-                for (let i = 0; i < 10000; i++) {
-                    localStorage.setItem(testKey, testData.repeat(i));
-                    available = i * 1024;
-                }
-            } catch {
-                // Quota exceeded - we found the limit
-            } finally {
-                localStorage.removeItem(testKey);
-            }
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
 
-            return {
-                usedBytes: used,
-                usedMB: (used / 1024 / 1024).toFixed(2),
-                availableMB: (available / 1024 / 1024).toFixed(2),
-                totalMB: ((used + available) / 1024 / 1024).toFixed(2),
+            this.spaceInfo = {
+                usedBytes: usage,
+                usedMB: (usage / 1024 / 1024).toFixed(2),
+                availableMB: (Math.max(quota - usage, 0) / 1024 / 1024).toFixed(2),
+                totalMB: (quota / 1024 / 1024).toFixed(2),
             };
         } catch {
-            return {
-                usedBytes: 0,
-                usedMB: 'unknown',
-                availableMB: 'unknown',
-                totalMB: 'unknown',
-            };
+            // Keep the last estimate
         }
+
+        return this.getSpaceInfo();
     }
 
     /**
@@ -376,6 +370,9 @@ export class StorageManager {
     getStats() {
         const spaceInfo = this.getSpaceInfo();
 
+        // Estimate is async - next call reports the updated values
+        this.refreshSpaceInfo();
+
         return {
             ...this.stats,
             ...spaceInfo,
@@ -384,15 +381,15 @@ export class StorageManager {
     }
 
     /**
-     * Check if localStorage is available
+     * Check if the storage can be written
      *
-     * @returns {boolean}
+     * @returns {Promise<boolean>}
      */
-    isAvailable() {
+    async isAvailable() {
         try {
             const testKey = '_app_logger_test';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
+            await this.storage.setItem(testKey, 'test');
+            await this.storage.removeItem(testKey);
             return true;
         } catch {
             return false;
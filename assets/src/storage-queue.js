@@ -1,34 +1,88 @@
+import { MemoryStorageAdapter } from './memory-storage-adapter.js';
+import { PayloadCompressor } from './payload-compressor.js';
+import { StorageAdapter } from './storage-adapter.js';
+import { WebStorageAdapter } from './web-storage-adapter.js';
+
 /**
  * Local Storage Queue for JavaScript
  *
- * Buffers failed error submissions in localStorage for later retry.
+ * Buffers failed error submissions in storage for later retry.
  * Used when the API is unreachable or circuit breaker is open.
  *
  * Features:
  * - FIFO queue with size limits
  * - Automatic expiration of old errors
  * - Safe storage operations (never crash on quota exceeded)
+ * - Pluggable storage (localStorage by default, see StorageAdapter)
+ * - Gzip compression where supported, so more events fit in the quota
+ *   (stored as {encoding: 'gzip', data: base64}; plain arrays still load)
+ *
+ * Changes are async and run one at a time, so concurrent enqueues can't
+ * overwrite each other. Reads (getAll, size) are synchronous and use the
+ * last persisted state, so the queue can still be flushed during page
+ * unload. Wait for `ready` before relying on items from previous pages.
+ *
+ * During page unload nothing async completes: enqueueSync() writes plain
+ * JSON to a separate key (the Web Storage adapter, or localStorage when the
+ * adapter is asynchronous), merged into the queue by the next operation.
+ * removeSync() drops items sent during unload the same way.
+ *
+ * With a TabCoordinator, changes also run under a lock shared by all tabs
+ * (Web Locks), and the other tabs reload `items` after each change.
  *
  * @example
  * const queue = new StorageQueue({ maxSize: 50, maxAge: 86400000 });
- * queue.enqueue({ message: 'Error', stack: '...' });
- * const error = queue.dequeue(); // Returns oldest error or null
+ * await queue.enqueue({ message: 'Error', stack: '...' });
+ * const error = await queue.dequeue(); // Returns oldest error or null
  */
 export class StorageQueue {
+    /** @type {string} Message sent to the other tabs after a change */
+    static CHANGED_MESSAGE = 'queue_changed';
+
     /**
      * Create a new StorageQueue instance
      *
      * @param {Object} [config={}] - Configuration options
      * @param {number} [config.maxSize=50] - Maximum items to store
      * @param {number} [config.maxAge=86400000] - Maximum age in ms (default 24h)
+     * @param {string|Object} [config.storage='localStorage'] - Storage name or adapter (see StorageAdapter)
+     * @param {boolean} [config.compress=true] - Gzip the stored queue (if CompressionStream is supported)
+     * @param {TabCoordinator} [config.coordinator] - Share the queue safely with other tabs
      */
     constructor(config = {}) {
-        /** @type {string} localStorage key for the queue */
+        /** @type {string} Storage key for the queue */
         this.storageKey = 'app_logger_queue';
+        /** @type {string} Storage key for items stored during page unload (see enqueueSync()) */
+        this.unloadKey = 'app_logger_queue_unload';
+        /** @type {string} Storage key for items sent during page unload (see removeSync()) */
+        this.sentKey = 'app_logger_queue_sent';
         /** @type {number} Maximum items to store */
         this.maxSize = config.maxSize || 50;
         /** @type {number} Maximum age in milliseconds */
         this.maxAge = config.maxAge || 86400000;
+        /** @type {Object} Storage adapter */
+        this.storage = StorageAdapter.create(config.storage);
+        /** @type {boolean} Store the queue gzipped */
+        this.compress = config.compress !== false && PayloadCompressor.isSupported();
+        /** @type {TabCoordinator|null} */
+        this.coordinator = config.coordinator || null;
+        /** @type {WebStorageAdapter|null} Synchronous storage for async adapters (see enqueueSync()) */
+        this.unloadStorage = null;
+
+        /** @type {Array<{payload: Object, timestamp: number}>} Last persisted queue */
+        this.items = [];
+        /** @type {Promise<void>} Tail of the operation chain */
+        this.pending = Promise.resolve();
+        /** @type {Promise<void>} Resolves once the stored queue is loaded */
+        this.ready = this.reload();
+
+        if (this.coordinator) {
+            this.coordinator.onMessage((message) => {
+                if (message.type === StorageQueue.CHANGED_MESSAGE) {
+                    this.reload();
+                }
+            });
+        }
     }
 
     /**
@@ -38,53 +92,171 @@ export class StorageQueue {
      * Automatically removes oldest items if maxSize is exceeded.
      *
      * @param {Object} payload - Error data to queue
-     * @returns {void}
+     * @returns {Promise<void>}
      */
     enqueue(payload) {
-        try {
-            const queue = this.getQueue();
+        return this.run(async () => {
+            try {
+                const queue = await this.getQueue();
 
-            // Add timestamp for expiration
-            const item = {
-                payload,
-                timestamp: Date.now(),
-            };
+                // Add timestamp for expiration
+                const item = {
+                    payload,
+                    timestamp: Date.now(),
+                };
 
-            queue.push(item);
+                queue.push(item);
 
-            // Limit queue size (FIFO - remove oldest)
-            if (queue.length > this.maxSize) {
-                queue.shift();
+                // Limit queue size (FIFO - remove oldest)
+                if (queue.length > this.maxSize) {
+                    queue.shift();
+                }
+
+                await this.saveQueue(queue);
+            } catch (error) {
+                // Storage failures should never crash the app
+                // Common causes: quota exceeded, private browsing mode
+                console.warn('ApplicationLogger: Failed to queue error', error);
             }
+        });
+    }
+
+    /**
+     * Add payloads synchronously (page unload)
+     *
+     * Async storage, locks and compression can't finish while the page
+     * unloads, so the items go to a plain JSON key written right away and
+     * join the queue in the next operation (of this page if it survives, or
+     * of the next page load). With memory storage nothing outlives the page;
+     * items are enqueued normally for a page restored from the back/forward
+     * cache.
+     *
+     * @param {Object[]} payloads - Error data to queue
+     */
+    enqueueSync(payloads) {
+        if (payloads.length === 0) {
+            return;
+        }
+
+        const storage = this.getUnloadStorage();
+        if (!storage) {
+            payloads.forEach(payload => this.enqueue(payload));
+            return;
+        }
+
+        try {
+            const now = Date.now();
+            const items = payloads.map(payload => ({ payload, timestamp: now }));
+            const stored = storage.getItemSync(this.unloadKey);
 
-            this.saveQueue(queue);
+            storage.setItemSync(this.unloadKey, [...(Array.isArray(stored) ? stored : []), ...items].slice(-this.maxSize));
+            this.items = [...this.items, ...items];
         } catch (error) {
             // Storage failures should never crash the app
-            // Common causes: quota exceeded, private browsing mode
             console.warn('ApplicationLogger: Failed to queue error', error);
         }
     }
 
+    /**
+     * Remove payloads synchronously (sent during page unload)
+     *
+     * Payloads are matched by value, one stored item per payload. Items
+     * stored by enqueueSync() are removed right away; items of the stored
+     * queue are recorded under a plain JSON key and dropped by the next
+     * operation, so they are not sent again even if the page unloads first.
+     *
+     * @param {Object[]} payloads - Payloads returned by getAll() or passed to enqueueSync()
+     */
+    removeSync(payloads) {
+        if (payloads.length === 0) {
+            return;
+        }
+
+        const keys = payloads.map(payload => JSON.stringify(payload));
+        this.items = this.withoutPayloads(this.items, [...keys]);
+
+        const storage = this.getUnloadStorage();
+        if (!storage) {
+            this.run(async () => this.saveQueue(this.withoutPayloads(await this.getQueue(), keys)));
+            return;
+        }
+
+        try {
+            const stored = storage.getItemSync(this.unloadKey);
+            const unloaded = Array.isArray(stored) ? stored : [];
+            const kept = this.withoutPayloads(unloaded, keys);
+
+            if (kept.length !== unloaded.length) {
+                storage.setItemSync(this.unloadKey, kept);
+            }
+
+            if (keys.length > 0) {
+                const sent = storage.getItemSync(this.sentKey);
+                storage.setItemSync(this.sentKey, [...(Array.isArray(sent) ? sent : []), ...keys]);
+                this.reload();
+            }
+        } catch (error) {
+            // Storage failures should never crash the app
+            console.warn('ApplicationLogger: Failed to remove sent errors', error);
+        }
+    }
+
     /**
      * Get and remove next error from queue (FIFO)
      *
-     * @returns {Object|null} Oldest queued payload, or null if empty
+     * @returns {Promise<Object|null>} Oldest queued payload, or null if empty
      */
     dequeue() {
-        try {
-            const queue = this.getQueue();
+        return this.run(async () => {
+            try {
+                const queue = await this.getQueue();
 
-            if (queue.length === 0) {
+                if (queue.length === 0) {
+                    return null;
+                }
+
+                const item = queue.shift();
+                await this.saveQueue(queue);
+
+                return item.payload;
+            } catch {
                 return null;
             }
+        });
+    }
 
-            const item = queue.shift();
-            this.saveQueue(queue);
+    /**
+     * Get and remove the oldest payloads matching a predicate (FIFO)
+     *
+     * Non-matching items keep their place, e.g. items of a category the
+     * server currently blocks.
+     *
+     * @param {number} limit - Max payloads to take
+     * @param {Function} predicate - (payload) => boolean
+     * @returns {Promise<Object[]>} Taken payloads, oldest first
+     */
+    dequeueMatching(limit, predicate) {
+        return this.run(async () => {
+            try {
+                const queue = await this.getQueue();
+                const taken = [];
+                const remaining = queue.filter((item) => {
+                    if (taken.length < limit && predicate(item.payload)) {
+                        taken.push(item.payload);
+                        return false;
+                    }
+                    return true;
+                });
 
-            return item.payload;
-        } catch {
-            return null;
-        }
+                if (taken.length > 0) {
+                    await this.saveQueue(remaining);
+                }
+
+                return taken;
+            } catch {
+                return [];
+            }
+        });
     }
 
     /**
@@ -93,8 +265,7 @@ export class StorageQueue {
      * @returns {Object[]} Array of queued payloads
      */
     getAll() {
-        const queue = this.getQueue();
-        return queue.map(item => item.payload);
+        return this.getItems().map(item => item.payload);
     }
 
     /**
@@ -103,54 +274,172 @@ export class StorageQueue {
      * @returns {number} Number of items in queue
      */
     size() {
-        const queue = this.getQueue();
-        return queue.length;
+        return this.getItems().length;
     }
 
     /**
      * Clear all items from the queue
      *
-     * @returns {void}
+     * @returns {Promise<void>}
      */
     clear() {
+        return this.run(() => this.removeQueue());
+    }
+
+    /**
+     * Run an operation after all previous ones (internal)
+     *
+     * @private
+     * @param {Function} operation - async () => *
+     * @returns {Promise<*>} Operation result
+     */
+    run(operation) {
+        const result = this.pending.then(() => (this.coordinator
+            ? this.coordinator.withLock(this.storageKey, operation)
+            : operation()));
+        this.pending = result.catch(() => {});
+
+        return result;
+    }
+
+    /**
+     * Reload items from storage (internal)
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    reload() {
+        return this.run(async () => {
+            this.items = await this.getQueue();
+        });
+    }
+
+    /**
+     * Take a list written during page unload (internal)
+     *
+     * @private
+     * @param {string} key - unloadKey (see enqueueSync()) or sentKey (see removeSync())
+     * @returns {Promise<Array>} Stored list, or [] if there is none
+     */
+    async takeUnloaded(key) {
+        const storage = this.getUnloadStorage();
+        if (!storage) {
+            return [];
+        }
+
         try {
-            localStorage.removeItem(this.storageKey);
+            const stored = storage.getItemSync(key);
+            if (stored === null) {
+                return [];
+            }
+
+            await storage.removeItem(key);
+
+            return Array.isArray(stored) ? stored : [];
         } catch {
-            // Ignore
+            return [];
         }
     }
 
     /**
-     * Get queue from localStorage with expiration cleanup (internal)
+     * Remove items whose payload matches one of the keys (internal)
      *
-     * Automatically removes expired items based on maxAge.
+     * Each key removes one item; matched keys are removed from `keys`.
      *
      * @private
-     * @returns {Array<{payload: Object, timestamp: number}>} Queue items with metadata
+     * @param {Array<{payload: Object, timestamp: number}>} items - Queue items
+     * @param {string[]} keys - JSON of the payloads to remove
+     * @returns {Array<{payload: Object, timestamp: number}>} Remaining items
      */
-    getQueue() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
+    withoutPayloads(items, keys) {
+        if (keys.length === 0) {
+            return items;
+        }
 
-            if (!stored) {
-                return [];
+        return items.filter((item) => {
+            const index = keys.indexOf(JSON.stringify(item.payload));
+            if (index === -1) {
+                return true;
             }
 
-            const queue = JSON.parse(stored);
+            keys.splice(index, 1);
+            return false;
+        });
+    }
 
-            if (!Array.isArray(queue)) {
-                return [];
-            }
+    /**
+     * Get the storage that can be written synchronously (internal)
+     *
+     * @private
+     * @returns {Object|null} Adapter with getItemSync/setItemSync, or null for memory storage
+     */
+    getUnloadStorage() {
+        if (typeof this.storage.getItemSync === 'function' && typeof this.storage.setItemSync === 'function') {
+            return this.storage;
+        }
+
+        if (this.storage instanceof MemoryStorageAdapter) {
+            return null;
+        }
+
+        // IndexedDB and custom adapters are asynchronous
+        if (!this.unloadStorage) {
+            this.unloadStorage = new WebStorageAdapter('localStorage');
+        }
+
+        return this.unloadStorage;
+    }
+
+    /**
+     * Tell the other tabs that the stored queue changed (internal)
+     *
+     * @private
+     * @returns {void}
+     */
+    notify() {
+        if (this.coordinator) {
+            this.coordinator.broadcast({ type: StorageQueue.CHANGED_MESSAGE });
+        }
+    }
+
+    /**
+     * Get non-expired items of the last persisted queue (internal)
+     *
+     * @private
+     * @returns {Array<{payload: Object, timestamp: number}>}
+     */
+    getItems() {
+        const now = Date.now();
+
+        return this.items.filter(item => item.timestamp && (now - item.timestamp) < this.maxAge);
+    }
+
+    /**
+     * Get queue from storage with expiration cleanup (internal)
+     *
+     * Automatically removes expired items based on maxAge, and applies the
+     * changes made during page unload (enqueueSync(), removeSync()).
+     *
+     * @private
+     * @returns {Promise<Array<{payload: Object, timestamp: number}>>} Queue items with metadata
+     */
+    async getQueue() {
+        try {
+            const stored = await this.decode(await this.storage.getItem(this.storageKey));
+            const queue = Array.isArray(stored) ? stored : [];
+            const unloaded = await this.takeUnloaded(this.unloadKey);
+            const sent = await this.takeUnloaded(this.sentKey);
 
             // Remove expired items
             const now = Date.now();
-            const filtered = queue.filter(item => {
-                return item.timestamp && (now - item.timestamp) < this.maxAge;
-            });
+            const filtered = this.withoutPayloads(
+                [...queue, ...unloaded].filter(item => item && item.timestamp && (now - item.timestamp) < this.maxAge),
+                sent,
+            ).slice(-this.maxSize);
 
-            // If we removed expired items, save the cleaned queue
-            if (filtered.length !== queue.length) {
-                this.saveQueue(filtered);
+            // If anything changed, save the cleaned queue
+            if (filtered.length !== queue.length || unloaded.length > 0) {
+                await this.saveQueue(filtered);
             }
 
             return filtered;
@@ -160,17 +449,19 @@ export class StorageQueue {
     }
 
     /**
-     * Save queue to localStorage (internal)
+     * Save queue to storage (internal)
      *
      * Handles QuotaExceededError by trimming oldest items.
      *
      * @private
      * @param {Array<{payload: Object, timestamp: number}>} queue - Queue items to save
-     * @returns {void}
+     * @returns {Promise<void>}
      */
-    saveQueue(queue) {
+    async saveQueue(queue) {
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(queue));
+            await this.storage.setItem(this.storageKey, await this.encode(queue));
+            this.items = queue;
+            this.notify();
         } catch (error) {
             // Handle quota exceeded or other storage errors
             if (error.name === 'QuotaExceededError') {
@@ -179,12 +470,76 @@ export class StorageQueue {
                 const trimmed = queue.slice(-halfSize);
 
                 try {
-                    localStorage.setItem(this.storageKey, JSON.stringify(trimmed));
+                    await this.storage.setItem(this.storageKey, await this.encode(trimmed));
+                    this.items = trimmed;
+                    this.notify();
                 } catch {
                     // If still failing, clear the queue
-                    this.clear();
+                    await this.removeQueue();
                 }
             }
         }
     }
+
+    /**
+     * Encode queue items for storage (internal)
+     *
+     * Small queues, browsers without CompressionStream and compression
+     * failures store the plain array.
+     *
+     * @private
+     * @param {Array<{payload: Object, timestamp: number}>} queue - Queue items
+     * @returns {Promise<Array|{encoding: string, data: string}>} Stored value
+     */
+    async encode(queue) {
+        if (!this.compress) {
+            return queue;
+        }
+
+        const json = JSON.stringify(queue);
+        if (json.length < PayloadCompressor.MIN_SIZE) {
+            return queue;
+        }
+
+        try {
+            return {
+                encoding: 'gzip',
+                data: PayloadCompressor.toBase64(await PayloadCompressor.compress(json)),
+            };
+        } catch {
+            return queue;
+        }
+    }
+
+    /**
+     * Decode a stored value to queue items (internal)
+     *
+     * @private
+     * @param {*} stored - Plain array or {encoding: 'gzip', data}
+     * @returns {Promise<*>} Queue items (anything that isn't an array is treated as empty)
+     * @throws {Error} If compressed data can't be decompressed
+     */
+    async decode(stored) {
+        if (stored && stored.encoding === 'gzip' && typeof stored.data === 'string') {
+            return JSON.parse(await PayloadCompressor.decompress(PayloadCompressor.fromBase64(stored.data)));
+        }
+
+        return stored;
+    }
+
+    /**
+     * Remove the queue from storage (internal)
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async removeQueue() {
+        try {
+            await this.storage.removeItem(this.storageKey);
+            this.items = [];
+            this.notify();
+        } catch {
+            // Ignore
+        }
+    }
 }
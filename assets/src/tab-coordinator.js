@@ -0,0 +1,364 @@
+/**
+ * Tab Coordinator - Cross-Tab Coordination
+ *
+ * All tabs of an origin share the offline queue (and, through this class,
+ * the circuit breaker state). Without coordination two tabs flush the same
+ * stored errors and overwrite each other's queue writes.
+ *
+ * - Leader election: one tab flushes the stored queue. Web Locks where
+ *   supported (the lock is held until the tab closes, the next waiting tab
+ *   gets it); otherwise a lease in localStorage renewed by a heartbeat.
+ * - Locks: withLock() runs a callback under a Web Lock shared by all tabs
+ *   (atomic read-modify-write). Without Web Locks the callback runs
+ *   directly - callers still serialize within their tab.
+ * - Messages: broadcast() reaches the other tabs via BroadcastChannel, or
+ *   via the localStorage 'storage' event where BroadcastChannel is missing.
+ *
+ * Until install() (and with enabled: false) the tab acts alone: it is
+ * always the leader and broadcasts go nowhere.
+ *
+ * @example
+ * const coordinator = new TabCoordinator();
+ * coordinator.onLeaderChange(leader => leader && transport.flushStoredErrors());
+ * coordinator.install();
+ * await coordinator.withLock('app_logger_queue', () => queue.save());
+ */
+export class TabCoordinator {
+    /** @type {string} BroadcastChannel name */
+    static CHANNEL_NAME = 'app_logger';
+
+    /** @type {string} Web Lock held by the leader */
+    static LEADER_LOCK = 'app_logger_leader';
+
+    /** @type {string} localStorage key of the leader lease (fallback) */
+    static LEASE_KEY = 'app_logger_leader';
+
+    /** @type {string} localStorage key used to pass messages (fallback) */
+    static MESSAGE_KEY = 'app_logger_message';
+
+    /** @type {number} Lease duration (ms) */
+    static LEASE_MS = 10000;
+
+    /** @type {number} Lease renewal interval (ms) */
+    static HEARTBEAT_MS = 4000;
+
+    /**
+     * @param {Object} [config={}] - Configuration options
+     * @param {boolean} [config.enabled=true] - Coordinate with other tabs
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(config = {}) {
+        /** @type {boolean} */
+        this.enabled = config.enabled !== false;
+        /** @type {boolean} */
+        this.debug = config.debug || false;
+        /** @type {string} Identifies this tab in leases and messages */
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        /** @type {boolean} */
+        this.installed = false;
+        /** @type {boolean} */
+        this.leader = false;
+        /** @type {Set<Function>} (message) => void */
+        this.messageHandlers = new Set();
+        /** @type {Set<Function>} (isLeader) => void */
+        this.leaderHandlers = new Set();
+
+        /** @type {BroadcastChannel|null} */
+        this.channel = null;
+        /** @type {Function|null} Releases the leader Web Lock */
+        this.releaseLeaderLock = null;
+        /** @type {number|null} Lease heartbeat (fallback) */
+        this.heartbeatTimer = null;
+
+        this.handleStorage = this.handleStorage.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+    }
+
+    /**
+     * Start messaging and leader election (idempotent)
+     */
+    install() {
+        if (this.installed || !this.enabled || typeof window === 'undefined') {
+            return;
+        }
+
+        try {
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(TabCoordinator.CHANNEL_NAME);
+                this.channel.onmessage = event => this.dispatch(event.data);
+            }
+
+            // Fallback messages and lease changes of other tabs
+            window.addEventListener('storage', this.handleStorage);
+            window.addEventListener('pagehide', this.handlePageHide);
+
+            this.installed = true;
+
+            if (this.hasWebLocks()) {
+                this.requestLeaderLock();
+            } else {
+                this.renewLease();
+                this.heartbeatTimer = setInterval(() => this.renewLease(), TabCoordinator.HEARTBEAT_MS);
+            }
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to install tab coordination', error);
+        }
+    }
+
+    /**
+     * Check if this tab is the leader (flushes the shared queue)
+     *
+     * @returns {boolean}
+     */
+    isLeader() {
+        return !this.installed || this.leader;
+    }
+
+    /**
+     * Run a callback under a lock shared by all tabs
+     *
+     * @param {string} name - Lock name
+     * @param {Function} callback - async () => *
+     * @returns {Promise<*>} Callback result
+     */
+    withLock(name, callback) {
+        if (this.installed && this.hasWebLocks()) {
+            return navigator.locks.request(name, () => callback());
+        }
+
+        return Promise.resolve().then(callback);
+    }
+
+    /**
+     * Send a message to the other tabs
+     *
+     * @param {Object} message - Structured-cloneable / JSON-serializable message
+     */
+    broadcast(message) {
+        if (!this.installed) {
+            return;
+        }
+
+        const envelope = { source: this.tabId, message };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(envelope);
+                return;
+            }
+
+            // 'storage' fires in the other tabs; the nonce makes repeated messages a change
+            localStorage.setItem(TabCoordinator.MESSAGE_KEY, JSON.stringify({ ...envelope, nonce: Math.random() }));
+            localStorage.removeItem(TabCoordinator.MESSAGE_KEY);
+        } catch (error) {
+            if (this.debug) {
+                console.warn('ApplicationLogger: Failed to broadcast to other tabs', error);
+            }
+        }
+    }
+
+    /**
+     * Subscribe to messages of other tabs
+     *
+     * @param {Function} handler - (message) => void
+     * @returns {Function} Unsubscribe
+     */
+    onMessage(handler) {
+        this.messageHandlers.add(handler);
+
+        return () => this.messageHandlers.delete(handler);
+    }
+
+    /**
+     * Subscribe to leadership changes of this tab
+     *
+     * @param {Function} handler - (isLeader) => void
+     * @returns {Function} Unsubscribe
+     */
+    onLeaderChange(handler) {
+        this.leaderHandlers.add(handler);
+
+        return () => this.leaderHandlers.delete(handler);
+    }
+
+    /**
+     * Give up leadership and stop listening
+     */
+    cleanup() {
+        if (!this.installed) {
+            return;
+        }
+
+        this.releaseLeadership();
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        window.removeEventListener('storage', this.handleStorage);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.installed = false;
+    }
+
+    /**
+     * Check for Web Locks support
+     *
+     * @private
+     * @returns {boolean}
+     */
+    hasWebLocks() {
+        return typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+    }
+
+    /**
+     * Wait for the leader Web Lock and hold it until released
+     *
+     * @private
+     */
+    requestLeaderLock() {
+        navigator.locks.request(TabCoordinator.LEADER_LOCK, () => new Promise((resolve) => {
+            this.releaseLeaderLock = resolve;
+            this.setLeader(true);
+        })).catch((error) => {
+            if (this.debug) {
+                console.warn('ApplicationLogger: Leader lock failed', error);
+            }
+        });
+    }
+
+    /**
+     * Claim or renew the leader lease (fallback without Web Locks)
+     *
+     * Best effort: if two tabs claim at once, the last write wins and the
+     * other tab steps down on its next renewal.
+     *
+     * @private
+     */
+    renewLease() {
+        try {
+            const now = Date.now();
+            const lease = JSON.parse(localStorage.getItem(TabCoordinator.LEASE_KEY) || 'null');
+
+            if (!lease || lease.tabId === this.tabId || !(lease.expiresAt > now)) {
+                localStorage.setItem(TabCoordinator.LEASE_KEY, JSON.stringify({
+                    tabId: this.tabId,
+                    expiresAt: now + TabCoordinator.LEASE_MS,
+                }));
+                this.setLeader(true);
+            } else {
+                this.setLeader(false);
+            }
+        } catch {
+            // No shared storage - no other tab can coordinate with us
+            this.setLeader(true);
+        }
+    }
+
+    /**
+     * Release leadership (Web Lock or lease)
+     *
+     * @private
+     */
+    releaseLeadership() {
+        if (this.releaseLeaderLock) {
+            this.releaseLeaderLock();
+            this.releaseLeaderLock = null;
+        }
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+
+            try {
+                const lease = JSON.parse(localStorage.getItem(TabCoordinator.LEASE_KEY) || 'null');
+                if (lease && lease.tabId === this.tabId) {
+                    localStorage.removeItem(TabCoordinator.LEASE_KEY);
+                }
+            } catch {
+                // Lease expires by itself
+            }
+        }
+
+        this.setLeader(false);
+    }
+
+    /**
+     * Update leadership and notify handlers on change
+     *
+     * @private
+     * @param {boolean} leader
+     */
+    setLeader(leader) {
+        if (this.leader === leader) {
+            return;
+        }
+
+        this.leader = leader;
+
+        if (this.debug) {
+            console.warn(`ApplicationLogger: Tab ${leader ? 'became' : 'is no longer'} the leader`);
+        }
+
+        this.leaderHandlers.forEach((handler) => {
+            try {
+                handler(leader);
+            } catch (error) {
+                console.error('ApplicationLogger: Leader change handler failed', error);
+            }
+        });
+    }
+
+    /**
+     * Pass a message of another tab to the handlers
+     *
+     * @private
+     * @param {{source: string, message: Object}} envelope
+     */
+    dispatch(envelope) {
+        if (!envelope || envelope.source === this.tabId || !envelope.message) {
+            return;
+        }
+
+        this.messageHandlers.forEach((handler) => {
+            try {
+                handler(envelope.message);
+            } catch (error) {
+                console.error('ApplicationLogger: Tab message handler failed', error);
+            }
+        });
+    }
+
+    /**
+     * Handle localStorage changes of other tabs (fallback messages, lease release)
+     *
+     * @private
+     * @param {StorageEvent} event
+     */
+    handleStorage(event) {
+        if (event.key === TabCoordinator.MESSAGE_KEY && event.newValue && !this.channel) {
+            try {
+                this.dispatch(JSON.parse(event.newValue));
+            } catch {
+                // Not one of our messages
+            }
+        } else if (event.key === TabCoordinator.LEASE_KEY && this.heartbeatTimer && !event.newValue) {
+            // Leader left - claim the lease right away
+            this.renewLease();
+        }
+    }
+
+    /**
+     * Hand over leadership when the tab goes away
+     *
+     * @private
+     * @param {PageTransitionEvent} event
+     */
+    handlePageHide(event) {
+        // Pages kept in the back/forward cache may come back
+        if (!event.persisted) {
+            this.cleanup();
+        }
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Trace Context - W3C Trace Context Propagation
+ *
+ * Creates the headers that link a frontend request to the backend request
+ * it causes, so JS errors can be joined with PHP events:
+ * - traceparent: 00-{trace-id}-{parent-id}-01 (new trace per request)
+ * - tracestate: applogger=s:{session-id} (survives proxies that drop custom headers)
+ * - X-AppLogger-Session: SessionManager session ID
+ *
+ * Headers are only added to same-origin requests and to URLs matching
+ * tracePropagationTargets (strings match as URL prefix, RegExps by pattern).
+ * Cross-origin targets must allow these headers in their CORS config.
+ * URLs matching ignoreUrls (e.g. the SDK's own endpoints) never get headers.
+ *
+ * An existing traceparent header (e.g. from an APM agent) is never replaced;
+ * its trace ID is used instead.
+ *
+ * While the session is loaded from async storage (IndexedDB), getPendingSession()
+ * returns a promise: fetch waits for it, so its headers carry the session ID.
+ * XHR sends synchronously and goes without the session headers meanwhile.
+ *
+ * @example
+ * const trace = new TraceContext({
+ *     tracePropagationTargets: ['https://api.example.com/', /^https:\/\/[\w-]+\.example\.com\//],
+ *     sessionProvider: () => sessionManager.getSessionId(),
+ * });
+ * if (trace.shouldPropagate(url)) {
+ *     const { traceId, headers } = trace.createHeaders();
+ * }
+ */
+export class TraceContext {
+    /** @type {string} Session header name */
+    static SESSION_HEADER = 'X-AppLogger-Session';
+
+    /** @type {string} Our tracestate vendor key */
+    static TRACESTATE_KEY = 'applogger';
+
+    /** @type {RegExp} Valid traceparent (version 00) */
+    static TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {boolean} [config.enabled=true] - Inject headers at all
+     * @param {Array<string|RegExp>} [config.tracePropagationTargets=[]] - Cross-origin URLs that get headers
+     * @param {Array<string|RegExp>} [config.ignoreUrls=[]] - URLs that never get headers
+     * @param {Function|null} [config.sessionProvider=null] - Returns the current session ID
+     * @param {Function|null} [config.pendingSessionProvider=null] - Returns a promise while the session is loading, else null
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: config.enabled !== false,
+            tracePropagationTargets: Array.isArray(config.tracePropagationTargets) ? config.tracePropagationTargets : [],
+            ignoreUrls: Array.isArray(config.ignoreUrls) ? config.ignoreUrls : [],
+            sessionProvider: typeof config.sessionProvider === 'function' ? config.sessionProvider : null,
+            pendingSessionProvider: typeof config.pendingSessionProvider === 'function' ? config.pendingSessionProvider : null,
+        };
+    }
+
+    /**
+     * Get the session that is still loading (async storage)
+     *
+     * @returns {Promise<void>|null} Resolves once the session ID is known; null if it already is
+     */
+    getPendingSession() {
+        try {
+            return this.config.pendingSessionProvider ? this.config.pendingSessionProvider() || null : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check if trace headers should be added to a request URL
+     *
+     * @param {string} url - Request URL (absolute or relative)
+     * @returns {boolean}
+     */
+    shouldPropagate(url) {
+        if (!this.config.enabled || !url) {
+            return false;
+        }
+
+        try {
+            const base = window.location?.href;
+            const absolute = new URL(url, base);
+
+            if (this.matchesAny(absolute.href, this.config.ignoreUrls)) {
+                return false;
+            }
+
+            if (base && absolute.origin === new URL(base).origin) {
+                return true;
+            }
+
+            return this.matchesAny(absolute.href, this.config.tracePropagationTargets);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Create trace headers for a new request
+     *
+     * @returns {{traceId: string, headers: Object<string, string>}}
+     */
+    createHeaders() {
+        const traceId = this.generateId(16);
+        const headers = {
+            traceparent: `00-${traceId}-${this.generateId(8)}-01`,
+        };
+
+        const sessionId = this.getSessionId();
+        if (sessionId) {
+            headers[TraceContext.SESSION_HEADER] = sessionId;
+
+            // tracestate values may not contain ',' or '='
+            if (/^[\w.-]+$/.test(sessionId)) {
+                headers.tracestate = `${TraceContext.TRACESTATE_KEY}=s:${sessionId}`;
+            }
+        }
+
+        return { traceId, headers };
+    }
+
+    /**
+     * Extract the trace ID from a traceparent header value
+     *
+     * @param {string|null} traceparent
+     * @returns {string|null}
+     */
+    parseTraceId(traceparent) {
+        const match = TraceContext.TRACEPARENT_PATTERN.exec(String(traceparent || '').trim().toLowerCase());
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check a URL against prefixes and RegExps
+     *
+     * @private
+     * @param {string} url - Absolute URL
+     * @param {Array<string|RegExp>} patterns
+     * @returns {boolean}
+     */
+    matchesAny(url, patterns) {
+        return patterns.some(pattern =>
+            pattern instanceof RegExp ? pattern.test(url) : url.startsWith(String(pattern)),
+        );
+    }
+
+    /**
+     * Get the current session ID (if any)
+     *
+     * @private
+     * @returns {string|null}
+     */
+    getSessionId() {
+        try {
+            const sessionId = this.config.sessionProvider ? this.config.sessionProvider() : null;
+            return sessionId ? String(sessionId) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Generate a random non-zero hex ID
+     *
+     * @private
+     * @param {number} bytes - 16 for trace IDs, 8 for parent IDs
+     * @returns {string}
+     */
+    generateId(bytes) {
+        const values = new Uint8Array(bytes);
+
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(values);
+        } else {
+            for (let i = 0; i < bytes; i++) {
+                values[i] = Math.floor(Math.random() * 256);
+            }
+        }
+
+        // All-zero IDs are invalid
+        if (values.every(value => value === 0)) {
+            values[bytes - 1] = 1;
+        }
+
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+}
@@ -0,0 +1,73 @@
+import { BeaconTransport } from './beacon-transport.js';
+import { FetchTransport } from './fetch-transport.js';
+import { MemoryTransport } from './memory-transport.js';
+import { XhrTransport } from './xhr-transport.js';
+
+/**
+ * Transport Adapter - Pluggable Request Sending
+ *
+ * Transport (circuit breaker, rate limits, queue, dedup, batching) sends
+ * every request through one adapter interface:
+ *
+ *     send(request): Promise<result>
+ *
+ *     request: {url, method, headers, body, timeout, keepalive}
+ *     result:  {ok, status, statusText, headers.get(name), json()}
+ *              (a fetch Response or a TransportResult)
+ *
+ * send() rejects on network errors, with an AbortError on timeout. HTTP
+ * error statuses resolve normally. Adapters that can't send headers set
+ * `canSetHeaders = false` (no compression then).
+ *
+ * Implementations:
+ * - 'fetch': FetchTransport (default; XHR where fetch is missing)
+ * - 'xhr': XhrTransport (older embedded browsers)
+ * - 'beacon': BeaconTransport (fire and forget, survives unload)
+ * - 'memory': MemoryTransport (records requests, sends nothing)
+ *
+ * Any object with a send() method can be passed instead of a name.
+ *
+ * @example
+ * new ApplicationLogger({ dsn, apiKey, transport: { send: request => myNativeBridge.post(request) } });
+ */
+export class TransportAdapter {
+    /** @type {string[]} Built-in transport names */
+    static TYPES = ['fetch', 'xhr', 'beacon', 'memory'];
+
+    /**
+     * Create an adapter from a transport name (or return a custom adapter as-is)
+     *
+     * Unknown names use fetch.
+     *
+     * @param {string|Object} [transport='fetch'] - Transport name or adapter instance
+     * @returns {Object} Transport adapter
+     */
+    static create(transport) {
+        if (TransportAdapter.isAdapter(transport)) {
+            return transport;
+        }
+
+        switch (transport) {
+        case 'xhr':
+            return new XhrTransport();
+        case 'beacon':
+            return new BeaconTransport();
+        case 'memory':
+            return new MemoryTransport();
+        default:
+            return typeof fetch === 'undefined' && typeof XMLHttpRequest !== 'undefined'
+                ? new XhrTransport()
+                : new FetchTransport();
+        }
+    }
+
+    /**
+     * Check if an object implements the adapter interface
+     *
+     * @param {*} transport
+     * @returns {boolean}
+     */
+    static isAdapter(transport) {
+        return !!transport && typeof transport === 'object' && typeof transport.send === 'function';
+    }
+}
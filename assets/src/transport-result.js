@@ -0,0 +1,48 @@
+/**
+ * Transport Result - Response of a Transport Adapter
+ *
+ * The subset of the fetch Response API the SDK relies on. FetchTransport
+ * returns real Response objects; the XHR, beacon and memory transports
+ * (and custom ones) can return a TransportResult.
+ *
+ * Header lookup is case-insensitive, like Headers.get().
+ *
+ * @example
+ * return new TransportResult({ status: 429, headers: { 'Retry-After': '30' } });
+ */
+export class TransportResult {
+    /**
+     * @param {Object} [init={}]
+     * @param {number} [init.status=200] - HTTP status (0 = not sent / unknown)
+     * @param {string} [init.statusText=''] - HTTP status text
+     * @param {Object<string, string>} [init.headers={}] - Response headers
+     * @param {string} [init.body=''] - Response body (JSON text)
+     */
+    constructor(init = {}) {
+        /** @type {number} */
+        this.status = init.status ?? 200;
+        /** @type {string} */
+        this.statusText = init.statusText || '';
+        /** @type {boolean} True for 2xx statuses */
+        this.ok = this.status >= 200 && this.status < 300;
+        /** @type {string} */
+        this.body = init.body || '';
+
+        const headers = new Map(Object.entries(init.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)]));
+
+        /** @type {{get: function(string): (string|null)}} */
+        this.headers = {
+            get: name => headers.get(String(name).toLowerCase()) ?? null,
+        };
+    }
+
+    /**
+     * Parse the body as JSON
+     *
+     * @returns {Promise<*>} Parsed body ({} if empty)
+     * @throws {SyntaxError} If the body is not valid JSON
+     */
+    async json() {
+        return this.body ? JSON.parse(this.body) : {};
+    }
+}
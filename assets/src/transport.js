@@ -1,35 +1,135 @@
+import { BeaconTransport } from './beacon-transport.js';
 import { CircuitBreaker } from './circuit-breaker.js';
+import { Envelope } from './envelope.js';
+import { Fingerprinter } from './fingerprinter.js';
+import { PayloadCompressor } from './payload-compressor.js';
 import { StorageQueue } from './storage-queue.js';
 import { RateLimiter } from './rate-limiter.js';
+import { ServerRateLimits } from './server-rate-limits.js';
+import { TabCoordinator } from './tab-coordinator.js';
+import { TransportAdapter } from './transport-adapter.js';
+import { WebStorageAdapter } from './web-storage-adapter.js';
 
 /**
  * Transport layer for sending errors to the platform
  *
  * RESILIENCE FEATURES:
- * - 3-second timeout with AbortController
+ * - Pluggable transport adapter (fetch, XHR, beacon, memory or custom, see
+ *   TransportAdapter); all resilience features wrap whichever is chosen
+ * - 3-second timeout (enforced by the transport adapter)
  * - Circuit breaker prevents repeated calls to failing service
  * - Smart retry with exponential backoff
  * - Local storage queue for offline errors
  * - Rate limiting to prevent error storms
  * - Deduplication to avoid duplicate errors
+ * - Connectivity awareness: while navigator.onLine is false, items go
+ *   straight to the storage queue (no retries, no circuit breaker failures)
+ *   and are flushed on the 'online' event and when the page becomes visible
+ * - Gzip request bodies (CompressionStream, Content-Encoding: gzip) where
+ *   supported; plain JSON otherwise or after the server answers 415
+ * - Batching: queued items are sent together as one Envelope (max items,
+ *   max bytes, linger time); single sends after the envelope endpoint
+ *   answers 404, 405 or 415
+ * - Server rate limits: 429/503 with Retry-After and X-AppLogger-Rate-Limits
+ *   block a category (errors, replays, recovery, ...) across page loads;
+ *   blocked items are stored for later (replay data is dropped) instead
+ *   of being retried or counted as circuit breaker failures
+ * - Page unload: pending and stored items are sent with keepalive fetch
+ *   (or sendBeacon) in authenticated envelopes, at most ~64KB in total
+ *   (shared browser budget); pending items are stored synchronously first,
+ *   and the items of each request the browser takes are removed
+ * - Multi-tab coordination (see TabCoordinator): only the leader tab
+ *   flushes the stored queue, queue changes are atomic across tabs and the
+ *   circuit breaker state is shared
+ *
+ * Feedback, log batches, Web Vitals, CSP reports and recovery sessions travel through
+ * the same queue as {type, payload} envelopes, which keep their endpoint while stored offline.
  */
 export class Transport {
+    /** @type {Object<string, string>} Envelope type => DSN endpoint key */
+    static ENVELOPE_ENDPOINTS = {
+        feedback: 'feedbackEndpoint',
+        logs: 'logsEndpoint',
+        vitals: 'vitalsEndpoint',
+        csp: 'cspEndpoint',
+        recovery: 'recoveryEndpoint',
+    };
+
+    /** @type {Object<string, string>} Queue item type => envelope item type (errors: 'error') */
+    static BATCH_ITEM_TYPES = {
+        recovery: 'recovery',
+        logs: 'log',
+        vitals: 'metric',
+        feedback: 'feedback',
+        csp: 'csp',
+    };
+
+    /** @type {Object<string, string>} Queue item type => server rate limit category (errors: 'errors') */
+    static RATE_LIMIT_CATEGORIES = {
+        recovery: 'recovery',
+        logs: 'logs',
+        vitals: 'metrics',
+        feedback: 'feedback',
+        csp: 'csp',
+    };
+
+    /** @type {number[]} Envelope endpoint statuses meaning "batching not supported" */
+    static BATCH_UNSUPPORTED_STATUSES = [404, 405, 415];
+
+    /** @type {string[]} Key substrings that are always scrubbed (plus config.scrubFields) */
+    static SCRUB_PATTERNS = [
+        'password',
+        'passwd',
+        'pwd',
+        'secret',
+        'api_key',
+        'apikey',
+        'token',
+        'auth',
+        'authorization',
+        'private_key',
+        'access_token',
+        'refresh_token',
+    ];
+
     constructor(config) {
         this.config = config;
         this.apiKey = config.apiKey; // Store API key separately (not in DSN)
         this.dsn = this.parseDsn(config.dsn);
         this.queue = [];
         this.sending = false;
+        this.userProvider = null; // Returns privacy-safe user context (set by ApplicationLogger)
+
+        // Sends the requests (see TransportAdapter)
+        this.adapter = TransportAdapter.create(config.transport);
+        // Unload-time sends (flushWithBeacon, recovery sessions during unload)
+        this.beacon = new BeaconTransport();
+
+        // Coordinates the tabs sharing the queue and circuit breaker (started by install())
+        this.coordinator = new TabCoordinator({
+            enabled: config.tabCoordination !== false,
+            debug: config.debug,
+        });
+        this.coordinator.onLeaderChange((leader) => {
+            if (leader) {
+                this.flushStoredErrors();
+            }
+        });
 
         // Initialize resilience components (configurable via SDK config)
         this.circuitBreaker = new CircuitBreaker({
             failureThreshold: config.circuitBreakerFailureThreshold ?? 5,
             timeout: config.circuitBreakerTimeoutMs ?? 60000,
+            storage: this.getCircuitBreakerStorage(config),
+            coordinator: this.coordinator,
         });
 
         this.storageQueue = new StorageQueue({
             maxSize: config.storageQueueMaxSize ?? 50,
             maxAge: config.storageQueueMaxAgeMs ?? 86400000,
+            storage: config.storage,
+            compress: config.compression,
+            coordinator: this.coordinator,
         });
 
         this.rateLimiter = new RateLimiter({
@@ -37,12 +137,108 @@ export class Transport {
             refillRate: config.rateLimiterRefillRate ?? 0.167,
         });
 
+        // Limits announced by the server (429/503, Retry-After), shared by page loads
+        this.serverRateLimits = new ServerRateLimits({
+            storage: config.storage,
+            debug: config.debug,
+        });
+        this.rateLimited = 0; // Items stored because the server asked us to wait
+
+        // Separate bucket so log batches never use up the error budget
+        this.logRateLimiter = new RateLimiter({
+            maxTokens: config.logsRateLimiterMaxTokens ?? 10,
+            refillRate: config.logsRateLimiterRefillRate ?? 0.167,
+        });
+
         // Deduplication cache (configurable via SDK config)
         this.recentErrors = new Map();
         this.deduplicationWindow = config.deduplicationWindowMs ?? 5000;
 
-        // Try to flush stored errors on init
-        this.flushStoredErrors();
+        // Gzip request bodies (see encodeBody())
+        this.compression = config.compression !== false
+            && PayloadCompressor.isSupported()
+            && this.adapter.canSetHeaders !== false; // Content-Encoding must arrive
+
+        // Batching (see processQueue())
+        this.batching = config.batching !== false;
+        this.batchMaxItems = Math.max(1, config.batchMaxItems ?? 20);
+        this.batchMaxBytes = config.batchMaxBytes ?? 262144;
+        this.batchLingerMs = config.batchLingerMs ?? 0; // 0: batch what queues up while a request is in flight
+
+        // Page unload (see flushWithBeacon()): browsers refuse beacon/keepalive bodies beyond ~64KB in total
+        this.unloadMaxBytes = config.unloadMaxBytes ?? 65536;
+
+        // Connectivity (see install())
+        this.connectivityInstalled = false;
+        this.offlineQueued = 0; // Items stored because the device was offline
+    }
+
+    /**
+     * Flush stored items when connectivity or visibility comes back, and
+     * start coordinating with other tabs (idempotent)
+     *
+     * Also flushes the items stored by previous pages - only now, since
+     * before coordination starts every tab would consider itself the leader.
+     */
+    install() {
+        if (this.connectivityInstalled) {
+            return;
+        }
+
+        try {
+            window.addEventListener('online', () => {
+                if (this.config.debug) {
+                    console.warn('ApplicationLogger: Back online, flushing stored errors');
+                }
+                this.flushStoredErrors();
+            });
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    this.flushStoredErrors();
+                }
+            });
+
+            this.connectivityInstalled = true;
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to install connectivity listeners', error);
+        }
+
+        this.coordinator.install();
+
+        // A coordinated tab flushes once elected (see onLeaderChange above)
+        if (!this.coordinator.installed) {
+            this.flushStoredErrors();
+        }
+    }
+
+    /**
+     * Get the circuit breaker storage
+     *
+     * Without tab coordination the state stays per tab (sessionStorage, as
+     * before tabs shared it) when the configured storage is localStorage.
+     *
+     * @private
+     * @param {Object} config - Transport configuration
+     * @returns {string|Object|undefined} Storage name or adapter
+     */
+    getCircuitBreakerStorage(config) {
+        const localStorageConfigured = config.storage === undefined || config.storage === 'localStorage'
+            || (config.storage instanceof WebStorageAdapter && config.storage.type === 'localStorage');
+
+        return config.tabCoordination === false && localStorageConfigured ? 'sessionStorage' : config.storage;
+    }
+
+    /**
+     * Check if the device is online
+     *
+     * navigator.onLine === false is reliable (no network at all); true only
+     * means "maybe", so failures while online still count for the circuit breaker.
+     *
+     * @returns {boolean}
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
     }
 
     /**
@@ -71,12 +267,38 @@ export class Transport {
                 host: url.host,
                 projectId: projectId,
                 endpoint: `${url.protocol}//${url.host}/api/errors/ingest`,
+                feedbackEndpoint: `${url.protocol}//${url.host}/api/errors/feedback`,
+                logsEndpoint: `${url.protocol}//${url.host}/api/logs/ingest`,
+                vitalsEndpoint: `${url.protocol}//${url.host}/api/performance/vitals`,
+                cspEndpoint: `${url.protocol}//${url.host}/api/security/csp`,
+                batchEndpoint: `${url.protocol}//${url.host}/api/errors/envelope`,
+                recoveryEndpoint: `${url.protocol}//${url.host}/api/errors/recovery-session`,
+                sessionsEndpoint: `${url.protocol}//${url.host}/api/v1/sessions`,
             };
         } catch (error) {
             throw new Error(`Invalid DSN format: ${error.message}. Expected: https://host/project-id`);
         }
     }
 
+    /**
+     * URL prefixes of the SDK's own endpoints
+     *
+     * Used to keep SDK requests out of trace propagation.
+     *
+     * @returns {string[]}
+     */
+    getEndpointPrefixes() {
+        const origin = `${this.dsn.protocol}://${this.dsn.host}`;
+
+        return [
+            `${origin}/api/errors/`,
+            `${origin}/api/logs/`,
+            `${origin}/api/performance/`,
+            `${origin}/api/security/`,
+            `${origin}/api/v1/sessions/`,
+        ];
+    }
+
     /**
    * Send error payload to platform
    *
@@ -152,58 +374,63 @@ export class Transport {
      */
     async sendRecoverySession(recoveryPayload, useBeacon = false) {
         try {
-            // Use dedicated recovery session endpoint
-            const endpoint = `${this.dsn.protocol}://${this.dsn.host}/api/errors/recovery-session`;
-
             if (this.config.debug) {
                 console.warn('ApplicationLogger: Sending recovery session', {
                     sessionId: recoveryPayload.sessionId,
                     eventCount: recoveryPayload.events?.length || 0,
-                    method: useBeacon ? 'sendBeacon' : 'fetch',
+                    method: useBeacon ? 'sendBeacon' : this.getAdapterName(),
                 });
             }
 
-            // Use sendBeacon for page unload (synchronous, guaranteed delivery)
-            if (useBeacon && navigator.sendBeacon) {
-                // sendBeacon cannot send custom headers, so include API key in body
-                const payloadWithAuth = {
-                    ...recoveryPayload,
-                    apiKey: this.apiKey,
-                };
+            // Attach user context (privacy-preserving form) if not already present
+            const user = this.getUser();
+            if (user && !recoveryPayload.user) {
+                recoveryPayload = { ...recoveryPayload, user };
+            }
+
+            if (this.serverRateLimits.isLimited('recovery')) {
+                this.storeRateLimited({ type: 'recovery', payload: recoveryPayload });
+                return { success: false, rateLimited: true };
+            }
 
-                const blob = new Blob([JSON.stringify(payloadWithAuth)], {
-                    type: 'application/json',
+            // Page unload: same path and authentication as flushWithBeacon()
+            if (useBeacon && this.canSendOnUnload()) {
+                const sent = this.sendOnUnload({
+                    url: this.dsn.recoveryEndpoint,
+                    contentType: 'application/json',
+                    body: JSON.stringify(recoveryPayload),
+                    items: [{ type: 'recovery', payload: recoveryPayload }],
                 });
 
-                const sent = navigator.sendBeacon(endpoint, blob);
+                if (!sent) {
+                    throw new Error('Unload send refused (queue full or too large)');
+                }
 
-                if (sent) {
-                    if (this.config.debug) {
-                        console.warn('ApplicationLogger: Recovery session queued via sendBeacon');
-                    }
-                    return { success: true, method: 'beacon' };
-                } else {
-                    throw new Error('sendBeacon failed (queue full or too large)');
+                if (this.config.debug) {
+                    console.warn('ApplicationLogger: Recovery session handed to the browser on unload');
                 }
+                return { success: true, method: this.usesBeaconOnUnload() ? 'beacon' : 'keepalive' };
             }
 
-            // Fallback to fetch (normal case)
-            // Create AbortController for timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5-second timeout (longer for recovery)
+            // Transport adapter (normal case)
+            const encoded = await this.encodeBody(recoveryPayload);
 
-            const response = await fetch(endpoint, {
+            const response = await this.adapter.send({
+                url: this.dsn.recoveryEndpoint,
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': this.apiKey,
-                    'User-Agent': 'ApplicationLogger-JS-SDK/1.0',
-                },
-                body: JSON.stringify(recoveryPayload),
-                signal: controller.signal,
+                headers: this.createHeaders('application/json', encoded.headers),
+                body: encoded.body,
+                timeout: 5000, // 5-second timeout (longer for recovery)
             });
 
-            clearTimeout(timeoutId);
+            if (this.isEncodingRejected(response, encoded)) {
+                return this.sendRecoverySession(recoveryPayload);
+            }
+
+            if (this.serverRateLimits.update(response, ['recovery'])) {
+                this.storeRateLimited({ type: 'recovery', payload: recoveryPayload });
+                return { success: false, rateLimited: true };
+            }
 
             if (!response.ok) {
                 throw new Error(`Recovery session send failed: ${response.status}`);
@@ -217,12 +444,15 @@ export class Transport {
         } catch (error) {
             console.error('ApplicationLogger: Failed to send recovery session', error);
 
-            // Store in queue for retry (best effort)
+            // Store in queue for retry (best effort; synchronously during unload)
             try {
-                this.storageQueue.enqueue({
-                    type: 'recovery',
-                    payload: recoveryPayload,
-                });
+                const item = { type: 'recovery', payload: recoveryPayload };
+
+                if (useBeacon) {
+                    this.storageQueue.enqueueSync([item]);
+                } else {
+                    this.storageQueue.enqueue(item);
+                }
             } catch (queueError) {
                 console.error('ApplicationLogger: Failed to queue recovery session', queueError);
             }
@@ -231,8 +461,195 @@ export class Transport {
         }
     }
 
+    /**
+     * Send user feedback linked to an event_id and session (see ReportDialog)
+     *
+     * Uses the same queue, circuit breaker, retry and offline storage as
+     * errors. Not rate limited or deduplicated - feedback is user-initiated.
+     *
+     * @param {Object} feedback - {event_id, session_id, description, name, url, timestamp}
+     * @returns {Promise<boolean>} True if sent or stored for retry
+     */
+    async sendFeedback(feedback) {
+        try {
+            let payload = this.scrubSensitiveData(feedback);
+
+            // Attach user context (privacy-preserving form) if not already present
+            const user = this.getUser();
+            if (user && !payload.user) {
+                payload = { ...payload, user };
+            }
+
+            // Envelope tells sendToApi (and the offline queue) where it belongs
+            this.queue.push({ type: 'feedback', payload });
+
+            if (!this.sending) {
+                await this.processQueue();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to send feedback', error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a batch of structured log records to the logs endpoint
+     *
+     * Uses the same queue, circuit breaker, retry and offline storage as
+     * errors, with its own rate limit bucket (one token per batch). Rate
+     * limited batches are stored for later retry.
+     *
+     * @param {Object[]} logs - Log records (see LogCollector)
+     * @returns {Promise<boolean>} True if sent or stored for retry
+     */
+    async sendLogs(logs) {
+        try {
+            if (!Array.isArray(logs) || logs.length === 0) {
+                return true;
+            }
+
+            const envelope = this.createLogsEnvelope(logs);
+
+            if (!this.logRateLimiter.consume()) {
+                if (this.config.debug) {
+                    console.warn('ApplicationLogger: Log rate limit exceeded, logs queued');
+                }
+                this.storageQueue.enqueue(envelope);
+                return true;
+            }
+
+            this.queue.push(envelope);
+
+            if (!this.sending) {
+                await this.processQueue();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to send logs', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a batch of log records to the pending items sent on page unload
+     *
+     * A normal send (fetch) is cancelled when the page unloads; pending
+     * items are sent by flushWithBeacon() instead, which the client calls
+     * from its own unload listeners (registered after the LogCollector's).
+     *
+     * @param {Object[]} logs - Log records (see LogCollector)
+     */
+    queueLogsForUnload(logs) {
+        try {
+            if (Array.isArray(logs) && logs.length > 0) {
+                this.queue.push(this.createLogsEnvelope(logs));
+            }
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to queue logs', error);
+        }
+    }
+
+    /**
+     * Add a Web Vitals report to the pending items sent on page unload
+     *
+     * Reports are made when the page is hidden, often right before it
+     * unloads; like queueLogsForUnload(), they go out with flushWithBeacon().
+     *
+     * @param {Object} report - {page_view_id, url, session_id, metrics, ...} (see WebVitals)
+     */
+    queueVitalsForUnload(report) {
+        try {
+            this.queue.push({ type: 'vitals', payload: this.scrubSensitiveData(report) });
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to queue Web Vitals', error);
+        }
+    }
+
+    /**
+     * Build the queue envelope of a log batch (scrubbed, with user context)
+     *
+     * @private
+     * @param {Object[]} logs - Log records
+     * @returns {{type: string, payload: Object}}
+     */
+    createLogsEnvelope(logs) {
+        let payload = this.scrubSensitiveData({ logs });
+
+        const user = this.getUser();
+        if (user) {
+            payload = { ...payload, user };
+        }
+
+        return { type: 'logs', payload };
+    }
+
+    /**
+     * Send a Web Vitals report to the vitals endpoint
+     *
+     * Uses the same queue, circuit breaker, retry and offline storage as
+     * errors. Not rate limited or deduplicated - WebVitals only reports
+     * changed metrics. Reports made while the page is hidden use
+     * queueVitalsForUnload() instead.
+     *
+     * @param {Object} report - {url, session_id, metrics, ...} (see WebVitals)
+     * @returns {Promise<boolean>} True if sent or stored for retry
+     */
+    async sendVitals(report) {
+        try {
+            this.queue.push({ type: 'vitals', payload: this.scrubSensitiveData(report) });
+
+            if (!this.sending) {
+                await this.processQueue();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to send Web Vitals', error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a Content-Security-Policy violation report to the CSP endpoint
+     *
+     * Uses the same queue, circuit breaker, retry and offline storage as
+     * errors. Not rate limited - CspViolationTracker deduplicates per
+     * directive + blocked URI and caps reports per page.
+     *
+     * @param {Object} report - {directive, blocked_uri, disposition, ...} (see CspViolationTracker)
+     * @returns {Promise<boolean>} True if sent or stored for retry
+     */
+    async sendCspViolation(report) {
+        try {
+            let payload = this.scrubSensitiveData(report);
+
+            const user = this.getUser();
+            if (user) {
+                payload = { ...payload, user };
+            }
+
+            this.queue.push({ type: 'csp', payload });
+
+            if (!this.sending) {
+                await this.processQueue();
+            }
+
+            return true;
+        } catch (error) {
+            console.error('ApplicationLogger: Failed to send CSP violation', error);
+            return false;
+        }
+    }
+
     /**
    * Process queued errors
+   *
+   * With batching, waits batchLingerMs for more items (unless a full batch
+   * is queued) and sends them as one envelope. A batch of one item goes to
+   * its own endpoint as a single send.
    */
     async processQueue() {
         if (this.queue.length === 0 || this.sending) {
@@ -242,10 +659,18 @@ export class Transport {
         this.sending = true;
 
         while (this.queue.length > 0) {
-            const payload = this.queue.shift();
+            if (this.batching && this.batchLingerMs > 0 && this.queue.length < this.batchMaxItems) {
+                await this.delay(this.batchLingerMs);
+            }
+
+            const batch = this.batching ? this.takeBatch() : [this.queue.shift()];
 
             try {
-                await this.sendToApi(payload);
+                if (batch.length > 1) {
+                    await this.sendBatch(batch);
+                } else {
+                    await this.sendToApi(batch[0]);
+                }
 
                 if (this.config.debug) {
                     console.warn('ApplicationLogger: Error sent successfully');
@@ -263,6 +688,20 @@ export class Transport {
    * Send payload to API with timeout and retry
    */
     async sendToApi(payload, attempt = 0) {
+        // Offline - not the server's fault, store without retries or circuit failures
+        if (!this.isOnline()) {
+            this.storeOffline(payload);
+            return;
+        }
+
+        // Server asked us to wait - store until the block expires
+        const category = this.getRateLimitCategory(payload);
+        if (this.serverRateLimits.isLimited(category)) {
+            this.storeRateLimited(payload);
+            return;
+        }
+        payload = this.withoutBlockedReplay(payload);
+
         // Check circuit breaker
         if (this.circuitBreaker.isOpen()) {
             if (this.config.debug) {
@@ -272,23 +711,28 @@ export class Transport {
             return;
         }
 
-        // Create AbortController for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 3000); // 3-second timeout
-
         try {
-            const response = await fetch(this.dsn.endpoint, {
+            const request = this.resolveRequest(payload);
+            const encoded = await this.encodeBody(request.body);
+
+            const response = await this.adapter.send({
+                url: request.url,
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': this.apiKey, // Use separate API key, not from DSN
-                    'User-Agent': 'ApplicationLogger-JS-SDK/1.0',
-                },
-                body: JSON.stringify(payload),
-                signal: controller.signal,
+                headers: this.createHeaders('application/json', encoded.headers),
+                body: encoded.body,
+                timeout: 3000, // 3-second timeout
             });
 
-            clearTimeout(timeoutId);
+            // Server can't read gzip - resend as plain JSON (not a failure)
+            if (this.isEncodingRejected(response, encoded)) {
+                return this.sendToApi(payload, attempt);
+            }
+
+            // 429/503 - not a failure, retry after the announced time
+            if (this.serverRateLimits.update(response, [category])) {
+                this.storeRateLimited(payload);
+                return;
+            }
 
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -302,7 +746,11 @@ export class Transport {
 
             return response.json();
         } catch (error) {
-            clearTimeout(timeoutId);
+            // Connection dropped during the request
+            if (!this.isOnline()) {
+                this.storeOffline(payload);
+                return;
+            }
 
             // Handle timeout
             if (error.name === 'AbortError') {
@@ -336,22 +784,365 @@ export class Transport {
         }
     }
 
+    /**
+     * Take the next batch from the queue (at least one item)
+     *
+     * Stops at batchMaxItems or before exceeding batchMaxBytes.
+     *
+     * @private
+     * @returns {Object[]} Queue items
+     */
+    takeBatch() {
+        let size = this.createEnvelope([]).size;
+        let count = 0;
+
+        while (count < this.queue.length && count < this.batchMaxItems) {
+            const item = this.queue[count];
+            const itemSize = Envelope.byteLength(Envelope.serializeItem(this.getBatchItemType(item), this.getBatchItemPayload(item))) + 1;
+
+            // An item larger than batchMaxBytes is sent on its own
+            if (count > 0 && size + itemSize > this.batchMaxBytes) {
+                break;
+            }
+
+            size += itemSize;
+            count++;
+        }
+
+        return this.queue.splice(0, count);
+    }
+
+    /**
+     * Send several queue items as one envelope, with timeout and retry
+     *
+     * Same resilience as sendToApi(): offline and circuit breaker checks,
+     * retries with backoff, storage queue after failures.
+     *
+     * @param {Object[]} items - Error payloads and envelopes
+     * @param {number} [attempt=0] - Retry attempt
+     */
+    async sendBatch(items, attempt = 0) {
+        // Offline - not the server's fault, store without retries or circuit failures
+        if (!this.isOnline()) {
+            items.forEach(item => this.storeOffline(item));
+            return;
+        }
+
+        // Items of blocked categories wait in the storage queue
+        items.filter(item => this.isRateLimited(item)).forEach(item => this.storeRateLimited(item));
+        items = items.filter(item => !this.isRateLimited(item)).map(item => this.withoutBlockedReplay(item));
+        if (items.length === 0) {
+            return;
+        }
+
+        if (this.circuitBreaker.isOpen()) {
+            if (this.config.debug) {
+                console.warn('ApplicationLogger: Circuit breaker is open, batch queued to storage');
+            }
+            items.forEach(item => this.storageQueue.enqueue(item));
+            return;
+        }
+
+        try {
+            const encoded = await this.encodeBody(this.createEnvelope(items).serialize());
+
+            const response = await this.adapter.send({
+                url: this.dsn.batchEndpoint,
+                method: 'POST',
+                headers: this.createHeaders(Envelope.CONTENT_TYPE, encoded.headers),
+                body: encoded.body,
+                timeout: 3000, // 3-second timeout
+            });
+
+            if (this.isEncodingRejected(response, encoded)) {
+                return this.sendBatch(items, attempt);
+            }
+
+            const categories = [...new Set(items.map(item => this.getRateLimitCategory(item)))];
+            if (this.serverRateLimits.update(response, categories)) {
+                items.forEach(item => this.storeRateLimited(item));
+                return;
+            }
+
+            // Server without envelope support - single sends from now on
+            if (Transport.BATCH_UNSUPPORTED_STATUSES.includes(response.status)) {
+                this.batching = false;
+
+                if (this.config.debug) {
+                    console.warn('ApplicationLogger: Server does not accept envelopes, batching disabled');
+                }
+
+                for (const item of items) {
+                    await this.sendToApi(item);
+                }
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.circuitBreaker.recordSuccess();
+            this.flushStoredErrors();
+
+            return response.json();
+        } catch (error) {
+            // Connection dropped during the request
+            if (!this.isOnline()) {
+                items.forEach(item => this.storeOffline(item));
+                return;
+            }
+
+            if (error.name === 'AbortError') {
+                this.circuitBreaker.recordFailure();
+
+                if (this.config.debug) {
+                    console.error('ApplicationLogger: Batch request timeout');
+                }
+
+                items.forEach(item => this.storageQueue.enqueue(item));
+                return;
+            }
+
+            if (attempt < 2) {
+                await this.delay(Math.pow(2, attempt) * 1000);
+
+                return this.sendBatch(items, attempt + 1);
+            }
+
+            this.circuitBreaker.recordFailure();
+
+            if (this.config.debug) {
+                console.error('ApplicationLogger: Max retries reached for batch', error);
+            }
+
+            items.forEach(item => this.storageQueue.enqueue(item));
+        }
+    }
+
+    /**
+     * Server rate limit category of a queue item
+     *
+     * @private
+     * @param {Object} item - Error payload or {type, payload} envelope
+     * @returns {string} errors, recovery, logs, metrics, feedback or csp
+     */
+    getRateLimitCategory(item) {
+        if (item && item.payload && Object.prototype.hasOwnProperty.call(Transport.RATE_LIMIT_CATEGORIES, item.type)) {
+            return Transport.RATE_LIMIT_CATEGORIES[item.type];
+        }
+
+        return 'errors';
+    }
+
+    /**
+     * Check if the server blocked the category of a queue item
+     *
+     * @private
+     * @param {Object} item - Error payload or envelope
+     * @returns {boolean}
+     */
+    isRateLimited(item) {
+        return this.serverRateLimits.isLimited(this.getRateLimitCategory(item));
+    }
+
+    /**
+     * Drop replay data from an error while the server blocks replays
+     *
+     * @private
+     * @param {Object} item - Error payload or envelope
+     * @returns {Object} Item to send
+     */
+    withoutBlockedReplay(item) {
+        if (!item || !item.replay_data || !this.serverRateLimits.isLimited('replays')) {
+            return item;
+        }
+
+        const payload = { ...item };
+        delete payload.replay_data;
+        delete payload.replay_session_id;
+
+        return payload;
+    }
+
+    /**
+     * Store an item the server is not accepting right now
+     *
+     * @private
+     * @param {Object} item - Error payload or envelope
+     */
+    storeRateLimited(item) {
+        if (this.config.debug) {
+            console.warn('ApplicationLogger: Rate limited by server, item queued to storage');
+        }
+
+        this.storageQueue.enqueue(item);
+        this.rateLimited++;
+    }
+
+    /**
+     * Create an envelope for queue items
+     *
+     * @private
+     * @param {Object[]} items - Error payloads and envelopes
+     * @returns {Envelope}
+     */
+    createEnvelope(items) {
+        const envelope = new Envelope({
+            sdk: 'ApplicationLogger-JS-SDK/1.0',
+            sent_at: new Date().toISOString(),
+        });
+
+        items.forEach(item => envelope.add(this.getBatchItemType(item), this.getBatchItemPayload(item)));
+
+        return envelope;
+    }
+
+    /**
+     * Envelope item type of a queue item
+     *
+     * @private
+     * @param {Object} item - Error payload or {type, payload} envelope
+     * @returns {string}
+     */
+    getBatchItemType(item) {
+        if (item && item.payload && Object.prototype.hasOwnProperty.call(Transport.BATCH_ITEM_TYPES, item.type)) {
+            return Transport.BATCH_ITEM_TYPES[item.type];
+        }
+
+        return 'error';
+    }
+
+    /**
+     * Envelope item payload of a queue item
+     *
+     * @private
+     * @param {Object} item - Error payload or {type, payload} envelope
+     * @returns {Object}
+     */
+    getBatchItemPayload(item) {
+        return this.getBatchItemType(item) === 'error' ? item : item.payload;
+    }
+
+    /**
+     * Request headers for SDK endpoints
+     *
+     * @private
+     * @param {string} [contentType='application/json']
+     * @param {Object<string, string>} [extra={}] - e.g. Content-Encoding
+     * @returns {Object<string, string>}
+     */
+    createHeaders(contentType = 'application/json', extra = {}) {
+        return {
+            'Content-Type': contentType,
+            'X-Api-Key': this.apiKey, // Use separate API key, not from DSN
+            'User-Agent': 'ApplicationLogger-JS-SDK/1.0',
+            ...extra,
+        };
+    }
+
+    /**
+     * Name of the transport adapter (for stats and debug output)
+     *
+     * @private
+     * @returns {string} fetch, xhr, beacon, memory or custom
+     */
+    getAdapterName() {
+        return this.adapter.name || 'custom';
+    }
+
+    /**
+     * Serialize a request body, gzipped if supported and worth it
+     *
+     * Bodies below PayloadCompressor.MIN_SIZE are sent as plain JSON, and so
+     * is everything if compression fails.
+     *
+     * @param {Object|string} body - Request body (strings are sent as-is)
+     * @returns {Promise<{body: string|Uint8Array, headers: Object<string, string>}>} Body and extra headers
+     */
+    async encodeBody(body) {
+        const json = typeof body === 'string' ? body : JSON.stringify(body);
+
+        if (this.compression && json.length >= PayloadCompressor.MIN_SIZE) {
+            try {
+                return {
+                    body: await PayloadCompressor.compress(json),
+                    headers: { 'Content-Encoding': 'gzip' },
+                };
+            } catch (error) {
+                if (this.config.debug) {
+                    console.warn('ApplicationLogger: Compression failed, sending plain JSON', error);
+                }
+            }
+        }
+
+        return { body: json, headers: {} };
+    }
+
+    /**
+     * Check if the server rejected a gzipped body (415 Unsupported Media Type)
+     *
+     * Disables compression for the rest of the page, so the caller can resend.
+     *
+     * @param {Response} response - Fetch response
+     * @param {{headers: Object<string, string>}} encoded - Result of encodeBody()
+     * @returns {boolean} True if the request should be resent uncompressed
+     */
+    isEncodingRejected(response, encoded) {
+        if (response.status !== 415 || !encoded.headers['Content-Encoding']) {
+            return false;
+        }
+
+        this.compression = false;
+
+        if (this.config.debug) {
+            console.warn('ApplicationLogger: Server does not accept gzip, compression disabled');
+        }
+
+        return true;
+    }
+
+    /**
+     * Resolve endpoint and body for a queue item
+     *
+     * Error payloads are sent as-is to the ingest endpoint. Feedback, logs,
+     * vitals, CSP reports and recovery sessions are wrapped in a {type, payload}
+     * envelope (see ENVELOPE_ENDPOINTS) so they keep their endpoint in the offline queue.
+     *
+     * @param {Object} item - Error payload or envelope
+     * @returns {{url: string, body: Object}}
+     */
+    resolveRequest(item) {
+        if (this.isEnvelope(item)) {
+            return { url: this.dsn[Transport.ENVELOPE_ENDPOINTS[item.type]], body: item.payload };
+        }
+
+        return { url: this.dsn.endpoint, body: item };
+    }
+
+    /**
+     * Check if a queue item is an envelope (feedback, logs, vitals, csp, recovery)
+     *
+     * @private
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    isEnvelope(item) {
+        return !!(item && Object.prototype.hasOwnProperty.call(Transport.ENVELOPE_ENDPOINTS, item.type) && item.payload);
+    }
+
     /**
    * Check if error is a duplicate
    *
    * Payload uses flat structure (not nested exception object):
-   * {type, message, file, line, stack_trace, ...}
+   * {type, message, file, line, stack_trace, fingerprint, ...}
+   *
+   * Same key as ErrorDetector dedup (see Fingerprinter.getDedupKey)
    */
     isDuplicate(payload) {
         try {
-            // Create hash from error signature (flat payload structure)
-            const signature = JSON.stringify({
-                type: payload.type,
-                message: payload.message,
-                stack: payload.stack_trace?.slice(0, 3), // Top 3 frames
-            });
-
-            const hash = this.simpleHash(signature);
+            // Create hash from custom fingerprint or error signature (flat payload structure)
+            const hash = this.simpleHash(Fingerprinter.getDedupKey(payload));
 
             // Check if we've seen this recently
             if (this.recentErrors.has(hash)) {
@@ -388,14 +1179,37 @@ export class Transport {
         return hash.toString();
     }
 
+    /**
+     * Store an item while the device is offline
+     *
+     * @private
+     * @param {Object} payload - Error payload or envelope
+     */
+    storeOffline(payload) {
+        if (this.config.debug) {
+            console.warn('ApplicationLogger: Offline, error queued to storage');
+        }
+
+        this.storageQueue.enqueue(payload);
+        this.offlineQueued++;
+    }
+
     /**
    * Flush errors from storage queue
+   *
+   * Skipped while offline (the 'online' listener flushes later) and in
+   * tabs that aren't the leader (the leader flushes for all tabs; a new
+   * leader flushes when elected). Items of categories the server blocks
+   * stay stored; the other categories are still flushed.
    */
     async flushStoredErrors() {
         try {
+            // Items and rate limits of previous pages are loaded asynchronously
+            await Promise.all([this.storageQueue.ready, this.serverRateLimits.ready]);
+
             const queueSize = this.storageQueue.size();
 
-            if (queueSize === 0) {
+            if (queueSize === 0 || !this.isOnline() || !this.coordinator.isLeader()) {
                 return;
             }
 
@@ -404,16 +1218,10 @@ export class Transport {
             }
 
             // Limit flush to 5 errors at a time to avoid overwhelming
-            const limit = Math.min(queueSize, 5);
+            const payloads = await this.storageQueue.dequeueMatching(5, item => !this.isRateLimited(item));
 
-            for (let i = 0; i < limit; i++) {
-                const payload = this.storageQueue.dequeue();
-
-                if (payload) {
-                    // Add to queue (but don't recurse infinitely)
-                    this.queue.push(payload);
-                }
-            }
+            // Add to queue (but don't recurse infinitely)
+            this.queue.push(...payloads);
 
             // Process the queue
             if (!this.sending && this.queue.length > 0) {
@@ -441,18 +1249,7 @@ export class Transport {
         const scrubFields = this.config.scrubFields || [];
         const scrubPatterns = [
             ...scrubFields,
-            'password',
-            'passwd',
-            'pwd',
-            'secret',
-            'api_key',
-            'apikey',
-            'token',
-            'auth',
-            'authorization',
-            'private_key',
-            'access_token',
-            'refresh_token',
+            ...Transport.SCRUB_PATTERNS,
         ];
 
         // Deep clone payload (handle circular references)
@@ -543,18 +1340,20 @@ export class Transport {
         }
 
         try {
-            const url = `${this.dsn.protocol}://${this.dsn.host}/api/v1/sessions/${sessionId}/events`;
+            // Non-critical - dropped while the server blocks replays
+            if (this.serverRateLimits.isLimited('replays')) {
+                return;
+            }
 
-            const response = await fetch(url, {
+            const response = await this.adapter.send({
+                url: `${this.dsn.sessionsEndpoint}/${sessionId}/events`,
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': this.apiKey,
-                    'User-Agent': 'ApplicationLogger-JS-SDK/1.0',
-                },
+                headers: this.createHeaders(),
                 body: JSON.stringify(eventData),
             });
 
+            this.serverRateLimits.update(response, ['replays']);
+
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
@@ -577,18 +1376,22 @@ export class Transport {
         }
 
         try {
-            const url = `${this.dsn.protocol}://${this.dsn.host}/api/v1/sessions/${sessionId}/replay`;
+            // Non-critical - dropped while the server blocks replays
+            if (this.serverRateLimits.isLimited('replays')) {
+                return;
+            }
 
-            const response = await fetch(url, {
+            const user = this.getUser();
+
+            const response = await this.adapter.send({
+                url: `${this.dsn.sessionsEndpoint}/${sessionId}/replay`,
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': this.apiKey,
-                    'User-Agent': 'ApplicationLogger-JS-SDK/1.0',
-                },
-                body: JSON.stringify({ clicks }),
+                headers: this.createHeaders(),
+                body: JSON.stringify(user ? { clicks, user } : { clicks }),
             });
 
+            this.serverRateLimits.update(response, ['replays']);
+
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
@@ -606,6 +1409,28 @@ export class Transport {
         }
     }
 
+    /**
+     * Set provider for user context attached to recovery sessions and replay
+     *
+     * @param {Function|null} provider - () => Object|null (privacy-preserving user)
+     */
+    setUserProvider(provider) {
+        this.userProvider = typeof provider === 'function' ? provider : null;
+    }
+
+    /**
+     * Get user context from provider (never throws)
+     *
+     * @returns {Object|null}
+     */
+    getUser() {
+        try {
+            return this.userProvider ? this.userProvider() : null;
+        } catch {
+            return null;
+        }
+    }
+
     /**
    * Get stats for monitoring
    */
@@ -615,56 +1440,186 @@ export class Transport {
             storedErrors: this.storageQueue.size(),
             circuitBreaker: this.circuitBreaker.getState(),
             rateLimitTokens: this.rateLimiter.getTokens(),
+            logRateLimitTokens: this.logRateLimiter.getTokens(),
+            offline: !this.isOnline(),
+            offlineQueued: this.offlineQueued,
+            compression: this.compression,
+            batching: this.batching,
+            transport: this.getAdapterName(),
+            rateLimited: this.rateLimited,
+            serverRateLimits: this.serverRateLimits.getState(),
+            tabLeader: this.coordinator.isLeader(),
         };
     }
 
     /**
-   * Flush pending errors using Beacon API
-   * Called on page unload to ensure errors are sent even as page closes
-   */
+     * Send pending items during page unload
+     *
+     * Same schema and authentication as normal sends: envelopes to the batch
+     * endpoint (single items to their own endpoint when batching is disabled)
+     * with the API key in the X-Api-Key header, or in the api_key query
+     * parameter for sendBeacon, which can't set headers.
+     *
+     * - keepalive fetch through the transport adapter where possible (keeps
+     *   the headers); sendBeacon for the XHR and beacon adapters
+     * - At most unloadMaxBytes in total: browsers share one budget among all
+     *   in-flight beacon/keepalive bodies of a page and refuse the rest
+     * - Pending items of this page are stored synchronously before sending
+     *   (StorageQueue.enqueueSync()); once the browser takes a request, the
+     *   items it carried are removed (StorageQueue.removeSync()). Items of
+     *   refused requests stay stored for the next page load, and items of
+     *   failed keepalive requests are stored again if the page survives.
+     * - Only the leader tab sends the stored queue; other tabs send their
+     *   own pending items
+     * - Items of categories blocked by the server are not sent
+     *
+     * Bodies are plain JSON: there is no time to compress during unload.
+     *
+     * @returns {number} Number of items handed to the browser
+     */
     flushWithBeacon() {
+        let sent = 0;
+
         try {
-            // Get all stored errors (from offline queue)
-            const storedErrors = this.storageQueue.getAll();
+            const pending = this.queue;
+            this.queue = [];
+            this.storageQueue.enqueueSync(pending);
+
+            const stored = this.coordinator.isLeader() ? this.storageQueue.getAll() : [];
+            // enqueueSync() already added the pending items to getAll()
+            const items = [...pending, ...stored.filter(item => !pending.includes(item))];
+
+            for (const request of this.createUnloadRequests(items)) {
+                // Browser refused (budget used up) - the rest stays for the next page load
+                if (!this.sendOnUnload(request)) {
+                    break;
+                }
 
-            // Also include current queue
-            const allErrors = [...this.queue, ...storedErrors];
+                this.storageQueue.removeSync(request.items);
+                sent += request.items.length;
+            }
 
-            if (allErrors.length === 0) {
-                return;
+            if (this.config.debug && sent > 0) {
+                console.warn(`ApplicationLogger: Flushed ${sent} items on page unload`);
             }
+        } catch (error) {
+            // Unload flush failed - errors remain in storage for next session
+            if (this.config.debug) {
+                console.error('ApplicationLogger: Unload flush failed', error);
+            }
+        }
 
-            // Limit to 10 most recent errors to avoid payload size issues
-            const errorsToSend = allErrors.slice(-10);
+        return sent;
+    }
 
-            // Beacon API has limitations with headers, so we include DSN in body
-            const beaconPayload = {
-                dsn: this.config.dsn,
-                errors: errorsToSend,
-            };
+    /**
+     * Create unload requests of at most unloadMaxBytes in total
+     *
+     * Items that don't fit are skipped (smaller ones after them may still fit).
+     *
+     * @private
+     * @param {Object[]} items - Error payloads and envelopes
+     * @returns {Array<{url: string, contentType: string, body: string, items: Object[]}>}
+     */
+    createUnloadRequests(items) {
+        const sendable = items.filter(item => !this.isRateLimited(item));
+
+        if (!this.batching) {
+            const requests = [];
+            let remaining = this.unloadMaxBytes;
 
-            const blob = new Blob([JSON.stringify(beaconPayload)], {
-                type: 'application/json',
+            sendable.forEach((item) => {
+                const request = this.resolveRequest(this.withoutBlockedReplay(item));
+                const body = JSON.stringify(request.body);
+                const size = Envelope.byteLength(body);
+
+                if (size <= remaining) {
+                    requests.push({ url: request.url, contentType: 'application/json', body, items: [item] });
+                    remaining -= size;
+                }
             });
 
-            // Try to send via Beacon API
-            const sent = navigator.sendBeacon(this.dsn.endpoint, blob);
+            return requests;
+        }
 
-            if (sent) {
-                // Successfully queued for sending
-                // Clear the storage queue and current queue
-                this.storageQueue.clear();
-                this.queue = [];
+        // One envelope: every request would repeat the envelope header
+        const envelope = this.createEnvelope([]);
+        const envelopeItems = [];
 
-                if (this.config.debug) {
-                    console.warn(`ApplicationLogger: Flushed ${errorsToSend.length} errors via Beacon API`);
-                }
+        sendable.forEach((item) => {
+            const payload = this.withoutBlockedReplay(item);
+            const type = this.getBatchItemType(payload);
+            const itemPayload = this.getBatchItemPayload(payload);
+            const itemSize = Envelope.byteLength(Envelope.serializeItem(type, itemPayload)) + 1;
+
+            if (envelope.size + itemSize <= this.unloadMaxBytes) {
+                envelope.add(type, itemPayload);
+                envelopeItems.push(item);
             }
-        } catch (error) {
-            // Beacon flush failed - errors remain in storage for next session
-            if (this.config.debug) {
-                console.error('ApplicationLogger: Beacon flush failed', error);
+        });
+
+        return envelopeItems.length > 0
+            ? [{ url: this.dsn.batchEndpoint, contentType: Envelope.CONTENT_TYPE, body: envelope.serialize(), items: envelopeItems }]
+            : [];
+    }
+
+    /**
+     * Check if items can be sent during page unload
+     *
+     * keepalive fetch through the adapter, or sendBeacon for adapters that
+     * can't outlive the page (see sendOnUnload()).
+     *
+     * @returns {boolean}
+     */
+    canSendOnUnload() {
+        return !this.usesBeaconOnUnload() || BeaconTransport.isSupported();
+    }
+
+    /**
+     * Check if unload requests go through sendBeacon
+     *
+     * @private
+     * @returns {boolean} True for the XHR adapter and adapters that can't set headers
+     */
+    usesBeaconOnUnload() {
+        // XHR can't outlive the page, and beacons can't set headers anyway
+        return this.adapter.name === 'xhr' || this.adapter.canSetHeaders === false;
+    }
+
+    /**
+     * Hand one unload request to the browser
+     *
+     * @private
+     * @param {{url: string, contentType: string, body: string, items: Object[]}} request
+     * @returns {boolean} True if the browser took the request (not whether it was delivered)
+     */
+    sendOnUnload(request) {
+        const headers = this.createHeaders(request.contentType);
+
+        if (this.usesBeaconOnUnload()) {
+            if (!BeaconTransport.isSupported()) {
+                return false;
             }
+
+            return this.beacon.sendNow({ url: request.url, headers, body: request.body }).ok;
         }
+
+        let sending;
+        try {
+            sending = this.adapter.send({ url: request.url, method: 'POST', headers, body: request.body, keepalive: true });
+        } catch {
+            return false;
+        }
+
+        // If the page survives (bfcache, hidden tab), still honour the
+        // server's rate limits, and store the items again if the request failed
+        Promise.resolve(sending)
+            .then((response) => {
+                const categories = [...new Set(request.items.map(item => this.getRateLimitCategory(item)))];
+                this.serverRateLimits.update(response, categories);
+            })
+            .catch(() => request.items.forEach(item => this.storageQueue.enqueue(item)));
+
+        return true;
     }
 }
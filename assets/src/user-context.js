@@ -0,0 +1,196 @@
+import { Hash } from './hash.js';
+
+/**
+ * User Context - Privacy-Preserving User Identifiers
+ *
+ * Converts the user set via setUser() into the form that is sent with
+ * errors, recovery sessions and replay data. Emails, usernames and other
+ * attributes are NEVER sent unless explicitly allow-listed.
+ *
+ * PRIVACY MODES:
+ * - 'hashed' (default): {id_hash} - salted SHA-256 of the user ID (Web Crypto)
+ * - 'raw': {id} - the user ID as provided
+ * - 'segment': no identifier, only allow-listed segment attributes
+ *
+ * In every mode, attributes listed in segmentAttributes (e.g. plan, role)
+ * are included so affected users can be counted per segment.
+ *
+ * The salt should be private (e.g. rendered into the page per deployment):
+ * anyone who knows it can hash candidate user IDs and match them.
+ *
+ * Hashing is async (Web Crypto), so hashes are pre-computed and cached like
+ * the session hash in Client.initSessionHash(). Until a user's hash is ready,
+ * events are sent without an identifier (never with the raw ID).
+ *
+ * @example
+ * const userContext = new UserContext({ mode: 'hashed', salt: 'project-salt' });
+ * await userContext.prepare({ id: '42', email: 'jane@example.com', plan: 'pro' });
+ * userContext.serialize({ id: '42', email: 'jane@example.com', plan: 'pro' });
+ * // {id_hash: '9f2c...', plan: 'pro'}
+ */
+export class UserContext {
+    /** @type {string} Send salted SHA-256 of the user ID */
+    static MODE_HASHED = 'hashed';
+    /** @type {string} Send the user ID as-is */
+    static MODE_RAW = 'raw';
+    /** @type {string} Send segment attributes only */
+    static MODE_SEGMENT = 'segment';
+
+    /**
+     * @param {Object} [config] - Configuration options
+     * @param {string} [config.mode='hashed'] - Privacy mode (hashed, raw, segment)
+     * @param {string} [config.salt=''] - Private salt prepended to the user ID before hashing
+     * @param {string[]} [config.segmentAttributes=['plan', 'role', 'segment']] - User attributes to send
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(config = {}) {
+        const modes = [UserContext.MODE_HASHED, UserContext.MODE_RAW, UserContext.MODE_SEGMENT];
+
+        this.config = {
+            mode: modes.includes(config.mode) ? config.mode : UserContext.MODE_HASHED,
+            salt: config.salt || '',
+            segmentAttributes: Array.isArray(config.segmentAttributes)
+                ? config.segmentAttributes
+                : ['plan', 'role', 'segment'],
+            debug: config.debug || false,
+        };
+
+        /** @type {Map<string, string>} User ID -> cached hash */
+        this.hashCache = new Map();
+        /** @type {Map<string, Promise<string|null>>} User ID -> pending hash computation */
+        this.pendingHashes = new Map();
+    }
+
+    /**
+     * Pre-compute the hashed identifier for a user (hashed mode only)
+     *
+     * @param {Object|null} user
+     * @returns {Promise<string|null>} The hash, or null if not applicable
+     */
+    async prepare(user) {
+        const id = this.getUserId(user);
+
+        if (id === null || this.config.mode !== UserContext.MODE_HASHED) {
+            return null;
+        }
+
+        if (this.hashCache.has(id)) {
+            return this.hashCache.get(id);
+        }
+
+        if (!this.pendingHashes.has(id)) {
+            const pending = this.hashId(id)
+                .then(hash => {
+                    this.hashCache.set(id, hash);
+                    return hash;
+                })
+                .catch(error => {
+                    if (this.config.debug) {
+                        console.error('UserContext: Failed to hash user ID', error);
+                    }
+                    return null;
+                })
+                .finally(() => {
+                    this.pendingHashes.delete(id);
+                });
+
+            this.pendingHashes.set(id, pending);
+        }
+
+        return this.pendingHashes.get(id);
+    }
+
+    /**
+     * Convert a user object to its privacy-preserving payload form
+     *
+     * Synchronous: uses cached hashes. On a cache miss the hash is computed
+     * in the background and the identifier is omitted for this event.
+     *
+     * @param {Object|null} user
+     * @returns {Object|null} Payload user object, or null if nothing to send
+     */
+    serialize(user) {
+        try {
+            if (!user || typeof user !== 'object') {
+                return null;
+            }
+
+            const result = {};
+
+            for (const attribute of this.config.segmentAttributes) {
+                const value = user[attribute];
+                if (value !== undefined && value !== null && typeof value !== 'object') {
+                    result[attribute] = value;
+                }
+            }
+
+            const id = this.getUserId(user);
+
+            if (id !== null) {
+                if (this.config.mode === UserContext.MODE_RAW) {
+                    result.id = id;
+                } else if (this.config.mode === UserContext.MODE_HASHED) {
+                    if (this.hashCache.has(id)) {
+                        result.id_hash = this.hashCache.get(id);
+                    } else {
+                        this.prepare(user);
+                    }
+                }
+            }
+
+            return Object.keys(result).length > 0 ? result : null;
+        } catch {
+            // Never crash on user context - send event without user
+            return null;
+        }
+    }
+
+    /**
+     * Get privacy mode
+     *
+     * @returns {string}
+     */
+    getMode() {
+        return this.config.mode;
+    }
+
+    /**
+     * Extract user ID as string (internal)
+     *
+     * @private
+     * @param {Object|null} user
+     * @returns {string|null}
+     */
+    getUserId(user) {
+        if (!user || user.id === undefined || user.id === null || user.id === '') {
+            return null;
+        }
+
+        return String(user.id);
+    }
+
+    /**
+     * Compute salted SHA-256 of a user ID (internal)
+     *
+     * Falls back to the non-cryptographic DJB2 hash (see Hash) for browsers
+     * without Web Crypto.
+     *
+     * @private
+     * @param {string} id
+     * @returns {Promise<string>} 64-character hexadecimal hash
+     */
+    async hashId(id) {
+        const input = `${this.config.salt}:${id}`;
+
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const data = new TextEncoder().encode(input);
+            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(hashBuffer))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
+        }
+
+        // Fallback for old browsers (rare) - same as the session hash
+        return Hash.djb2(input);
+    }
+}
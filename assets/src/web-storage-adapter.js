@@ -0,0 +1,127 @@
+/**
+ * Web Storage Adapter - localStorage / sessionStorage
+ *
+ * Async storage adapter on top of localStorage or sessionStorage. Every
+ * value is stored as JSON, so strings round-trip unchanged ("123" stays a
+ * string). On read, values that aren't valid JSON are returned as plain
+ * strings: raw strings written by earlier SDK versions stay readable, and
+ * the inline nuclear error trap ('_appLogger_nuclear') writes JSON itself.
+ *
+ * getItemSync() / setItemSync() don't wait, for callers that can't: startup
+ * (the session ID) and page unload (StorageQueue.enqueueSync()).
+ *
+ * The storage object is resolved on every call: it may be missing or throw
+ * (private browsing, sandboxed iframes, disabled cookies). Errors such as
+ * QuotaExceededError reject the returned promise - callers decide how to
+ * handle them.
+ *
+ * @example
+ * const storage = new WebStorageAdapter('sessionStorage');
+ * await storage.setItem('app_logger_circuit_breaker', { state: 'open' });
+ */
+export class WebStorageAdapter {
+    /**
+     * @param {string} [type='localStorage'] - 'localStorage' or 'sessionStorage'
+     */
+    constructor(type = 'localStorage') {
+        /** @type {string} Name of the Web Storage object */
+        this.type = type === 'sessionStorage' ? 'sessionStorage' : 'localStorage';
+    }
+
+    /**
+     * Get a value
+     *
+     * @param {string} key
+     * @returns {Promise<*|null>} Parsed value, legacy raw string or null
+     */
+    async getItem(key) {
+        return this.getItemSync(key);
+    }
+
+    /**
+     * Get a value synchronously
+     *
+     * @param {string} key
+     * @returns {*|null} Parsed value, legacy raw string or null
+     * @throws {Error} If the storage is not available
+     */
+    getItemSync(key) {
+        const stored = this.getStorage().getItem(key);
+
+        if (stored === null || stored === undefined) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(stored);
+        } catch {
+            // Raw string of an earlier SDK version
+            return stored;
+        }
+    }
+
+    /**
+     * Store a value
+     *
+     * @param {string} key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async setItem(key, value) {
+        this.setItemSync(key, value);
+    }
+
+    /**
+     * Store a value synchronously
+     *
+     * @param {string} key
+     * @param {*} value - JSON-serializable value
+     * @throws {Error} If the storage is not available or full
+     */
+    setItemSync(key, value) {
+        this.getStorage().setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a value
+     *
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async removeItem(key) {
+        this.getStorage().removeItem(key);
+    }
+
+    /**
+     * Get all stored keys (including keys of other scripts on the origin)
+     *
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        const storage = this.getStorage();
+        const keys = [];
+
+        for (let i = 0; i < storage.length; i++) {
+            keys.push(storage.key(i));
+        }
+
+        return keys;
+    }
+
+    /**
+     * Get the underlying Storage object
+     *
+     * @private
+     * @returns {Storage}
+     * @throws {Error} If the storage is not available
+     */
+    getStorage() {
+        const storage = globalThis[this.type];
+
+        if (!storage) {
+            throw new Error(`${this.type} is not available`);
+        }
+
+        return storage;
+    }
+}
@@ -0,0 +1,548 @@
+import { ClickTracker } from './click-tracker.js';
+
+/**
+ * Web Vitals - Core Web Vitals Collection per Page View
+ *
+ * Collects LCP, CLS, INP, FCP and TTFB with PerformanceObserver and reports
+ * them with the session ID and current URL when the page is hidden
+ * (visibilitychange, pagehide). CLS and INP keep changing while the page is
+ * open, so every hide with changed metrics sends an update; all reports of
+ * a page view share its page_view_id, and the last one holds the final
+ * values.
+ *
+ * The page may be unloading, so reports go out with the transport's unload
+ * delivery (Transport.queueVitalsForUnload(), keepalive fetch or sendBeacon).
+ *
+ * METRICS:
+ * - TTFB: navigation responseStart (minus prerender activationStart)
+ * - FCP: first-contentful-paint paint entry
+ * - LCP: last largest-contentful-paint entry
+ * - CLS: largest session window of layout shifts (1s gap, 5s max) without recent input
+ * - INP: ~98th percentile of interaction latency (longest event entry per interactionId)
+ *
+ * ATTRIBUTION:
+ * - Element selectors via ClickTracker.generateSelector (privacy-safe)
+ * - load_state: document load phase at the time of the metric
+ *   (loading, dom-interactive, dom-content-loaded, complete)
+ * - Phase breakdowns for TTFB, LCP and INP
+ *
+ * Metrics the browser does not support are omitted from the report.
+ *
+ * @example
+ * const vitals = new WebVitals(transport, sessionManager, { release: '1.2.3' });
+ * vitals.install();
+ */
+export class WebVitals {
+    /** @type {Object<string, number[]>} [good, poor] thresholds per metric */
+    static THRESHOLDS = {
+        lcp: [2500, 4000],
+        cls: [0.1, 0.25],
+        inp: [200, 500],
+        fcp: [1800, 3000],
+        ttfb: [800, 1800],
+    };
+
+    /** @type {number} Max interactions kept for the INP estimate */
+    static MAX_INTERACTIONS = 10;
+
+    /**
+     * @param {Transport} transport - Transport used to send the report
+     * @param {SessionManager|null} sessionManager - Session manager for the session ID (optional)
+     * @param {Object} [config] - Configuration options
+     * @param {string} [config.release] - Application release
+     * @param {string} [config.environment] - Environment
+     * @param {boolean} [config.debug=false] - Enable debug logging
+     */
+    constructor(transport, sessionManager = null, config = {}) {
+        this.transport = transport;
+        this.sessionManager = sessionManager;
+        this.config = {
+            release: config.release || null,
+            environment: config.environment || 'production',
+            debug: config.debug || false,
+        };
+
+        /** @type {Object<string, Object>} Collected metrics by name */
+        this.metrics = {};
+        this.observers = [];
+        this.installed = false;
+
+        /** @type {string} Shared by all reports of this page view */
+        this.pageViewId = this.generatePageViewId();
+        /** @type {string|null} Metrics of the last report (JSON) */
+        this.lastReported = null;
+
+        // CLS session window state
+        this.clsWindow = { value: 0, entries: [] };
+
+        // INP: longest interactions, by interactionId
+        this.interactions = new Map();
+        this.interactionCount = 0;
+    }
+
+    /**
+     * Start observing and report whenever the page is hidden
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+
+        try {
+            this.collectTtfb();
+
+            this.observe('paint', entries => this.handlePaintEntries(entries));
+            this.observe('largest-contentful-paint', entries => this.handleLcpEntries(entries));
+            this.observe('layout-shift', entries => this.handleLayoutShiftEntries(entries));
+            this.observe('event', entries => this.handleEventEntries(entries), { durationThreshold: 40 });
+            this.observe('first-input', entries => this.handleEventEntries(entries));
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.report();
+                }
+            });
+
+            // Fallback for browsers that skip visibilitychange on unload
+            window.addEventListener('pagehide', () => {
+                this.report();
+            });
+
+            this.installed = true;
+        } catch (error) {
+            console.error('WebVitals: Failed to install', error);
+        }
+    }
+
+    /**
+     * Send the collected metrics (if they changed since the last report)
+     *
+     * The report is queued synchronously for the unload delivery that runs
+     * after this listener.
+     *
+     * @returns {Promise<boolean>} True if a report was queued
+     */
+    async report() {
+        try {
+            const metrics = this.getMetrics();
+            const key = JSON.stringify(metrics);
+
+            if (Object.keys(metrics).length === 0 || key === this.lastReported) {
+                return false;
+            }
+
+            this.lastReported = key;
+
+            const report = {
+                page_view_id: this.pageViewId,
+                url: window.location.href,
+                session_id: this.sessionManager ? this.sessionManager.getSessionId() : null,
+                release: this.config.release,
+                environment: this.config.environment,
+                navigation_type: this.getNavigationEntry()?.type || null,
+                timestamp: new Date().toISOString(),
+                metrics,
+            };
+
+            // Drop empty fields to reduce payload size
+            for (const key of Object.keys(report)) {
+                if (report[key] === null) {
+                    delete report[key];
+                }
+            }
+
+            if (this.config.debug) {
+                console.warn('WebVitals: Reporting', metrics);
+            }
+
+            this.transport.queueVitalsForUnload(report);
+            return true;
+        } catch (error) {
+            // Never crash on reporting
+            if (this.config.debug) {
+                console.error('WebVitals: Failed to report', error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Get the metrics collected so far (with ratings)
+     *
+     * @returns {Object<string, {value: number, rating: string, attribution: Object}>}
+     */
+    getMetrics() {
+        const metrics = { ...this.metrics };
+        const inp = this.getInp();
+
+        if (inp) {
+            metrics.inp = inp;
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Stop all performance observers
+     */
+    cleanup() {
+        for (const observer of this.observers) {
+            try {
+                observer.disconnect();
+            } catch {
+                // Ignore
+            }
+        }
+        this.observers = [];
+    }
+
+    /**
+     * Handle paint entries (FCP)
+     *
+     * @param {PerformanceEntry[]} entries
+     */
+    handlePaintEntries(entries) {
+        const entry = entries.find(e => e.name === 'first-contentful-paint');
+
+        if (!entry || this.metrics.fcp) {
+            return;
+        }
+
+        const value = Math.max(entry.startTime - this.getActivationStart(), 0);
+        const ttfb = this.metrics.ttfb?.value ?? 0;
+
+        this.setMetric('fcp', value, {
+            time_to_first_byte: ttfb,
+            first_byte_to_fcp: Math.max(value - ttfb, 0),
+            load_state: this.getLoadState(entry.startTime),
+        });
+    }
+
+    /**
+     * Handle largest-contentful-paint entries (LCP, last entry wins)
+     *
+     * @param {PerformanceEntry[]} entries
+     */
+    handleLcpEntries(entries) {
+        const entry = entries[entries.length - 1];
+
+        if (!entry) {
+            return;
+        }
+
+        const activationStart = this.getActivationStart();
+        const value = Math.max(entry.startTime - activationStart, 0);
+        const ttfb = this.metrics.ttfb?.value ?? 0;
+
+        // Load phases: TTFB > resource load delay > resource load > render delay
+        const resource = entry.url ? this.getResourceEntry(entry.url) : null;
+        const requestStart = resource
+            ? Math.max(ttfb, (resource.requestStart || resource.startTime) - activationStart)
+            : ttfb;
+        const responseEnd = resource
+            ? Math.max(requestStart, resource.responseEnd - activationStart)
+            : ttfb;
+
+        this.setMetric('lcp', value, {
+            element: this.getSelector(entry.element),
+            url: entry.url || null,
+            time_to_first_byte: ttfb,
+            resource_load_delay: requestStart - ttfb,
+            resource_load_duration: responseEnd - requestStart,
+            element_render_delay: Math.max(value - responseEnd, 0),
+            load_state: this.getLoadState(entry.startTime),
+        });
+    }
+
+    /**
+     * Handle layout-shift entries (CLS, largest session window)
+     *
+     * @param {PerformanceEntry[]} entries
+     */
+    handleLayoutShiftEntries(entries) {
+        for (const entry of entries) {
+            // Shifts right after user input are expected
+            if (entry.hadRecentInput) {
+                continue;
+            }
+
+            const first = this.clsWindow.entries[0];
+            const last = this.clsWindow.entries[this.clsWindow.entries.length - 1];
+
+            // New window after a 1s gap or when the window exceeds 5s
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                this.clsWindow.value += entry.value;
+                this.clsWindow.entries.push(entry);
+            } else {
+                this.clsWindow = { value: entry.value, entries: [entry] };
+            }
+
+            if (!this.metrics.cls || this.clsWindow.value > this.metrics.cls.value) {
+                const largest = this.clsWindow.entries.reduce((a, b) => (b.value > a.value ? b : a));
+                const source = (largest.sources || []).find(s => s.node) || null;
+
+                this.setMetric('cls', this.clsWindow.value, {
+                    largest_shift_target: source ? this.getSelector(source.node) : null,
+                    largest_shift_time: Math.round(largest.startTime),
+                    largest_shift_value: Math.round(largest.value * 10000) / 10000,
+                    load_state: this.getLoadState(largest.startTime),
+                });
+            }
+        }
+    }
+
+    /**
+     * Handle event and first-input entries (INP candidates)
+     *
+     * @param {PerformanceEntry[]} entries
+     */
+    handleEventEntries(entries) {
+        for (const entry of entries) {
+            // Only entries that belong to a discrete interaction count
+            if (!entry.interactionId) {
+                continue;
+            }
+
+            const existing = this.interactions.get(entry.interactionId);
+
+            if (!existing) {
+                this.interactionCount++;
+            }
+
+            if (existing && existing.duration >= entry.duration) {
+                continue;
+            }
+
+            this.interactions.set(entry.interactionId, {
+                duration: entry.duration,
+                entry,
+                loadState: this.getLoadState(entry.startTime),
+            });
+
+            // Keep only the longest interactions
+            if (this.interactions.size > WebVitals.MAX_INTERACTIONS) {
+                const shortest = [...this.interactions.entries()].reduce((a, b) => (b[1].duration < a[1].duration ? b : a));
+                this.interactions.delete(shortest[0]);
+            }
+        }
+    }
+
+    /**
+     * Observe a performance entry type (buffered), if supported
+     *
+     * @private
+     * @param {string} type
+     * @param {Function} callback - (entries) => void
+     * @param {Object} [options]
+     */
+    observe(type, callback, options = {}) {
+        try {
+            if (typeof PerformanceObserver === 'undefined' ||
+                !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+                return;
+            }
+
+            const observer = new PerformanceObserver(list => {
+                try {
+                    callback(list.getEntries());
+                } catch (error) {
+                    if (this.config.debug) {
+                        console.warn(`WebVitals: Failed to handle ${type} entries`, error);
+                    }
+                }
+            });
+
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+        } catch (error) {
+            if (this.config.debug) {
+                console.warn(`WebVitals: Cannot observe ${type}`, error);
+            }
+        }
+    }
+
+    /**
+     * Collect TTFB from the navigation entry
+     *
+     * @private
+     */
+    collectTtfb() {
+        const navigation = this.getNavigationEntry();
+
+        if (!navigation || !(navigation.responseStart > 0)) {
+            return;
+        }
+
+        const activationStart = this.getActivationStart();
+        const dnsStart = navigation.domainLookupStart || 0;
+
+        this.setMetric('ttfb', Math.max(navigation.responseStart - activationStart, 0), {
+            waiting_duration: Math.max(dnsStart - activationStart, 0),
+            dns_duration: Math.max((navigation.domainLookupEnd || 0) - dnsStart, 0),
+            connection_duration: Math.max((navigation.connectEnd || 0) - (navigation.connectStart || 0), 0),
+            request_duration: Math.max(navigation.responseStart - (navigation.requestStart || 0), 0),
+        });
+    }
+
+    /**
+     * Estimate INP from the longest interactions (~98th percentile)
+     *
+     * @private
+     * @returns {Object|null}
+     */
+    getInp() {
+        if (this.interactions.size === 0) {
+            return null;
+        }
+
+        // Ignore one outlier per 50 interactions
+        const sorted = [...this.interactions.values()].sort((a, b) => b.duration - a.duration);
+        const candidate = sorted[Math.min(sorted.length - 1, Math.floor(this.interactionCount / 50))];
+        const entry = candidate.entry;
+        const processingStart = entry.processingStart || entry.startTime;
+        const processingEnd = entry.processingEnd || processingStart;
+
+        return this.createMetric('inp', candidate.duration, {
+            target: this.getSelector(entry.target),
+            event_type: entry.name,
+            input_delay: Math.max(processingStart - entry.startTime, 0),
+            processing_duration: Math.max(processingEnd - processingStart, 0),
+            presentation_delay: Math.max(entry.startTime + entry.duration - processingEnd, 0),
+            load_state: candidate.loadState,
+        });
+    }
+
+    /**
+     * Store a metric
+     *
+     * @private
+     * @param {string} name
+     * @param {number} value
+     * @param {Object} attribution
+     */
+    setMetric(name, value, attribution) {
+        this.metrics[name] = this.createMetric(name, value, attribution);
+    }
+
+    /**
+     * Build a metric with rating (ms values rounded, CLS to 4 decimals)
+     *
+     * @private
+     * @param {string} name
+     * @param {number} value
+     * @param {Object} attribution
+     * @returns {{value: number, rating: string, attribution: Object}}
+     */
+    createMetric(name, value, attribution) {
+        const [good, poor] = WebVitals.THRESHOLDS[name];
+        const rounded = name === 'cls' ? Math.round(value * 10000) / 10000 : Math.round(value);
+        const cleanAttribution = {};
+
+        for (const [key, attributionValue] of Object.entries(attribution)) {
+            if (attributionValue !== null && attributionValue !== undefined) {
+                // Attribution timings in whole ms (CLS attribution is rounded at the source)
+                cleanAttribution[key] = typeof attributionValue === 'number' && name !== 'cls'
+                    ? Math.round(attributionValue)
+                    : attributionValue;
+            }
+        }
+
+        return {
+            value: rounded,
+            rating: value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor',
+            attribution: cleanAttribution,
+        };
+    }
+
+    /**
+     * Get the document load phase at a point in time
+     *
+     * @private
+     * @param {number} timestamp - High resolution time (performance.now() based)
+     * @returns {string}
+     */
+    getLoadState(timestamp) {
+        const navigation = this.getNavigationEntry();
+
+        if (!navigation) {
+            return document.readyState === 'loading' ? 'loading' : 'complete';
+        }
+        if (!navigation.domInteractive || timestamp < navigation.domInteractive) {
+            return 'loading';
+        }
+        if (!navigation.domContentLoadedEventStart || timestamp < navigation.domContentLoadedEventStart) {
+            return 'dom-interactive';
+        }
+        if (!navigation.domComplete || timestamp < navigation.domComplete) {
+            return 'dom-content-loaded';
+        }
+        return 'complete';
+    }
+
+    /**
+     * Get a privacy-safe selector for an element
+     *
+     * @private
+     * @param {Element|null} element
+     * @returns {string|null}
+     */
+    getSelector(element) {
+        if (!element || element.nodeType !== 1) {
+            return null;
+        }
+        return ClickTracker.generateSelector(element) || null;
+    }
+
+    /**
+     * @private
+     * @returns {PerformanceNavigationTiming|null}
+     */
+    getNavigationEntry() {
+        try {
+            return performance.getEntriesByType('navigation')[0] || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} url
+     * @returns {PerformanceResourceTiming|null}
+     */
+    getResourceEntry(url) {
+        try {
+            return performance.getEntriesByType('resource').find(entry => entry.name === url) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Generate the page view ID (UUID v4 where available)
+     *
+     * @private
+     * @returns {string}
+     */
+    generatePageViewId() {
+        try {
+            if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+                return crypto.randomUUID();
+            }
+        } catch {
+            // Fall through
+        }
+
+        return `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    }
+
+    /**
+     * Prerendered pages start measuring at activation
+     *
+     * @private
+     * @returns {number}
+     */
+    getActivationStart() {
+        return this.getNavigationEntry()?.activationStart || 0;
+    }
+}
@@ -0,0 +1,71 @@
+import { TransportResult } from './transport-result.js';
+
+/**
+ * XHR Transport - XMLHttpRequest Transport Adapter
+ *
+ * For older embedded browsers and WebViews without fetch(). Timeouts
+ * reject with an AbortError and network errors with a TypeError, matching
+ * FetchTransport, so the resilience layers handle both the same way.
+ *
+ * @example
+ * const logger = new ApplicationLogger({ dsn, apiKey, transport: 'xhr' });
+ */
+export class XhrTransport {
+    constructor() {
+        /** @type {string} */
+        this.name = 'xhr';
+    }
+
+    /**
+     * Send a request
+     *
+     * @param {Object} request - See FetchTransport.send()
+     * @returns {Promise<TransportResult>}
+     */
+    send(request) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+
+            xhr.open(request.method || 'POST', request.url, true);
+            xhr.timeout = request.timeout || 0;
+
+            Object.entries(request.headers || {}).forEach(([name, value]) => {
+                // Forbidden header in browsers (set by the browser itself)
+                if (name.toLowerCase() !== 'user-agent') {
+                    xhr.setRequestHeader(name, value);
+                }
+            });
+
+            xhr.onload = () => resolve(new TransportResult({
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: this.parseHeaders(xhr.getAllResponseHeaders()),
+                body: xhr.responseText,
+            }));
+            xhr.onerror = () => reject(new TypeError('Network request failed'));
+            xhr.ontimeout = () => reject(new DOMException('Request timed out', 'AbortError'));
+
+            xhr.send(request.body);
+        });
+    }
+
+    /**
+     * Parse raw response headers ("Name: value" lines)
+     *
+     * @private
+     * @param {string} raw
+     * @returns {Object<string, string>}
+     */
+    parseHeaders(raw) {
+        const headers = {};
+
+        (raw || '').trim().split(/[\r\n]+/).forEach((line) => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+            }
+        });
+
+        return headers;
+    }
+}
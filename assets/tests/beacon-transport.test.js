@@ -0,0 +1,65 @@
+/**
+ * Unit tests for BeaconTransport
+ *
+ * Tests the sendBeacon transport adapter:
+ * - Blob type from Content-Type
+ * - API key as query parameter
+ * - Result when the browser refuses the beacon
+ */
+import { BeaconTransport } from '../src/beacon-transport.js';
+
+describe('BeaconTransport', () => {
+    const originalSendBeacon = navigator.sendBeacon;
+    let beacons;
+    let accept;
+
+    beforeEach(() => {
+        beacons = [];
+        accept = true;
+        navigator.sendBeacon = (url, data) => {
+            beacons.push({ url, data });
+            return accept;
+        };
+    });
+
+    afterEach(() => {
+        navigator.sendBeacon = originalSendBeacon;
+    });
+
+    test('sends the body as a Blob with the API key in the URL', async () => {
+        const result = await new BeaconTransport().send({
+            url: 'https://logger.test/api/errors/ingest',
+            headers: { 'Content-Type': 'application/x-ndjson', 'X-Api-Key': 'a key' },
+            body: '{}\n',
+        });
+
+        expect(result.ok).toBe(true);
+        expect(result.status).toBe(202);
+        expect(beacons[0].url).toBe('https://logger.test/api/errors/ingest?api_key=a%20key');
+        expect(beacons[0].data.type).toBe('application/x-ndjson');
+        expect(beacons[0].data.size).toBe(3);
+    });
+
+    test('keeps the URL without API key header', () => {
+        new BeaconTransport().sendNow({ url: 'https://logger.test/?a=1', body: '{}' });
+
+        expect(beacons[0].url).toBe('https://logger.test/?a=1');
+        expect(beacons[0].data.type).toBe('application/json');
+    });
+
+    test('reports beacons the browser did not queue', () => {
+        accept = false;
+
+        const result = new BeaconTransport().sendNow({ url: 'https://logger.test/', body: '{}' });
+
+        expect(result.ok).toBe(false);
+        expect(result.status).toBe(0);
+    });
+
+    test('rejects without sendBeacon support', async () => {
+        navigator.sendBeacon = undefined;
+
+        expect(BeaconTransport.isSupported()).toBe(false);
+        await expect(new BeaconTransport().send({ url: 'https://logger.test/', body: '{}' })).rejects.toThrow(TypeError);
+    });
+});
@@ -6,9 +6,11 @@
  * - Navigation tracking (SPA route changes)
  * - Console message capture
  * - HTTP request tracking
+ * - Trace context propagation (fetch and XHR)
  * - Breadcrumb limiting (memory management)
  */
 import { BreadcrumbCollector } from '../src/breadcrumbs.js';
+import { TraceContext } from '../src/trace-context.js';
 
 describe('BreadcrumbCollector', () => {
     let breadcrumbs;
@@ -256,6 +258,30 @@ describe('BreadcrumbCollector', () => {
     });
 
     describe('Console message capture', () => {
+        test('auto-captures errors passed to console.error as automatic', () => {
+            /* eslint-disable no-console */
+            const originals = ['log', 'info', 'warn', 'error', 'debug'].map(level => [level, console[level]]);
+            const captured = [];
+            const collector = new BreadcrumbCollector(10, (error, options) => captured.push({ error, options }));
+            const error = new Error('Save failed');
+
+            try {
+                console.error = () => {};
+                collector.wrapConsole();
+                console.error('Checkout:', error);
+            } finally {
+                originals.forEach(([level, original]) => {
+                    console[level] = original;
+                });
+            }
+            /* eslint-enable no-console */
+
+            expect(captured).toHaveLength(1);
+            expect(captured[0].error).toBe(error);
+            // Not the app's lastEventId()
+            expect(captured[0].options).toMatchObject({ extra: { consoleError: true, consoleMessage: 'Checkout:' }, automatic: true });
+        });
+
         test('captures console.log as info level', () => {
             /* eslint-disable no-console */
             const originalLog = console.log;
@@ -444,6 +470,158 @@ describe('BreadcrumbCollector', () => {
         });
     });
 
+    describe('Trace context propagation', () => {
+        const originalXMLHttpRequest = global.XMLHttpRequest;
+        let requests;
+
+        // Minimal XHR that finishes with a fixed status on send()
+        class FakeXhr {
+            static status = 200;
+
+            open(method, url) {
+                this.method = method;
+                this.url = url;
+                this.headers = {};
+                this.listeners = {};
+            }
+
+            setRequestHeader(name, value) {
+                this.headers[name] = value;
+            }
+
+            addEventListener(type, listener) {
+                this.listeners[type] = listener;
+            }
+
+            send() {
+                this.status = FakeXhr.status;
+                requests.push(this);
+                this.listeners.loadend?.();
+            }
+        }
+
+        beforeEach(() => {
+            requests = [];
+            window.location = { href: 'https://app.test/checkout' };
+            window.fetch = async (input, init = {}) => {
+                requests.push({ input, init });
+                return { ok: !String(input).includes('fail'), status: String(input).includes('fail') ? 500 : 200 };
+            };
+
+            breadcrumbs = new BreadcrumbCollector(10, null, new TraceContext({
+                sessionProvider: () => 'session-123',
+            }));
+        });
+
+        afterEach(() => {
+            global.XMLHttpRequest = originalXMLHttpRequest;
+        });
+
+        test('adds trace headers to same-origin fetch and stores the trace ID', async () => {
+            breadcrumbs.wrapFetch();
+
+            await window.fetch('/api/cart', { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+
+            const headers = requests[0].init.headers;
+            const traceId = breadcrumbs.get()[0].data.trace_id;
+            expect(headers.get('traceparent')).toMatch(new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`));
+            expect(headers.get('X-AppLogger-Session')).toBe('session-123');
+            expect(headers.get('tracestate')).toBe('applogger=s:session-123');
+            expect(headers.get('Content-Type')).toBe('application/json');
+            expect(requests[0].init.method).toBe('POST');
+        });
+
+        test('does not add headers to cross-origin fetch', async () => {
+            breadcrumbs.wrapFetch();
+
+            await window.fetch('https://cdn.example.com/data.json');
+
+            expect(requests[0].init).toEqual({});
+            expect(breadcrumbs.get()[0].data).not.toHaveProperty('trace_id');
+        });
+
+        test('keeps an existing traceparent', async () => {
+            const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+            breadcrumbs.wrapFetch();
+
+            await window.fetch('/api/cart', { headers: { traceparent } });
+
+            expect(requests[0].init.headers).toEqual({ traceparent });
+            expect(breadcrumbs.get()[0].data.trace_id).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        });
+
+        test('remembers the trace ID of the last failed traced request', async () => {
+            breadcrumbs.wrapFetch();
+
+            await window.fetch('/api/ok');
+            expect(breadcrumbs.getLastFailedTraceId()).toBeNull();
+
+            await window.fetch('/api/fail');
+            const failedTraceId = breadcrumbs.get()[1].data.trace_id;
+
+            // Untraced failures keep the previous trace ID
+            await window.fetch('https://cdn.example.com/fail');
+
+            expect(breadcrumbs.getLastFailedTraceId()).toBe(failedTraceId);
+        });
+
+        test('forgets the failed trace ID once taken or expired', () => {
+            breadcrumbs.recordFailedTrace('4bf92f3577b34da6a3ce929d0e0e4736');
+
+            expect(breadcrumbs.takeLastFailedTraceId()).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+            expect(breadcrumbs.takeLastFailedTraceId()).toBeNull();
+
+            breadcrumbs.recordFailedTrace('4bf92f3577b34da6a3ce929d0e0e4736');
+            breadcrumbs.lastFailedTrace.timestamp -= BreadcrumbCollector.FAILED_TRACE_TTL_MS + 1;
+
+            expect(breadcrumbs.getLastFailedTraceId()).toBeNull();
+        });
+
+        test('fetch waits for a session still loading from async storage', async () => {
+            let sessionId = null;
+            let loadSession;
+            const pending = new Promise((resolve) => {
+                loadSession = resolve;
+            });
+            breadcrumbs = new BreadcrumbCollector(10, null, new TraceContext({
+                sessionProvider: () => sessionId,
+                pendingSessionProvider: () => (sessionId ? null : pending),
+            }));
+            breadcrumbs.wrapFetch();
+
+            const request = window.fetch('/api/cart');
+            await Promise.resolve();
+            expect(requests).toHaveLength(0);
+
+            sessionId = 'session-456';
+            loadSession();
+            await request;
+
+            expect(requests[0].init.headers.get('X-AppLogger-Session')).toBe('session-456');
+        });
+
+        test('adds trace headers and breadcrumbs for XHR', () => {
+            global.XMLHttpRequest = FakeXhr;
+            FakeXhr.status = 503;
+            breadcrumbs.wrapXhr();
+
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', '/api/stock');
+            xhr.send();
+
+            const crumb = breadcrumbs.get()[0];
+            expect(xhr.headers.traceparent).toContain(crumb.data.trace_id);
+            expect(xhr.headers['X-AppLogger-Session']).toBe('session-123');
+            expect(crumb).toMatchObject({
+                category: 'xhr',
+                message: 'GET /api/stock',
+                data: { status_code: 503 },
+                level: 'warning',
+            });
+            expect(breadcrumbs.getLastFailedTraceId()).toBe(crumb.data.trace_id);
+        });
+    });
+
     describe('Real-world debugging scenarios', () => {
         test('tracks sequence leading to error', () => {
             // Simulate user journey that leads to an error
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for BrowserReportObserver
+ *
+ * Tests ReportingObserver integration:
+ * - deprecation, intervention and crash reports become warning events
+ * - Grouping per report type + ID and reported source location
+ * - Once per session deduplication
+ */
+import { BrowserReportObserver } from '../src/browser-report-observer.js';
+import { SessionDedupStore } from '../src/session-dedup-store.js';
+
+describe('BrowserReportObserver', () => {
+    const originalReportingObserver = global.ReportingObserver;
+
+    let captured;
+    let observer;
+
+    const deprecation = {
+        type: 'deprecation',
+        url: 'https://app.test/checkout?token=abc',
+        body: {
+            id: 'UnloadHandler',
+            message: 'Unload event listeners are deprecated and will be removed.',
+            sourceFile: 'https://app.test/build/app.js',
+            lineNumber: 42,
+            columnNumber: 7,
+            anticipatedRemoval: '2026-01-01',
+        },
+    };
+
+    const createObserver = (config = {}) => new BrowserReportObserver((message, level, options) => {
+        captured.push({ message, level, options });
+    }, {
+        sessionProvider: () => 'session-1',
+        ...config,
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        captured = [];
+        observer = createObserver();
+    });
+
+    afterEach(() => {
+        observer.cleanup();
+        global.ReportingObserver = originalReportingObserver;
+    });
+
+    describe('handleReports', () => {
+        test('converts a deprecation into a warning event with its own grouping', async () => {
+            await observer.handleReports([deprecation]);
+
+            expect(captured).toHaveLength(1);
+            expect(captured[0].message).toBe('Deprecation: Unload event listeners are deprecated and will be removed.');
+            expect(captured[0].level).toBe('warning');
+            expect(captured[0].options).toEqual({
+                tags: { report_type: 'deprecation', report_id: 'UnloadHandler' },
+                extra: {
+                    filename: 'https://app.test/build/app.js',
+                    lineno: 42,
+                    report: {
+                        type: 'deprecation',
+                        id: 'UnloadHandler',
+                        message: 'Unload event listeners are deprecated and will be removed.',
+                        source_file: 'https://app.test/build/app.js',
+                        line_number: 42,
+                        column_number: 7,
+                        anticipated_removal: '2026-01-01',
+                        url: 'https://app.test/checkout?token=[REDACTED]',
+                    },
+                },
+                fingerprint: ['browser-report', 'deprecation', 'UnloadHandler'],
+                stackTrace: [],
+            });
+        });
+
+        test('converts interventions and crashes', async () => {
+            await observer.handleReports([
+                { type: 'intervention', url: 'https://app.test/', body: { id: 'HeavyAdIntervention', message: 'Ad was removed' } },
+                { type: 'crash', url: 'https://app.test/', body: { reason: 'oom' } },
+            ]);
+
+            expect(captured.map(event => event.message)).toEqual(['Intervention: Ad was removed', 'Crash: oom']);
+            expect(captured[1].options.fingerprint).toEqual(['browser-report', 'crash', 'oom']);
+            expect(captured[1].options.extra).not.toHaveProperty('filename');
+        });
+
+        test('ignores report types that are not observed', async () => {
+            observer = createObserver({ types: ['deprecation'] });
+
+            await observer.handleReports([{ type: 'intervention', body: { id: 'X' } }]);
+
+            expect(captured).toHaveLength(0);
+        });
+    });
+
+    describe('deduplication', () => {
+        test('sends each report ID once per session, across page loads', async () => {
+            await observer.handleReports([deprecation, deprecation]);
+            await createObserver().handleReports([deprecation]);
+
+            expect(captured).toHaveLength(1);
+            expect(observer.getStats()).toEqual({ captured: 1, deduplicated: 1 });
+        });
+
+        test('sends again in a new session', async () => {
+            await observer.handleReports([deprecation]);
+
+            await createObserver({ sessionProvider: () => 'session-2' }).handleReports([deprecation]);
+
+            expect(captured).toHaveLength(2);
+        });
+
+        test('accepts a custom dedup store', async () => {
+            const dedupStore = new SessionDedupStore({ storageKey: 'custom_key', sessionProvider: () => 'session-1' });
+            observer = createObserver({ dedupStore });
+
+            await observer.handleReports([deprecation]);
+
+            expect(dedupStore.has('deprecation:UnloadHandler')).toBe(true);
+        });
+    });
+
+    describe('install', () => {
+        test('observes configured types including buffered reports', async () => {
+            const instances = [];
+            global.ReportingObserver = class {
+                constructor(callback, options) {
+                    this.callback = callback;
+                    this.options = options;
+                    instances.push(this);
+                }
+
+                observe() {
+                    this.observing = true;
+                }
+
+                disconnect() {}
+            };
+
+            observer.install();
+            await instances[0].callback([deprecation]);
+
+            expect(instances[0].options).toEqual({ types: ['deprecation', 'intervention', 'crash'], buffered: true });
+            expect(instances[0].observing).toBe(true);
+            expect(captured).toHaveLength(1);
+        });
+
+        test('does nothing without ReportingObserver', () => {
+            global.ReportingObserver = undefined;
+
+            expect(() => observer.install()).not.toThrow();
+            expect(observer.observer).toBeNull();
+        });
+    });
+});
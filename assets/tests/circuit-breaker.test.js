@@ -5,9 +5,37 @@
  * - State transitions (CLOSED -> OPEN -> HALF_OPEN -> CLOSED)
  * - Failure counting and threshold
  * - Timeout-based recovery
- * - State persistence via sessionStorage
+ * - State persistence via sessionStorage (or a storage adapter)
+ * - State shared with other tabs
  */
 import { CircuitBreaker } from '../src/circuit-breaker.js';
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+
+// Coordinator of one "tab"; tabs created with the same bus receive each other's messages
+class FakeCoordinator {
+    constructor(bus, enabled = true) {
+        this.bus = bus;
+        this.enabled = enabled;
+        this.handlers = [];
+        this.locks = [];
+        this.broadcasts = [];
+        bus.push(this);
+    }
+
+    withLock(name, callback) {
+        this.locks.push(name);
+        return Promise.resolve().then(callback);
+    }
+
+    broadcast(message) {
+        this.broadcasts.push(message);
+        this.bus.filter(tab => tab !== this).forEach(tab => tab.handlers.forEach(handler => handler(message)));
+    }
+
+    onMessage(handler) {
+        this.handlers.push(handler);
+    }
+}
 
 describe('CircuitBreaker', () => {
     const STORAGE_KEY = 'app_logger_circuit_breaker';
@@ -64,6 +92,17 @@ describe('CircuitBreaker', () => {
             expect(circuitBreaker.getState().failureCount).toBe(2);
         });
 
+        test('resets the failure count after the failure window', () => {
+            circuitBreaker.recordFailure();
+            circuitBreaker.recordFailure();
+            circuitBreaker.lastFailureAt = Date.now() - 60000;
+
+            circuitBreaker.recordFailure();
+
+            expect(circuitBreaker.isOpen()).toBe(false);
+            expect(circuitBreaker.getState().failureCount).toBe(1);
+        });
+
         test('resets failure count on success', () => {
             circuitBreaker.recordFailure();
             circuitBreaker.recordFailure();
@@ -154,7 +193,7 @@ describe('CircuitBreaker', () => {
     });
 
     describe('shouldAttemptReset edge cases', () => {
-        test('returns false when openedAt is null', () => {
+        test('returns false when openedAt is null', async () => {
             // Manually set state to OPEN without openedAt (edge case)
             sessionStorage.clear();
             sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
@@ -164,6 +203,7 @@ describe('CircuitBreaker', () => {
             }));
 
             const cb = new CircuitBreaker({ failureThreshold: 3, timeout: 100 });
+            await cb.ready;
 
             // isOpen() calls shouldAttemptReset() which should return false
             // since openedAt is null, circuit stays open
@@ -180,7 +220,7 @@ describe('CircuitBreaker', () => {
             expect(stored.failureCount).toBe(1);
         });
 
-        test('loads state from sessionStorage', () => {
+        test('loads state from sessionStorage', async () => {
             // Clear storage and pre-populate with test state
             sessionStorage.clear();
             sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
@@ -191,30 +231,151 @@ describe('CircuitBreaker', () => {
 
             // Create new instance that should load from storage
             const newCircuitBreaker = new CircuitBreaker({ failureThreshold: 3, timeout: 100 });
+            await newCircuitBreaker.ready;
 
             expect(newCircuitBreaker.getState().state).toBe('open');
             expect(newCircuitBreaker.getState().failureCount).toBe(5);
         });
 
-        test('handles missing sessionStorage gracefully', () => {
+        test('drops a stored failure count older than the failure window', async () => {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+                state: 'closed',
+                failureCount: 2,
+                lastFailureAt: Date.now() - 86400000, // yesterday
+                openedAt: null,
+            }));
+
+            const cb = new CircuitBreaker({ failureThreshold: 3, timeout: 100 });
+            await cb.ready;
+            cb.recordFailure();
+
+            expect(cb.getState()).toMatchObject({ state: 'closed', failureCount: 1 });
+        });
+
+        test('keeps a recent stored failure count', async () => {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+                state: 'closed',
+                failureCount: 2,
+                lastFailureAt: Date.now(),
+                openedAt: null,
+            }));
+
+            const cb = new CircuitBreaker({ failureThreshold: 3, timeout: 60000 });
+            await cb.ready;
+            cb.recordFailure();
+
+            expect(cb.isOpen()).toBe(true);
+        });
+
+        test('handles missing sessionStorage gracefully', async () => {
             // Store original and remove sessionStorage
             const originalSessionStorage = global.sessionStorage;
             delete global.sessionStorage;
 
             // Should not throw
             const cb = new CircuitBreaker({ failureThreshold: 3 });
+            await cb.ready;
             expect(cb.getState().state).toBe('closed');
 
             // Restore sessionStorage
             global.sessionStorage = originalSessionStorage;
         });
 
-        test('handles corrupted sessionStorage data', () => {
+        test('handles corrupted sessionStorage data', async () => {
             sessionStorage.setItem(STORAGE_KEY, 'invalid json');
 
             const newCircuitBreaker = new CircuitBreaker({ failureThreshold: 3 });
+            await newCircuitBreaker.ready;
             expect(newCircuitBreaker.getState().state).toBe('closed');
         });
+
+        test('keeps state recorded before the stored state is loaded', async () => {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ state: 'open', failureCount: 3, openedAt: Date.now() }));
+
+            const cb = new CircuitBreaker({ failureThreshold: 3 });
+            cb.recordFailure();
+            await cb.ready;
+
+            expect(cb.getState()).toMatchObject({ state: 'closed', failureCount: 1 });
+        });
+
+        test('persists through a custom storage adapter', async () => {
+            const storage = new MemoryStorageAdapter();
+            new CircuitBreaker({ failureThreshold: 1, storage }).recordFailure();
+
+            const cb = new CircuitBreaker({ failureThreshold: 1, storage });
+            await cb.ready;
+
+            expect(cb.isOpen()).toBe(true);
+            expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+        });
+    });
+
+    describe('Tab coordination', () => {
+        let bus;
+
+        const createTab = () => new CircuitBreaker({ failureThreshold: 3, timeout: 100, coordinator: new FakeCoordinator(bus) });
+
+        beforeEach(() => {
+            bus = [];
+            localStorage.clear();
+        });
+
+        test('an outage discovered by one tab opens the circuit in the others', () => {
+            const first = createTab();
+            const second = createTab();
+
+            first.recordFailure();
+            first.recordFailure();
+            first.recordFailure();
+
+            expect(second.isOpen()).toBe(true);
+            expect(second.getState()).toEqual(first.getState());
+        });
+
+        test('recovery in one tab closes the circuit in the others', () => {
+            const first = createTab();
+            const second = createTab();
+            first.recordFailure();
+            first.recordFailure();
+            first.recordFailure();
+
+            first.reset();
+
+            expect(second.getState()).toMatchObject({ state: 'closed', failureCount: 0 });
+        });
+
+        test('does not send state received from another tab back', () => {
+            const first = createTab();
+            createTab();
+
+            first.recordFailure();
+
+            expect(bus[0].broadcasts).toHaveLength(1);
+            expect(bus[1].broadcasts).toEqual([]);
+        });
+
+        test('stores the shared state in localStorage so new tabs start with it', async () => {
+            const first = createTab();
+            first.recordFailure();
+            first.recordFailure();
+            first.recordFailure();
+
+            const newTab = createTab();
+            await newTab.ready;
+
+            expect(newTab.isOpen()).toBe(true);
+            expect(sessionStorage.getItem(STORAGE_KEY)).toBeNull();
+        });
+
+        test('keeps the state per tab when coordination is disabled', () => {
+            const breaker = new CircuitBreaker({ coordinator: new FakeCoordinator(bus, false) });
+
+            breaker.recordFailure();
+
+            expect(breaker.storage.type).toBe('sessionStorage');
+            expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+        });
     });
 
     describe('Configuration', () => {
@@ -5,7 +5,10 @@
  * user context, tags, session replay integration, and beacon API.
  */
 
+import { BreadcrumbCollector } from '../src/breadcrumbs.js';
 import { Client } from '../src/client.js';
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+import { SessionManager } from '../src/session-manager.js';
 
 // Mock Transport
 class MockTransport {
@@ -19,6 +22,10 @@ class MockTransport {
         return Promise.resolve();
     }
 
+    canSendOnUnload() {
+        return true;
+    }
+
     flushWithBeacon() {
         this.beaconPayloads.push('flushed');
     }
@@ -131,6 +138,38 @@ describe('Client', () => {
 
             expect(() => client.install()).not.toThrow();
         });
+
+        test('errors captured right after install carry the session ID', async () => {
+            localStorage.clear();
+            const sessionManager = new SessionManager();
+            client = new Client(config, mockTransport, mockBreadcrumbs, null, sessionManager);
+
+            client.install();
+            await client.captureException(new Error('Early'));
+
+            expect(mockTransport.sentPayloads[0].payload.session_id).toBe(sessionManager.getSessionId());
+            expect(mockTransport.sentPayloads[0].payload.session_id).not.toBeNull();
+        });
+
+        test('buffered errors wait for a session loaded from async storage', async () => {
+            const sessionManager = new SessionManager({ storage: new MemoryStorageAdapter() });
+            client = new Client(config, mockTransport, mockBreadcrumbs, null, sessionManager);
+            window._appLoggerBuffer = { errors: [{ type: 'error', error: { message: 'Before SDK' } }] };
+
+            try {
+                client.install();
+                expect(window._appLoggerBuffer.errors).toHaveLength(1);
+
+                await sessionManager.ready;
+                await new Promise(resolve => setTimeout(resolve, 0));
+            } finally {
+                delete window._appLoggerBuffer;
+            }
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+            expect(mockTransport.sentPayloads[0].payload.session_id).toBe(sessionManager.getSessionId());
+            expect(mockTransport.sentPayloads[0].payload.session_id).not.toBeNull();
+        });
     });
 
     describe('captureException', () => {
@@ -204,6 +243,318 @@ describe('Client', () => {
         });
     });
 
+    describe('Event processors', () => {
+        test('processor can modify the event', async () => {
+            client.addEventProcessor((event) => ({ ...event, message: 'Rewritten' }));
+
+            await client.captureException(new Error('Original'));
+
+            expect(mockTransport.sentPayloads[0].payload.message).toBe('Rewritten');
+        });
+
+        test('processor returning null drops the event', async () => {
+            client.addEventProcessor(() => null);
+
+            await client.captureException(new Error('Dropped'));
+
+            expect(mockTransport.sentPayloads.length).toBe(0);
+        });
+
+        test('config.beforeSend runs after registered processors', async () => {
+            const order = [];
+            client = new Client({
+                ...config,
+                beforeSend: (event) => {
+                    order.push('beforeSend');
+                    return event;
+                },
+            }, mockTransport, mockBreadcrumbs, null, null);
+            client.addEventProcessor((event) => {
+                order.push('processor');
+                return event;
+            });
+
+            await client.captureException(new Error('Order'));
+
+            expect(order).toEqual(['processor', 'beforeSend']);
+        });
+
+        test('processors see phase 1 replay data in hint', async () => {
+            mockErrorDetector = new MockErrorDetector();
+            client = new Client(config, mockTransport, mockBreadcrumbs, mockErrorDetector, null);
+
+            let seenHint = null;
+            client.addEventProcessor((event, hint) => {
+                seenHint = hint;
+                return event;
+            });
+
+            const testError = new Error('Hint test');
+            await client.captureException(testError);
+
+            expect(seenHint.originalException).toBe(testError);
+            expect(seenHint.replayData.sessionId).toBe('test-session-id');
+            expect(seenHint.replayData.events.length).toBe(1);
+        });
+
+        test('processors can strip replay data', async () => {
+            mockErrorDetector = new MockErrorDetector();
+            client = new Client(config, mockTransport, mockBreadcrumbs, mockErrorDetector, null);
+            client.addEventProcessor((event, hint) => {
+                hint.replayData = null;
+                return event;
+            });
+
+            await client.captureException(new Error('No replay'));
+
+            expect(mockTransport.sentPayloads[0].replayData).toBeNull();
+        });
+
+        test('dropped events do not start recovery recording', async () => {
+            mockErrorDetector = new MockErrorDetector();
+            let recoveryStarted = false;
+            mockErrorDetector.startRecoveryRecording = async () => {
+                recoveryStarted = true;
+            };
+            client = new Client(config, mockTransport, mockBreadcrumbs, mockErrorDetector, null);
+            client.addEventProcessor(() => null);
+
+            await client.captureException(new Error('Dropped'));
+
+            expect(recoveryStarted).toBe(false);
+        });
+    });
+
+    describe('Event IDs', () => {
+        const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+        test('buildPayload generates a unique UUID v4 event_id', () => {
+            const payload1 = client.buildPayload(new Error('Test'), 'error');
+            const payload2 = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload1.event_id).toMatch(UUID_PATTERN);
+            expect(payload1.event_id).not.toBe(payload2.event_id);
+        });
+
+        test('captureException resolves with the sent event_id', async () => {
+            const eventId = await client.captureException(new Error('Test'));
+
+            expect(eventId).toMatch(UUID_PATTERN);
+            expect(mockTransport.sentPayloads[0].payload.event_id).toBe(eventId);
+        });
+
+        test('captureMessage resolves with the sent event_id', async () => {
+            const eventId = await client.captureMessage('Hello');
+
+            expect(mockTransport.sentPayloads[0].payload.event_id).toBe(eventId);
+        });
+
+        test('the event_id is assigned synchronously on capture', () => {
+            expect(client.getAssignedEventId()).toBeNull();
+
+            const pending = client.captureException(new Error('Test'));
+
+            expect(client.getAssignedEventId()).toMatch(UUID_PATTERN);
+            return pending;
+        });
+
+        test('lastEventId is set once the event processors accepted the event', async () => {
+            const eventId = await client.captureException(new Error('Test'));
+
+            expect(client.lastEventId()).toBe(eventId);
+        });
+
+        test('lastEventId ignores events dropped by beforeSend', async () => {
+            client = new Client({
+                ...config,
+                beforeSend: event => (event.message === 'Dropped' ? null : event),
+            }, mockTransport, mockBreadcrumbs, null, null);
+            const sentId = await client.captureException(new Error('Sent'));
+
+            const droppedId = await client.captureException(new Error('Dropped'));
+
+            expect(droppedId).toBeNull();
+            expect(client.lastEventId()).toBe(sentId);
+        });
+
+        test('automatically captured errors do not become lastEventId', async () => {
+            const eventId = await client.captureException(new Error('Checkout failed'));
+
+            const freezeId = await client.captureException(new Error('UI freeze'), { automatic: true });
+
+            expect(freezeId).toMatch(UUID_PATTERN);
+            expect(client.lastEventId()).toBe(eventId);
+        });
+
+        test('automatically captured messages do not become lastEventId', async () => {
+            const eventId = await client.captureMessage('Checkout failed');
+
+            const reportId = await client.captureMessage('Deprecation report', 'warning', { automatic: true });
+
+            expect(reportId).toMatch(UUID_PATTERN);
+            expect(client.lastEventId()).toBe(eventId);
+        });
+
+        test('dropped events resolve with null', async () => {
+            client.addEventProcessor(() => null);
+
+            const eventId = await client.captureException(new Error('Dropped'));
+
+            expect(eventId).toBeNull();
+        });
+
+        test('passes event_id to recovery recording', async () => {
+            mockErrorDetector = new MockErrorDetector();
+            let recoveryEventId = null;
+            mockErrorDetector.startRecoveryRecording = async (error, eventId) => {
+                recoveryEventId = eventId;
+            };
+            client = new Client(config, mockTransport, mockBreadcrumbs, mockErrorDetector, null);
+
+            const eventId = await client.captureException(new Error('Replay'));
+
+            expect(recoveryEventId).toBe(eventId);
+        });
+    });
+
+    describe('Sampling', () => {
+        test('sends the applied sample_rate with the event', async () => {
+            await client.captureException(new Error('Test'));
+
+            expect(mockTransport.sentPayloads[0].payload.sample_rate).toBe(1);
+        });
+
+        test('unsampled errors are dropped before replay work', async () => {
+            mockErrorDetector = new MockErrorDetector();
+            client = new Client({ ...config, sampleRate: 0 }, mockTransport, mockBreadcrumbs, mockErrorDetector, null);
+
+            const eventId = await client.captureException(new Error('Sampled out'));
+
+            expect(eventId).toBeNull();
+            expect(client.lastEventId()).toBeNull();
+            expect(mockTransport.sentPayloads).toHaveLength(0);
+            expect(mockErrorDetector.handledErrors).toHaveLength(0);
+        });
+
+        test('replayOnErrorSampleRate skips handleError but still sends the error', async () => {
+            mockErrorDetector = new MockErrorDetector();
+            let recordingStarted = false;
+            mockErrorDetector.startRecoveryRecording = async () => {
+                recordingStarted = true;
+            };
+            client = new Client({ ...config, replayOnErrorSampleRate: 0 }, mockTransport, mockBreadcrumbs, mockErrorDetector, null);
+
+            await client.captureException(new Error('No replay'));
+
+            expect(mockErrorDetector.handledErrors).toHaveLength(0);
+            expect(recordingStarted).toBe(false);
+            expect(mockTransport.sentPayloads[0].replayData).toBeNull();
+            expect(mockTransport.sentPayloads[0].payload.replay_sample_rate).toBe(0);
+        });
+
+        test('sample rules apply per event', async () => {
+            client = new Client({
+                ...config,
+                sampleRate: 0,
+                sampleRules: [{ match: { tags: { area: 'checkout' } }, sampleRate: 1 }],
+            }, mockTransport, mockBreadcrumbs, null, null);
+
+            await client.captureException(new Error('Dropped'));
+            await client.captureException(new Error('Kept'), { tags: { area: 'checkout' } });
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+            expect(mockTransport.sentPayloads[0].payload.message).toBe('Kept');
+        });
+
+        test('captureMessage is sampled as well', async () => {
+            client = new Client({ ...config, sampleRate: 0 }, mockTransport, mockBreadcrumbs, null, null);
+
+            const eventId = await client.captureMessage('Hello');
+
+            expect(eventId).toBeNull();
+            expect(mockTransport.sentPayloads).toHaveLength(0);
+        });
+    });
+
+    describe('Resource errors', () => {
+        const resource = {
+            tag: 'script',
+            url: 'https://cdn.example.com/app.js',
+            selector: 'html > head > script:nth-child(2)',
+        };
+
+        test('captures a ResourceLoadError event without stack trace', async () => {
+            const eventId = await client.captureResourceError(resource);
+
+            const payload = mockTransport.sentPayloads[0].payload;
+            expect(payload).toMatchObject({
+                event_id: eventId,
+                type: 'ResourceLoadError',
+                message: 'Failed to load script: https://cdn.example.com/app.js',
+                file: 'https://cdn.example.com/app.js',
+                line: 1,
+                stack_trace: [],
+                tags: { resource_tag: 'script' },
+                resource,
+            });
+            expect(mockTransport.sentPayloads[0].replayData).toBeNull();
+        });
+
+        test('does not become lastEventId', async () => {
+            const eventId = await client.captureException(new Error('App error'));
+
+            await client.captureResourceError(resource);
+
+            expect(mockTransport.sentPayloads).toHaveLength(2);
+            expect(client.lastEventId()).toBe(eventId);
+        });
+
+        test('resourceErrorSampleRate only applies to resource errors', async () => {
+            client = new Client({ ...config, resourceErrorSampleRate: 0 }, mockTransport, mockBreadcrumbs, null, null);
+
+            expect(await client.captureResourceError(resource)).toBeNull();
+            await client.captureException(new Error('Still sent'));
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+            expect(mockTransport.sentPayloads[0].payload.message).toBe('Still sent');
+        });
+
+        test('sample rules override resourceErrorSampleRate', async () => {
+            client = new Client({
+                ...config,
+                resourceErrorSampleRate: 0,
+                sampleRules: [{ match: { tags: { resource_tag: 'script' } }, sampleRate: 1 }],
+            }, mockTransport, mockBreadcrumbs, null, null);
+
+            await client.captureResourceError(resource);
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+        });
+
+        test('install reports failed loads from the capture phase', async () => {
+            client.install();
+            const img = document.createElement('img');
+            img.src = 'https://cdn.example.com/missing.png';
+            document.body.appendChild(img);
+
+            img.dispatchEvent(new Event('error'));
+            await Promise.resolve();
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+            expect(mockTransport.sentPayloads[0].payload.resource).toMatchObject({
+                tag: 'img',
+                url: 'https://cdn.example.com/missing.png',
+            });
+            img.remove();
+        });
+
+        test('can be disabled', () => {
+            client = new Client({ ...config, resourceErrorsEnabled: false }, mockTransport, mockBreadcrumbs, null, null);
+
+            expect(client.resourceErrors).toBeNull();
+        });
+    });
+
     describe('buildPayload', () => {
         test('builds basic error payload', () => {
             const error = new Error('Test error');
@@ -275,6 +626,48 @@ describe('Client', () => {
             expect(payload.session_id).toBeUndefined();
         });
 
+        test('includes trace_id of the last failed traced request', () => {
+            mockBreadcrumbs.getLastFailedTraceId = () => '4bf92f3577b34da6a3ce929d0e0e4736';
+
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload.trace_id).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        });
+
+        test('only the next error carries the trace_id of a failed request', async () => {
+            const breadcrumbs = new BreadcrumbCollector();
+            client = new Client(config, mockTransport, breadcrumbs, null, null);
+            breadcrumbs.recordFailedTrace('4bf92f3577b34da6a3ce929d0e0e4736');
+
+            await client.captureMessage('Info', 'info');
+            await client.captureException(new Error('Request failed'));
+            await client.captureException(new Error('Later error'));
+
+            const traceIds = mockTransport.sentPayloads.map(sent => sent.payload.trace_id);
+            expect(traceIds).toEqual([undefined, '4bf92f3577b34da6a3ce929d0e0e4736', undefined]);
+        });
+
+        test('dropped errors leave the trace_id for the next error', async () => {
+            const breadcrumbs = new BreadcrumbCollector();
+            client = new Client({
+                ...config,
+                beforeSend: event => (event.message === 'Dropped' ? null : event),
+            }, mockTransport, breadcrumbs, null, null);
+            breadcrumbs.recordFailedTrace('4bf92f3577b34da6a3ce929d0e0e4736');
+
+            await client.captureException(new Error('Dropped'));
+            await client.captureException(new Error('Request failed'));
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+            expect(mockTransport.sentPayloads[0].payload.trace_id).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        });
+
+        test('trace_id is undefined without a failed traced request', () => {
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload.trace_id).toBeUndefined();
+        });
+
         test('includes breadcrumbs', () => {
             mockBreadcrumbs.add({ message: 'User clicked button', timestamp: Date.now() });
             mockBreadcrumbs.add({ message: 'API call made', timestamp: Date.now() });
@@ -297,6 +690,28 @@ describe('Client', () => {
             expect(payload.tags.feature).toBe('test');
         });
 
+        test('takes file and line from first in-app frame', () => {
+            const error = new Error('Vendor test');
+            error.stack = `Error: Vendor test
+    at Object.get (/build/node_modules/axios/lib/core.js:100:3)
+    at loadCart (/build/cart.js:12:9)`;
+
+            const payload = client.buildPayload(error, 'error');
+
+            expect(payload.file).toBe('/build/cart.js');
+            expect(payload.line).toBe(12);
+        });
+
+        test('falls back to first frame when no frame is in-app', () => {
+            const error = new Error('Vendor only');
+            error.stack = `Error: Vendor only
+    at Object.get (/build/node_modules/axios/lib/core.js:100:3)`;
+
+            const payload = client.buildPayload(error, 'error');
+
+            expect(payload.file).toBe('/build/node_modules/axios/lib/core.js');
+        });
+
         test('handles errors without stack trace', () => {
             const error = new Error('No stack');
             delete error.stack;
@@ -321,6 +736,101 @@ describe('Client', () => {
         });
     });
 
+    describe('Linked exceptions', () => {
+        test('omits linked_exceptions for plain errors', () => {
+            const payload = client.buildPayload(new Error('Plain'), 'error');
+
+            expect(payload.linked_exceptions).toBeUndefined();
+        });
+
+        test('walks Error.cause chain', () => {
+            const root = new TypeError('Root failure');
+            root.stack = 'TypeError: Root failure\n    at load (/app/api.js:5:3)';
+            const middle = new Error('Request failed', { cause: root });
+            const wrapper = new Error('Checkout failed', { cause: middle });
+
+            const payload = client.buildPayload(wrapper, 'error');
+
+            expect(payload.linked_exceptions).toHaveLength(2);
+            expect(payload.linked_exceptions[0]).toMatchObject({
+                exception_id: 1,
+                parent_id: 0,
+                relation: 'cause',
+                depth: 1,
+                message: 'Request failed',
+            });
+            expect(payload.linked_exceptions[1]).toMatchObject({
+                exception_id: 2,
+                parent_id: 1,
+                relation: 'cause',
+                depth: 2,
+                type: 'TypeError',
+                message: 'Root failure',
+            });
+            expect(payload.linked_exceptions[1].stack_trace[0]).toMatchObject({
+                file: '/app/api.js',
+                line: 5,
+            });
+        });
+
+        test('collects AggregateError children', () => {
+            const error = new AggregateError([
+                new Error('First'),
+                new RangeError('Second'),
+            ], 'All promises rejected');
+
+            const payload = client.buildPayload(error, 'error');
+
+            expect(payload.linked_exceptions).toHaveLength(2);
+            expect(payload.linked_exceptions.map(e => e.relation)).toEqual(['aggregate', 'aggregate']);
+            expect(payload.linked_exceptions[1].type).toBe('RangeError');
+        });
+
+        test('handles non-error causes', () => {
+            const error = new Error('Wrapped', { cause: 'timeout' });
+
+            const payload = client.buildPayload(error, 'error');
+
+            expect(payload.linked_exceptions[0]).toMatchObject({
+                type: 'string',
+                message: 'timeout',
+            });
+            expect(Array.isArray(payload.linked_exceptions[0].stack_trace)).toBe(true);
+        });
+
+        test('stops at cycles', () => {
+            const a = new Error('A');
+            const b = new Error('B', { cause: a });
+            a.cause = b;
+
+            const payload = client.buildPayload(a, 'error');
+
+            expect(payload.linked_exceptions).toHaveLength(1);
+            expect(payload.linked_exceptions[0].message).toBe('B');
+        });
+
+        test('respects maxLinkedExceptionDepth', () => {
+            client = new Client({ ...config, maxLinkedExceptionDepth: 2 }, mockTransport, mockBreadcrumbs, null, null);
+            let error = new Error('Depth 5');
+            for (let i = 4; i >= 0; i--) {
+                error = new Error(`Depth ${i}`, { cause: error });
+            }
+
+            const payload = client.buildPayload(error, 'error');
+
+            expect(payload.linked_exceptions).toHaveLength(2);
+        });
+
+        test('respects maxLinkedExceptions', () => {
+            client = new Client({ ...config, maxLinkedExceptions: 3 }, mockTransport, mockBreadcrumbs, null, null);
+            const children = Array.from({ length: 10 }, (_, i) => new Error(`Child ${i}`));
+
+            const payload = client.buildPayload(new AggregateError(children, 'Many'), 'error');
+
+            expect(payload.linked_exceptions).toHaveLength(3);
+        });
+    });
+
     describe('parseStackTrace', () => {
         test('parses Chrome-style stack trace', () => {
             const error = new Error('Test');
@@ -348,6 +858,112 @@ handler@/path/to/handler.js:20:10`;
             expect(frames[0].file).toContain('file.js');
         });
 
+        test('marks frames as in_app', () => {
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at handleClick (https://cdn.example.net/lib/vendor.js:1:100)
+    at checkout (/build/app.js:20:5)
+    at dispatch (/build/node_modules/react-dom/index.js:5:1)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames.map(f => f.in_app)).toEqual([false, true, false]);
+        });
+
+        test('treats same-origin URLs as in_app', () => {
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at load (${window.location.origin}/build/app.js:10:5)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames[0].in_app).toBe(true);
+        });
+
+        test('inAppInclude overrides exclude patterns', () => {
+            client = new Client({ ...config, inAppInclude: ['node_modules/@acme/'] }, mockTransport, mockBreadcrumbs, null, null);
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at shared (/build/node_modules/@acme/ui/index.js:3:1)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames[0].in_app).toBe(true);
+        });
+
+        test('inAppExclude supports strings and regular expressions', () => {
+            client = new Client({ ...config, inAppExclude: ['legacy.js', /chunk-\w+\.js/] }, mockTransport, mockBreadcrumbs, null, null);
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at a (/build/legacy.js:1:1)
+    at b (/build/chunk-abc123.js:1:1)
+    at c (/build/app.js:1:1)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames.map(f => f.in_app)).toEqual([false, false, true]);
+        });
+
+        test('includes native, eval and async flags from StackParser', () => {
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at async loadOrders (/build/app.js:10:3)
+    at Array.map (<anonymous>)
+    at eval (eval at run (/build/app.js:5:1), <anonymous>:1:1)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames[0]).toMatchObject({ function: 'loadOrders', is_async: true, in_app: true });
+            expect(frames[1]).toMatchObject({ is_native: true, in_app: false });
+            expect(frames[2]).toMatchObject({ file: '/build/app.js', line: 5, is_eval: true });
+        });
+
+        const initError = (sdkFile, callerFile) => {
+            const error = new Error('init');
+            error.stack = `Error: init
+    at t.init (${sdkFile}:1:500)
+    at ${callerFile}:12:5`;
+            return error;
+        };
+
+        test('strips frames of the SDK bundle recorded at init', () => {
+            client.recordSdkFiles(initError('https://cdn.example.com/logger.umd.js', 'https://shop.example.com/checkout'));
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at t.captureMessage (https://cdn.example.com/logger.umd.js:1:2000)
+    at e.wrapFetch [as fetch] (https://cdn.example.com/logger.umd.js:1:900)
+    at submitOrder (https://shop.example.com/build/app.js:42:7)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames.map(f => f.function)).toEqual(['submitOrder']);
+        });
+
+        test('keeps app frames named like SDK methods', () => {
+            client.recordSdkFiles(initError('https://cdn.example.com/logger.umd.js', 'https://shop.example.com/checkout'));
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at Client.captureMessage (https://shop.example.com/build/app.js:10:3)
+    at wrapFetch (https://shop.example.com/build/app.js:42:7)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(frames.map(f => f.function)).toEqual(['Client.captureMessage', 'wrapFetch']);
+        });
+
+        test('keeps all frames when the SDK is bundled with the app', () => {
+            client.recordSdkFiles(initError('https://shop.example.com/build/app.js', 'https://shop.example.com/build/app.js'));
+            const error = new Error('Test');
+            error.stack = `Error: Test
+    at t.captureMessage (https://shop.example.com/build/app.js:1:2000)
+    at submitOrder (https://shop.example.com/build/app.js:42:7)`;
+
+            const frames = client.parseStackTrace(error);
+
+            expect(client.sdkFiles.size).toBe(0);
+            expect(frames).toHaveLength(2);
+        });
+
         test('handles empty stack trace', () => {
             const error = new Error('Test');
             error.stack = '';
@@ -376,6 +992,40 @@ handler@/path/to/handler.js:20:10`;
             expect(client.userContext).toEqual(user);
         });
 
+        test('sends hashed user ID by default', async () => {
+            client.setUser({ id: '123', email: 'test@example.com', plan: 'pro' });
+            await client.userPrivacy.prepare({ id: '123' });
+
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload.user.id_hash).toMatch(/^[a-f0-9]{64}$/);
+            expect(payload.user.plan).toBe('pro');
+            expect(payload.user.email).toBeUndefined();
+            expect(payload.user.id).toBeUndefined();
+        });
+
+        test('sends raw user ID in raw mode', () => {
+            client = new Client({ ...config, userPrivacyMode: 'raw' }, mockTransport, mockBreadcrumbs, null, null);
+            client.setUser({ id: '123', email: 'test@example.com' });
+
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload.user).toEqual({ id: '123' });
+        });
+
+        test('omits user from payload when not set', () => {
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload.user).toBeUndefined();
+        });
+
+        test('getUserPayload returns active user in payload form', () => {
+            client = new Client({ ...config, userPrivacyMode: 'segment' }, mockTransport, mockBreadcrumbs, null, null);
+            client.setUser({ id: '123', role: 'admin' });
+
+            expect(client.getUserPayload()).toEqual({ role: 'admin' });
+        });
+
         test('setUser can be called with null to clear', () => {
             client.setUser({ id: '123' });
             client.setUser(null);
@@ -437,26 +1087,163 @@ handler@/path/to/handler.js:20:10`;
         });
     });
 
+    describe('Scopes', () => {
+        test('withScope applies scope data only inside callback', async () => {
+            client.setTags({ global: 'yes' });
+
+            await client.withScope((scope) => {
+                scope.setTag('widget', 'checkout');
+                scope.setExtra({ cartSize: 3 });
+                return client.captureException(new Error('Checkout error'));
+            });
+            await client.captureException(new Error('Header error'));
+
+            const [checkout, header] = mockTransport.sentPayloads.map(p => p.payload);
+            expect(checkout.tags).toEqual({ global: 'yes', widget: 'checkout' });
+            expect(checkout.context.cartSize).toBe(3);
+            expect(header.tags).toEqual({ global: 'yes' });
+            expect(header.context.cartSize).toBeUndefined();
+        });
+
+        test('withScope pops scope when callback throws', () => {
+            expect(() => client.withScope(() => {
+                throw new Error('Callback failed');
+            })).toThrow('Callback failed');
+
+            expect(client.scopes.length).toBe(1);
+        });
+
+        test('withScope keeps async scope until promise settles', async () => {
+            const promise = client.withScope(async (scope) => {
+                scope.setTag('async', 'yes');
+                await new Promise(resolve => setTimeout(resolve, 5));
+            });
+
+            expect(client.tags.async).toBe('yes');
+            await promise;
+            expect(client.tags.async).toBeUndefined();
+        });
+
+        test('scope level overrides capture level', async () => {
+            client.withScope((scope) => {
+                scope.setLevel('warning');
+                client.captureException(new Error('Scoped level'));
+            });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockTransport.sentPayloads[0].payload.level).toBe('warning');
+        });
+
+        test('scope fingerprint is added to payload', () => {
+            client.configureScope((scope) => scope.setFingerprint(['checkout']));
+
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload.fingerprint).toEqual(['checkout']);
+        });
+
+        test('capture fingerprint option overrides scope fingerprint', () => {
+            client.configureScope((scope) => scope.setFingerprint(['checkout']));
+
+            const payload = client.buildPayload(new Error('Test'), 'error', { fingerprint: ['payment', '{{ type }}'] });
+
+            expect(payload.fingerprint).toEqual(['payment', 'Error']);
+        });
+
+        test('fingerprint rules apply without explicit fingerprint', () => {
+            client = new Client({
+                ...config,
+                fingerprintRules: [{ match: { type: 'ChunkLoadError' }, fingerprint: ['chunk-load-error', '{{ route }}'] }],
+            }, mockTransport, mockBreadcrumbs, null, null);
+            const error = new Error('Loading chunk 7 failed.');
+            error.name = 'ChunkLoadError';
+
+            const payload = client.buildPayload(error, 'error');
+
+            expect(payload.fingerprint).toEqual(['chunk-load-error', window.location.pathname]);
+        });
+
+        test('omits fingerprint for default grouping', () => {
+            const payload = client.buildPayload(new Error('Test'), 'error');
+
+            expect(payload).not.toHaveProperty('fingerprint');
+        });
+
+        test('options override scope data', () => {
+            client.setTags({ feature: 'scope' });
+
+            const payload = client.buildPayload(new Error('Test'), 'error', { tags: { feature: 'option' } });
+
+            expect(payload.tags.feature).toBe('option');
+        });
+
+        test('pushScope and popScope are balanced', () => {
+            const scope = client.pushScope();
+            scope.setTag('pushed', 'yes');
+
+            expect(client.getCurrentScope()).toBe(scope);
+            expect(client.popScope()).toBe(true);
+            expect(client.tags.pushed).toBeUndefined();
+        });
+
+        test('global scope cannot be popped', () => {
+            expect(client.popScope()).toBe(false);
+            expect(client.scopes.length).toBe(1);
+        });
+
+        test('configureScope does not crash on callback failure', () => {
+            const error = console.error;
+            console.error = () => {};
+
+            expect(() => client.configureScope(() => {
+                throw new Error('Broken');
+            })).not.toThrow();
+
+            console.error = error;
+        });
+    });
+
     describe('captureMessage', () => {
-        test('captures message with default level', () => {
-            client.captureMessage('Test message');
+        test('captures message with default level', async () => {
+            await client.captureMessage('Test message');
 
             expect(mockTransport.sentPayloads.length).toBe(1);
             expect(mockTransport.sentPayloads[0].payload.message).toBe('Test message');
             expect(mockTransport.sentPayloads[0].payload.level).toBe('info');
         });
 
-        test('captures message with custom level', () => {
-            client.captureMessage('Warning message', 'warning');
+        test('captures message with custom level', async () => {
+            await client.captureMessage('Warning message', 'warning');
 
             expect(mockTransport.sentPayloads[0].payload.level).toBe('warning');
         });
 
-        test('captures message with options', () => {
-            client.captureMessage('Test', 'info', { tags: { feature: 'test' } });
+        test('captures message with options', async () => {
+            await client.captureMessage('Test', 'info', { tags: { feature: 'test' } });
 
             expect(mockTransport.sentPayloads[0].payload.tags.feature).toBe('test');
         });
+
+        test('uses reported location instead of the capture stack', async () => {
+            await client.captureMessage('Deprecation: X', 'warning', {
+                extra: { filename: 'https://app.test/build/app.js', lineno: 42 },
+                stackTrace: [],
+            });
+
+            expect(mockTransport.sentPayloads[0].payload).toMatchObject({
+                file: 'https://app.test/build/app.js',
+                line: 42,
+                stack_trace: [],
+            });
+        });
+
+        test('runs messages through event processors', async () => {
+            client.addEventProcessor(() => null);
+
+            await client.captureMessage('Dropped message');
+
+            expect(mockTransport.sentPayloads.length).toBe(0);
+        });
     });
 
     describe('Session hash', () => {
@@ -512,6 +1299,43 @@ handler@/path/to/handler.js:20:10`;
             // Should return config hash, not computed hash
             expect(clientWithHash.getSessionHash()).toBe('a'.repeat(64));
         });
+
+        test('reuses the session ID stored in sessionStorage', async () => {
+            sessionStorage.setItem('_app_logger_session_id', 'stored-session-id');
+
+            await expect(client.getOrCreateSessionId()).resolves.toBe('stored-session-id');
+
+            sessionStorage.removeItem('_app_logger_session_id');
+        });
+    });
+
+    describe('Resurrected errors', () => {
+        afterEach(() => {
+            localStorage.removeItem('_appLogger_nuclear');
+            localStorage.removeItem('_appLogger_resurrection_attempts');
+        });
+
+        test('captures errors stored by the nuclear trap and clears them', async () => {
+            localStorage.setItem('_appLogger_nuclear', JSON.stringify([
+                { m: 'Unexpected token', f: 'https://app.test/app.js', l: 3, c: 7, t: Date.now(), u: 'https://app.test/' },
+            ]));
+
+            await client.processResurrectedErrors();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockTransport.sentPayloads).toHaveLength(1);
+            expect(mockTransport.sentPayloads[0].payload).toMatchObject({ type: 'NuclearError', message: 'Unexpected token' });
+            expect(localStorage.getItem('_appLogger_nuclear')).toBeNull();
+        });
+
+        test('clears corrupted nuclear data', async () => {
+            localStorage.setItem('_appLogger_nuclear', '[{broken');
+
+            await client.processResurrectedErrors();
+
+            expect(mockTransport.sentPayloads).toHaveLength(0);
+            expect(localStorage.getItem('_appLogger_nuclear')).toBeNull();
+        });
     });
 
     describe('HTTP method detection', () => {
@@ -534,12 +1358,8 @@ handler@/path/to/handler.js:20:10`;
 
     describe('flushBeaconErrors', () => {
         test('calls transport flush when there are errors', () => {
-            // Mock Beacon API
-            const beaconCalls = [];
-            global.navigator.sendBeacon = (url, data) => {
-                beaconCalls.push({ url, data });
-                return true;
-            };
+            // No sendBeacon needed: the transport sends with keepalive fetch
+            delete global.navigator.sendBeacon;
 
             // Mock stats to show there are errors to flush
             mockTransport.getStats = () => ({ queueSize: 1, storedErrors: 0 });
@@ -549,6 +1369,15 @@ handler@/path/to/handler.js:20:10`;
             expect(mockTransport.beaconPayloads.length).toBe(1);
         });
 
+        test('does not call transport when it cannot send on unload', () => {
+            mockTransport.getStats = () => ({ queueSize: 1, storedErrors: 0 });
+            mockTransport.canSendOnUnload = () => false;
+
+            client.flushBeaconErrors();
+
+            expect(mockTransport.beaconPayloads.length).toBe(0);
+        });
+
         test('does not call transport when no errors to flush', () => {
             // Default stats show no errors
             client.flushBeaconErrors();
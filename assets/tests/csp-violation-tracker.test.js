@@ -0,0 +1,157 @@
+/**
+ * Unit tests for CspViolationTracker
+ *
+ * Tests Content-Security-Policy violation reporting:
+ * - Report fields (directive, scrubbed blocked URI, source location, disposition)
+ * - Deduplication per directive + blocked URI and per-page cap
+ * - Breadcrumbs for reported violations
+ */
+import { CspViolationTracker } from '../src/csp-violation-tracker.js';
+
+// Mock Transport
+class MockTransport {
+    constructor() {
+        this.reports = [];
+    }
+
+    async sendCspViolation(report) {
+        this.reports.push(report);
+        return true;
+    }
+}
+
+// Mock BreadcrumbCollector
+class MockBreadcrumbCollector {
+    constructor() {
+        this.breadcrumbs = [];
+    }
+
+    add(breadcrumb) {
+        this.breadcrumbs.push(breadcrumb);
+    }
+}
+
+describe('CspViolationTracker', () => {
+    let transport;
+    let breadcrumbs;
+    let tracker;
+
+    const violation = (overrides = {}) => ({
+        effectiveDirective: 'script-src-elem',
+        violatedDirective: 'script-src',
+        blockedURI: 'https://evil.example.com/x.js?token=abc',
+        sourceFile: 'https://app.test/build/app.js',
+        lineNumber: 12,
+        columnNumber: 5,
+        disposition: 'enforce',
+        statusCode: 200,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        transport = new MockTransport();
+        breadcrumbs = new MockBreadcrumbCollector();
+        tracker = new CspViolationTracker(transport, breadcrumbs, {
+            release: '1.2.3',
+            environment: 'staging',
+            sessionProvider: () => 'session-123',
+        });
+    });
+
+    describe('reports', () => {
+        test('sends directive, scrubbed blocked URI, source and disposition', () => {
+            tracker.handleViolation(violation());
+
+            expect(transport.reports).toHaveLength(1);
+            expect(transport.reports[0]).toMatchObject({
+                directive: 'script-src-elem',
+                violated_directive: 'script-src',
+                blocked_uri: 'https://evil.example.com/x.js?token=[REDACTED]',
+                source_file: 'https://app.test/build/app.js',
+                line_number: 12,
+                column_number: 5,
+                disposition: 'enforce',
+                status_code: 200,
+                document_url: window.location.href,
+                session_id: 'session-123',
+                release: '1.2.3',
+                environment: 'staging',
+            });
+        });
+
+        test('keeps CSP keywords as blocked URI', () => {
+            tracker.handleViolation(violation({ blockedURI: 'inline', sourceFile: '' }));
+
+            expect(transport.reports[0].blocked_uri).toBe('inline');
+            expect(transport.reports[0]).not.toHaveProperty('source_file');
+        });
+
+        test('falls back to violatedDirective', () => {
+            tracker.handleViolation(violation({ effectiveDirective: '', violatedDirective: 'img-src' }));
+
+            expect(transport.reports[0].directive).toBe('img-src');
+        });
+    });
+
+    describe('deduplication', () => {
+        test('reports each directive + blocked URI once per page', () => {
+            tracker.handleViolation(violation());
+            tracker.handleViolation(violation({ lineNumber: 40 }));
+            tracker.handleViolation(violation({ effectiveDirective: 'connect-src' }));
+
+            expect(transport.reports).toHaveLength(2);
+            expect(tracker.getStats()).toMatchObject({ reported: 2, deduplicated: 1 });
+        });
+
+        test('caps reports per page', () => {
+            tracker = new CspViolationTracker(transport, breadcrumbs, { maxReportsPerPage: 2 });
+
+            ['a', 'b', 'c'].forEach(name => tracker.handleViolation(violation({ blockedURI: `https://cdn.test/${name}.js` })));
+
+            expect(transport.reports).toHaveLength(2);
+            expect(tracker.getStats().dropped).toBe(1);
+        });
+    });
+
+    describe('breadcrumbs', () => {
+        test('adds an error breadcrumb for blocked resources', () => {
+            tracker.handleViolation(violation());
+
+            expect(breadcrumbs.breadcrumbs).toEqual([{
+                type: 'security',
+                category: 'csp',
+                message: 'CSP blocked script-src-elem: https://evil.example.com/x.js?token=[REDACTED]',
+                data: {
+                    directive: 'script-src-elem',
+                    blocked_uri: 'https://evil.example.com/x.js?token=[REDACTED]',
+                    disposition: 'enforce',
+                    source_file: 'https://app.test/build/app.js',
+                    line_number: 12,
+                },
+                level: 'error',
+            }]);
+        });
+
+        test('adds a warning breadcrumb for report-only violations', () => {
+            tracker.handleViolation(violation({ disposition: 'report' }));
+
+            expect(breadcrumbs.breadcrumbs[0]).toMatchObject({
+                message: 'CSP reported script-src-elem: https://evil.example.com/x.js?token=[REDACTED]',
+                level: 'warning',
+            });
+        });
+    });
+
+    describe('install', () => {
+        test('listens for securitypolicyviolation events', () => {
+            tracker.install();
+
+            const event = new Event('securitypolicyviolation');
+            Object.assign(event, { effectiveDirective: 'style-src-elem', blockedURI: 'https://fonts.example.com/a.css' });
+            document.dispatchEvent(event);
+
+            expect(transport.reports).toHaveLength(1);
+            expect(transport.reports[0]).toMatchObject({ directive: 'style-src-elem', disposition: 'enforce' });
+        });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for Envelope
+ *
+ * Tests the batch wire format:
+ * - Newline-delimited headers, item headers and payloads
+ * - Item byte lengths (UTF-8)
+ * - Parsing back
+ */
+import { Envelope } from '../src/envelope.js';
+
+describe('Envelope', () => {
+    test('serializes headers and items as newline-delimited JSON', () => {
+        const envelope = new Envelope({ sdk: 'test' });
+        envelope.add('error', { message: 'a' });
+        envelope.add('log', { logs: [] });
+
+        expect(envelope.serialize()).toBe([
+            '{"sdk":"test"}',
+            '{"type":"error","length":15}',
+            '{"message":"a"}',
+            '{"type":"log","length":11}',
+            '{"logs":[]}',
+            '',
+        ].join('\n'));
+    });
+
+    test('tracks the serialized size in bytes', () => {
+        const envelope = new Envelope({ sdk: 'test' });
+        envelope.add('error', { message: 'Größe 日本 😀' });
+
+        expect(envelope.size).toBe(Buffer.byteLength(envelope.serialize()));
+    });
+
+    test('counts UTF-8 bytes', () => {
+        expect(Envelope.byteLength('abc')).toBe(3);
+        expect(Envelope.byteLength('ü')).toBe(2);
+        expect(Envelope.byteLength('日')).toBe(3);
+        expect(Envelope.byteLength('😀')).toBe(4);
+    });
+
+    test('parses serialized envelopes', () => {
+        const envelope = new Envelope({ sent_at: '2026-01-01T00:00:00.000Z' });
+        envelope.add('metric', { metrics: { lcp: 1200 } });
+        envelope.add('recovery', { events: ['a\nb'] });
+
+        expect(Envelope.parse(envelope.serialize())).toEqual({
+            headers: { sent_at: '2026-01-01T00:00:00.000Z' },
+            items: [
+                { type: 'metric', payload: { metrics: { lcp: 1200 } } },
+                { type: 'recovery', payload: { events: ['a\nb'] } },
+            ],
+        });
+    });
+});
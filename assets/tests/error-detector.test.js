@@ -160,6 +160,25 @@ describe('ErrorDetector', () => {
             expect(callbackResults[0].errorPayload).toBe(errorPayload);
         });
 
+        test('uses payload event_id as error ID', async () => {
+            const result = await errorDetector.handleError(new Error('ID test'), { event_id: 'evt-123' });
+
+            expect(result.errorContext.errorId).toBe('evt-123');
+        });
+
+        test('links recovery session to the error event_id', () => {
+            const sent = [];
+            errorDetector.transport = {
+                sendRecoverySession: async (payload) => {
+                    sent.push(payload);
+                },
+            };
+
+            errorDetector.sendRecoverySession({ errorId: 'evt-123' }, [{ type: 'click', timestamp: Date.now() }]);
+
+            expect(sent[0].eventId).toBe('evt-123');
+        });
+
         test('starts post-error recording in replay buffer', async () => {
             const testError = new Error('Recording test');
 
@@ -299,6 +318,18 @@ describe('ErrorDetector', () => {
             expect(fingerprint1).not.toBe(fingerprint2);
         });
 
+        test('uses custom payload fingerprint for deduplication', async () => {
+            const payload = { type: 'PaymentError', fingerprint: ['payment-failed'] };
+
+            const result1 = await errorDetector.handleError(new Error('Payment 1 declined'), payload);
+            const result2 = await errorDetector.handleError(new Error('Payment 2 declined'), payload);
+
+            expect(result1).not.toBeNull();
+            expect(result2).toBeNull();
+            expect(errorDetector.generateErrorFingerprint(new Error('x'), payload))
+                .toBe(errorDetector.generateErrorFingerprint(new Error('y'), payload));
+        });
+
         test('handles errors without stack traces', () => {
             const error = new Error('No stack');
             delete error.stack;
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for EventMatcher
+ *
+ * Tests the declarative conditions shared by fingerprint and sample rules:
+ * - Field conditions (strings, RegExps, arrays)
+ * - Tag conditions
+ * - Function predicates and broken matchers
+ */
+import { EventMatcher } from '../src/event-matcher.js';
+
+describe('EventMatcher', () => {
+    const matcher = new EventMatcher();
+    const payload = {
+        type: 'TypeError',
+        message: 'Cannot read properties of undefined',
+        level: 'error',
+        environment: 'production',
+        release: '2.4.0',
+        url: 'https://app.example.com/checkout/payment?step=2',
+        stack_trace: [
+            { function: 'vendorFn', file: 'https://cdn.example.net/vendor.js', in_app: false },
+            { function: 'submitOrder', file: 'https://app.example.com/static/js/main.js', in_app: true },
+        ],
+        tags: { tenant: 'acme' },
+    };
+
+    test('matches environment, release and route', () => {
+        expect(matcher.matches({ environment: 'production', release: /^2\./, route: '/checkout/payment' }, payload)).toBe(true);
+        expect(matcher.matches({ environment: 'staging' }, payload)).toBe(false);
+    });
+
+    test('file and function come from the first in-app frame', () => {
+        const values = matcher.getValues(payload);
+
+        expect(values.function).toBe('submitOrder');
+        expect(values.file).toBe('https://app.example.com/static/js/main.js');
+    });
+
+    test('arrays match any entry', () => {
+        expect(matcher.matches({ type: ['RangeError', /Type/] }, payload)).toBe(true);
+    });
+
+    test('matches tags and fails on missing tags', () => {
+        expect(matcher.matches({ tags: { tenant: 'acme' } }, payload)).toBe(true);
+        expect(matcher.matches({ tags: { plan: 'pro' } }, payload)).toBe(false);
+    });
+
+    test('supports function predicates', () => {
+        expect(matcher.matches(event => event.level === 'error', payload)).toBe(true);
+    });
+
+    test('invalid or throwing matchers never match', () => {
+        expect(matcher.matches(null, payload)).toBe(false);
+        expect(matcher.matches(() => {
+            throw new Error('broken');
+        }, payload)).toBe(false);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for EventPipeline
+ *
+ * Tests the event processor chain:
+ * - Sync and async processors
+ * - Dropping events (null return)
+ * - beforeSend ordering
+ * - Resilience against failing processors
+ */
+import { EventPipeline } from '../src/event-pipeline.js';
+
+describe('EventPipeline', () => {
+    let pipeline;
+
+    beforeEach(() => {
+        pipeline = new EventPipeline();
+    });
+
+    describe('process', () => {
+        test('returns event unchanged without processors', async () => {
+            const event = { type: 'Error', message: 'Test' };
+
+            const result = await pipeline.process(event);
+
+            expect(result).toBe(event);
+        });
+
+        test('applies sync processors in registration order', async () => {
+            pipeline.add((event) => ({ ...event, message: event.message + ' a' }));
+            pipeline.add((event) => ({ ...event, message: event.message + ' b' }));
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result.message).toBe('Test a b');
+        });
+
+        test('awaits async processors', async () => {
+            pipeline.add(async (event) => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return { ...event, tags: { async: true } };
+            });
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result.tags.async).toBe(true);
+        });
+
+        test('drops event when a processor returns null', async () => {
+            let secondCalled = false;
+            pipeline.add(() => null);
+            pipeline.add((event) => {
+                secondCalled = true;
+                return event;
+            });
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result).toBeNull();
+            expect(secondCalled).toBe(false);
+            expect(pipeline.getStats().dropped).toBe(1);
+        });
+
+        test('passes hint to processors', async () => {
+            const hint = { originalException: new Error('Test'), replayData: { sessionId: 's-1' } };
+            let received = null;
+            pipeline.add((event, h) => {
+                received = h;
+                return event;
+            });
+
+            await pipeline.process({ message: 'Test' }, hint);
+
+            expect(received).toBe(hint);
+        });
+
+        test('treats undefined return as no-op', async () => {
+            const event = { message: 'Test' };
+            pipeline.add(() => undefined);
+
+            const result = await pipeline.process(event);
+
+            expect(result).toBe(event);
+        });
+
+        test('skips processors that throw', async () => {
+            pipeline.add(() => {
+                throw new Error('Processor bug');
+            });
+            pipeline.add((event) => ({ ...event, processed: true }));
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result.processed).toBe(true);
+            expect(pipeline.getStats().processorErrors).toBe(1);
+        });
+
+        test('skips processors that reject', async () => {
+            pipeline.add(async () => {
+                throw new Error('Async processor bug');
+            });
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result.message).toBe('Test');
+        });
+    });
+
+    describe('beforeSend', () => {
+        test('runs beforeSend after registered processors', async () => {
+            const order = [];
+            pipeline = new EventPipeline({
+                beforeSend: (event) => {
+                    order.push('beforeSend');
+                    return event;
+                },
+            });
+            pipeline.add((event) => {
+                order.push('processor');
+                return event;
+            });
+
+            await pipeline.process({ message: 'Test' });
+
+            expect(order).toEqual(['processor', 'beforeSend']);
+        });
+
+        test('beforeSend can drop the event', async () => {
+            pipeline = new EventPipeline({ beforeSend: () => null });
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result).toBeNull();
+        });
+
+        test('ignores non-function beforeSend', async () => {
+            pipeline = new EventPipeline({ beforeSend: 'not a function' });
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result.message).toBe('Test');
+            expect(pipeline.getStats().hasBeforeSend).toBe(false);
+        });
+    });
+
+    describe('add / remove', () => {
+        test('add returns a function that removes the processor', async () => {
+            const removeProcessor = pipeline.add(() => null);
+            removeProcessor();
+
+            const result = await pipeline.process({ message: 'Test' });
+
+            expect(result).not.toBeNull();
+            expect(pipeline.getStats().processorCount).toBe(0);
+        });
+
+        test('remove returns false for unknown processor', () => {
+            expect(pipeline.remove(() => {})).toBe(false);
+        });
+
+        test('ignores non-function processors', () => {
+            const warn = console.warn;
+            console.warn = () => {};
+
+            pipeline.add('not a function');
+
+            console.warn = warn;
+            expect(pipeline.getStats().processorCount).toBe(0);
+        });
+    });
+});
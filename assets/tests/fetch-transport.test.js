@@ -0,0 +1,54 @@
+/**
+ * Unit tests for FetchTransport
+ *
+ * Tests the default transport adapter:
+ * - Request options passed to fetch
+ * - Timeout aborts the request
+ * - keepalive
+ */
+import { FetchTransport } from '../src/fetch-transport.js';
+
+describe('FetchTransport', () => {
+    const originalFetch = global.fetch;
+    let calls;
+
+    beforeEach(() => {
+        calls = [];
+        global.fetch = (url, options) => {
+            calls.push({ url, options });
+            return Promise.resolve({ ok: true, status: 200 });
+        };
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('passes the request to fetch and returns the response', async () => {
+        const response = await new FetchTransport().send({
+            url: 'https://logger.test/api/errors/ingest',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}',
+        });
+
+        expect(response).toEqual({ ok: true, status: 200 });
+        expect(calls[0].url).toBe('https://logger.test/api/errors/ingest');
+        expect(calls[0].options).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        expect(calls[0].options).not.toHaveProperty('keepalive');
+    });
+
+    test('sets keepalive when requested', async () => {
+        await new FetchTransport().send({ url: 'https://logger.test/', body: '{}', keepalive: true });
+
+        expect(calls[0].options.keepalive).toBe(true);
+    });
+
+    test('aborts after the timeout', async () => {
+        global.fetch = (url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        });
+
+        await expect(new FetchTransport().send({ url: 'https://logger.test/', body: '{}', timeout: 10 }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
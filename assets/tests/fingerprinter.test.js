@@ -0,0 +1,158 @@
+/**
+ * Unit tests for Fingerprinter
+ *
+ * Tests custom grouping fingerprints:
+ * - Resolution order (explicit > rules > default)
+ * - Declarative rule matching (strings, RegExps, arrays, tags, functions)
+ * - Variable interpolation
+ * - Shared deduplication key
+ */
+import { Fingerprinter } from '../src/fingerprinter.js';
+
+describe('Fingerprinter', () => {
+    const payload = {
+        type: 'ChunkLoadError',
+        message: 'Loading chunk 42 failed.',
+        level: 'error',
+        file: 'https://app.example.com/static/js/main.js',
+        url: 'https://app.example.com/checkout/payment?step=2',
+        stack_trace: [
+            { function: 'webpackJsonpCallback', file: 'https://cdn.example.net/runtime.js', in_app: false },
+            { function: 'loadPayment', file: 'https://app.example.com/static/js/main.js', in_app: true },
+        ],
+        tags: { feature: 'checkout' },
+    };
+
+    describe('resolve', () => {
+        test('returns null without explicit fingerprint or rules', () => {
+            const fingerprinter = new Fingerprinter();
+
+            expect(fingerprinter.resolve(payload)).toBeNull();
+        });
+
+        test('uses explicit fingerprint and stringifies parts', () => {
+            const fingerprinter = new Fingerprinter();
+
+            expect(fingerprinter.resolve(payload, ['payment', 42])).toEqual(['payment', '42']);
+        });
+
+        test('explicit fingerprint takes precedence over rules', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{ match: { type: 'ChunkLoadError' }, fingerprint: ['rule'] }],
+            });
+
+            expect(fingerprinter.resolve(payload, ['explicit'])).toEqual(['explicit']);
+        });
+
+        test('ignores empty explicit fingerprint', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{ match: { type: 'ChunkLoadError' }, fingerprint: ['rule'] }],
+            });
+
+            expect(fingerprinter.resolve(payload, [])).toEqual(['rule']);
+        });
+    });
+
+    describe('rules', () => {
+        test('groups errors by type and route', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{
+                    match: { type: 'ChunkLoadError', route: /^\/checkout/ },
+                    fingerprint: ['chunk-load-error', '{{ route }}'],
+                }],
+            });
+
+            expect(fingerprinter.resolve(payload)).toEqual(['chunk-load-error', '/checkout/payment']);
+        });
+
+        test('requires all conditions to match', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{ match: { type: 'ChunkLoadError', route: '/cart' }, fingerprint: ['x'] }],
+            });
+
+            expect(fingerprinter.resolve(payload)).toBeNull();
+        });
+
+        test('strings match exactly', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{ match: { type: 'Chunk' }, fingerprint: ['x'] }],
+            });
+
+            expect(fingerprinter.resolve(payload)).toBeNull();
+        });
+
+        test('arrays match any entry', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{ match: { type: ['TypeError', 'ChunkLoadError'] }, fingerprint: ['x'] }],
+            });
+
+            expect(fingerprinter.resolve(payload)).toEqual(['x']);
+        });
+
+        test('matches tags and in-app function', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{
+                    match: { tags: { feature: 'checkout' }, function: 'loadPayment' },
+                    fingerprint: ['{{ function }}', '{{ type }}'],
+                }],
+            });
+
+            expect(fingerprinter.resolve(payload)).toEqual(['loadPayment', 'ChunkLoadError']);
+        });
+
+        test('supports function matchers', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [{ match: (event) => event.message.startsWith('Loading chunk'), fingerprint: ['chunks'] }],
+            });
+
+            expect(fingerprinter.resolve(payload)).toEqual(['chunks']);
+        });
+
+        test('first matching rule wins', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [
+                    { match: { level: 'warning' }, fingerprint: ['warning'] },
+                    { match: { message: /chunk \d+/ }, fingerprint: ['first'] },
+                    { match: { type: 'ChunkLoadError' }, fingerprint: ['second'] },
+                ],
+            });
+
+            expect(fingerprinter.resolve(payload)).toEqual(['first']);
+        });
+
+        test('skips invalid and throwing rules', () => {
+            const fingerprinter = new Fingerprinter({
+                rules: [
+                    null,
+                    { match: { type: 'ChunkLoadError' } },
+                    { match: () => { throw new Error('Rule bug'); }, fingerprint: ['broken'] },
+                    { match: { type: 'ChunkLoadError' }, fingerprint: ['valid'] },
+                ],
+            });
+
+            expect(fingerprinter.resolve(payload)).toEqual(['valid']);
+        });
+
+        test('replaces unknown variables with empty string', () => {
+            const fingerprinter = new Fingerprinter();
+
+            expect(fingerprinter.resolve(payload, ['{{ unknown }}x'])).toEqual(['x']);
+        });
+    });
+
+    describe('getDedupKey', () => {
+        test('uses fingerprint when present', () => {
+            const a = Fingerprinter.getDedupKey({ ...payload, fingerprint: ['group'] });
+            const b = Fingerprinter.getDedupKey({ ...payload, message: 'Other', fingerprint: ['group'] });
+
+            expect(a).toBe(b);
+        });
+
+        test('falls back to type, message and top frames', () => {
+            const a = Fingerprinter.getDedupKey(payload);
+            const b = Fingerprinter.getDedupKey({ ...payload, message: 'Other' });
+
+            expect(a).not.toBe(b);
+        });
+    });
+});
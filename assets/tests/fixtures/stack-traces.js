@@ -0,0 +1,276 @@
+/**
+ * Stack trace fixtures for StackParser tests
+ *
+ * Real-world Error.stack strings per engine, with the frames the parser
+ * is expected to produce. Add a fixture here whenever a production stack
+ * fails to parse.
+ */
+
+/**
+ * Build an expected frame (defaults match a plain, non-native frame)
+ */
+function frame(fn, file, line, column, flags = {}) {
+    return {
+        function: fn,
+        file,
+        line,
+        column,
+        is_native: flags.native || false,
+        is_eval: flags.eval || false,
+        is_async: flags.async || false,
+    };
+}
+
+export const V8_FIXTURES = [
+    {
+        name: 'Chrome TypeError with method calls',
+        stack: `TypeError: Cannot read properties of undefined (reading 'id')
+    at getUserId (https://shop.example.com/static/js/main.3f2a1c.js:2:18345)
+    at HTMLButtonElement.onClick (https://shop.example.com/static/js/main.3f2a1c.js:2:19012)`,
+        frames: [
+            frame('getUserId', 'https://shop.example.com/static/js/main.3f2a1c.js', 2, 18345),
+            frame('HTMLButtonElement.onClick', 'https://shop.example.com/static/js/main.3f2a1c.js', 2, 19012),
+        ],
+    },
+    {
+        name: 'Chrome constructor, anonymous and builtin frames',
+        stack: `Error: boom
+    at new CartService (https://app.example.com/cart.js:14:11)
+    at https://app.example.com/bootstrap.js:3:17
+    at Array.forEach (<anonymous>)
+    at Object.<anonymous> (https://app.example.com/bootstrap.js:2:9)`,
+        frames: [
+            frame('new CartService', 'https://app.example.com/cart.js', 14, 11),
+            frame('anonymous', 'https://app.example.com/bootstrap.js', 3, 17),
+            frame('Array.forEach', '<anonymous>', 0, 0, { native: true }),
+            frame('Object.<anonymous>', 'https://app.example.com/bootstrap.js', 2, 9),
+        ],
+    },
+    {
+        name: 'Chrome async stack trace',
+        stack: `Error: Request failed
+    at fetchOrders (https://app.example.com/api.js:20:15)
+    at async loadDashboard (https://app.example.com/dashboard.js:8:5)
+    at async Promise.all (index 1)
+    at async https://app.example.com/main.js:40:3`,
+        frames: [
+            frame('fetchOrders', 'https://app.example.com/api.js', 20, 15),
+            frame('loadDashboard', 'https://app.example.com/dashboard.js', 8, 5, { async: true }),
+            frame('Promise.all', 'native', 0, 0, { native: true, async: true }),
+            frame('anonymous', 'https://app.example.com/main.js', 40, 3, { async: true }),
+        ],
+    },
+    {
+        name: 'Chrome eval frames (single and nested)',
+        stack: `Error: from eval
+    at eval (eval at runSnippet (https://app.example.com/sandbox.js:12:5), <anonymous>:1:7)
+    at eval (eval at <anonymous> (eval at outer (https://app.example.com/x.js:5:3)), <anonymous>:2:1)
+    at runSnippet (https://app.example.com/sandbox.js:12:5)`,
+        frames: [
+            frame('eval', 'https://app.example.com/sandbox.js', 12, 5, { eval: true }),
+            frame('eval', 'https://app.example.com/x.js', 5, 3, { eval: true }),
+            frame('runSnippet', 'https://app.example.com/sandbox.js', 12, 5),
+        ],
+    },
+    {
+        name: 'Chrome webpack URLs',
+        stack: `Error: Invalid state
+    at reducer (webpack://shop/./src/store/reducer.js?:42:13)
+    at dispatch (webpack-internal:///./node_modules/redux/es/redux.js:197:22)`,
+        frames: [
+            frame('reducer', 'webpack://shop/./src/store/reducer.js?', 42, 13),
+            frame('dispatch', 'webpack-internal:///./node_modules/redux/es/redux.js', 197, 22),
+        ],
+    },
+    {
+        name: 'Chrome Next.js route group paths with parentheses',
+        stack: `Error: render failed
+    at Page (webpack-internal:///(app-pages-browser)/./app/(shop)/cart/page.tsx:12:11)
+    at renderWithHooks (webpack-internal:///(app-pages-browser)/./node_modules/react-dom/cjs/react-dom.development.js:10697:18)`,
+        frames: [
+            frame('Page', 'webpack-internal:///(app-pages-browser)/./app/(shop)/cart/page.tsx', 12, 11),
+            frame('renderWithHooks', 'webpack-internal:///(app-pages-browser)/./node_modules/react-dom/cjs/react-dom.development.js', 10697, 18),
+        ],
+    },
+    {
+        name: 'Chrome worker blob URLs',
+        stack: `Error: worker failure
+    at processChunk (blob:https://app.example.com/5f1d8a3e-1c2b-4d7e-9f00-6a1b2c3d4e5f:15:9)
+    at blob:https://app.example.com/5f1d8a3e-1c2b-4d7e-9f00-6a1b2c3d4e5f:30:1`,
+        frames: [
+            frame('processChunk', 'blob:https://app.example.com/5f1d8a3e-1c2b-4d7e-9f00-6a1b2c3d4e5f', 15, 9),
+            frame('anonymous', 'blob:https://app.example.com/5f1d8a3e-1c2b-4d7e-9f00-6a1b2c3d4e5f', 30, 1),
+        ],
+    },
+    {
+        name: 'Chrome native and aliased method frames',
+        stack: `RangeError: Maximum call stack size exceeded
+    at Object.parse (native)
+    at t.render [as _render] (https://cdn.example.net/vue.min.js:6:11020)
+    at JSON.parse (<anonymous>)`,
+        frames: [
+            frame('Object.parse', 'native', 0, 0, { native: true }),
+            frame('t.render [as _render]', 'https://cdn.example.net/vue.min.js', 6, 11020),
+            frame('JSON.parse', '<anonymous>', 0, 0, { native: true }),
+        ],
+    },
+    {
+        name: 'Chrome multi-line error message',
+        stack: `Error: Validation failed:
+  - email is required
+  - at least one item expected
+    at validate (https://app.example.com/form.js:33:11)`,
+        frames: [
+            frame('validate', 'https://app.example.com/form.js', 33, 11),
+        ],
+    },
+    {
+        name: 'Node.js internal modules',
+        stack: `Error: ENOENT: no such file or directory, open 'config.json'
+    at Object.openSync (node:fs:601:3)
+    at readConfig (/srv/app/src/config.js:12:18)
+    at Module._compile (node:internal/modules/cjs/loader:1376:14)`,
+        frames: [
+            frame('Object.openSync', 'node:fs', 601, 3),
+            frame('readConfig', '/srv/app/src/config.js', 12, 18),
+            frame('Module._compile', 'node:internal/modules/cjs/loader', 1376, 14),
+        ],
+    },
+    {
+        name: 'Edge (Chromium) on Windows file paths',
+        stack: `Error: build failed
+    at build (C:\\projects\\app\\src\\build.js:5:9)
+    at file:///C:/projects/app/src/main.js:2:1`,
+        frames: [
+            frame('build', 'C:\\projects\\app\\src\\build.js', 5, 9),
+            frame('anonymous', 'file:///C:/projects/app/src/main.js', 2, 1),
+        ],
+    },
+];
+
+export const SPIDERMONKEY_FIXTURES = [
+    {
+        name: 'Firefox named and anonymous frames',
+        stack: `getUserId@https://shop.example.com/static/js/main.3f2a1c.js:2:18345
+onClick@https://shop.example.com/static/js/main.3f2a1c.js:2:19012
+@https://shop.example.com/static/js/main.3f2a1c.js:1:100`,
+        frames: [
+            frame('getUserId', 'https://shop.example.com/static/js/main.3f2a1c.js', 2, 18345),
+            frame('onClick', 'https://shop.example.com/static/js/main.3f2a1c.js', 2, 19012),
+            frame('anonymous', 'https://shop.example.com/static/js/main.3f2a1c.js', 1, 100),
+        ],
+    },
+    {
+        name: 'Firefox async causes and inner functions',
+        stack: `fetchOrders@https://app.example.com/api.js:20:15
+async*loadDashboard@https://app.example.com/dashboard.js:8:5
+loadDashboard/<@https://app.example.com/dashboard.js:10:7
+promise callback*init@https://app.example.com/main.js:3:10
+EventListener.handleEvent*@https://app.example.com/main.js:1:1`,
+        frames: [
+            frame('fetchOrders', 'https://app.example.com/api.js', 20, 15),
+            frame('loadDashboard', 'https://app.example.com/dashboard.js', 8, 5, { async: true }),
+            frame('loadDashboard/<', 'https://app.example.com/dashboard.js', 10, 7),
+            frame('init', 'https://app.example.com/main.js', 3, 10, { async: true }),
+            frame('anonymous', 'https://app.example.com/main.js', 1, 1, { async: true }),
+        ],
+    },
+    {
+        name: 'Firefox eval and Function frames',
+        stack: `@https://app.example.com/sandbox.js line 12 > eval:1:7
+anonymous@https://app.example.com/template.js line 3 > Function:2:10
+@https://app.example.com/x.js line 2 > eval line 1 > eval:1:1
+runSnippet@https://app.example.com/sandbox.js:12:5`,
+        frames: [
+            frame('anonymous', 'https://app.example.com/sandbox.js', 12, 0, { eval: true }),
+            frame('anonymous', 'https://app.example.com/template.js', 3, 0, { eval: true }),
+            frame('anonymous', 'https://app.example.com/x.js', 2, 0, { eval: true }),
+            frame('runSnippet', 'https://app.example.com/sandbox.js', 12, 5),
+        ],
+    },
+    {
+        name: 'Firefox devtools console',
+        stack: `@debugger eval code:1:1`,
+        frames: [
+            frame('anonymous', 'debugger eval code', 1, 1, { eval: true }),
+        ],
+    },
+    {
+        name: 'Firefox function names and URLs containing @',
+        stack: `handle@mention@https://app.example.com/chat.js:7:3
+@@iterator@https://app.example.com/list.js:4:1
+load@https://user@cdn.example.com/app.js:1:2`,
+        frames: [
+            frame('handle@mention', 'https://app.example.com/chat.js', 7, 3),
+            frame('@@iterator', 'https://app.example.com/list.js', 4, 1),
+            frame('load', 'https://user@cdn.example.com/app.js', 1, 2),
+        ],
+    },
+    {
+        name: 'Firefox webpack, file and relative URLs',
+        stack: `reducer@webpack://shop/./src/store/reducer.js?:42:13
+init@file:///home/dev/app/index.js:3:1
+start@app.js:9`,
+        frames: [
+            frame('reducer', 'webpack://shop/./src/store/reducer.js?', 42, 13),
+            frame('init', 'file:///home/dev/app/index.js', 3, 1),
+            frame('start', 'app.js', 9, 0),
+        ],
+    },
+];
+
+export const JAVASCRIPTCORE_FIXTURES = [
+    {
+        name: 'Safari global code and native frames',
+        stack: `getUserId@https://shop.example.com/static/js/main.3f2a1c.js:2:18345
+forEach@[native code]
+global code@https://shop.example.com/index.html:20:5`,
+        frames: [
+            frame('getUserId', 'https://shop.example.com/static/js/main.3f2a1c.js', 2, 18345),
+            frame('forEach', '[native code]', 0, 0, { native: true }),
+            frame('global code', 'https://shop.example.com/index.html', 20, 5),
+        ],
+    },
+    {
+        name: 'Safari eval code',
+        stack: `eval code
+eval@[native code]
+runSnippet@https://app.example.com/sandbox.js:12:5`,
+        frames: [
+            frame('eval code', 'unknown', 0, 0, { eval: true }),
+            frame('eval', '[native code]', 0, 0, { native: true }),
+            frame('runSnippet', 'https://app.example.com/sandbox.js', 12, 5),
+        ],
+    },
+    {
+        name: 'Safari ES module code',
+        stack: `render@https://app.example.com/assets/index-4f1b2c.js:1:2045
+module code@https://app.example.com/assets/index-4f1b2c.js:1:9930`,
+        frames: [
+            frame('render', 'https://app.example.com/assets/index-4f1b2c.js', 1, 2045),
+            frame('module code', 'https://app.example.com/assets/index-4f1b2c.js', 1, 9930),
+        ],
+    },
+    {
+        name: 'Safari function names containing @ and localhost ports',
+        stack: `handle@mention@http://localhost:8080/chat.js:7:3
+[native code]
+@http://localhost:8080/chat.js:2:1`,
+        frames: [
+            frame('handle@mention', 'http://localhost:8080/chat.js', 7, 3),
+            frame('anonymous', '[native code]', 0, 0, { native: true }),
+            frame('anonymous', 'http://localhost:8080/chat.js', 2, 1),
+        ],
+    },
+    {
+        name: 'Old Safari anonymous frames without @',
+        stack: `dispatch@https://app.example.com/legacy.js:40:12
+https://app.example.com/legacy.js:10:3
+map@[native code]`,
+        frames: [
+            frame('dispatch', 'https://app.example.com/legacy.js', 40, 12),
+            frame('anonymous', 'https://app.example.com/legacy.js', 10, 3),
+            frame('map', '[native code]', 0, 0, { native: true }),
+        ],
+    },
+];
@@ -0,0 +1,215 @@
+/**
+ * Unit tests for FreezeDetector
+ *
+ * Tests long task and UI freeze detection:
+ * - Entry type selection (long-animation-frame, longtask fallback)
+ * - Breadcrumbs and replay timeline events above the threshold
+ * - UIFreeze events with script attribution and cooldown
+ */
+import { FreezeDetector } from '../src/freeze-detector.js';
+import { StackParser } from '../src/stack-parser.js';
+
+// Mock BreadcrumbCollector
+class MockBreadcrumbCollector {
+    constructor() {
+        this.breadcrumbs = [];
+    }
+
+    add(breadcrumb) {
+        this.breadcrumbs.push(breadcrumb);
+    }
+}
+
+// Mock ReplayBuffer
+class MockReplayBuffer {
+    constructor() {
+        this.events = [];
+    }
+
+    addEvent(event) {
+        this.events.push(event);
+        return true;
+    }
+}
+
+describe('FreezeDetector', () => {
+    const originalPerformanceObserver = global.PerformanceObserver;
+
+    let breadcrumbs;
+    let replayBuffer;
+    let captured;
+    let detector;
+
+    const loafEntry = (duration, overrides = {}) => ({
+        entryType: 'long-animation-frame',
+        startTime: 1000,
+        duration,
+        blockingDuration: duration - 50,
+        scripts: [
+            { sourceURL: 'https://app.test/build/vendor.js', sourceFunctionName: 'layout', invoker: 'Window.requestAnimationFrame', sourceCharPosition: 10, duration: 40 },
+            { sourceURL: 'https://app.test/build/app.js?v=abc123', sourceFunctionName: 'renderCart', invoker: 'BUTTON#checkout.onclick', sourceCharPosition: 4521, duration: duration - 100 },
+        ],
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        breadcrumbs = new MockBreadcrumbCollector();
+        replayBuffer = new MockReplayBuffer();
+        captured = [];
+        detector = new FreezeDetector(breadcrumbs, replayBuffer, (error, options) => {
+            captured.push({ error, options });
+        }, {
+            sessionProvider: () => 'session-123',
+        });
+    });
+
+    afterEach(() => {
+        detector.cleanup();
+        global.PerformanceObserver = originalPerformanceObserver;
+    });
+
+    describe('install', () => {
+        const mockObserver = (supportedEntryTypes, observed) => class {
+            static supportedEntryTypes = supportedEntryTypes;
+
+            observe(options) {
+                observed.push(options);
+            }
+
+            disconnect() {}
+        };
+
+        test('prefers long-animation-frame', () => {
+            const observed = [];
+            global.PerformanceObserver = mockObserver(['longtask', 'long-animation-frame'], observed);
+
+            detector.install();
+
+            expect(observed).toEqual([{ type: 'long-animation-frame', buffered: true }]);
+        });
+
+        test('falls back to longtask', () => {
+            const observed = [];
+            global.PerformanceObserver = mockObserver(['longtask'], observed);
+
+            detector.install();
+
+            expect(observed).toEqual([{ type: 'longtask', buffered: true }]);
+            expect(detector.getStats().entryType).toBe('longtask');
+        });
+
+        test('does nothing without PerformanceObserver', () => {
+            global.PerformanceObserver = undefined;
+
+            expect(() => detector.install()).not.toThrow();
+            expect(detector.getStats().entryType).toBeNull();
+        });
+    });
+
+    describe('long tasks', () => {
+        test('ignores tasks below longTaskThresholdMs', () => {
+            detector.handleEntries([loafEntry(150)]);
+
+            expect(breadcrumbs.breadcrumbs).toHaveLength(0);
+            expect(replayBuffer.events).toHaveLength(0);
+        });
+
+        test('adds a breadcrumb with the longest script', () => {
+            detector.handleEntries([loafEntry(450)]);
+
+            expect(breadcrumbs.breadcrumbs).toEqual([{
+                type: 'performance',
+                category: 'long-task',
+                message: 'Long task (450ms)',
+                data: {
+                    duration: 450,
+                    blocking_duration: 400,
+                    entry_type: 'long-animation-frame',
+                    source_url: 'https://app.test/build/app.js',
+                    function: 'renderCart',
+                },
+                level: 'warning',
+            }]);
+            expect(captured).toHaveLength(0);
+        });
+
+        test('adds the task to the replay timeline', () => {
+            detector.handleEntries([loafEntry(450)]);
+
+            expect(replayBuffer.events).toHaveLength(1);
+            expect(replayBuffer.events[0]).toMatchObject({
+                type: 'longTask',
+                url: window.location.href,
+                timestamp: Math.round(performance.timeOrigin + 1000),
+                sessionId: 'session-123',
+                longTaskData: { duration: 450, blockingDuration: 400, freeze: false },
+            });
+            expect(replayBuffer.events[0].longTaskData.scripts.map(script => script.function)).toEqual(['renderCart', 'layout']);
+        });
+
+        test('works without a replay buffer and with longtask entries', () => {
+            detector = new FreezeDetector(breadcrumbs, null, null);
+
+            detector.handleEntries([{ entryType: 'longtask', startTime: 10, duration: 320 }]);
+
+            expect(breadcrumbs.breadcrumbs[0].data).toMatchObject({
+                duration: 320,
+                blocking_duration: null,
+                entry_type: 'longtask',
+                source_url: null,
+            });
+            expect(detector.getStats()).toMatchObject({ longTasks: 1, longestTaskMs: 320 });
+        });
+    });
+
+    describe('UI freeze', () => {
+        test('captures a UIFreeze event blamed on the longest script', () => {
+            detector.handleEntries([loafEntry(3500)]);
+
+            expect(captured).toHaveLength(1);
+
+            const { error, options } = captured[0];
+            expect(error.name).toBe('UIFreeze');
+            expect(error.message).toBe('UI freeze: main thread blocked for 3500ms');
+            expect(options.extra.freeze).toMatchObject({ duration: 3500, blocking_duration: 3450 });
+            expect(options.fingerprint).toEqual(['ui-freeze', '{{ file }}', '{{ function }}']);
+            // Not the app's lastEventId()
+            expect(options.automatic).toBe(true);
+
+            const frames = new StackParser().parse(error.stack);
+            expect(frames[0]).toMatchObject({
+                function: 'renderCart',
+                file: 'https://app.test/build/app.js',
+                line: 1,
+                column: 4522,
+            });
+
+            expect(breadcrumbs.breadcrumbs[0]).toMatchObject({ message: 'UI freeze (3500ms)', level: 'error' });
+            expect(replayBuffer.events[0].longTaskData.freeze).toBe(true);
+        });
+
+        test('has no stack frames without script attribution', () => {
+            detector.handleEntries([{ entryType: 'longtask', startTime: 10, duration: 4000 }]);
+
+            expect(captured[0].error.stack).toBe('UIFreeze: UI freeze: main thread blocked for 4000ms');
+        });
+
+        test('captures at most one freeze per cooldown', () => {
+            detector.handleEntries([loafEntry(3500), loafEntry(5000)]);
+
+            expect(captured).toHaveLength(1);
+            expect(breadcrumbs.breadcrumbs).toHaveLength(2);
+            expect(detector.getStats()).toMatchObject({ freezes: 2, freezesCaptured: 1, longestTaskMs: 5000 });
+        });
+
+        test('uses the configured freeze threshold', () => {
+            detector = new FreezeDetector(breadcrumbs, replayBuffer, (error, options) => {
+                captured.push({ error, options });
+            }, { freezeThresholdMs: 1000 });
+
+            detector.handleEntries([loafEntry(1200)]);
+
+            expect(captured).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,20 @@
+/**
+ * Unit tests for Hash
+ *
+ * Tests the DJB2 fallback hash:
+ * - 64-character hexadecimal output
+ * - Same input, same hash; different input, different hash
+ */
+import { Hash } from '../src/hash.js';
+
+describe('Hash', () => {
+    test('returns 64 hexadecimal characters', () => {
+        expect(Hash.djb2('session-id')).toMatch(/^[0-9a-f]{64}$/);
+        expect(Hash.djb2('')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('is deterministic', () => {
+        expect(Hash.djb2('salt:42')).toBe(Hash.djb2('salt:42'));
+        expect(Hash.djb2('salt:42')).not.toBe(Hash.djb2('salt:43'));
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for IndexedDbStorageAdapter
+ *
+ * Tests the IndexedDB adapter against a minimal in-memory IndexedDB:
+ * - Object store created on first open
+ * - get/put/delete/getAllKeys through transactions
+ * - Failed transactions reject
+ * - Memory fallback when the database can't be opened
+ */
+import { IndexedDbStorageAdapter } from '../src/indexed-db-storage-adapter.js';
+
+/**
+ * Minimal IndexedDB: one database with Map-backed object stores.
+ * Requests and transactions complete asynchronously like the real API.
+ */
+class FakeIndexedDb {
+    constructor({ failOpen = false } = {}) {
+        this.failOpen = failOpen;
+        this.stores = new Map();
+        this.failWrites = false;
+        this.openCalls = 0;
+    }
+
+    open() {
+        this.openCalls++;
+        const request = {};
+
+        setTimeout(() => {
+            if (this.failOpen) {
+                request.error = new Error('blocked');
+                request.onerror();
+                return;
+            }
+
+            request.result = this.createDatabase();
+            if (this.stores.size === 0) {
+                request.onupgradeneeded();
+            }
+            request.onsuccess();
+        });
+
+        return request;
+    }
+
+    createDatabase() {
+        const stores = this.stores;
+        const fake = this;
+
+        return {
+            objectStoreNames: { contains: name => stores.has(name) },
+            createObjectStore: name => stores.set(name, new Map()),
+            transaction(name, mode) {
+                const store = stores.get(name);
+                const transaction = {};
+                const request = {};
+
+                transaction.objectStore = () => ({
+                    get: (key) => { request.result = store.get(key); return request; },
+                    put: (value, key) => { request.pendingWrite = () => store.set(key, value); return request; },
+                    delete: (key) => { request.pendingWrite = () => store.delete(key); return request; },
+                    getAllKeys: () => { request.result = [...store.keys()]; return request; },
+                });
+
+                setTimeout(() => {
+                    if (mode === 'readwrite' && fake.failWrites) {
+                        transaction.error = new DOMException('Quota exceeded', 'QuotaExceededError');
+                        transaction.onerror();
+                        return;
+                    }
+                    request.pendingWrite?.();
+                    transaction.oncomplete();
+                });
+
+                return transaction;
+            },
+        };
+    }
+}
+
+describe('IndexedDbStorageAdapter', () => {
+    const originalIndexedDB = global.indexedDB;
+
+    let fakeIndexedDb;
+    let storage;
+
+    beforeEach(() => {
+        fakeIndexedDb = new FakeIndexedDb();
+        global.indexedDB = fakeIndexedDb;
+        storage = new IndexedDbStorageAdapter();
+    });
+
+    afterEach(() => {
+        global.indexedDB = originalIndexedDB;
+    });
+
+    test('creates the object store and keeps values in it', async () => {
+        await storage.setItem('_app_logger_replay_buffer', { buffer: [1, 2] });
+
+        expect(fakeIndexedDb.stores.get('keyval').get('_app_logger_replay_buffer')).toEqual({ buffer: [1, 2] });
+        expect(await storage.getItem('_app_logger_replay_buffer')).toEqual({ buffer: [1, 2] });
+        expect(await storage.getItem('missing')).toBeNull();
+    });
+
+    test('lists and removes keys', async () => {
+        await storage.setItem('a', 1);
+        await storage.setItem('b', 2);
+        await storage.removeItem('a');
+
+        expect(await storage.keys()).toEqual(['b']);
+    });
+
+    test('opens the database once', async () => {
+        await Promise.all([storage.getItem('a'), storage.getItem('b')]);
+        await storage.keys();
+
+        expect(fakeIndexedDb.openCalls).toBe(1);
+    });
+
+    test('rejects when the transaction fails', async () => {
+        fakeIndexedDb.failWrites = true;
+
+        await expect(storage.setItem('a', 1)).rejects.toThrow('Quota exceeded');
+    });
+
+    test('falls back to memory when the database cannot be opened', async () => {
+        global.indexedDB = new FakeIndexedDb({ failOpen: true });
+        storage = new IndexedDbStorageAdapter();
+
+        await storage.setItem('a', { value: 1 });
+
+        expect(await storage.getItem('a')).toEqual({ value: 1 });
+        expect(storage.fallback).not.toBeNull();
+    });
+});
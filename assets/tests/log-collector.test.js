@@ -0,0 +1,187 @@
+/**
+ * Unit tests for LogCollector
+ *
+ * Tests structured logging:
+ * - Record shape and automatic context
+ * - Level filtering
+ * - Bounded buffer
+ * - Size- and time-based flushing in batches
+ * - Hand-off to the transport's unload delivery
+ */
+import { LogCollector } from '../src/log-collector.js';
+
+// Mock Transport
+class MockTransport {
+    constructor(result = true) {
+        this.result = result;
+        this.batches = [];
+        this.unloadBatches = [];
+    }
+
+    async sendLogs(logs) {
+        this.batches.push(logs);
+        return this.result;
+    }
+
+    queueLogsForUnload(logs) {
+        this.unloadBatches.push(logs);
+    }
+}
+
+describe('LogCollector', () => {
+    let transport;
+    let collector;
+
+    const createCollector = (config = {}) => new LogCollector(transport, {
+        release: '1.2.3',
+        environment: 'staging',
+        flushIntervalMs: 20,
+        ...config,
+    });
+
+    beforeEach(() => {
+        transport = new MockTransport();
+        collector = createCollector();
+    });
+
+    afterEach(() => {
+        collector.cancelFlush();
+    });
+
+    describe('records', () => {
+        test('attaches level, attributes and automatic context', () => {
+            collector = createCollector({
+                contextProvider: () => ({ session_id: 'session-1', session_hash: null }),
+            });
+
+            const record = collector.info('Checkout started', { cartSize: 3 });
+
+            expect(record).toMatchObject({
+                level: 'info',
+                message: 'Checkout started',
+                attributes: { cartSize: 3 },
+                release: '1.2.3',
+                environment: 'staging',
+                session_id: 'session-1',
+                url: window.location.href,
+            });
+            expect(record).not.toHaveProperty('session_hash');
+            expect(new Date(record.timestamp).toISOString()).toBe(record.timestamp);
+        });
+
+        test('each level method uses its own level', () => {
+            collector.debug('d');
+            collector.info('i');
+            collector.warn('w');
+            collector.error('e');
+
+            expect(collector.buffer.map(record => record.level)).toEqual(['debug', 'info', 'warn', 'error']);
+        });
+
+        test('ignores records below minLevel', () => {
+            collector = createCollector({ minLevel: 'warn' });
+
+            expect(collector.info('Ignored')).toBeNull();
+            expect(collector.warn('Kept')).not.toBeNull();
+            expect(collector.buffer).toHaveLength(1);
+        });
+
+        test('truncates long messages', () => {
+            const record = collector.info('x'.repeat(2000));
+
+            expect(record.message).toHaveLength(LogCollector.MAX_MESSAGE_LENGTH);
+        });
+
+        test('survives a throwing context provider', () => {
+            collector = createCollector({
+                contextProvider: () => {
+                    throw new Error('broken');
+                },
+            });
+
+            expect(collector.info('Still logged')).not.toBeNull();
+        });
+    });
+
+    describe('buffer', () => {
+        test('drops oldest records when full', () => {
+            collector = createCollector({ maxBufferSize: 3, maxBatchSize: 10 });
+
+            ['a', 'b', 'c', 'd'].forEach(message => collector.info(message));
+
+            expect(collector.buffer.map(record => record.message)).toEqual(['b', 'c', 'd']);
+            expect(collector.getStats().dropped).toBe(1);
+        });
+    });
+
+    describe('flushing', () => {
+        test('flushes immediately when maxBatchSize is reached', async () => {
+            collector = createCollector({ maxBatchSize: 2 });
+
+            collector.info('one');
+            collector.info('two');
+            await Promise.resolve();
+
+            expect(transport.batches).toHaveLength(1);
+            expect(transport.batches[0]).toHaveLength(2);
+            expect(collector.buffer).toHaveLength(0);
+        });
+
+        test('flushes after flushIntervalMs', async () => {
+            collector.info('one');
+
+            expect(transport.batches).toHaveLength(0);
+
+            await new Promise(resolve => setTimeout(resolve, 40));
+
+            expect(transport.batches).toHaveLength(1);
+        });
+
+        test('flush sends everything in batches of maxBatchSize', async () => {
+            collector = createCollector({ maxBatchSize: 10 });
+            for (let i = 0; i < 9; i++) {
+                collector.info(`log ${i}`);
+            }
+            collector.config.maxBatchSize = 4;
+
+            await collector.flush();
+
+            expect(transport.batches.map(batch => batch.length)).toEqual([4, 4, 1]);
+            expect(collector.getStats()).toMatchObject({ sent: 9, batches: 3, buffered: 0 });
+        });
+
+        test('counts rejected batches as dropped', async () => {
+            transport = new MockTransport(false);
+            collector = createCollector();
+            collector.info('one');
+
+            await collector.flush();
+
+            expect(collector.getStats()).toMatchObject({ sent: 0, dropped: 1 });
+        });
+
+        test('hands the records to the unload delivery when the page is hidden', async () => {
+            collector.install();
+            collector.info('one');
+
+            Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+            await Promise.resolve();
+
+            // No normal send: it would be cancelled with the page
+            expect(transport.batches).toHaveLength(0);
+            expect(transport.unloadBatches).toHaveLength(1);
+            expect(collector.buffer).toHaveLength(0);
+        });
+
+        test('hands the records to the unload delivery on beforeunload', () => {
+            collector.install();
+            collector.info('one');
+
+            window.dispatchEvent(new Event('beforeunload'));
+
+            expect(transport.unloadBatches.map(batch => batch.map(record => record.message))).toEqual([['one']]);
+        });
+    });
+});
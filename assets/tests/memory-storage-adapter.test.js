@@ -0,0 +1,41 @@
+/**
+ * Unit tests for MemoryStorageAdapter
+ *
+ * Tests the non-persistent adapter:
+ * - Async get/set/remove/keys
+ * - Values are copied (mutations don't reach stored data)
+ */
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+
+describe('MemoryStorageAdapter', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new MemoryStorageAdapter();
+    });
+
+    test('stores, lists and removes values', async () => {
+        await storage.setItem('queue', [{ payload: { message: 'a' } }]);
+        await storage.setItem('session', 'abc');
+
+        expect(await storage.getItem('queue')).toEqual([{ payload: { message: 'a' } }]);
+        expect(await storage.getItem('session')).toBe('abc');
+        expect(await storage.keys()).toEqual(['queue', 'session']);
+
+        await storage.removeItem('queue');
+
+        expect(await storage.getItem('queue')).toBeNull();
+        expect(await storage.keys()).toEqual(['session']);
+    });
+
+    test('copies values on write and read', async () => {
+        const value = { items: [1] };
+        await storage.setItem('key', value);
+        value.items.push(2);
+
+        const stored = await storage.getItem('key');
+        stored.items.push(3);
+
+        expect(await storage.getItem('key')).toEqual({ items: [1] });
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Unit tests for MemoryTransport
+ *
+ * Tests the in-memory transport adapter:
+ * - Requests are recorded, not sent
+ * - Custom responses
+ * - Recorded request limit
+ */
+import { MemoryTransport } from '../src/memory-transport.js';
+
+describe('MemoryTransport', () => {
+    test('records requests and answers 200', async () => {
+        const transport = new MemoryTransport();
+
+        const result = await transport.send({ url: 'https://logger.test/', headers: { 'X-Api-Key': 'key' }, body: '{}' });
+
+        expect(result.ok).toBe(true);
+        expect(transport.requests).toEqual([{ url: 'https://logger.test/', headers: { 'X-Api-Key': 'key' }, body: '{}' }]);
+
+        transport.clear();
+        expect(transport.requests).toEqual([]);
+    });
+
+    test('answers with custom responses', async () => {
+        const transport = new MemoryTransport({
+            respond: request => ({ status: 429, headers: { 'Retry-After': '30' }, body: JSON.stringify({ url: request.url }) }),
+        });
+
+        const result = await transport.send({ url: 'https://logger.test/', body: '{}' });
+
+        expect(result.status).toBe(429);
+        expect(result.headers.get('retry-after')).toBe('30');
+        expect(await result.json()).toEqual({ url: 'https://logger.test/' });
+    });
+
+    test('keeps the most recent requests', async () => {
+        const transport = new MemoryTransport({ maxRequests: 2 });
+
+        for (const body of ['1', '2', '3']) {
+            await transport.send({ url: 'https://logger.test/', body });
+        }
+
+        expect(transport.requests.map(request => request.body)).toEqual(['2', '3']);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for PayloadCompressor
+ *
+ * Tests gzip helpers (with Node's CompressionStream, jsdom has none):
+ * - Round trip compress/decompress
+ * - Base64 encoding for string-only storage
+ * - Feature detection
+ */
+import { CompressionStream, DecompressionStream } from 'node:stream/web';
+import { TextDecoder, TextEncoder } from 'node:util';
+import { gunzipSync } from 'node:zlib';
+import { PayloadCompressor } from '../src/payload-compressor.js';
+
+describe('PayloadCompressor', () => {
+    const streamGlobals = { CompressionStream, DecompressionStream, TextEncoder, TextDecoder };
+    const originals = {};
+
+    beforeEach(() => {
+        Object.entries(streamGlobals).forEach(([name, value]) => {
+            originals[name] = global[name];
+            global[name] = value;
+        });
+    });
+
+    afterEach(() => {
+        Object.entries(originals).forEach(([name, value]) => {
+            global[name] = value;
+        });
+    });
+
+    test('compresses to standard gzip', async () => {
+        const json = JSON.stringify({ replay_data: Array(100).fill({ tag: 'div', attributes: { class: 'row' } }) });
+
+        const compressed = await PayloadCompressor.compress(json);
+
+        expect(compressed.length).toBeLessThan(json.length / 5);
+        expect(gunzipSync(compressed).toString()).toBe(json);
+        expect(await PayloadCompressor.decompress(compressed)).toBe(json);
+    });
+
+    test('keeps non-ASCII text intact', async () => {
+        const text = 'Fehler: Größe überschritten – 日本語';
+
+        expect(await PayloadCompressor.decompress(await PayloadCompressor.compress(text))).toBe(text);
+    });
+
+    test('rejects invalid gzip data', async () => {
+        await expect(PayloadCompressor.decompress(new Uint8Array([1, 2, 3]))).rejects.toThrow();
+    });
+
+    test('encodes bytes as base64 and back', () => {
+        // Longer than one String.fromCharCode() chunk
+        const bytes = new Uint8Array(PayloadCompressor.BASE64_CHUNK_SIZE + 100).map((_, i) => i % 256);
+
+        const encoded = PayloadCompressor.toBase64(bytes);
+
+        expect(encoded).toBe(Buffer.from(bytes).toString('base64'));
+        expect(Buffer.from(PayloadCompressor.fromBase64(encoded)).equals(Buffer.from(bytes))).toBe(true);
+    });
+
+    test('detects missing streams support', () => {
+        expect(PayloadCompressor.isSupported()).toBe(true);
+
+        global.CompressionStream = undefined;
+
+        expect(PayloadCompressor.isSupported()).toBe(false);
+    });
+});
@@ -0,0 +1,265 @@
+/**
+ * Unit tests for ReportDialog
+ *
+ * Tests the user feedback modal:
+ * - Rendering, accessibility attributes and focus management
+ * - Validation and submission via Transport
+ * - Localization and theming
+ * - Closing (button, Escape, overlay)
+ */
+import { ReportDialog } from '../src/report-dialog.js';
+
+// Mock Transport
+class MockTransport {
+    constructor(result = true) {
+        this.result = result;
+        this.sentFeedback = [];
+    }
+
+    async sendFeedback(feedback) {
+        this.sentFeedback.push(feedback);
+        return this.result;
+    }
+}
+
+describe('ReportDialog', () => {
+    let transport;
+    let dialog;
+
+    const createDialog = (options = {}) => new ReportDialog({
+        eventId: 'evt-123',
+        sessionId: 'session-456',
+        transport,
+        ...options,
+    });
+
+    const pressKey = (key, options = {}) => {
+        document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        transport = new MockTransport();
+        dialog = createDialog();
+    });
+
+    afterEach(() => {
+        dialog.close();
+    });
+
+    describe('show', () => {
+        test('renders an accessible modal dialog', () => {
+            dialog.show();
+
+            const element = document.querySelector('[role="dialog"]');
+            expect(element).not.toBeNull();
+            expect(element.getAttribute('aria-modal')).toBe('true');
+            expect(document.getElementById(element.getAttribute('aria-labelledby')).textContent)
+                .toBe(ReportDialog.DEFAULT_LABELS.title);
+            expect(document.getElementById(element.getAttribute('aria-describedby'))).not.toBeNull();
+        });
+
+        test('labels are bound to their inputs', () => {
+            dialog.show();
+
+            for (const label of document.querySelectorAll('label')) {
+                expect(document.getElementById(label.getAttribute('for'))).not.toBeNull();
+            }
+            expect(dialog.elements.description.getAttribute('aria-required')).toBe('true');
+        });
+
+        test('moves focus into the dialog', () => {
+            dialog.show();
+
+            expect(document.activeElement).toBe(dialog.elements.name);
+        });
+
+        test('shows the event ID as reference', () => {
+            dialog.show();
+
+            expect(document.querySelector('.app-logger-dialog-reference').textContent).toContain('evt-123');
+        });
+
+        test('hides the name field when showName is false', () => {
+            dialog = createDialog({ showName: false });
+            dialog.show();
+
+            expect(document.querySelector('input[name="name"]')).toBeNull();
+            expect(document.activeElement).toBe(dialog.elements.description);
+        });
+
+        test('injects styles only once', () => {
+            dialog.show();
+            const second = createDialog();
+            second.show();
+
+            expect(document.querySelectorAll(`#${ReportDialog.STYLE_ID}`)).toHaveLength(1);
+            second.close();
+        });
+    });
+
+    describe('localization and theming', () => {
+        test('uses custom labels', () => {
+            dialog = createDialog({ labels: { title: 'Er ging iets mis', submitLabel: 'Versturen' } });
+            dialog.show();
+
+            expect(document.querySelector('.app-logger-dialog-title').textContent).toBe('Er ging iets mis');
+            expect(dialog.elements.submit.textContent).toBe('Versturen');
+            expect(dialog.elements.close.textContent).toBe(ReportDialog.DEFAULT_LABELS.closeLabel);
+        });
+
+        test('renders labels as text, not HTML', () => {
+            dialog = createDialog({ labels: { title: '<img src=x onerror=alert(1)>' } });
+            dialog.show();
+
+            expect(document.querySelector('.app-logger-dialog-title img')).toBeNull();
+        });
+
+        test('applies theme as CSS custom properties', () => {
+            dialog = createDialog({ theme: { primaryColor: '#0f766e' } });
+            dialog.show();
+
+            const style = dialog.root.style;
+            expect(style.getPropertyValue('--app-logger-dialog-primary')).toBe('#0f766e');
+            expect(style.getPropertyValue('--app-logger-dialog-background')).toBe(ReportDialog.DEFAULT_THEME.backgroundColor);
+        });
+    });
+
+    describe('submit', () => {
+        test('requires a description', async () => {
+            dialog.show();
+
+            const result = await dialog.submit();
+
+            expect(result).toBe(false);
+            expect(transport.sentFeedback).toHaveLength(0);
+            expect(dialog.elements.description.getAttribute('aria-invalid')).toBe('true');
+            expect(dialog.elements.error.textContent).toBe(ReportDialog.DEFAULT_LABELS.descriptionRequired);
+        });
+
+        test('sends feedback linked to event and session', async () => {
+            dialog.show();
+            dialog.elements.name.value = ' Jane ';
+            dialog.elements.description.value = 'Clicked checkout, nothing happened';
+
+            const result = await dialog.submit();
+
+            expect(result).toBe(true);
+            expect(transport.sentFeedback[0]).toMatchObject({
+                event_id: 'evt-123',
+                session_id: 'session-456',
+                name: 'Jane',
+                description: 'Clicked checkout, nothing happened',
+                url: window.location.href,
+            });
+        });
+
+        test('omits empty name', async () => {
+            dialog.show();
+            dialog.elements.description.value = 'Broken';
+
+            await dialog.submit();
+
+            expect(transport.sentFeedback[0]).not.toHaveProperty('name');
+        });
+
+        test('shows success message and calls onSubmit', async () => {
+            let submitted = null;
+            dialog = createDialog({ onSubmit: (feedback) => { submitted = feedback; } });
+            dialog.show();
+            dialog.elements.description.value = 'Broken';
+
+            await dialog.submit();
+
+            expect(dialog.elements.form.hidden).toBe(true);
+            expect(dialog.elements.status.textContent).toBe(ReportDialog.DEFAULT_LABELS.successMessage);
+            expect(document.activeElement).toBe(dialog.elements.close);
+            expect(submitted.description).toBe('Broken');
+        });
+
+        test('shows error message when sending fails', async () => {
+            transport = new MockTransport(false);
+            dialog = createDialog();
+            dialog.show();
+            dialog.elements.description.value = 'Broken';
+
+            const result = await dialog.submit();
+
+            expect(result).toBe(false);
+            expect(dialog.elements.error.textContent).toBe(ReportDialog.DEFAULT_LABELS.errorMessage);
+            expect(dialog.elements.submit.disabled).toBe(false);
+        });
+
+        test('submits via form submit event', async () => {
+            dialog.show();
+            dialog.elements.description.value = 'Broken';
+
+            dialog.elements.form.dispatchEvent(new Event('submit', { cancelable: true }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(transport.sentFeedback).toHaveLength(1);
+        });
+    });
+
+    describe('close', () => {
+        test('close button removes the dialog and calls onClose', () => {
+            let closed = false;
+            dialog = createDialog({ onClose: () => { closed = true; } });
+            dialog.show();
+
+            dialog.elements.close.click();
+
+            expect(document.querySelector('[role="dialog"]')).toBeNull();
+            expect(closed).toBe(true);
+        });
+
+        test('Escape closes the dialog', () => {
+            dialog.show();
+
+            pressKey('Escape');
+
+            expect(dialog.isOpen).toBe(false);
+        });
+
+        test('restores focus to the previously focused element', () => {
+            const button = document.createElement('button');
+            document.body.appendChild(button);
+            button.focus();
+
+            dialog.show();
+            dialog.close();
+
+            expect(document.activeElement).toBe(button);
+        });
+
+        test('overlay click closes the dialog', () => {
+            dialog.show();
+
+            dialog.root.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+            expect(dialog.isOpen).toBe(false);
+        });
+    });
+
+    describe('focus trap', () => {
+        test('Tab on last element moves focus to first', () => {
+            dialog.show();
+            const focusable = dialog.getFocusableElements();
+            focusable[focusable.length - 1].focus();
+
+            pressKey('Tab');
+
+            expect(document.activeElement).toBe(focusable[0]);
+        });
+
+        test('Shift+Tab on first element moves focus to last', () => {
+            dialog.show();
+            const focusable = dialog.getFocusableElements();
+            focusable[0].focus();
+
+            pressKey('Tab', { shiftKey: true });
+
+            expect(document.activeElement).toBe(focusable[focusable.length - 1]);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for Sampler
+ *
+ * Tests error and replay sampling:
+ * - Global rates and clamping
+ * - Rate resolution order (sampler callback > rules > global rate)
+ * - Random decisions and statistics
+ */
+import { Sampler } from '../src/sampler.js';
+
+describe('Sampler', () => {
+    const payload = {
+        type: 'ChunkLoadError',
+        message: 'Loading chunk 42 failed.',
+        environment: 'production',
+        url: 'https://app.example.com/checkout/payment',
+        tags: { tenant: 'acme' },
+    };
+
+    const originalRandom = Math.random;
+
+    afterEach(() => {
+        Math.random = originalRandom;
+    });
+
+    describe('rates', () => {
+        test('defaults to sampling everything', () => {
+            const sampler = new Sampler();
+
+            expect(sampler.sampleError(payload)).toEqual({ sampled: true, rate: 1 });
+            expect(sampler.sampleReplay(payload)).toEqual({ sampled: true, rate: 1 });
+        });
+
+        test('rate 0 never samples', () => {
+            const sampler = new Sampler({ sampleRate: 0, replayOnErrorSampleRate: 0 });
+
+            expect(sampler.sampleError(payload).sampled).toBe(false);
+            expect(sampler.sampleReplay(payload).sampled).toBe(false);
+        });
+
+        test('clamps out-of-range rates and ignores invalid ones', () => {
+            expect(new Sampler({ sampleRate: 5 }).getRate(Sampler.KIND_ERROR, payload)).toBe(1);
+            expect(new Sampler({ sampleRate: -1 }).getRate(Sampler.KIND_ERROR, payload)).toBe(0);
+            expect(new Sampler({ sampleRate: '0.5' }).getRate(Sampler.KIND_ERROR, payload)).toBe(1);
+        });
+
+        test('compares the rate against Math.random()', () => {
+            const sampler = new Sampler({ sampleRate: 0.25 });
+
+            Math.random = () => 0.2;
+            expect(sampler.sampleError(payload)).toEqual({ sampled: true, rate: 0.25 });
+
+            Math.random = () => 0.3;
+            expect(sampler.sampleError(payload)).toEqual({ sampled: false, rate: 0.25 });
+        });
+    });
+
+    describe('rules', () => {
+        test('first matching rule that defines the rate wins', () => {
+            const sampler = new Sampler({
+                sampleRate: 0.5,
+                replayOnErrorSampleRate: 0.1,
+                rules: [
+                    { match: { type: 'ChunkLoadError' }, sampleRate: 0.01 },
+                    { match: { route: /^\/checkout/ }, sampleRate: 1, replayOnErrorSampleRate: 1 },
+                ],
+            });
+
+            expect(sampler.getRate(Sampler.KIND_ERROR, payload)).toBe(0.01);
+            expect(sampler.getRate(Sampler.KIND_REPLAY, payload)).toBe(1);
+        });
+
+        test('matches by environment and tag', () => {
+            const sampler = new Sampler({
+                sampleRate: 0,
+                rules: [{ match: { environment: 'production', tags: { tenant: 'acme' } }, sampleRate: 0.75 }],
+            });
+
+            expect(sampler.getRate(Sampler.KIND_ERROR, payload)).toBe(0.75);
+            expect(sampler.getRate(Sampler.KIND_ERROR, { ...payload, tags: {} })).toBe(0);
+        });
+    });
+
+    describe('sampler callback', () => {
+        test('receives kind, event and original exception', () => {
+            const contexts = [];
+            const error = new Error('Test');
+            const sampler = new Sampler({ sampler: (context) => { contexts.push(context); } });
+
+            sampler.sampleError(payload, error);
+            sampler.sampleReplay(payload, error);
+
+            expect(contexts).toEqual([
+                { kind: 'error', event: payload, originalException: error },
+                { kind: 'replay', event: payload, originalException: error },
+            ]);
+        });
+
+        test('takes precedence over rules', () => {
+            const sampler = new Sampler({
+                sampler: () => 0.2,
+                rules: [{ match: { type: 'ChunkLoadError' }, sampleRate: 1 }],
+            });
+
+            expect(sampler.getRate(Sampler.KIND_ERROR, payload)).toBe(0.2);
+        });
+
+        test('booleans map to 1 and 0', () => {
+            expect(new Sampler({ sampler: () => true, sampleRate: 0 }).getRate(Sampler.KIND_ERROR, payload)).toBe(1);
+            expect(new Sampler({ sampler: () => false }).getRate(Sampler.KIND_ERROR, payload)).toBe(0);
+        });
+
+        test('undefined result and errors fall through to rules', () => {
+            const rules = [{ match: { type: 'ChunkLoadError' }, sampleRate: 0.3 }];
+
+            expect(new Sampler({ sampler: () => undefined, rules }).getRate(Sampler.KIND_ERROR, payload)).toBe(0.3);
+            expect(new Sampler({
+                sampler: () => {
+                    throw new Error('broken');
+                },
+                rules,
+            }).getRate(Sampler.KIND_ERROR, payload)).toBe(0.3);
+        });
+    });
+
+    describe('getStats', () => {
+        test('counts sampled and dropped decisions', () => {
+            const sampler = new Sampler({ replayOnErrorSampleRate: 0 });
+
+            sampler.sampleError(payload);
+            sampler.sampleReplay(payload);
+
+            expect(sampler.getStats()).toMatchObject({
+                errorsSampled: 1,
+                errorsDropped: 0,
+                replaysSampled: 0,
+                replaysDropped: 1,
+                sampleRate: 1,
+                replayOnErrorSampleRate: 0,
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for Scope
+ *
+ * Tests scope data handling:
+ * - Tags, extra, user, level and fingerprint setters
+ * - Cloning (isolation between parent and child scopes)
+ * - Clearing
+ */
+import { Scope } from '../src/scope.js';
+
+describe('Scope', () => {
+    let scope;
+
+    beforeEach(() => {
+        scope = new Scope();
+    });
+
+    describe('Initial state', () => {
+        test('starts empty', () => {
+            expect(scope.tags).toEqual({});
+            expect(scope.extra).toEqual({});
+            expect(scope.user).toBeNull();
+            expect(scope.level).toBeNull();
+            expect(scope.fingerprint).toBeNull();
+        });
+    });
+
+    describe('Setters', () => {
+        test('setTag adds a single tag', () => {
+            scope.setTag('widget', 'checkout');
+
+            expect(scope.tags).toEqual({ widget: 'checkout' });
+        });
+
+        test('setTags merges tags', () => {
+            scope.setTags({ a: '1' });
+            scope.setTags({ b: '2' });
+
+            expect(scope.tags).toEqual({ a: '1', b: '2' });
+        });
+
+        test('setExtra merges extra context', () => {
+            scope.setExtra({ orderId: 1 });
+            scope.setExtra({ cartSize: 3 });
+
+            expect(scope.extra).toEqual({ orderId: 1, cartSize: 3 });
+        });
+
+        test('setUser stores and clears user', () => {
+            scope.setUser({ id: '42' });
+            expect(scope.user).toEqual({ id: '42' });
+
+            scope.setUser(null);
+            expect(scope.user).toBeNull();
+        });
+
+        test('setLevel stores and clears level', () => {
+            scope.setLevel('warning');
+            expect(scope.level).toBe('warning');
+
+            scope.setLevel(null);
+            expect(scope.level).toBeNull();
+        });
+
+        test('setFingerprint stringifies parts', () => {
+            scope.setFingerprint(['checkout', 42]);
+
+            expect(scope.fingerprint).toEqual(['checkout', '42']);
+        });
+
+        test('setFingerprint ignores empty or invalid values', () => {
+            scope.setFingerprint([]);
+            expect(scope.fingerprint).toBeNull();
+
+            scope.setFingerprint('not-an-array');
+            expect(scope.fingerprint).toBeNull();
+        });
+
+        test('setters are chainable', () => {
+            scope.setTag('a', '1').setLevel('info').setExtra({ x: 1 });
+
+            expect(scope.tags.a).toBe('1');
+            expect(scope.level).toBe('info');
+            expect(scope.extra.x).toBe(1);
+        });
+    });
+
+    describe('clone', () => {
+        test('copies all data', () => {
+            scope.setTags({ a: '1' }).setExtra({ x: 1 }).setUser({ id: '1' })
+                .setLevel('warning').setFingerprint(['group']);
+
+            const clone = scope.clone();
+
+            expect(clone.tags).toEqual({ a: '1' });
+            expect(clone.extra).toEqual({ x: 1 });
+            expect(clone.user).toEqual({ id: '1' });
+            expect(clone.level).toBe('warning');
+            expect(clone.fingerprint).toEqual(['group']);
+        });
+
+        test('changes to clone do not affect original', () => {
+            scope.setTags({ a: '1' });
+            const clone = scope.clone();
+
+            clone.setTag('b', '2');
+            clone.setUser({ id: '2' });
+
+            expect(scope.tags).toEqual({ a: '1' });
+            expect(scope.user).toBeNull();
+        });
+    });
+
+    describe('clear', () => {
+        test('resets all data', () => {
+            scope.setTags({ a: '1' }).setExtra({ x: 1 }).setUser({ id: '1' })
+                .setLevel('warning').setFingerprint(['group']);
+
+            scope.clear();
+
+            expect(scope.tags).toEqual({});
+            expect(scope.extra).toEqual({});
+            expect(scope.user).toBeNull();
+            expect(scope.level).toBeNull();
+            expect(scope.fingerprint).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for ServerRateLimits
+ *
+ * Tests server-announced rate limits:
+ * - 429/503 with Retry-After (seconds and HTTP date)
+ * - Per-category X-AppLogger-Rate-Limits header
+ * - Persistence across instances (page loads)
+ */
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+import { ServerRateLimits } from '../src/server-rate-limits.js';
+
+describe('ServerRateLimits', () => {
+    let storage;
+    let limits;
+
+    const createResponse = (status, headers = {}) => ({
+        status,
+        ok: status < 400,
+        headers: { get: name => headers[name] ?? null },
+    });
+
+    beforeEach(async () => {
+        storage = new MemoryStorageAdapter();
+        limits = new ServerRateLimits({ storage });
+        await limits.ready;
+    });
+
+    describe('Retry-After', () => {
+        test('blocks the request categories for the given seconds', () => {
+            const before = Date.now();
+
+            expect(limits.update(createResponse(429, { 'Retry-After': '30' }), ['errors'])).toBe(true);
+
+            expect(limits.isLimited('errors')).toBe(true);
+            expect(limits.isLimited('replays')).toBe(false);
+            expect(limits.getBlockedUntil('errors')).toBeGreaterThanOrEqual(before + 30000);
+        });
+
+        test('accepts an HTTP date', () => {
+            const retryAt = new Date(Date.now() + 120000);
+            retryAt.setMilliseconds(0);
+
+            limits.update(createResponse(503, { 'Retry-After': retryAt.toUTCString() }), ['recovery']);
+
+            expect(limits.getBlockedUntil('recovery')).toBe(retryAt.getTime());
+        });
+
+        test('uses 60 seconds when Retry-After is missing or invalid', () => {
+            const before = Date.now();
+
+            limits.update(createResponse(429), ['errors']);
+            limits.update(createResponse(429, { 'Retry-After': 'soon' }), ['logs']);
+
+            expect(limits.getBlockedUntil('errors')).toBeGreaterThanOrEqual(before + 60000);
+            expect(limits.getBlockedUntil('logs')).toBeGreaterThanOrEqual(before + 60000);
+        });
+
+        test('caps very long blocks at one day', () => {
+            limits.update(createResponse(429, { 'Retry-After': '999999999' }), ['errors']);
+
+            expect(limits.getBlockedUntil('errors')).toBeLessThanOrEqual(Date.now() + ServerRateLimits.MAX_RETRY_AFTER_MS);
+        });
+
+        test('ignores other statuses', () => {
+            expect(limits.update(createResponse(500, { 'Retry-After': '30' }), ['errors'])).toBe(false);
+            expect(limits.update(createResponse(200), ['errors'])).toBe(false);
+
+            expect(limits.isLimited('errors')).toBe(false);
+        });
+    });
+
+    describe('X-AppLogger-Rate-Limits', () => {
+        test('blocks listed categories, on any response', () => {
+            limits.update(createResponse(200, { 'X-AppLogger-Rate-Limits': '60:replays;recovery, 10:logs' }), ['errors']);
+
+            expect(limits.isLimited('replays')).toBe(true);
+            expect(limits.isLimited('recovery')).toBe(true);
+            expect(limits.isLimited('logs')).toBe(true);
+            expect(limits.isLimited('errors')).toBe(false);
+        });
+
+        test('blocks all categories without a category list', () => {
+            limits.update(createResponse(429, { 'X-AppLogger-Rate-Limits': '60:' }), ['errors']);
+
+            expect(limits.isLimited('errors')).toBe(true);
+            expect(limits.isLimited('metrics')).toBe(true);
+        });
+
+        test('falls back to Retry-After when the header does not cover the request', () => {
+            limits.update(createResponse(429, { 'X-AppLogger-Rate-Limits': '60:replays', 'Retry-After': '5' }), ['errors']);
+
+            expect(limits.isLimited('errors')).toBe(true);
+            expect(limits.getBlockedUntil('errors')).toBeLessThan(limits.getBlockedUntil('replays'));
+        });
+
+        test('never shortens an existing block', () => {
+            limits.update(createResponse(200, { 'X-AppLogger-Rate-Limits': '120:errors' }), []);
+            const until = limits.getBlockedUntil('errors');
+
+            limits.update(createResponse(200, { 'X-AppLogger-Rate-Limits': '10:errors' }), []);
+
+            expect(limits.getBlockedUntil('errors')).toBe(until);
+        });
+    });
+
+    describe('Persistence', () => {
+        test('applies blocks stored by another page load', async () => {
+            limits.update(createResponse(429, { 'Retry-After': '30' }), ['errors']);
+
+            const next = new ServerRateLimits({ storage });
+            await next.ready;
+
+            expect(next.isLimited('errors')).toBe(true);
+            expect(next.getState()).toEqual(limits.getState());
+        });
+
+        test('drops expired blocks when saving', async () => {
+            await storage.setItem('app_logger_rate_limits', { errors: Date.now() - 1000 });
+            limits = new ServerRateLimits({ storage });
+            await limits.ready;
+
+            limits.update(createResponse(429, { 'Retry-After': '30' }), ['replays']);
+            await Promise.resolve();
+
+            expect(Object.keys(await storage.getItem('app_logger_rate_limits'))).toEqual(['replays']);
+        });
+
+        test('ignores corrupted stored data', async () => {
+            await storage.setItem('app_logger_rate_limits', 'invalid');
+            limits = new ServerRateLimits({ storage });
+            await limits.ready;
+
+            expect(limits.getState()).toEqual({});
+        });
+    });
+});
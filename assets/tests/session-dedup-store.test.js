@@ -0,0 +1,87 @@
+/**
+ * Unit tests for SessionDedupStore
+ *
+ * Tests "once per session" keys:
+ * - Persistence across page loads (new instances) within a session
+ * - Reset when the session changes
+ * - Memory-only fallback without a session
+ * - Size limit
+ * - Custom storage adapters
+ */
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+import { SessionDedupStore } from '../src/session-dedup-store.js';
+
+describe('SessionDedupStore', () => {
+    let sessionId;
+
+    const createStore = async (config = {}) => {
+        const store = new SessionDedupStore({
+            storageKey: 'test_dedup',
+            sessionProvider: () => sessionId,
+            ...config,
+        });
+        await store.ready;
+
+        return store;
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        sessionId = 'session-1';
+    });
+
+    test('remembers keys across instances of the same session', async () => {
+        (await createStore()).add('deprecation:UnloadHandler');
+
+        const nextPage = await createStore();
+
+        expect(nextPage.has('deprecation:UnloadHandler')).toBe(true);
+        expect(nextPage.has('deprecation:Other')).toBe(false);
+    });
+
+    test('forgets keys when the session changes', async () => {
+        (await createStore()).add('deprecation:UnloadHandler');
+
+        sessionId = 'session-2';
+
+        expect((await createStore()).has('deprecation:UnloadHandler')).toBe(false);
+    });
+
+    test('keeps keys in memory without a session', async () => {
+        sessionId = null;
+        const store = await createStore();
+
+        store.add('intervention:HeavyAd');
+
+        expect(store.has('intervention:HeavyAd')).toBe(true);
+        expect(localStorage.getItem('test_dedup')).toBeNull();
+        expect((await createStore()).has('intervention:HeavyAd')).toBe(false);
+    });
+
+    test('drops the oldest keys beyond maxEntries', async () => {
+        const store = await createStore({ maxEntries: 2 });
+
+        ['a', 'b', 'c'].forEach(key => store.add(key));
+
+        expect(JSON.parse(localStorage.getItem('test_dedup'))).toEqual({ sessionId: 'session-1', keys: ['b', 'c'] });
+    });
+
+    test('ignores corrupted storage', async () => {
+        localStorage.setItem('test_dedup', '{not json');
+
+        const store = await createStore();
+
+        expect(store.has('a')).toBe(false);
+        expect(() => store.add('a')).not.toThrow();
+        expect((await createStore()).has('a')).toBe(true);
+    });
+
+    test('persists through a custom storage adapter', async () => {
+        const storage = new MemoryStorageAdapter();
+
+        (await createStore({ storage })).add('crash:oom');
+
+        expect((await createStore({ storage })).has('crash:oom')).toBe(true);
+        expect(localStorage.getItem('test_dedup')).toBeNull();
+    });
+});
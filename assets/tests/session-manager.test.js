@@ -2,10 +2,12 @@
  * Unit tests for SessionManager
  *
  * Tests cross-page session continuity, UUID generation, timeout tracking,
- * page transition detection, and localStorage persistence.
+ * page transition detection, and localStorage (storage adapter) persistence.
  */
 
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
 import { SessionManager } from '../src/session-manager.js';
+import { WebStorageAdapter } from '../src/web-storage-adapter.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -23,12 +25,13 @@ global.localStorage = localStorageMock;
 describe('SessionManager', () => {
     let manager;
 
-    beforeEach(() => {
+    beforeEach(async () => {
         localStorage.clear();
         manager = new SessionManager({
             sessionTimeoutMinutes: 30,
             debug: false,
         });
+        await manager.ready;
     });
 
     describe('Constructor and initialization', () => {
@@ -40,6 +43,38 @@ describe('SessionManager', () => {
             expect(overLimit.config.sessionTimeoutMinutes).toBe(120);
         });
 
+        test('has a session ID synchronously with Web Storage', () => {
+            const newManager = new SessionManager();
+
+            expect(newManager.initialized).toBe(true);
+            expect(newManager.getSessionId()).toMatch(/^[a-f0-9-]{36}$/);
+        });
+
+        test('loads async storage before providing a session ID', async () => {
+            const storage = new MemoryStorageAdapter();
+            await storage.setItem('_app_logger_session_id', 'stored-session');
+            await storage.setItem('_app_logger_session_metadata', { startedAt: Date.now(), lastActivityAt: Date.now(), pageCount: 1, pages: [] });
+
+            const newManager = new SessionManager({ storage });
+            expect(newManager.initialized).toBe(false);
+            expect(newManager.getSessionId()).toBeNull();
+
+            await newManager.ready;
+
+            expect(newManager.initialized).toBe(true);
+            expect(newManager.getSessionId()).toBe('stored-session');
+        });
+
+        test('keeps a stored session ID that looks like a number a string', () => {
+            const storage = new WebStorageAdapter('localStorage');
+            storage.setItemSync('_app_logger_session_id', '12345');
+            storage.setItemSync('_app_logger_session_metadata', { startedAt: Date.now(), lastActivityAt: Date.now(), pageCount: 1, pages: [] });
+
+            const newManager = new SessionManager({ storage });
+
+            expect(newManager.getSessionId()).toBe('12345');
+        });
+
         test('generates new session ID on first initialization', () => {
             expect(manager.sessionId).toBeDefined();
             expect(manager.sessionId).toMatch(/^[a-f0-9-]{36}$/);
@@ -52,7 +87,7 @@ describe('SessionManager', () => {
             expect(manager.metadata.pages).toHaveLength(1);
         });
 
-        test('loads existing session from localStorage', () => {
+        test('loads existing session from localStorage', async () => {
             const existingSessionId = '550e8400-e29b-41d4-a716-446655440000';
             localStorage.setItem('_app_logger_session_id', existingSessionId);
             localStorage.setItem('_app_logger_session_metadata', JSON.stringify({
@@ -63,6 +98,7 @@ describe('SessionManager', () => {
             }));
 
             const newManager = new SessionManager({});
+            await newManager.ready;
 
             expect(newManager.sessionId).toBe(existingSessionId);
             expect(newManager.metadata.pageCount).toBe(6); // 5 + current page
@@ -76,7 +112,7 @@ describe('SessionManager', () => {
             const savedId = localStorage.getItem('_app_logger_session_id');
             const savedMetadata = localStorage.getItem('_app_logger_session_metadata');
 
-            expect(savedId).toBe(manager.sessionId);
+            expect(JSON.parse(savedId)).toBe(manager.sessionId);
             expect(savedMetadata).toBeDefined();
 
             const metadata = JSON.parse(savedMetadata);
@@ -84,7 +120,7 @@ describe('SessionManager', () => {
             expect(metadata.lastActivityAt).toBeDefined();
         });
 
-        test('loadSession retrieves session from localStorage', () => {
+        test('loadSession retrieves session from localStorage', async () => {
             const testSessionId = 'test-session-123';
             const testMetadata = {
                 startedAt: Date.now() - 120000,
@@ -96,17 +132,33 @@ describe('SessionManager', () => {
             localStorage.setItem('_app_logger_session_id', testSessionId);
             localStorage.setItem('_app_logger_session_metadata', JSON.stringify(testMetadata));
 
-            const loaded = manager.loadSession();
+            const loaded = await manager.loadSession();
 
             expect(loaded).toBe(true);
             expect(manager.sessionId).toBe(testSessionId);
             expect(manager.metadata.pageCount).toBe(10);
         });
 
-        test('loadSession returns false when no data exists', () => {
+        test('continues the session through a custom storage adapter', async () => {
+            localStorage.clear();
+            const storage = new MemoryStorageAdapter();
+            const first = new SessionManager({ storage });
+
+            expect(first.getSessionId()).toBeNull(); // Loaded asynchronously
+            await first.ready;
+
+            const next = new SessionManager({ storage });
+            await next.ready;
+
+            expect(next.getSessionId()).toBe(first.getSessionId());
+            expect(next.metadata.pageCount).toBe(2);
+            expect(localStorage.getItem('_app_logger_session_id')).toBeNull();
+        });
+
+        test('loadSession returns false when no data exists', async () => {
             localStorage.clear();
 
-            const loaded = manager.loadSession();
+            const loaded = await manager.loadSession();
 
             expect(loaded).toBe(false);
         });
@@ -126,7 +178,7 @@ describe('SessionManager', () => {
             expect(manager.isSessionExpired()).toBe(true);
         });
 
-        test('creates new session when existing session expired', () => {
+        test('creates new session when existing session expired', async () => {
             const oldSessionId = manager.sessionId;
 
             // Simulate expired session
@@ -136,6 +188,7 @@ describe('SessionManager', () => {
 
             // Create new manager (should detect expiration)
             const newManager = new SessionManager({});
+            await newManager.ready;
 
             expect(newManager.sessionId).not.toBe(oldSessionId);
             expect(newManager.metadata.pageCount).toBe(1);
@@ -202,8 +255,8 @@ describe('SessionManager', () => {
     });
 
     describe('Session management', () => {
-        test('clearSession removes data and resets state', () => {
-            manager.clearSession();
+        test('clearSession removes data and resets state', async () => {
+            await manager.clearSession();
 
             expect(localStorage.getItem('_app_logger_session_id')).toBeNull();
             expect(localStorage.getItem('_app_logger_session_metadata')).toBeNull();
@@ -290,19 +343,19 @@ describe('SessionManager', () => {
     });
 
     describe('Error handling', () => {
-        test('handles corrupt localStorage data gracefully', () => {
+        test('handles corrupt localStorage data gracefully', async () => {
             localStorage.setItem('_app_logger_session_metadata', 'invalid JSON{');
 
-            const loaded = manager.loadSession();
+            const loaded = await manager.loadSession();
 
             expect(loaded).toBe(false);
         });
 
-        test('handles missing metadata fields gracefully', () => {
+        test('handles missing metadata fields gracefully', async () => {
             localStorage.setItem('_app_logger_session_id', 'test-id');
             localStorage.setItem('_app_logger_session_metadata', JSON.stringify({}));
 
-            const loaded = manager.loadSession();
+            const loaded = await manager.loadSession();
 
             expect(loaded).toBe(false);
         });
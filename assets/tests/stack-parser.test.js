@@ -0,0 +1,103 @@
+/**
+ * Unit tests for StackParser
+ *
+ * Tests cross-engine stack parsing against the fixture corpus:
+ * - V8 (Chrome, Edge, Node)
+ * - SpiderMonkey (Firefox)
+ * - JavaScriptCore (Safari)
+ * - Engine detection and malformed input
+ */
+import { StackParser } from '../src/stack-parser.js';
+import {
+    V8_FIXTURES,
+    SPIDERMONKEY_FIXTURES,
+    JAVASCRIPTCORE_FIXTURES,
+} from './fixtures/stack-traces.js';
+
+describe('StackParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new StackParser();
+    });
+
+    describe.each([
+        ['V8', StackParser.ENGINE_V8, V8_FIXTURES],
+        ['SpiderMonkey', StackParser.ENGINE_SPIDERMONKEY, SPIDERMONKEY_FIXTURES],
+        ['JavaScriptCore', StackParser.ENGINE_JAVASCRIPTCORE, JAVASCRIPTCORE_FIXTURES],
+    ])('%s fixtures', (_engineName, engine, fixtures) => {
+        test.each(fixtures.map(fixture => [fixture.name, fixture]))('%s', (_name, fixture) => {
+            expect(parser.detectEngine(fixture.stack)).toBe(engine);
+            expect(parser.parse(fixture.stack)).toEqual(fixture.frames);
+        });
+    });
+
+    describe('parse', () => {
+        test('returns empty array for missing or non-string stack', () => {
+            expect(parser.parse(undefined)).toEqual([]);
+            expect(parser.parse('')).toEqual([]);
+            expect(parser.parse({ stack: 'x' })).toEqual([]);
+        });
+
+        test('skips message lines', () => {
+            const frames = parser.parse('TypeError: user@example.com is invalid\nError: nested');
+
+            expect(frames).toEqual([]);
+        });
+
+        test('limits number of frames', () => {
+            parser = new StackParser({ maxFrames: 2 });
+            const stack = ['Error: deep']
+                .concat(Array.from({ length: 10 }, (_, i) => `    at fn${i} (/app.js:${i + 1}:1)`))
+                .join('\n');
+
+            const frames = parser.parse(stack);
+
+            expect(frames.map(f => f.function)).toEqual(['fn0', 'fn1']);
+        });
+
+        test('parses mixed-format stacks with fallback parsers', () => {
+            const stack = `Error: mixed
+    at first (https://app.example.com/a.js:1:1)
+second@https://app.example.com/b.js:2:2`;
+
+            const frames = parser.parse(stack);
+
+            expect(frames.map(f => f.function)).toEqual(['first', 'second']);
+        });
+    });
+
+    describe('parseLine', () => {
+        test('returns null for blank and unparseable lines', () => {
+            expect(parser.parseLine('')).toBeNull();
+            expect(parser.parseLine('   ')).toBeNull();
+            expect(parser.parseLine('not a stack frame')).toBeNull();
+        });
+
+        test('parses a single line without engine hint', () => {
+            const frame = parser.parseLine('    at handler (/build/app.js:3:4)');
+
+            expect(frame).toEqual({
+                function: 'handler',
+                file: '/build/app.js',
+                line: 3,
+                column: 4,
+                is_native: false,
+                is_eval: false,
+                is_async: false,
+            });
+        });
+
+        test('reports line and column 0 for frames without a location', () => {
+            const frame = parser.parseLine('    at Array.forEach (<anonymous>)');
+
+            expect(frame).toMatchObject({ file: '<anonymous>', line: 0, column: 0, is_native: true });
+        });
+    });
+
+    describe('detectEngine', () => {
+        test('defaults to SpiderMonkey for @-format stacks without Safari markers', () => {
+            expect(parser.detectEngine('fn@https://app.example.com/a.js:1:1')).toBe(StackParser.ENGINE_SPIDERMONKEY);
+        });
+    });
+});
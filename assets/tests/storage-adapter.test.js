@@ -0,0 +1,55 @@
+/**
+ * Unit tests for StorageAdapter
+ *
+ * Tests the adapter factory:
+ * - Built-in storage names
+ * - Custom adapters passed through
+ * - Fallbacks for unknown names and missing IndexedDB
+ */
+import { IndexedDbStorageAdapter } from '../src/indexed-db-storage-adapter.js';
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+import { StorageAdapter } from '../src/storage-adapter.js';
+import { WebStorageAdapter } from '../src/web-storage-adapter.js';
+
+describe('StorageAdapter', () => {
+    const originalIndexedDB = global.indexedDB;
+
+    afterEach(() => {
+        global.indexedDB = originalIndexedDB;
+    });
+
+    test('creates built-in adapters by name', () => {
+        global.indexedDB = {};
+
+        expect(StorageAdapter.create('memory')).toBeInstanceOf(MemoryStorageAdapter);
+        expect(StorageAdapter.create('indexedDB')).toBeInstanceOf(IndexedDbStorageAdapter);
+        expect(StorageAdapter.create('sessionStorage').type).toBe('sessionStorage');
+        expect(StorageAdapter.create('localStorage').type).toBe('localStorage');
+    });
+
+    test('uses the default for missing or unknown names', () => {
+        expect(StorageAdapter.create().type).toBe('localStorage');
+        expect(StorageAdapter.create('cookies', 'sessionStorage').type).toBe('sessionStorage');
+    });
+
+    test('falls back to localStorage without IndexedDB', () => {
+        global.indexedDB = undefined;
+
+        const storage = StorageAdapter.create('indexedDB');
+
+        expect(storage).toBeInstanceOf(WebStorageAdapter);
+        expect(storage.type).toBe('localStorage');
+    });
+
+    test('returns custom adapters as-is', () => {
+        const custom = {
+            getItem: async () => null,
+            setItem: async () => {},
+            removeItem: async () => {},
+            keys: async () => [],
+        };
+
+        expect(StorageAdapter.create(custom)).toBe(custom);
+        expect(StorageAdapter.isAdapter({ getItem: () => null })).toBe(false);
+    });
+});
@@ -1,12 +1,32 @@
 /**
  * Unit tests for StorageManager
  *
- * Tests localStorage persistence, quota management, pruning,
+ * Tests storage persistence, quota management, pruning,
  * cleanup, and size estimation.
  */
 
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
 import { StorageManager } from '../src/storage-manager.js';
 
+// Storage adapter that always fails (e.g. IndexedDB blocked mid-session)
+class FailingStorageAdapter {
+    async getItem() {
+        throw new Error('Storage error');
+    }
+
+    async setItem() {
+        const error = new Error('Storage error');
+        error.name = 'UnknownError';
+        throw error;
+    }
+
+    async removeItem() {}
+
+    async keys() {
+        return [];
+    }
+}
+
 // Mock localStorage with quota simulation
 const createMockLocalStorage = (quotaBytes = 5 * 1024 * 1024) => {
     let store = {};
@@ -80,7 +100,7 @@ describe('StorageManager', () => {
     });
 
     describe('save and load', () => {
-        test('saves buffer data to localStorage', () => {
+        test('saves buffer data to localStorage', async () => {
             const bufferData = {
                 buffer: [
                     { type: 'click', timestamp: Date.now(), phase: 'before_error' },
@@ -89,13 +109,13 @@ describe('StorageManager', () => {
                 isRecordingAfterError: false,
             };
 
-            const success = storage.save(bufferData);
+            const success = await storage.save(bufferData);
 
             expect(success).toBe(true);
             expect(localStorage.getItem('_app_logger_replay_buffer')).toBeDefined();
         });
 
-        test('loads buffer data from localStorage', () => {
+        test('loads buffer data from localStorage', async () => {
             const bufferData = {
                 buffer: [
                     { type: 'click', timestamp: Date.now() },
@@ -108,44 +128,44 @@ describe('StorageManager', () => {
                 JSON.stringify(bufferData),
             );
 
-            const loaded = storage.load();
+            const loaded = await storage.load();
 
             expect(loaded).not.toBeNull();
             expect(loaded.buffer).toHaveLength(1);
             expect(loaded.isRecordingAfterError).toBe(true);
         });
 
-        test('returns null when no data exists', () => {
+        test('returns null when no data exists', async () => {
             // Explicitly clear any data from previous tests
             localStorage.clear();
 
-            const loaded = storage.load();
+            const loaded = await storage.load();
 
             expect(loaded).toBeNull();
         });
 
-        test('returns null for invalid JSON', () => {
+        test('returns null for invalid JSON', async () => {
             localStorage.setItem('_app_logger_replay_buffer', 'invalid JSON{');
 
-            const loaded = storage.load();
+            const loaded = await storage.load();
 
             expect(loaded).toBeNull();
         });
 
-        test('validates buffer structure', () => {
+        test('validates buffer structure', async () => {
             localStorage.setItem(
                 '_app_logger_replay_buffer',
                 JSON.stringify({ noBuffer: true }),
             );
 
-            const loaded = storage.load();
+            const loaded = await storage.load();
 
             expect(loaded).toBeNull();
         });
     });
 
     describe('Quota management', () => {
-        test('prunes buffer when size exceeds limit', () => {
+        test('prunes buffer when size exceeds limit', async () => {
             // Create buffer that exceeds the 5MB limit
             // Each event is ~60KB, so 100 events = ~6MB
             const largeBuffer = {
@@ -158,15 +178,15 @@ describe('StorageManager', () => {
                 isRecordingAfterError: false,
             };
 
-            const success = storage.save(largeBuffer);
+            const success = await storage.save(largeBuffer);
 
             expect(success).toBe(true);
             // Buffer should be pruned to fit within 5MB limit
-            const saved = storage.load();
+            const saved = await storage.load();
             expect(saved.buffer.length).toBeLessThan(100);
         });
 
-        test('handles QuotaExceededError gracefully', () => {
+        test('handles QuotaExceededError gracefully', async () => {
             // Create small quota
             global.localStorage = createMockLocalStorage(1024); // 1KB
             storage = new StorageManager({ maxBufferSizeMB: 5 });
@@ -181,7 +201,7 @@ describe('StorageManager', () => {
             };
 
             // Should handle quota error and retry with pruned buffer
-            const success = storage.save(largeBuffer);
+            const success = await storage.save(largeBuffer);
 
             // Should still succeed with pruned data
             expect(success).toBe(true);
@@ -218,9 +238,9 @@ describe('StorageManager', () => {
     });
 
     describe('Cleanup', () => {
-        test('removes old buffer data beyond 24 hours', () => {
+        test('removes old buffer data beyond 24 hours', async () => {
             const bufferData = { buffer: [{ type: 'click', timestamp: Date.now() }] };
-            storage.save(bufferData);
+            await storage.save(bufferData);
 
             // Simulate old metadata (25 hours ago)
             const oldMetadata = {
@@ -232,15 +252,15 @@ describe('StorageManager', () => {
                 JSON.stringify(oldMetadata),
             );
 
-            storage.cleanup();
+            await storage.cleanup();
 
             // Buffer should be cleared
             expect(localStorage.getItem('_app_logger_replay_buffer')).toBeNull();
         });
 
-        test('keeps recent buffer data', () => {
+        test('keeps recent buffer data', async () => {
             const bufferData = { buffer: [{ type: 'click', timestamp: Date.now() }] };
-            storage.save(bufferData);
+            await storage.save(bufferData);
 
             // Recent metadata (1 hour ago)
             const recentMetadata = {
@@ -252,7 +272,7 @@ describe('StorageManager', () => {
                 JSON.stringify(recentMetadata),
             );
 
-            storage.cleanup();
+            await storage.cleanup();
 
             // Buffer should still exist
             expect(localStorage.getItem('_app_logger_replay_buffer')).not.toBeNull();
@@ -285,18 +305,18 @@ describe('StorageManager', () => {
     });
 
     describe('Metadata', () => {
-        test('saves metadata with timestamp and size', () => {
+        test('saves metadata with timestamp and size', async () => {
             const bufferData = { buffer: [{ type: 'click', timestamp: Date.now() }] };
-            storage.save(bufferData);
+            await storage.save(bufferData);
 
-            const metadata = storage.loadMetadata();
+            const metadata = await storage.loadMetadata();
 
             expect(metadata).toBeDefined();
             expect(metadata.savedAt).toBeDefined();
             expect(metadata.size).toBeGreaterThan(0);
         });
 
-        test('loads metadata from localStorage', () => {
+        test('loads metadata from localStorage', async () => {
             const testMetadata = {
                 savedAt: Date.now(),
                 size: 1024,
@@ -307,27 +327,27 @@ describe('StorageManager', () => {
                 JSON.stringify(testMetadata),
             );
 
-            const loaded = storage.loadMetadata();
+            const loaded = await storage.loadMetadata();
 
             expect(loaded).toEqual(testMetadata);
         });
 
-        test('returns null when metadata missing', () => {
+        test('returns null when metadata missing', async () => {
             // Explicitly clear any metadata from previous tests
             localStorage.clear();
 
-            const metadata = storage.loadMetadata();
+            const metadata = await storage.loadMetadata();
 
             expect(metadata).toBeNull();
         });
     });
 
     describe('Statistics', () => {
-        test('tracks successful saves', () => {
+        test('tracks successful saves', async () => {
             const bufferData = { buffer: [{ type: 'click', timestamp: Date.now() }] };
 
-            storage.save(bufferData);
-            storage.save(bufferData);
+            await storage.save(bufferData);
+            await storage.save(bufferData);
 
             const stats = storage.getStats();
 
@@ -335,12 +355,12 @@ describe('StorageManager', () => {
             expect(stats.savesFailed).toBe(0);
         });
 
-        test('tracks successful loads', () => {
+        test('tracks successful loads', async () => {
             const bufferData = { buffer: [{ type: 'click', timestamp: Date.now() }] };
-            storage.save(bufferData);
+            await storage.save(bufferData);
 
-            storage.load();
-            storage.load();
+            await storage.load();
+            await storage.load();
 
             const stats = storage.getStats();
 
@@ -348,7 +368,7 @@ describe('StorageManager', () => {
             expect(stats.loadsFailed).toBe(0);
         });
 
-        test('tracks quota exceeded errors', () => {
+        test('tracks quota exceeded errors', async () => {
             // This test verifies that quota errors are tracked in stats
             // We test this indirectly through the "handles QuotaExceededError gracefully" test
             // which creates a mock with a small quota that will trigger the error
@@ -370,7 +390,7 @@ describe('StorageManager', () => {
             };
 
             // Attempt save - will hit quota error
-            const result = testStorage.save(buffer);
+            const result = await testStorage.save(buffer);
 
             // The save may succeed (after pruning) or fail, but quota should be tracked
             // Verify the functionality works (either succeeds or fails gracefully)
@@ -382,11 +402,11 @@ describe('StorageManager', () => {
     });
 
     describe('Clear', () => {
-        test('removes buffer and metadata from localStorage', () => {
+        test('removes buffer and metadata from localStorage', async () => {
             const bufferData = { buffer: [{ type: 'click', timestamp: Date.now() }] };
-            storage.save(bufferData);
+            await storage.save(bufferData);
 
-            storage.clear();
+            await storage.clear();
 
             expect(localStorage.getItem('_app_logger_replay_buffer')).toBeNull();
             expect(localStorage.getItem('_app_logger_replay_metadata')).toBeNull();
@@ -394,11 +414,11 @@ describe('StorageManager', () => {
     });
 
     describe('isAvailable', () => {
-        test('returns true when localStorage works', () => {
-            expect(storage.isAvailable()).toBe(true);
+        test('returns true when localStorage works', async () => {
+            await expect(storage.isAvailable()).resolves.toBe(true);
         });
 
-        test.skip('returns false when localStorage fails', () => {
+        test.skip('returns false when localStorage fails', async () => {
             // SKIPPED: This test is difficult to properly mock in Jest + ES modules + jsdom
             // environment due to how localStorage references are resolved at module load time.
             //
@@ -424,7 +444,7 @@ describe('StorageManager', () => {
             const testStorage = new StorageManager({ maxBufferSizeMB: 5 });
 
             // isAvailable should return false when localStorage throws errors
-            expect(testStorage.isAvailable()).toBe(false);
+            expect(await testStorage.isAvailable()).toBe(false);
 
             // Restore both
             global.localStorage = originalGlobal;
@@ -433,13 +453,13 @@ describe('StorageManager', () => {
     });
 
     describe('Error handling', () => {
-        test('handles invalid buffer data gracefully', () => {
-            const success = storage.save(null);
+        test('handles invalid buffer data gracefully', async () => {
+            const success = await storage.save(null);
 
             expect(success).toBe(false);
         });
 
-        test.skip('handles save failures gracefully', () => {
+        test.skip('handles save failures gracefully', async () => {
             // SKIPPED: This test is difficult to properly mock in Jest + ES modules + jsdom
             // environment due to how localStorage references are resolved at module load time.
             //
@@ -470,7 +490,7 @@ describe('StorageManager', () => {
             const testStorage = new StorageManager({ maxBufferSizeMB: 5 });
 
             // Save should fail and return false
-            const success = testStorage.save({ buffer: [{ type: 'click' }] });
+            const success = await testStorage.save({ buffer: [{ type: 'click' }] });
 
             expect(success).toBe(false);
 
@@ -479,4 +499,23 @@ describe('StorageManager', () => {
             window.localStorage = originalWindow;
         });
     });
+
+    describe('Storage adapters', () => {
+        test('saves and loads through a custom adapter', async () => {
+            storage = new StorageManager({ storage: new MemoryStorageAdapter() });
+
+            await storage.save({ buffer: [{ type: 'click', timestamp: Date.now() }] });
+
+            expect((await storage.load()).buffer).toHaveLength(1);
+            expect(localStorage.getItem('_app_logger_replay_buffer')).toBeNull();
+        });
+
+        test('reports failures of the adapter', async () => {
+            storage = new StorageManager({ storage: new FailingStorageAdapter() });
+
+            expect(await storage.isAvailable()).toBe(false);
+            expect(await storage.save({ buffer: [{ type: 'click' }] })).toBe(false);
+            expect(storage.getStats().savesFailed).toBe(1);
+        });
+    });
 });
@@ -1,14 +1,44 @@
 /**
  * Unit tests for StorageQueue
  *
- * Tests the localStorage queue implementation:
+ * Tests the storage queue implementation:
  * - FIFO queue operations (enqueue, dequeue)
+ * - Synchronous enqueue during page unload
  * - Size limits
  * - Automatic expiration of old items
  * - Safe storage operations
+ * - Gzip compression of the stored queue
+ * - Coordination with other tabs (shared lock, change messages)
  */
+import { CompressionStream, DecompressionStream } from 'node:stream/web';
+import { TextDecoder, TextEncoder } from 'node:util';
 import { StorageQueue } from '../src/storage-queue.js';
 
+// Coordinator of one "tab"; tabs created with the same bus receive each other's messages
+class FakeCoordinator {
+    constructor(bus) {
+        this.bus = bus;
+        this.handlers = [];
+        this.locks = [];
+        this.broadcasts = [];
+        bus.push(this);
+    }
+
+    withLock(name, callback) {
+        this.locks.push(name);
+        return Promise.resolve().then(callback);
+    }
+
+    broadcast(message) {
+        this.broadcasts.push(message);
+        this.bus.filter(tab => tab !== this).forEach(tab => tab.handlers.forEach(handler => handler(message)));
+    }
+
+    onMessage(handler) {
+        this.handlers.push(handler);
+    }
+}
+
 describe('StorageQueue', () => {
     const STORAGE_KEY = 'app_logger_queue';
     let queue;
@@ -32,28 +62,28 @@ describe('StorageQueue', () => {
             expect(queue.getAll()).toEqual([]);
         });
 
-        test('dequeue returns null on empty queue', () => {
-            expect(queue.dequeue()).toBeNull();
+        test('dequeue returns null on empty queue', async () => {
+            expect(await queue.dequeue()).toBeNull();
         });
     });
 
     describe('enqueue', () => {
-        test('adds item to queue', () => {
-            queue.enqueue({ message: 'test error' });
+        test('adds item to queue', async () => {
+            await queue.enqueue({ message: 'test error' });
             expect(queue.size()).toBe(1);
         });
 
-        test('stores item in localStorage', () => {
-            queue.enqueue({ message: 'test error' });
+        test('stores item in localStorage', async () => {
+            await queue.enqueue({ message: 'test error' });
 
             const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
             expect(stored).toHaveLength(1);
             expect(stored[0].payload.message).toBe('test error');
         });
 
-        test('adds timestamp to queued item', () => {
+        test('adds timestamp to queued item', async () => {
             const beforeTime = Date.now();
-            queue.enqueue({ message: 'test' });
+            await queue.enqueue({ message: 'test' });
             const afterTime = Date.now();
 
             const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
@@ -61,10 +91,10 @@ describe('StorageQueue', () => {
             expect(stored[0].timestamp).toBeLessThanOrEqual(afterTime);
         });
 
-        test('multiple items stored in order', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
-            queue.enqueue({ id: 3 });
+        test('multiple items stored in order', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
+            await queue.enqueue({ id: 3 });
 
             const all = queue.getAll();
             expect(all).toHaveLength(3);
@@ -75,19 +105,19 @@ describe('StorageQueue', () => {
     });
 
     describe('Size limits', () => {
-        test('enforces max size limit', () => {
+        test('enforces max size limit', async () => {
             // Queue has maxSize of 5
             for (let i = 1; i <= 7; i++) {
-                queue.enqueue({ id: i });
+                await queue.enqueue({ id: i });
             }
 
             expect(queue.size()).toBe(5);
         });
 
-        test('removes oldest items when limit exceeded (FIFO)', () => {
+        test('removes oldest items when limit exceeded (FIFO)', async () => {
             // Queue has maxSize of 5
             for (let i = 1; i <= 7; i++) {
-                queue.enqueue({ id: i });
+                await queue.enqueue({ id: i });
             }
 
             const all = queue.getAll();
@@ -98,33 +128,33 @@ describe('StorageQueue', () => {
     });
 
     describe('dequeue', () => {
-        test('returns first item (FIFO)', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
-            queue.enqueue({ id: 3 });
+        test('returns first item (FIFO)', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
+            await queue.enqueue({ id: 3 });
 
-            const item = queue.dequeue();
+            const item = await queue.dequeue();
             expect(item.id).toBe(1);
         });
 
-        test('removes item from queue', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
+        test('removes item from queue', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
 
-            queue.dequeue();
+            await queue.dequeue();
             expect(queue.size()).toBe(1);
             expect(queue.getAll()[0].id).toBe(2);
         });
 
-        test('returns null when queue is empty', () => {
-            expect(queue.dequeue()).toBeNull();
+        test('returns null when queue is empty', async () => {
+            expect(await queue.dequeue()).toBeNull();
         });
 
-        test('updates localStorage after dequeue', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
+        test('updates localStorage after dequeue', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
 
-            queue.dequeue();
+            await queue.dequeue();
 
             const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
             expect(stored).toHaveLength(1);
@@ -132,10 +162,125 @@ describe('StorageQueue', () => {
         });
     });
 
+    describe('dequeueMatching', () => {
+        test('takes the oldest matching payloads and keeps the others in place', async () => {
+            await queue.enqueue({ id: 1, type: 'logs' });
+            await queue.enqueue({ id: 2 });
+            await queue.enqueue({ id: 3 });
+            await queue.enqueue({ id: 4 });
+
+            const taken = await queue.dequeueMatching(2, payload => payload.type !== 'logs');
+
+            expect(taken).toEqual([{ id: 2 }, { id: 3 }]);
+            expect(queue.getAll()).toEqual([{ id: 1, type: 'logs' }, { id: 4 }]);
+        });
+    });
+
+    describe('enqueueSync', () => {
+        const UNLOAD_KEY = 'app_logger_queue_unload';
+
+        test('stores the payloads before returning', async () => {
+            await queue.enqueue({ id: 1 });
+
+            queue.enqueueSync([{ id: 2 }, { id: 3 }]);
+
+            expect(queue.getAll()).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+            expect(JSON.parse(localStorage.getItem(UNLOAD_KEY)).map(item => item.payload)).toEqual([{ id: 2 }, { id: 3 }]);
+        });
+
+        test('merges the stored payloads into the queue on the next page load', async () => {
+            await queue.enqueue({ id: 1 });
+            queue.enqueueSync([{ id: 2 }]);
+
+            const next = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await next.ready;
+
+            expect(next.getAll()).toEqual([{ id: 1 }, { id: 2 }]);
+            expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toHaveLength(2);
+            expect(localStorage.getItem(UNLOAD_KEY)).toBeNull();
+        });
+
+        test('uses localStorage when the storage is asynchronous', async () => {
+            const storage = {
+                items: new Map(),
+                async getItem(key) {
+                    return this.items.has(key) ? this.items.get(key) : null;
+                },
+                async setItem(key, value) {
+                    this.items.set(key, value);
+                },
+                async removeItem(key) {
+                    this.items.delete(key);
+                },
+                async keys() {
+                    return [...this.items.keys()];
+                },
+            };
+            const asyncQueue = new StorageQueue({ storage, compress: false });
+            await asyncQueue.ready;
+
+            asyncQueue.enqueueSync([{ id: 1 }]);
+            expect(JSON.parse(localStorage.getItem(UNLOAD_KEY))).toHaveLength(1);
+
+            const next = new StorageQueue({ storage, compress: false });
+            await next.ready;
+
+            expect(next.getAll()).toEqual([{ id: 1 }]);
+            expect(storage.items.get(STORAGE_KEY)).toHaveLength(1);
+            expect(localStorage.getItem(UNLOAD_KEY)).toBeNull();
+        });
+
+        test('merges the stored payloads before taking items', async () => {
+            queue.enqueueSync([{ id: 1 }]);
+
+            expect(await queue.dequeueMatching(5, () => true)).toEqual([{ id: 1 }]);
+            expect(localStorage.getItem(UNLOAD_KEY)).toBeNull();
+        });
+    });
+
+    describe('removeSync', () => {
+        const UNLOAD_KEY = 'app_logger_queue_unload';
+
+        test('removes payloads stored by enqueueSync right away', async () => {
+            await queue.ready;
+            queue.enqueueSync([{ id: 1 }, { id: 2 }]);
+
+            queue.removeSync([{ id: 1 }]);
+
+            expect(queue.getAll()).toEqual([{ id: 2 }]);
+            expect(JSON.parse(localStorage.getItem(UNLOAD_KEY)).map(item => item.payload)).toEqual([{ id: 2 }]);
+        });
+
+        test('removes stored payloads on the next page load', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
+
+            // Nothing async completes once the page unloads
+            queue.coordinator = { withLock: () => new Promise(() => {}), broadcast() {} };
+            queue.removeSync([{ id: 1 }]);
+            expect(queue.getAll()).toEqual([{ id: 2 }]);
+
+            const next = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await next.ready;
+
+            expect(next.getAll()).toEqual([{ id: 2 }]);
+        });
+
+        test('removes one stored item per payload', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 1 });
+
+            queue.removeSync([{ id: 1 }]);
+            await queue.reload();
+
+            expect(queue.getAll()).toEqual([{ id: 1 }]);
+        });
+    });
+
     describe('getAll', () => {
-        test('returns all payloads without timestamps', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
+        test('returns all payloads without timestamps', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
 
             const all = queue.getAll();
             expect(all).toHaveLength(2);
@@ -147,11 +292,11 @@ describe('StorageQueue', () => {
     });
 
     describe('clear', () => {
-        test('removes all items from queue', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
+        test('removes all items from queue', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
 
-            queue.clear();
+            await queue.clear();
 
             expect(queue.size()).toBe(0);
             expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
@@ -160,13 +305,13 @@ describe('StorageQueue', () => {
 
     describe('Expiration', () => {
         test('filters out expired items on getQueue', async () => {
-            queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 1 });
 
             // Wait for item to expire (maxAge is 1000ms)
             await new Promise(resolve => setTimeout(resolve, 1100));
 
             // Add a new item
-            queue.enqueue({ id: 2 });
+            await queue.enqueue({ id: 2 });
 
             const all = queue.getAll();
             expect(all).toHaveLength(1);
@@ -174,7 +319,7 @@ describe('StorageQueue', () => {
         });
 
         test('keeps non-expired items', async () => {
-            queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 1 });
 
             // Wait less than expiration time
             await new Promise(resolve => setTimeout(resolve, 500));
@@ -185,18 +330,18 @@ describe('StorageQueue', () => {
     });
 
     describe('Default configuration', () => {
-        test('uses default maxSize of 50', () => {
+        test('uses default maxSize of 50', async () => {
             const defaultQueue = new StorageQueue();
 
             // Add 52 items
             for (let i = 0; i < 52; i++) {
-                defaultQueue.enqueue({ id: i });
+                await defaultQueue.enqueue({ id: i });
             }
 
             expect(defaultQueue.size()).toBe(50);
         });
 
-        test('uses default maxAge of 24 hours', () => {
+        test('uses default maxAge of 24 hours', async () => {
             // Manually create an item older than 24 hours
             const oldItem = {
                 payload: { id: 'old' },
@@ -211,6 +356,7 @@ describe('StorageQueue', () => {
 
             // Create queue instance which will clean up expired items on getQueue
             const defaultQueue = new StorageQueue();
+            await defaultQueue.ready;
             const all = defaultQueue.getAll();
 
             expect(all).toHaveLength(1);
@@ -219,38 +365,42 @@ describe('StorageQueue', () => {
     });
 
     describe('Error handling', () => {
-        test('handles corrupted localStorage data', () => {
+        test('handles corrupted localStorage data', async () => {
             localStorage.setItem(STORAGE_KEY, 'invalid json');
+            queue = new StorageQueue();
+            await queue.ready;
 
             expect(queue.size()).toBe(0);
             expect(queue.getAll()).toEqual([]);
         });
 
-        test('handles non-array localStorage data', () => {
+        test('handles non-array localStorage data', async () => {
             localStorage.setItem(STORAGE_KEY, JSON.stringify({ not: 'an array' }));
+            queue = new StorageQueue();
+            await queue.ready;
 
             expect(queue.size()).toBe(0);
             expect(queue.getAll()).toEqual([]);
         });
 
-        test('handles missing localStorage gracefully', () => {
+        test('handles missing localStorage gracefully', async () => {
             // Store original and remove localStorage
             const originalLocalStorage = global.localStorage;
             delete global.localStorage;
 
             // Should not throw
             const noStorageQueue = new StorageQueue();
-            noStorageQueue.enqueue({ id: 1 });
+            await noStorageQueue.enqueue({ id: 1 });
             expect(noStorageQueue.size()).toBe(0);
 
             // Restore localStorage
             global.localStorage = originalLocalStorage;
         });
 
-        test('handles storage errors gracefully without crashing', () => {
+        test('handles storage errors gracefully without crashing', async () => {
             // Add some items first
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
 
             // Mock localStorage.setItem to throw a generic error
             const originalSetItem = localStorage.setItem.bind(localStorage);
@@ -263,9 +413,7 @@ describe('StorageQueue', () => {
             };
 
             // Should not crash - enqueue catches storage errors
-            expect(() => {
-                queue.enqueue({ id: 3 });
-            }).not.toThrow();
+            await expect(queue.enqueue({ id: 3 })).resolves.toBeUndefined();
 
             // Restore original
             localStorage.setItem = originalSetItem;
@@ -276,15 +424,129 @@ describe('StorageQueue', () => {
     });
 
     describe('State persistence', () => {
-        test('persists queue across instances', () => {
-            queue.enqueue({ id: 1 });
-            queue.enqueue({ id: 2 });
+        test('persists queue across instances', async () => {
+            await queue.enqueue({ id: 1 });
+            await queue.enqueue({ id: 2 });
 
             // Create new instance
             const newQueue = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await newQueue.ready;
 
             expect(newQueue.size()).toBe(2);
             expect(newQueue.getAll()[0].id).toBe(1);
         });
     });
+
+    describe('Tab coordination', () => {
+        let bus;
+
+        beforeEach(() => {
+            bus = [];
+        });
+
+        test('changes run under the queue lock shared by all tabs', async () => {
+            const coordinator = new FakeCoordinator(bus);
+            const tabQueue = new StorageQueue({ maxSize: 5, maxAge: 1000, coordinator });
+
+            await tabQueue.enqueue({ id: 1 });
+            await tabQueue.dequeue();
+            await tabQueue.clear();
+
+            // ready + enqueue + dequeue + clear
+            expect(coordinator.locks).toEqual(Array(4).fill(STORAGE_KEY));
+        });
+
+        test('other tabs reload the queue after a change', async () => {
+            const first = new StorageQueue({ maxSize: 5, maxAge: 1000, coordinator: new FakeCoordinator(bus) });
+            const second = new StorageQueue({ maxSize: 5, maxAge: 1000, coordinator: new FakeCoordinator(bus) });
+            await Promise.all([first.ready, second.ready]);
+
+            await first.enqueue({ id: 1 });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(second.getAll()).toEqual([{ id: 1 }]);
+
+            await second.dequeue();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(first.size()).toBe(0);
+        });
+
+        test('announces only changes', async () => {
+            const coordinator = new FakeCoordinator(bus);
+            const tabQueue = new StorageQueue({ maxSize: 5, maxAge: 1000, coordinator });
+            await tabQueue.ready;
+
+            await tabQueue.dequeue();
+            expect(coordinator.broadcasts).toEqual([]);
+
+            await tabQueue.enqueue({ id: 1 });
+            expect(coordinator.broadcasts).toEqual([{ type: StorageQueue.CHANGED_MESSAGE }]);
+        });
+    });
+
+    describe('Compression', () => {
+        const largePayload = { message: 'Error', stack: 'at app.js:1\n'.repeat(200) };
+        const streamGlobals = { CompressionStream, DecompressionStream, TextEncoder, TextDecoder };
+        const originals = {};
+
+        beforeAll(() => {
+            // jsdom lacks the streams API - use Node's implementation
+            Object.entries(streamGlobals).forEach(([name, value]) => {
+                originals[name] = global[name];
+                global[name] = value;
+            });
+        });
+
+        afterAll(() => {
+            Object.entries(originals).forEach(([name, value]) => {
+                global[name] = value;
+            });
+        });
+
+        test('stores large queues gzipped and reads them back', async () => {
+            queue = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await queue.enqueue(largePayload);
+
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            expect(stored.encoding).toBe('gzip');
+            expect(stored.data.length).toBeLessThan(JSON.stringify(largePayload).length);
+
+            const newQueue = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await newQueue.ready;
+
+            expect(newQueue.getAll()).toEqual([largePayload]);
+            expect(await newQueue.dequeue()).toEqual(largePayload);
+        });
+
+        test('stores small queues as plain arrays', async () => {
+            queue = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await queue.enqueue({ id: 1 });
+
+            expect(Array.isArray(JSON.parse(localStorage.getItem(STORAGE_KEY)))).toBe(true);
+        });
+
+        test('reads queues stored uncompressed', async () => {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([{ payload: largePayload, timestamp: Date.now() }]));
+
+            queue = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await queue.ready;
+
+            expect(queue.getAll()).toEqual([largePayload]);
+        });
+
+        test('treats corrupted compressed data as empty', async () => {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ encoding: 'gzip', data: btoa('not gzip') }));
+
+            queue = new StorageQueue({ maxSize: 5, maxAge: 1000 });
+            await queue.ready;
+
+            expect(queue.size()).toBe(0);
+        });
+
+        test('can be disabled', async () => {
+            queue = new StorageQueue({ maxSize: 5, maxAge: 1000, compress: false });
+            await queue.enqueue(largePayload);
+
+            expect(Array.isArray(JSON.parse(localStorage.getItem(STORAGE_KEY)))).toBe(true);
+        });
+    });
 });
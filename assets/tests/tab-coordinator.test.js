@@ -0,0 +1,274 @@
+/**
+ * Unit tests for TabCoordinator
+ *
+ * Tests cross-tab coordination:
+ * - Leader election via Web Locks, and via a localStorage lease without them
+ * - Locks shared by all tabs (withLock)
+ * - Messages via BroadcastChannel, and via 'storage' events without it
+ * - Acting alone until installed or when disabled
+ */
+import { TabCoordinator } from '../src/tab-coordinator.js';
+
+// BroadcastChannel connecting the "tabs" of one test
+class FakeBroadcastChannel {
+    static channels = [];
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        this.closed = false;
+        FakeBroadcastChannel.channels.push(this);
+    }
+
+    postMessage(data) {
+        FakeBroadcastChannel.channels
+            .filter(channel => channel !== this && channel.name === this.name && !channel.closed && channel.onmessage)
+            .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+// navigator.locks: exclusive locks granted in request order
+class FakeLockManager {
+    constructor() {
+        this.tails = new Map();
+        this.requests = [];
+    }
+
+    request(name, callback) {
+        this.requests.push(name);
+
+        const result = (this.tails.get(name) || Promise.resolve()).then(() => callback({ name }));
+        this.tails.set(name, result.catch(() => {}));
+
+        return result;
+    }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('TabCoordinator', () => {
+    let coordinators;
+
+    const createTab = (config = {}) => {
+        const coordinator = new TabCoordinator(config);
+        coordinators.push(coordinator);
+
+        return coordinator;
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        coordinators = [];
+        FakeBroadcastChannel.channels = [];
+    });
+
+    afterEach(() => {
+        coordinators.forEach(coordinator => coordinator.cleanup());
+        delete global.BroadcastChannel;
+        delete navigator.locks;
+    });
+
+    describe('Not installed or disabled', () => {
+        test('acts as the only tab until installed', async () => {
+            const coordinator = createTab();
+
+            expect(coordinator.isLeader()).toBe(true);
+            expect(() => coordinator.broadcast({ type: 'test' })).not.toThrow();
+            expect(await coordinator.withLock('lock', () => 'result')).toBe('result');
+        });
+
+        test('install does nothing when disabled', () => {
+            const coordinator = createTab({ enabled: false });
+
+            coordinator.install();
+
+            expect(coordinator.installed).toBe(false);
+            expect(coordinator.isLeader()).toBe(true);
+            expect(localStorage.getItem(TabCoordinator.LEASE_KEY)).toBeNull();
+        });
+    });
+
+    describe('Leader election with Web Locks', () => {
+        let locks;
+
+        beforeEach(() => {
+            locks = new FakeLockManager();
+            Object.defineProperty(navigator, 'locks', { value: locks, configurable: true });
+        });
+
+        test('elects one leader and hands over when it leaves', async () => {
+            const first = createTab();
+            const second = createTab();
+            const changes = [];
+            second.onLeaderChange(leader => changes.push(leader));
+
+            first.install();
+            second.install();
+            await tick();
+
+            expect(first.isLeader()).toBe(true);
+            expect(second.isLeader()).toBe(false);
+
+            first.cleanup();
+            await tick();
+
+            expect(first.isLeader()).toBe(true); // Not installed anymore: acts alone
+            expect(second.isLeader()).toBe(true);
+            expect(changes).toEqual([true]);
+        });
+
+        test('hands over on pagehide unless the page is kept in the back/forward cache', async () => {
+            const coordinator = createTab();
+            coordinator.install();
+            await tick();
+
+            window.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: true }));
+            expect(coordinator.installed).toBe(true);
+
+            window.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: false }));
+            expect(coordinator.installed).toBe(false);
+        });
+
+        test('withLock runs callbacks one at a time across tabs', async () => {
+            const first = createTab();
+            const second = createTab();
+            first.install();
+            second.install();
+            const order = [];
+
+            await Promise.all([
+                first.withLock('app_logger_queue', async () => {
+                    order.push('first start');
+                    await tick();
+                    order.push('first end');
+                }),
+                second.withLock('app_logger_queue', () => order.push('second')),
+            ]);
+
+            expect(order).toEqual(['first start', 'first end', 'second']);
+            expect(locks.requests.filter(name => name === 'app_logger_queue')).toHaveLength(2);
+        });
+    });
+
+    describe('Leader election with a lease (no Web Locks)', () => {
+        test('first tab takes the lease, the second follows', () => {
+            const first = createTab();
+            const second = createTab();
+
+            first.install();
+            second.install();
+
+            expect(first.isLeader()).toBe(true);
+            expect(second.isLeader()).toBe(false);
+            expect(JSON.parse(localStorage.getItem(TabCoordinator.LEASE_KEY)).tabId).toBe(first.tabId);
+        });
+
+        test('takes over an expired lease', () => {
+            localStorage.setItem(TabCoordinator.LEASE_KEY, JSON.stringify({ tabId: 'gone', expiresAt: Date.now() - 1 }));
+            const coordinator = createTab();
+
+            coordinator.install();
+
+            expect(coordinator.isLeader()).toBe(true);
+        });
+
+        test('takes over right away when the leader releases the lease', () => {
+            const first = createTab();
+            const second = createTab();
+            first.install();
+            second.install();
+
+            first.cleanup();
+            expect(localStorage.getItem(TabCoordinator.LEASE_KEY)).toBeNull();
+
+            // The 'storage' event only fires in the other tabs
+            window.dispatchEvent(new StorageEvent('storage', { key: TabCoordinator.LEASE_KEY, newValue: null }));
+
+            expect(second.isLeader()).toBe(true);
+        });
+
+        test('withLock still runs the callback', async () => {
+            const coordinator = createTab();
+            coordinator.install();
+
+            expect(await coordinator.withLock('lock', async () => 42)).toBe(42);
+        });
+    });
+
+    describe('Messages', () => {
+        test('are delivered to the other tabs via BroadcastChannel', () => {
+            global.BroadcastChannel = FakeBroadcastChannel;
+            const sender = createTab();
+            const receiver = createTab();
+            const sent = [];
+            const received = [];
+            sender.onMessage(message => sent.push(message));
+            receiver.onMessage(message => received.push(message));
+            sender.install();
+            receiver.install();
+
+            sender.broadcast({ type: 'queue_changed' });
+
+            expect(received).toEqual([{ type: 'queue_changed' }]);
+            expect(sent).toEqual([]);
+            expect(FakeBroadcastChannel.channels[0].name).toBe(TabCoordinator.CHANNEL_NAME);
+        });
+
+        test('fall back to storage events without BroadcastChannel', () => {
+            const sender = createTab();
+            const receiver = createTab();
+            const received = [];
+            receiver.onMessage(message => received.push(message));
+            sender.install();
+            receiver.install();
+
+            // Capture what the sender writes, then replay it as the other tab would see it
+            const writes = [];
+            const setItem = Storage.prototype.setItem;
+            Storage.prototype.setItem = function (key, value) {
+                writes.push({ key, value });
+                return setItem.call(this, key, value);
+            };
+            try {
+                sender.broadcast({ type: 'queue_changed' });
+            } finally {
+                Storage.prototype.setItem = setItem;
+            }
+
+            const write = writes.find(entry => entry.key === TabCoordinator.MESSAGE_KEY);
+            window.dispatchEvent(new StorageEvent('storage', { key: write.key, newValue: write.value }));
+
+            expect(received).toEqual([{ type: 'queue_changed' }]);
+            expect(localStorage.getItem(TabCoordinator.MESSAGE_KEY)).toBeNull();
+        });
+
+        test('unsubscribe stops delivery and failing handlers are isolated', () => {
+            global.BroadcastChannel = FakeBroadcastChannel;
+            const sender = createTab();
+            const receiver = createTab();
+            const received = [];
+            const originalError = console.error;
+            console.error = () => {};
+            receiver.onMessage(() => {
+                throw new Error('Handler failed');
+            });
+            const unsubscribe = receiver.onMessage(message => received.push(message));
+            sender.install();
+            receiver.install();
+
+            try {
+                sender.broadcast({ type: 'first' });
+                unsubscribe();
+                sender.broadcast({ type: 'second' });
+            } finally {
+                console.error = originalError;
+            }
+
+            expect(received).toEqual([{ type: 'first' }]);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for TraceContext
+ *
+ * Tests W3C trace context propagation:
+ * - Which URLs get headers (same origin, targets, ignored URLs)
+ * - traceparent / tracestate / session header format
+ * - Parsing existing traceparent headers
+ */
+import { TraceContext } from '../src/trace-context.js';
+
+describe('TraceContext', () => {
+    describe('shouldPropagate', () => {
+        test('propagates to same-origin URLs, relative or absolute', () => {
+            const trace = new TraceContext();
+
+            expect(trace.shouldPropagate('/api/cart')).toBe(true);
+            expect(trace.shouldPropagate(`${window.location.origin}/api/cart`)).toBe(true);
+        });
+
+        test('does not propagate cross-origin by default', () => {
+            const trace = new TraceContext();
+
+            expect(trace.shouldPropagate('https://cdn.example.com/data.json')).toBe(false);
+        });
+
+        test('propagates to cross-origin targets by prefix or RegExp', () => {
+            const trace = new TraceContext({
+                tracePropagationTargets: ['https://api.example.com/', /^https:\/\/[\w-]+\.internal\.test\//],
+            });
+
+            expect(trace.shouldPropagate('https://api.example.com/orders')).toBe(true);
+            expect(trace.shouldPropagate('https://billing.internal.test/invoices')).toBe(true);
+            expect(trace.shouldPropagate('https://api.example.com.evil.test/')).toBe(false);
+        });
+
+        test('never propagates to ignored URLs', () => {
+            const trace = new TraceContext({
+                ignoreUrls: [`${window.location.origin}/api/errors/`],
+            });
+
+            expect(trace.shouldPropagate('/api/errors/ingest')).toBe(false);
+            expect(trace.shouldPropagate('/api/cart')).toBe(true);
+        });
+
+        test('never propagates when disabled', () => {
+            const trace = new TraceContext({ enabled: false });
+
+            expect(trace.shouldPropagate('/api/cart')).toBe(false);
+        });
+    });
+
+    describe('createHeaders', () => {
+        test('creates a valid traceparent with a new trace per call', () => {
+            const trace = new TraceContext();
+
+            const first = trace.createHeaders();
+            const second = trace.createHeaders();
+
+            expect(first.headers.traceparent).toMatch(TraceContext.TRACEPARENT_PATTERN);
+            expect(trace.parseTraceId(first.headers.traceparent)).toBe(first.traceId);
+            expect(first.traceId).not.toBe(second.traceId);
+        });
+
+        test('adds the session header and tracestate', () => {
+            const trace = new TraceContext({ sessionProvider: () => 'session-123' });
+
+            const { headers } = trace.createHeaders();
+
+            expect(headers[TraceContext.SESSION_HEADER]).toBe('session-123');
+            expect(headers.tracestate).toBe('applogger=s:session-123');
+        });
+
+        test('skips tracestate for session IDs with invalid characters', () => {
+            const trace = new TraceContext({ sessionProvider: () => 'a=b,c' });
+
+            const { headers } = trace.createHeaders();
+
+            expect(headers[TraceContext.SESSION_HEADER]).toBe('a=b,c');
+            expect(headers).not.toHaveProperty('tracestate');
+        });
+
+        test('omits session headers without a session', () => {
+            const trace = new TraceContext({
+                sessionProvider: () => {
+                    throw new Error('no session');
+                },
+            });
+
+            expect(Object.keys(trace.createHeaders().headers)).toEqual(['traceparent']);
+        });
+
+        test('never generates all-zero IDs', () => {
+            const trace = new TraceContext();
+            const originalGetRandomValues = crypto.getRandomValues;
+            crypto.getRandomValues = (values) => values;
+
+            try {
+                expect(trace.generateId(16)).toBe('00000000000000000000000000000001');
+            } finally {
+                crypto.getRandomValues = originalGetRandomValues;
+            }
+        });
+    });
+
+    describe('getPendingSession', () => {
+        test('returns the promise of a loading session, else null', () => {
+            const loading = Promise.resolve();
+
+            expect(new TraceContext({ pendingSessionProvider: () => loading }).getPendingSession()).toBe(loading);
+            expect(new TraceContext({ pendingSessionProvider: () => null }).getPendingSession()).toBeNull();
+            expect(new TraceContext().getPendingSession()).toBeNull();
+        });
+    });
+
+    describe('parseTraceId', () => {
+        test('extracts the trace ID from a valid traceparent', () => {
+            const trace = new TraceContext();
+
+            expect(trace.parseTraceId('00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01'))
+                .toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        });
+
+        test('returns null for invalid values', () => {
+            const trace = new TraceContext();
+
+            expect(trace.parseTraceId('garbage')).toBeNull();
+            expect(trace.parseTraceId(null)).toBeNull();
+        });
+    });
+});
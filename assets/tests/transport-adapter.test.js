@@ -0,0 +1,47 @@
+/**
+ * Unit tests for TransportAdapter
+ *
+ * Tests the transport adapter factory:
+ * - Built-in transport names
+ * - XHR fallback without fetch
+ * - Custom adapters passed through
+ */
+import { BeaconTransport } from '../src/beacon-transport.js';
+import { FetchTransport } from '../src/fetch-transport.js';
+import { MemoryTransport } from '../src/memory-transport.js';
+import { TransportAdapter } from '../src/transport-adapter.js';
+import { XhrTransport } from '../src/xhr-transport.js';
+
+describe('TransportAdapter', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+        global.fetch = () => Promise.resolve({ ok: true });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('creates built-in adapters by name', () => {
+        expect(TransportAdapter.create('fetch')).toBeInstanceOf(FetchTransport);
+        expect(TransportAdapter.create('xhr')).toBeInstanceOf(XhrTransport);
+        expect(TransportAdapter.create('beacon')).toBeInstanceOf(BeaconTransport);
+        expect(TransportAdapter.create('memory')).toBeInstanceOf(MemoryTransport);
+        expect(TransportAdapter.create()).toBeInstanceOf(FetchTransport);
+        expect(TransportAdapter.create('carrier-pigeon')).toBeInstanceOf(FetchTransport);
+    });
+
+    test('falls back to XHR without fetch', () => {
+        global.fetch = undefined;
+
+        expect(TransportAdapter.create('fetch')).toBeInstanceOf(XhrTransport);
+    });
+
+    test('returns custom adapters as-is', () => {
+        const custom = { send: async () => ({ ok: true, status: 200 }) };
+
+        expect(TransportAdapter.create(custom)).toBe(custom);
+        expect(TransportAdapter.isAdapter({ post: () => {} })).toBe(false);
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Unit tests for TransportResult
+ *
+ * Tests the Response-like result of transport adapters:
+ * - ok derived from status
+ * - Case-insensitive header lookup
+ * - JSON body
+ */
+import { TransportResult } from '../src/transport-result.js';
+
+describe('TransportResult', () => {
+    test('derives ok from the status', () => {
+        expect(new TransportResult().ok).toBe(true);
+        expect(new TransportResult({ status: 204 }).ok).toBe(true);
+        expect(new TransportResult({ status: 429 }).ok).toBe(false);
+        expect(new TransportResult({ status: 0 }).ok).toBe(false);
+    });
+
+    test('looks up headers case-insensitively', () => {
+        const result = new TransportResult({ headers: { 'Retry-After': 30 } });
+
+        expect(result.headers.get('retry-after')).toBe('30');
+        expect(result.headers.get('RETRY-AFTER')).toBe('30');
+        expect(result.headers.get('X-Missing')).toBeNull();
+    });
+
+    test('parses the body as JSON', async () => {
+        expect(await new TransportResult({ body: '{"event_id":"abc"}' }).json()).toEqual({ event_id: 'abc' });
+        expect(await new TransportResult().json()).toEqual({});
+        await expect(new TransportResult({ body: 'not json' }).json()).rejects.toThrow(SyntaxError);
+    });
+});
@@ -9,9 +9,23 @@
  * - Storage queue for offline errors
  * - Deduplication
  * - Data scrubbing
- * - Beacon API for page unload
+ * - Page unload delivery (keepalive fetch, sendBeacon, total size budget)
+ * - Gzip compression of request bodies
+ * - Batching into envelopes
+ * - Server rate limits (429/503, Retry-After)
+ * - Pluggable transport adapters
+ * - Multi-tab coordination (leader-only flushing)
  */
+import { CompressionStream, DecompressionStream } from 'node:stream/web';
+import { TextDecoder, TextEncoder } from 'node:util';
+import { Envelope } from '../src/envelope.js';
+import { MemoryStorageAdapter } from '../src/memory-storage-adapter.js';
+import { MemoryTransport } from '../src/memory-transport.js';
+import { PayloadCompressor } from '../src/payload-compressor.js';
+import { StorageQueue } from '../src/storage-queue.js';
+import { TabCoordinator } from '../src/tab-coordinator.js';
 import { Transport } from '../src/transport.js';
+import { WebStorageAdapter } from '../src/web-storage-adapter.js';
 
 // Mock dependencies
 class MockCircuitBreaker {
@@ -44,6 +58,11 @@ class MockStorageQueue {
     dequeue() {
         return this.items.shift();
     }
+    dequeueMatching(limit, predicate) {
+        const taken = this.items.filter(predicate).slice(0, limit);
+        this.items = this.items.filter(item => !taken.includes(item));
+        return taken;
+    }
     size() {
         return this.items.length;
     }
@@ -53,6 +72,12 @@ class MockStorageQueue {
     clear() {
         this.items = [];
     }
+    enqueueSync(payloads) {
+        this.items.push(...payloads);
+    }
+    removeSync(payloads) {
+        this.items = this.items.filter(item => !payloads.includes(item));
+    }
 }
 
 class MockRateLimiter {
@@ -239,6 +264,31 @@ describe('Transport', () => {
 
             expect(t.apiKey).toBe('secret-key');
         });
+
+        test('keeps the offline queue, rate limits and circuit breaker in the configured storage', () => {
+            const storage = new MemoryStorageAdapter();
+            const t = new Transport({
+                dsn: 'https://example.com/project-123',
+                apiKey: 'secret-key',
+                storage,
+            });
+
+            expect(t.storageQueue.storage).toBe(storage);
+            expect(t.serverRateLimits.storage).toBe(storage);
+            expect(t.circuitBreaker.storage).toBe(storage);
+        });
+
+        test('keeps the circuit breaker per tab without tab coordination', () => {
+            const t = new Transport({
+                dsn: 'https://example.com/project-123',
+                apiKey: 'secret-key',
+                storage: new WebStorageAdapter('localStorage'),
+                tabCoordination: false,
+            });
+
+            expect(t.circuitBreaker.storage.type).toBe('sessionStorage');
+            expect(t.storageQueue.storage.type).toBe('localStorage');
+        });
     });
 
     describe('send() method', () => {
@@ -462,6 +512,86 @@ describe('Transport', () => {
         });
     });
 
+    describe('Connectivity', () => {
+        const setOnline = (online) => {
+            Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+        };
+
+        afterEach(() => {
+            // Restore jsdom's prototype getter
+            delete navigator.onLine;
+            // install() makes the transport leader tab - hand over to the next test
+            transport.coordinator.cleanup();
+        });
+
+        test('stores payloads while offline without retries or circuit failures', async () => {
+            setOnline(false);
+
+            await transport.sendToApi({ exception: { type: 'Error' } });
+
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.size()).toBe(1);
+            expect(transport.circuitBreaker.failures).toBe(0);
+            expect(transport.getStats()).toMatchObject({ offline: true, offlineQueued: 1 });
+        });
+
+        test('stores without retry when the connection drops during a request', async () => {
+            mockFetch.mockImplementation(() => {
+                setOnline(false);
+                return Promise.reject(new TypeError('Failed to fetch'));
+            });
+
+            await transport.sendToApi({ exception: { type: 'Error' } });
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(transport.storageQueue.size()).toBe(1);
+            expect(transport.circuitBreaker.failures).toBe(0);
+        });
+
+        test('does not flush stored errors while offline', async () => {
+            transport.storageQueue.enqueue({ exception: { type: 'Error' } });
+            setOnline(false);
+
+            await transport.flushStoredErrors();
+
+            expect(transport.storageQueue.size()).toBe(1);
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+
+        test('flushes stored errors when the device comes back online', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.install();
+            setOnline(false);
+            await transport.sendToApi({ exception: { type: 'Error' } });
+
+            setOnline(true);
+            window.dispatchEvent(new Event('online'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(transport.storageQueue.size()).toBe(0);
+            expect(transport.getStats().offline).toBe(false);
+        });
+
+        test('flushes stored errors when the page becomes visible', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.install();
+            transport.storageQueue.enqueue({ exception: { type: 'Error' } });
+
+            Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+            document.dispatchEvent(new Event('visibilitychange'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('Deduplication', () => {
         test('detects duplicate errors', () => {
             // Uses flat payload structure matching API spec
@@ -499,6 +629,14 @@ describe('Transport', () => {
             expect(isDup2).toBe(false);
         });
 
+        test('deduplicates errors with the same custom fingerprint', () => {
+            const payload1 = { type: 'ChunkLoadError', message: 'Loading chunk 1 failed', fingerprint: ['chunks'] };
+            const payload2 = { type: 'ChunkLoadError', message: 'Loading chunk 2 failed', fingerprint: ['chunks'] };
+
+            expect(transport.isDuplicate(payload1)).toBe(false);
+            expect(transport.isDuplicate(payload2)).toBe(true);
+        });
+
         test('cleans up old deduplication entries', () => {
             // Uses flat payload structure matching API spec
             const payload = {
@@ -589,7 +727,7 @@ describe('Transport', () => {
     });
 
     describe('Queue management', () => {
-        test('processQueue sends all queued errors', async () => {
+        test('processQueue sends all queued errors in one batch', async () => {
             mockFetch.mockResolvedValue({
                 ok: true,
                 json: async () => ({ success: true }),
@@ -600,7 +738,8 @@ describe('Transport', () => {
 
             await transport.processQueue();
 
-            expect(mockFetch).toHaveBeenCalledTimes(2);
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(mockFetch.mock.calls[0][0]).toBe('https://localhost:8111/api/errors/envelope');
             expect(transport.queue.length).toBe(0);
         });
 
@@ -656,81 +795,460 @@ describe('Transport', () => {
         });
     });
 
-    describe('Beacon API', () => {
-        beforeEach(() => {
-            // Mock navigator.sendBeacon for all Beacon tests
-            global.navigator = global.navigator || {};
-        });
+    describe('Page unload', () => {
+        const okResponse = { ok: true, status: 202, json: async () => ({}) };
+        const error = (message, size = 0) => ({ type: 'Error', message, stack: 'x'.repeat(size) });
 
-        test('sends errors via Beacon on page unload', () => {
-            const beaconCalls = [];
-            global.navigator.sendBeacon = (url, data) => {
+        let beaconCalls;
+
+        beforeEach(() => {
+            beaconCalls = [];
+            navigator.sendBeacon = (url, data) => {
                 beaconCalls.push({ url, data });
                 return true;
             };
+            mockFetch.mockResolvedValue(okResponse);
+        });
 
-            transport.queue.push({ exception: { type: 'Error', value: 'Unload error' } });
+        afterEach(() => {
+            delete navigator.sendBeacon;
+        });
+
+        test('sends pending and stored items as one authenticated keepalive envelope', () => {
+            transport.queue.push(error('Pending'));
+            transport.storageQueue.enqueue({ type: 'feedback', payload: { comment: 'Broken' } });
+
+            expect(transport.flushWithBeacon()).toBe(2);
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            const [url, options] = mockFetch.mock.calls[0];
+            expect(url).toBe(transport.dsn.batchEndpoint);
+            expect(options.keepalive).toBe(true);
+            expect(options.headers).toMatchObject({ 'Content-Type': Envelope.CONTENT_TYPE, 'X-Api-Key': 'test-api-key' });
+            expect(Envelope.parse(options.body).items).toEqual([
+                { type: 'error', payload: error('Pending') },
+                { type: 'feedback', payload: { comment: 'Broken' } },
+            ]);
+            expect(transport.queue).toHaveLength(0);
+            expect(beaconCalls).toHaveLength(0);
+        });
+
+        test('removes the items of accepted requests', () => {
+            transport.queue.push(error('Pending'));
+            transport.storageQueue.enqueue(error('Stored'));
 
             transport.flushWithBeacon();
 
-            expect(beaconCalls.length).toBe(1);
-            expect(beaconCalls[0].url).toBe(transport.dsn.endpoint);
+            expect(transport.storageQueue.getAll()).toEqual([]);
         });
 
-        test('clears queue after successful beacon send', () => {
-            global.navigator.sendBeacon = () => true;
+        test('does not send flushed items again', async () => {
+            localStorage.clear();
+            transport.storageQueue = new StorageQueue({ compress: false });
+            await transport.storageQueue.enqueue({ type: 'logs', payload: { logs: [{ message: 'Stored' }] } });
+            transport.queue.push({ type: 'vitals', payload: { url: '/' } });
 
-            transport.queue.push({ exception: { type: 'Error' } });
-            transport.storageQueue.enqueue({ exception: { type: 'Error' } });
+            // Nothing async completes once the page unloads
+            transport.storageQueue.coordinator = { withLock: () => new Promise(() => {}), broadcast() {} };
+            expect(transport.flushWithBeacon()).toBe(2);
+            mockFetch.mockClear();
 
-            transport.flushWithBeacon();
+            // Page restored from the back/forward cache, then the next page load
+            await transport.flushStoredErrors();
+            const next = new StorageQueue({ compress: false });
+            await next.ready;
 
-            expect(transport.queue.length).toBe(0);
-            expect(transport.storageQueue.size()).toBe(0);
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(next.getAll()).toEqual([]);
         });
 
-        test('limits beacon payload to 10 errors', (done) => {
-            const beaconCalls = [];
-            global.navigator.sendBeacon = (url, data) => {
-                beaconCalls.push({ url, data });
-                return true;
-            };
+        test('sends at most unloadMaxBytes in total', () => {
+            transport.unloadMaxBytes = 2000;
+            for (let i = 0; i < 5; i++) {
+                transport.queue.push(error(`Error ${i}`, 600));
+            }
+
+            const sent = transport.flushWithBeacon();
 
-            // Add 15 errors
-            for (let i = 0; i < 15; i++) {
-                transport.queue.push({ exception: { type: 'Error', value: `Error ${i}` } });
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            const { body } = mockFetch.mock.calls[0][1];
+            expect(Envelope.byteLength(body)).toBeLessThanOrEqual(2000);
+            expect(Envelope.parse(body).items.map(item => item.payload.message)).toEqual(['Error 0', 'Error 1']);
+            expect(sent).toBe(2);
+            expect(transport.storageQueue.getAll().map(item => item.message)).toEqual(['Error 2', 'Error 3', 'Error 4']);
+        });
+
+        test('sends at most unloadMaxBytes in total when batching is disabled', () => {
+            transport.batching = false;
+            transport.unloadMaxBytes = 2000;
+            for (let i = 0; i < 5; i++) {
+                transport.queue.push(error(`Error ${i}`, 600));
             }
 
+            expect(transport.flushWithBeacon()).toBe(3);
+
+            const total = mockFetch.mock.calls.reduce((sum, [, options]) => sum + Envelope.byteLength(options.body), 0);
+            expect(total).toBeLessThanOrEqual(2000);
+        });
+
+        test('keeps items too large for a single request', () => {
+            transport.unloadMaxBytes = 2000;
+            transport.queue.push(error('Large', 3000));
+            transport.storageQueue.enqueue(error('Stored large', 3000));
+
+            expect(transport.flushWithBeacon()).toBe(0);
+
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.getAll().map(item => item.message)).toEqual(['Stored large', 'Large']);
+        });
+
+        test('keeps the items of a failed keepalive request stored once', async () => {
+            mockFetch.mockRejectedValue(new TypeError('Failed to fetch'));
+            transport.queue.push(error('Pending'));
+
             transport.flushWithBeacon();
+            await new Promise(resolve => setTimeout(resolve, 0));
 
-            expect(beaconCalls.length).toBe(1);
+            expect(transport.storageQueue.getAll()).toEqual([error('Pending')]);
+        });
 
-            // Verify payload was sent (Blob exists)
-            const blob = beaconCalls[0].data;
-            expect(blob).toBeInstanceOf(Blob);
+        test('sends single items to their endpoints when batching is disabled', () => {
+            transport.batching = false;
+            transport.queue.push(error('Pending'));
+            transport.storageQueue.enqueue({ type: 'logs', payload: { logs: [] } });
 
-            // Read blob using FileReader to verify it contains 10 errors
-            const reader = new FileReader();
-            reader.onload = () => {
-                const payload = JSON.parse(reader.result);
-                expect(payload.errors.length).toBe(10);
-                done();
-            };
-            reader.onerror = () => {
-                done(new Error('Failed to read blob'));
-            };
-            reader.readAsText(blob);
+            transport.flushWithBeacon();
+
+            expect(mockFetch.mock.calls.map(([url]) => url)).toEqual([transport.dsn.endpoint, transport.dsn.logsEndpoint]);
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual(error('Pending'));
         });
 
-        test('handles beacon failure gracefully', () => {
-            global.navigator = {
-                sendBeacon: () => false,
-            };
+        test('keeps items of categories blocked by the server', () => {
+            transport.serverRateLimits.blockedUntil = { logs: Date.now() + 60000 };
+            transport.queue.push({ type: 'logs', payload: { logs: [] } });
+            transport.queue.push(error('Pending'));
 
-            transport.queue.push({ exception: { type: 'Error' } });
+            expect(transport.flushWithBeacon()).toBe(1);
 
-            // Should not throw
-            expect(() => transport.flushWithBeacon()).not.toThrow();
+            expect(Envelope.parse(mockFetch.mock.calls[0][1].body).items.map(item => item.type)).toEqual(['error']);
+            expect(transport.storageQueue.getAll()).toEqual([{ type: 'logs', payload: { logs: [] } }]);
+        });
+
+        test('sends recovery sessions with keepalive and the X-Api-Key header', async () => {
+            const result = await transport.sendRecoverySession({ sessionId: 'abc', events: [] }, true);
+
+            expect(result).toEqual({ success: true, method: 'keepalive' });
+            const [url, options] = mockFetch.mock.calls[0];
+            expect(url).toBe(transport.dsn.recoveryEndpoint);
+            expect(options.keepalive).toBe(true);
+            expect(options.headers['X-Api-Key']).toBe('test-api-key');
+            expect(JSON.parse(options.body).apiKey).toBeUndefined();
+            expect(transport.canSendOnUnload()).toBe(true);
+        });
+
+        describe('with sendBeacon', () => {
+            beforeEach(() => {
+                transport = new Transport({
+                    dsn: 'https://localhost:8111/test-project-id',
+                    apiKey: 'test-api-key',
+                    transport: 'xhr',
+                });
+                transport.storageQueue = new MockStorageQueue();
+            });
+
+            test('authenticates with the api_key query parameter', () => {
+                transport.queue.push(error('Pending'));
+
+                transport.flushWithBeacon();
+
+                expect(mockFetch).not.toHaveBeenCalled();
+                expect(beaconCalls).toHaveLength(1);
+                expect(beaconCalls[0].url).toBe(`${transport.dsn.batchEndpoint}?api_key=test-api-key`);
+                expect(beaconCalls[0].data.type).toBe(Envelope.CONTENT_TYPE);
+            });
+
+            test('stops when the browser refuses a beacon', () => {
+                let accepted = 1;
+                navigator.sendBeacon = () => accepted-- > 0;
+                transport.batching = false;
+                transport.storageQueue.enqueue(error('Stored 0'));
+                transport.storageQueue.enqueue(error('Stored 1'));
+                transport.queue.push(error('Pending'));
+
+                expect(transport.flushWithBeacon()).toBe(1);
+
+                // Pending was sent first; the refused items stay stored
+                expect(transport.queue).toHaveLength(0);
+                expect(transport.storageQueue.getAll().map(item => item.message)).toEqual(['Stored 0', 'Stored 1']);
+            });
+
+            test('sends recovery sessions with the api_key query parameter', async () => {
+                const result = await transport.sendRecoverySession({ sessionId: 'abc', events: [] }, true);
+
+                expect(result).toEqual({ success: true, method: 'beacon' });
+                expect(beaconCalls[0].url).toBe(`${transport.dsn.recoveryEndpoint}?api_key=test-api-key`);
+            });
+
+            test('cannot send on unload without sendBeacon', () => {
+                delete navigator.sendBeacon;
+
+                expect(transport.canSendOnUnload()).toBe(false);
+            });
+
+            test('stores pending items when sendBeacon is unavailable', () => {
+                delete navigator.sendBeacon;
+                transport.queue.push(error('Pending'));
+
+                expect(() => transport.flushWithBeacon()).not.toThrow();
+
+                expect(transport.storageQueue.getAll()).toEqual([error('Pending')]);
+            });
+        });
+    });
+
+    describe('Feedback', () => {
+        const feedback = {
+            event_id: 'evt-123',
+            session_id: 'session-456',
+            description: 'Checkout button did nothing',
+        };
+
+        test('sends feedback to the feedback endpoint', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+
+            const result = await transport.sendFeedback(feedback);
+
+            expect(result).toBe(true);
+            expect(mockFetch.mock.calls[0][0]).toBe('https://localhost:8111/api/errors/feedback');
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual(feedback);
+        });
+
+        test('attaches user from provider', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.setUserProvider(() => ({ id_hash: 'abc' }));
+
+            await transport.sendFeedback(feedback);
+
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body).user).toEqual({ id_hash: 'abc' });
+        });
+
+        test('stores feedback in offline queue when circuit breaker is open', async () => {
+            transport.circuitBreaker.open = true;
+
+            const result = await transport.sendFeedback(feedback);
+
+            expect(result).toBe(true);
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.getAll()).toEqual([{ type: 'feedback', payload: feedback }]);
+        });
+
+        test('queued feedback is flushed to the feedback endpoint', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.storageQueue.enqueue({ type: 'feedback', payload: feedback });
+
+            await transport.flushStoredErrors();
+
+            expect(mockFetch.mock.calls[0][0]).toBe(transport.dsn.feedbackEndpoint);
+        });
+
+        test('unload flush sends stored feedback in the envelope', () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+            transport.storageQueue.enqueue({ type: 'feedback', payload: feedback });
+            transport.storageQueue.enqueue({ type: 'Error', message: 'Stored' });
+
+            transport.flushWithBeacon();
+
+            expect(Envelope.parse(mockFetch.mock.calls[0][1].body).items.map(item => item.type)).toEqual(['feedback', 'error']);
+        });
+    });
+
+    describe('Logs', () => {
+        const logs = [
+            { level: 'info', message: 'Checkout started', attributes: { cartSize: 3 } },
+            { level: 'warn', message: 'Slow response', attributes: { token: 'secret-token' } },
+        ];
+
+        beforeEach(() => {
+            transport.logRateLimiter = new MockRateLimiter();
+        });
+
+        test('sends a batch to the logs endpoint in one request', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+
+            const result = await transport.sendLogs(logs);
+
+            expect(result).toBe(true);
+            expect(mockFetch.mock.calls).toHaveLength(1);
+            expect(mockFetch.mock.calls[0][0]).toBe('https://localhost:8111/api/logs/ingest');
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body).logs).toHaveLength(2);
+        });
+
+        test('scrubs sensitive attributes', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+
+            await transport.sendLogs(logs);
+
+            const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+            expect(body.logs[1].attributes.token).toBe('[REDACTED]');
+        });
+
+        test('uses its own rate limit bucket and stores limited batches', async () => {
+            transport.logRateLimiter.tokens = 0;
+
+            const result = await transport.sendLogs(logs);
+
+            expect(result).toBe(true);
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.rateLimiter.consumeCalls).toBe(0);
+            expect(transport.storageQueue.getAll()[0].type).toBe('logs');
+        });
+
+        test('stores logs in offline queue when circuit breaker is open', async () => {
+            transport.circuitBreaker.open = true;
+
+            await transport.sendLogs(logs);
+
+            expect(transport.storageQueue.getAll()[0].payload.logs[0]).toEqual(logs[0]);
+        });
+
+        test('unload flush sends stored logs in the envelope', () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+            transport.storageQueue.enqueue({ type: 'logs', payload: { logs } });
+            transport.storageQueue.enqueue({ type: 'Error', message: 'Stored' });
+
+            transport.flushWithBeacon();
+
+            expect(Envelope.parse(mockFetch.mock.calls[0][1].body).items[0]).toEqual({ type: 'log', payload: { logs } });
+        });
+
+        test('logs queued for unload are sent by the unload flush only', () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+
+            transport.queueLogsForUnload(logs);
+            expect(mockFetch).not.toHaveBeenCalled();
+
+            transport.flushWithBeacon();
+
+            const [, options] = mockFetch.mock.calls[0];
+            expect(options.keepalive).toBe(true);
+            expect(Envelope.parse(options.body).items[0].payload.logs[1].attributes.token).toBe('[REDACTED]');
+        });
+    });
+
+    describe('Web Vitals', () => {
+        test('reports queued for unload are sent by the unload flush only', () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+
+            transport.queueVitalsForUnload({ page_view_id: 'view-1', metrics: { cls: { value: 0.25, rating: 'poor' } } });
+            expect(mockFetch).not.toHaveBeenCalled();
+
+            transport.flushWithBeacon();
+
+            const [, options] = mockFetch.mock.calls[0];
+            expect(options.keepalive).toBe(true);
+            expect(Envelope.parse(options.body).items[0]).toMatchObject({ type: 'metric', payload: { page_view_id: 'view-1' } });
+        });
+
+        test('sends the report to the vitals endpoint', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            const report = { url: 'https://app.example.com/', metrics: { lcp: { value: 1200, rating: 'good' } } };
+
+            const result = await transport.sendVitals(report);
+
+            expect(result).toBe(true);
+            expect(mockFetch.mock.calls[0][0]).toBe('https://localhost:8111/api/performance/vitals');
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual(report);
+        });
+
+        test('stores the report when circuit breaker is open', async () => {
+            transport.circuitBreaker.open = true;
+
+            await transport.sendVitals({ metrics: {} });
+
+            expect(transport.storageQueue.getAll()[0].type).toBe('vitals');
+        });
+    });
+
+    describe('CSP violations', () => {
+        test('sends the report to the CSP endpoint with user context', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.setUserProvider(() => ({ id_hash: 'abc' }));
+            const report = { directive: 'script-src-elem', blocked_uri: 'https://evil.example.com/x.js', disposition: 'enforce' };
+
+            const result = await transport.sendCspViolation(report);
+
+            expect(result).toBe(true);
+            expect(mockFetch.mock.calls[0][0]).toBe('https://localhost:8111/api/security/csp');
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ ...report, user: { id_hash: 'abc' } });
+        });
+
+        test('stores the report when circuit breaker is open', async () => {
+            transport.circuitBreaker.open = true;
+
+            await transport.sendCspViolation({ directive: 'img-src', blocked_uri: 'data:' });
+
+            expect(transport.storageQueue.getAll()[0].type).toBe('csp');
+        });
+
+        test('CSP endpoint is excluded from trace propagation', () => {
+            expect(transport.getEndpointPrefixes()).toContain('https://localhost:8111/api/security/');
+        });
+    });
+
+    describe('User context', () => {
+        test('attaches user from provider to recovery session', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.setUserProvider(() => ({ id_hash: 'abc' }));
+
+            await transport.sendRecoverySession({ sessionId: 'session-1', events: [] });
+
+            const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+            expect(body.user).toEqual({ id_hash: 'abc' });
+        });
+
+        test('attaches user from provider to replay clicks', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true }),
+            });
+            transport.setUserProvider(() => ({ plan: 'pro' }));
+
+            await transport.sendReplayClicks('session-1', [{ x: 1, y: 2 }]);
+
+            const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+            expect(body.user).toEqual({ plan: 'pro' });
+        });
+
+        test('ignores failing user provider', () => {
+            transport.setUserProvider(() => {
+                throw new Error('Provider failed');
+            });
+
+            expect(transport.getUser()).toBeNull();
         });
     });
 
@@ -783,6 +1301,502 @@ describe('Transport', () => {
         });
     });
 
+    describe('Batching', () => {
+        const okResponse = { ok: true, status: 200, json: async () => ({}) };
+
+        const createTransport = (config = {}) => {
+            const created = new Transport({
+                dsn: 'https://localhost:8111/test-project-id',
+                apiKey: 'test-api-key',
+                ...config,
+            });
+            created.circuitBreaker = new MockCircuitBreaker();
+            created.storageQueue = new MockStorageQueue();
+
+            return created;
+        };
+
+        test('sends queued items as one envelope with per-item types', async () => {
+            mockFetch.mockResolvedValue(okResponse);
+            transport.queue.push(
+                { type: 'TypeError', message: 'x is undefined' },
+                { type: 'logs', payload: { logs: [{ message: 'hello' }] } },
+                { type: 'vitals', payload: { metrics: { lcp: 1200 } } },
+                { type: 'recovery', payload: { sessionId: 'abc', events: [] } },
+            );
+
+            await transport.processQueue();
+
+            const [url, options] = mockFetch.mock.calls[0];
+            const envelope = Envelope.parse(options.body);
+
+            expect(url).toBe('https://localhost:8111/api/errors/envelope');
+            expect(options.headers['Content-Type']).toBe('application/x-ndjson');
+            expect(options.headers['X-Api-Key']).toBe('test-api-key');
+            expect(envelope.headers.sdk).toBe('ApplicationLogger-JS-SDK/1.0');
+            expect(envelope.items).toEqual([
+                { type: 'error', payload: { type: 'TypeError', message: 'x is undefined' } },
+                { type: 'log', payload: { logs: [{ message: 'hello' }] } },
+                { type: 'metric', payload: { metrics: { lcp: 1200 } } },
+                { type: 'recovery', payload: { sessionId: 'abc', events: [] } },
+            ]);
+            expect(transport.circuitBreaker.successes).toBe(1);
+        });
+
+        test('limits batches by item count and size', async () => {
+            mockFetch.mockResolvedValue(okResponse);
+            transport = createTransport({ batchMaxItems: 2, batchMaxBytes: 400 });
+            transport.queue.push(
+                { message: 'a' },
+                { message: 'b' },
+                { message: 'c'.repeat(300) },
+                { message: 'd'.repeat(300) },
+            );
+
+            await transport.processQueue();
+
+            expect(mockFetch.mock.calls.map(call => call[0])).toEqual([
+                'https://localhost:8111/api/errors/envelope',
+                'https://localhost:8111/api/errors/ingest',
+                'https://localhost:8111/api/errors/ingest',
+            ]);
+            expect(Envelope.parse(mockFetch.mock.calls[0][1].body).items).toHaveLength(2);
+        });
+
+        test('waits batchLingerMs for more items', async () => {
+            mockFetch.mockResolvedValue(okResponse);
+            transport = createTransport({ batchLingerMs: 20 });
+
+            const first = transport.send({ message: 'first' });
+            const second = transport.send({ message: 'second' });
+            await Promise.all([first, second]);
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(Envelope.parse(mockFetch.mock.calls[0][1].body).items).toHaveLength(2);
+        });
+
+        test('falls back to single sends when envelopes are not supported', async () => {
+            mockFetch.mockImplementation(url => Promise.resolve(url.endsWith('/envelope')
+                ? { ok: false, status: 404, statusText: 'Not Found' }
+                : okResponse));
+            transport.queue.push({ message: 'a' }, { message: 'b' });
+
+            await transport.processQueue();
+            transport.queue.push({ message: 'c' }, { message: 'd' });
+            await transport.processQueue();
+
+            expect(mockFetch.mock.calls.map(call => call[0].split('/').pop())).toEqual([
+                'envelope', 'ingest', 'ingest', 'ingest', 'ingest',
+            ]);
+            expect(transport.getStats().batching).toBe(false);
+            expect(transport.circuitBreaker.failures).toBe(0);
+        });
+
+        test('stores every item of the batch when the circuit breaker is open', async () => {
+            transport.circuitBreaker.open = true;
+
+            await transport.sendBatch([{ message: 'a' }, { type: 'logs', payload: { logs: [] } }]);
+
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.getAll()).toEqual([{ message: 'a' }, { type: 'logs', payload: { logs: [] } }]);
+        });
+
+        test('can be disabled', async () => {
+            mockFetch.mockResolvedValue(okResponse);
+            transport = createTransport({ batching: false });
+            transport.queue.push({ message: 'a' }, { message: 'b' });
+
+            await transport.processQueue();
+
+            expect(mockFetch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Server rate limits', () => {
+        const okResponse = { ok: true, status: 200, json: async () => ({}) };
+        const rateLimitedResponse = (headers = { 'Retry-After': '30' }, status = 429) => ({
+            ok: false,
+            status,
+            statusText: 'Too Many Requests',
+            headers: { get: name => headers[name] ?? null },
+        });
+
+        beforeEach(() => {
+            transport = new Transport({
+                dsn: 'https://localhost:8111/test-project-id',
+                apiKey: 'test-api-key',
+                storage: new MemoryStorageAdapter(),
+            });
+            transport.circuitBreaker = new MockCircuitBreaker();
+            transport.storageQueue = new MockStorageQueue();
+        });
+
+        test('stores the item on 429 without retries or circuit breaker failures', async () => {
+            mockFetch.mockResolvedValue(rateLimitedResponse());
+
+            await transport.sendToApi({ message: 'a' });
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(transport.storageQueue.getAll()).toEqual([{ message: 'a' }]);
+            expect(transport.circuitBreaker.failures).toBe(0);
+            expect(transport.getStats().rateLimited).toBe(1);
+        });
+
+        test('treats 503 with Retry-After the same way', async () => {
+            mockFetch.mockResolvedValue(rateLimitedResponse({ 'Retry-After': '10' }, 503));
+
+            await transport.sendToApi({ message: 'a' });
+
+            expect(transport.circuitBreaker.failures).toBe(0);
+            expect(transport.getStats().serverRateLimits).toHaveProperty('errors');
+        });
+
+        test('queues items of a blocked category without sending', async () => {
+            mockFetch.mockResolvedValue(rateLimitedResponse());
+            await transport.sendToApi({ message: 'a' });
+
+            await transport.sendToApi({ message: 'b' });
+            await transport.flushStoredErrors();
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(transport.storageQueue.size()).toBe(2);
+        });
+
+        test('flushes stored items of categories that are not blocked', async () => {
+            transport.serverRateLimits.update(rateLimitedResponse({ 'X-AppLogger-Rate-Limits': '60:errors' }, 200), []);
+            transport.storageQueue.enqueue({ message: 'a' });
+            transport.storageQueue.enqueue({ type: 'logs', payload: { logs: [] } });
+            mockFetch.mockResolvedValue(okResponse);
+
+            await transport.flushStoredErrors();
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(mockFetch.mock.calls[0][0]).toBe(transport.dsn.logsEndpoint);
+            expect(transport.storageQueue.getAll()).toEqual([{ message: 'a' }]);
+        });
+
+        test('blocks the request categories on a 429 whose headers are not exposed (CORS)', async () => {
+            // Cross-origin responses hide headers missing from Access-Control-Expose-Headers
+            mockFetch.mockResolvedValue(rateLimitedResponse({}));
+
+            await transport.sendToApi({ message: 'a' });
+
+            const blockedFor = transport.getStats().serverRateLimits.errors - Date.now();
+            expect(blockedFor).toBeGreaterThan(55000);
+            expect(blockedFor).toBeLessThanOrEqual(60000);
+            expect(transport.storageQueue.getAll()).toEqual([{ message: 'a' }]);
+        });
+
+        test('keeps sending categories that are not blocked', async () => {
+            mockFetch.mockResolvedValue(rateLimitedResponse({ 'X-AppLogger-Rate-Limits': '60:logs' }));
+            await transport.sendToApi({ type: 'logs', payload: { logs: [] } });
+            mockFetch.mockResolvedValue(okResponse);
+
+            await transport.sendToApi({ message: 'a' });
+
+            expect(mockFetch.mock.calls[1][0]).toBe('https://localhost:8111/api/errors/ingest');
+        });
+
+        test('sends errors without replay data while replays are blocked', async () => {
+            transport.serverRateLimits.update(rateLimitedResponse({ 'X-AppLogger-Rate-Limits': '60:replays' }, 200), []);
+            mockFetch.mockResolvedValue(okResponse);
+
+            await transport.sendToApi({ message: 'a', replay_session_id: 's1', replay_data: [{ type: 'click' }] });
+            await transport.sendReplayClicks('s1', [{ x: 1, y: 2 }]);
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body)).toEqual({ message: 'a' });
+        });
+
+        test('stores recovery sessions while recovery is blocked', async () => {
+            transport.serverRateLimits.update(rateLimitedResponse({ 'X-AppLogger-Rate-Limits': '60:recovery' }, 200), []);
+
+            const result = await transport.sendRecoverySession({ sessionId: 'abc', events: [] });
+
+            expect(result).toEqual({ success: false, rateLimited: true });
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.getAll()).toEqual([{ type: 'recovery', payload: { sessionId: 'abc', events: [] } }]);
+        });
+
+        test('stores every item of a rate limited batch', async () => {
+            mockFetch.mockResolvedValue(rateLimitedResponse());
+
+            await transport.sendBatch([{ message: 'a' }, { type: 'vitals', payload: { metrics: {} } }]);
+
+            expect(transport.storageQueue.size()).toBe(2);
+            expect(transport.serverRateLimits.isLimited('errors')).toBe(true);
+            expect(transport.serverRateLimits.isLimited('metrics')).toBe(true);
+            expect(transport.circuitBreaker.failures).toBe(0);
+        });
+
+        test('respects blocks stored by a previous page load', async () => {
+            const storage = new MemoryStorageAdapter();
+            await storage.setItem('app_logger_rate_limits', { errors: Date.now() + 60000 });
+            transport = new Transport({ dsn: 'https://localhost:8111/test-project-id', apiKey: 'test-api-key', storage });
+            transport.storageQueue = new MockStorageQueue();
+            await transport.serverRateLimits.ready;
+
+            await transport.sendToApi({ message: 'a' });
+
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.size()).toBe(1);
+        });
+    });
+
+    describe('Tab coordination', () => {
+        const otherLease = () => JSON.stringify({ tabId: 'other-tab', expiresAt: Date.now() + 10000 });
+
+        beforeEach(() => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({ success: true }) });
+            localStorage.setItem(TabCoordinator.LEASE_KEY, otherLease());
+            transport.install();
+        });
+
+        afterEach(() => {
+            transport.coordinator.cleanup();
+            localStorage.clear();
+        });
+
+        test('leaves stored errors to the leader tab', async () => {
+            transport.storageQueue.enqueue({ exception: { type: 'Error' } });
+
+            await transport.flushStoredErrors();
+
+            expect(transport.getStats().tabLeader).toBe(false);
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(transport.storageQueue.size()).toBe(1);
+        });
+
+        test('flushes stored errors when it becomes the leader', async () => {
+            transport.storageQueue.enqueue({ exception: { type: 'Error' } });
+
+            localStorage.removeItem(TabCoordinator.LEASE_KEY);
+            window.dispatchEvent(new StorageEvent('storage', { key: TabCoordinator.LEASE_KEY, newValue: null }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(transport.getStats().tabLeader).toBe(true);
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(transport.storageQueue.size()).toBe(0);
+        });
+
+        test('does not flush errors stored by previous pages before install', async () => {
+            const storage = new MemoryStorageAdapter();
+            await storage.setItem('app_logger_queue', [{ payload: { exception: { type: 'Error' } }, timestamp: Date.now() }]);
+            const created = new Transport({ dsn: 'https://localhost:8111/test-project-id', apiKey: 'test-api-key', storage });
+
+            await created.storageQueue.ready;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(mockFetch).not.toHaveBeenCalled();
+
+            // Another tab holds the lease: this one follows
+            created.install();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(created.getStats().tabLeader).toBe(false);
+            expect(mockFetch).not.toHaveBeenCalled();
+            created.coordinator.cleanup();
+        });
+
+        test('flushes errors stored by previous pages on install without coordination', async () => {
+            const storage = new MemoryStorageAdapter();
+            await storage.setItem('app_logger_queue', [{ payload: { exception: { type: 'Error' } }, timestamp: Date.now() }]);
+            const created = new Transport({
+                dsn: 'https://localhost:8111/test-project-id',
+                apiKey: 'test-api-key',
+                storage,
+                tabCoordination: false,
+            });
+            await created.storageQueue.ready;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(mockFetch).not.toHaveBeenCalled();
+
+            created.install();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('unload flush of a follower sends only its own items', () => {
+            transport.queue.push({ exception: { type: 'Error', value: 'This tab' } });
+            transport.storageQueue.enqueue({ exception: { type: 'Error', value: 'Stored' } });
+
+            expect(transport.flushWithBeacon()).toBe(1);
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(Envelope.parse(mockFetch.mock.calls[0][1].body).items[0].payload.exception.value).toBe('This tab');
+            expect(transport.queue).toHaveLength(0);
+        });
+    });
+
+    describe('Transport adapters', () => {
+        const createTransport = (adapter) => {
+            const created = new Transport({
+                dsn: 'https://localhost:8111/test-project-id',
+                apiKey: 'test-api-key',
+                storage: new MemoryStorageAdapter(),
+                transport: adapter,
+            });
+            created.circuitBreaker = new MockCircuitBreaker();
+            created.storageQueue = new MockStorageQueue();
+
+            return created;
+        };
+
+        test('sends through the configured adapter instead of fetch', async () => {
+            transport = createTransport('memory');
+
+            await transport.sendToApi({ message: 'a' });
+
+            const [request] = transport.adapter.requests;
+            expect(mockFetch).not.toHaveBeenCalled();
+            expect(request).toMatchObject({
+                url: 'https://localhost:8111/api/errors/ingest',
+                method: 'POST',
+                body: '{"message":"a"}',
+                timeout: 3000,
+            });
+            expect(request.headers['X-Api-Key']).toBe('test-api-key');
+            expect(transport.getStats().transport).toBe('memory');
+        });
+
+        test('keeps resilience layers around custom adapters', async () => {
+            const adapter = new MemoryTransport({ respond: () => ({ status: 429, headers: { 'Retry-After': '30' } }) });
+            transport = createTransport(adapter);
+
+            await transport.sendToApi({ message: 'a' });
+            await transport.sendToApi({ message: 'b' });
+
+            expect(adapter.requests).toHaveLength(1);
+            expect(transport.storageQueue.size()).toBe(2);
+        });
+
+        test('accepts any object with send()', async () => {
+            const requests = [];
+            transport = createTransport({ send: async (request) => {
+                requests.push(request);
+                return { ok: true, status: 200, json: async () => ({ id: 1 }) };
+            } });
+
+            expect(await transport.sendToApi({ message: 'a' })).toEqual({ id: 1 });
+            expect(requests).toHaveLength(1);
+            expect(transport.getStats().transport).toBe('custom');
+        });
+
+        test('treats adapter rejections as network errors', async () => {
+            transport = createTransport({ send: () => Promise.reject(Object.assign(new Error('timeout'), { name: 'AbortError' })) });
+
+            await transport.sendToApi({ message: 'a' });
+
+            expect(transport.circuitBreaker.failures).toBe(1);
+            expect(transport.storageQueue.size()).toBe(1);
+        });
+
+        test('sends stored recovery sessions to the recovery endpoint', async () => {
+            transport = createTransport('memory');
+
+            await transport.sendToApi({ type: 'recovery', payload: { sessionId: 'abc', events: [] } });
+
+            expect(transport.adapter.requests[0].url).toBe('https://localhost:8111/api/errors/recovery-session');
+            expect(JSON.parse(transport.adapter.requests[0].body)).toEqual({ sessionId: 'abc', events: [] });
+        });
+
+        test('does not compress for adapters that cannot set headers', () => {
+            transport = createTransport({ send: async () => ({ ok: true }), canSetHeaders: false });
+
+            expect(transport.compression).toBe(false);
+        });
+    });
+
+    describe('Compression', () => {
+        const largePayload = { exception: { type: 'Error', value: 'x'.repeat(2000) } };
+        const streamGlobals = { CompressionStream, DecompressionStream, TextEncoder, TextDecoder };
+        const originals = {};
+
+        beforeAll(() => {
+            // jsdom lacks the streams API - use Node's implementation
+            Object.entries(streamGlobals).forEach(([name, value]) => {
+                originals[name] = global[name];
+                global[name] = value;
+            });
+        });
+
+        afterAll(() => {
+            Object.entries(originals).forEach(([name, value]) => {
+                global[name] = value;
+            });
+        });
+
+        beforeEach(() => {
+            transport = new Transport({
+                dsn: 'https://localhost:8111/test-project-id',
+                apiKey: 'test-api-key',
+            });
+            transport.circuitBreaker = new MockCircuitBreaker();
+            transport.storageQueue = new MockStorageQueue();
+        });
+
+        test('gzips large bodies and sets Content-Encoding', async () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+
+            await transport.sendToApi(largePayload);
+
+            const options = mockFetch.mock.calls[0][1];
+            expect(options.headers['Content-Encoding']).toBe('gzip');
+            expect(options.body).toBeInstanceOf(Uint8Array);
+            expect(options.body.length).toBeLessThan(JSON.stringify(largePayload).length);
+            expect(JSON.parse(await PayloadCompressor.decompress(options.body))).toEqual(largePayload);
+        });
+
+        test('sends small bodies as plain JSON', async () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+
+            await transport.sendToApi({ exception: { type: 'Error' } });
+
+            const options = mockFetch.mock.calls[0][1];
+            expect(options.headers).not.toHaveProperty('Content-Encoding');
+            expect(options.body).toBe('{"exception":{"type":"Error"}}');
+        });
+
+        test('resends as plain JSON and stops compressing after 415', async () => {
+            mockFetch.mockImplementation((url, options) => Promise.resolve(options.headers['Content-Encoding']
+                ? { ok: false, status: 415, statusText: 'Unsupported Media Type' }
+                : { ok: true, status: 200, json: async () => ({}) }));
+
+            await transport.sendToApi(largePayload);
+            await transport.sendToApi(largePayload);
+
+            expect(mockFetch.mock.calls).toHaveLength(3);
+            expect(mockFetch.mock.calls[1][1].body).toBe(JSON.stringify(largePayload));
+            expect(transport.getStats().compression).toBe(false);
+            expect(transport.circuitBreaker.failures).toBe(0);
+        });
+
+        test('compresses recovery sessions', async () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+            const recovery = { sessionId: 'abc', events: [{ type: 'click', data: 'y'.repeat(2000) }] };
+
+            await transport.sendRecoverySession(recovery);
+
+            const options = mockFetch.mock.calls[0][1];
+            expect(options.headers['Content-Encoding']).toBe('gzip');
+            expect(JSON.parse(await PayloadCompressor.decompress(options.body))).toEqual(recovery);
+        });
+
+        test('can be disabled', async () => {
+            mockFetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+            transport = new Transport({
+                dsn: 'https://localhost:8111/test-project-id',
+                apiKey: 'test-api-key',
+                compression: false,
+            });
+            transport.circuitBreaker = new MockCircuitBreaker();
+
+            await transport.sendToApi(largePayload);
+
+            expect(mockFetch.mock.calls[0][1].body).toBe(JSON.stringify(largePayload));
+        });
+    });
+
     describe('Statistics', () => {
         test('getStats returns correct data', () => {
             transport.queue.push({ exception: { type: 'Error' } });
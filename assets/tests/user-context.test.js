@@ -0,0 +1,158 @@
+/**
+ * Unit tests for UserContext
+ *
+ * Tests privacy-preserving user identifiers:
+ * - Hashed, raw and segment-only modes
+ * - Segment attribute allow-listing (no emails by default)
+ * - Hash caching and salting
+ */
+import { Hash } from '../src/hash.js';
+import { UserContext } from '../src/user-context.js';
+
+describe('UserContext', () => {
+    const user = {
+        id: 42,
+        email: 'jane@example.com',
+        username: 'jane',
+        plan: 'pro',
+        role: 'admin',
+    };
+
+    describe('Configuration', () => {
+        test('defaults to hashed mode', () => {
+            expect(new UserContext().getMode()).toBe('hashed');
+        });
+
+        test('falls back to hashed mode for unknown modes', () => {
+            expect(new UserContext({ mode: 'plaintext' }).getMode()).toBe('hashed');
+        });
+    });
+
+    describe('Hashed mode', () => {
+        test('sends salted hash once prepared', async () => {
+            const context = new UserContext({ salt: 'project' });
+
+            await context.prepare(user);
+            const result = context.serialize(user);
+
+            expect(result.id_hash).toMatch(/^[a-f0-9]{64}$/);
+            expect(result.id).toBeUndefined();
+        });
+
+        test('omits identifier until hash is ready', () => {
+            const context = new UserContext({ salt: 'project' });
+
+            const result = context.serialize(user);
+
+            expect(result.id_hash).toBeUndefined();
+            expect(result.id).toBeUndefined();
+            expect(result.plan).toBe('pro');
+        });
+
+        test('falls back to the shared DJB2 hash without Web Crypto', async () => {
+            const descriptor = Object.getOwnPropertyDescriptor(global, 'crypto');
+            Object.defineProperty(global, 'crypto', { value: {}, configurable: true, writable: true });
+            const context = new UserContext({ salt: 'project' });
+
+            try {
+                await context.prepare(user);
+            } finally {
+                if (descriptor) {
+                    Object.defineProperty(global, 'crypto', descriptor);
+                } else {
+                    delete global.crypto;
+                }
+            }
+
+            expect(context.serialize(user).id_hash).toBe(Hash.djb2('project:42'));
+        });
+
+        test('computes hash in background on cache miss', async () => {
+            const context = new UserContext({ salt: 'project' });
+
+            context.serialize(user);
+            await context.pendingHashes.get('42');
+
+            expect(context.serialize(user).id_hash).toMatch(/^[a-f0-9]{64}$/);
+        });
+
+        test('same user and salt produce same hash', async () => {
+            const a = new UserContext({ salt: 'project' });
+            const b = new UserContext({ salt: 'project' });
+
+            expect(await a.prepare(user)).toBe(await b.prepare(user));
+        });
+
+        test('different salts produce different hashes', async () => {
+            const a = new UserContext({ salt: 'project-a' });
+            const b = new UserContext({ salt: 'project-b' });
+
+            expect(await a.prepare(user)).not.toBe(await b.prepare(user));
+        });
+    });
+
+    describe('Raw mode', () => {
+        test('sends user ID as string', () => {
+            const context = new UserContext({ mode: 'raw' });
+
+            expect(context.serialize(user)).toEqual({ id: '42', plan: 'pro', role: 'admin' });
+        });
+
+        test('prepare is a no-op', async () => {
+            const context = new UserContext({ mode: 'raw' });
+
+            expect(await context.prepare(user)).toBeNull();
+        });
+    });
+
+    describe('Segment mode', () => {
+        test('sends only segment attributes', () => {
+            const context = new UserContext({ mode: 'segment' });
+
+            expect(context.serialize(user)).toEqual({ plan: 'pro', role: 'admin' });
+        });
+
+        test('returns null when user has no segment attributes', () => {
+            const context = new UserContext({ mode: 'segment' });
+
+            expect(context.serialize({ id: '1', email: 'a@b.c' })).toBeNull();
+        });
+    });
+
+    describe('Segment attributes', () => {
+        test('never sends email or username by default', async () => {
+            const context = new UserContext({ mode: 'raw' });
+
+            const result = context.serialize(user);
+
+            expect(result.email).toBeUndefined();
+            expect(result.username).toBeUndefined();
+        });
+
+        test('uses configured allow-list', () => {
+            const context = new UserContext({ mode: 'segment', segmentAttributes: ['country'] });
+
+            expect(context.serialize({ id: '1', country: 'NL', plan: 'pro' })).toEqual({ country: 'NL' });
+        });
+
+        test('skips object-valued attributes', () => {
+            const context = new UserContext({ mode: 'segment', segmentAttributes: ['plan'] });
+
+            expect(context.serialize({ plan: { nested: true } })).toBeNull();
+        });
+    });
+
+    describe('Edge cases', () => {
+        test('returns null for null user', () => {
+            expect(new UserContext().serialize(null)).toBeNull();
+        });
+
+        test('returns null for non-object user', () => {
+            expect(new UserContext().serialize('user-1')).toBeNull();
+        });
+
+        test('prepare returns null for user without ID', async () => {
+            expect(await new UserContext().prepare({ plan: 'pro' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for WebStorageAdapter
+ *
+ * Tests the localStorage / sessionStorage adapter:
+ * - Every value stored as JSON (lossless round trip)
+ * - Legacy raw strings (not JSON) are read back as strings
+ * - Missing storage rejects
+ */
+import { WebStorageAdapter } from '../src/web-storage-adapter.js';
+
+describe('WebStorageAdapter', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+    });
+
+    test('stores every value as JSON', async () => {
+        const storage = new WebStorageAdapter();
+
+        await storage.setItem('queue', [{ id: 1 }]);
+        await storage.setItem('session', 'abc');
+
+        expect(localStorage.getItem('queue')).toBe('[{"id":1}]');
+        expect(localStorage.getItem('session')).toBe('"abc"');
+        expect(await storage.getItem('queue')).toEqual([{ id: 1 }]);
+        expect(await storage.getItem('session')).toBe('abc');
+    });
+
+    test('round-trips strings that look like other JSON values', async () => {
+        const storage = new WebStorageAdapter();
+
+        for (const value of ['123', 'true', 'null', '{"a":1}', 42]) {
+            await storage.setItem('value', value);
+
+            expect(await storage.getItem('value')).toBe(value);
+        }
+    });
+
+    test('reads legacy raw strings that are not JSON as strings', async () => {
+        localStorage.setItem('legacy', 'invalid json{');
+        localStorage.setItem('session', '1700000000000-abc123');
+
+        expect(await new WebStorageAdapter().getItem('legacy')).toBe('invalid json{');
+        expect(await new WebStorageAdapter().getItem('session')).toBe('1700000000000-abc123');
+        expect(await new WebStorageAdapter().getItem('missing')).toBeNull();
+    });
+
+    test('reads synchronously with getItemSync', async () => {
+        const storage = new WebStorageAdapter();
+
+        await storage.setItem('state', { open: true });
+
+        expect(storage.getItemSync('state')).toEqual({ open: true });
+        expect(storage.getItemSync('missing')).toBeNull();
+    });
+
+    test('uses sessionStorage when configured', async () => {
+        const storage = new WebStorageAdapter('sessionStorage');
+
+        await storage.setItem('state', { open: true });
+
+        expect(sessionStorage.getItem('state')).toBe('{"open":true}');
+        expect(localStorage.getItem('state')).toBeNull();
+        expect(await storage.keys()).toEqual(['state']);
+
+        await storage.removeItem('state');
+
+        expect(sessionStorage.getItem('state')).toBeNull();
+    });
+
+    test('rejects when the storage is not available', async () => {
+        const original = Object.getOwnPropertyDescriptor(globalThis, 'sessionStorage');
+        Object.defineProperty(globalThis, 'sessionStorage', { value: undefined, configurable: true });
+
+        try {
+            await expect(new WebStorageAdapter('sessionStorage').getItem('key')).rejects.toThrow('sessionStorage is not available');
+        } finally {
+            Object.defineProperty(globalThis, 'sessionStorage', original);
+        }
+    });
+});
@@ -0,0 +1,277 @@
+/**
+ * Unit tests for WebVitals
+ *
+ * Tests Core Web Vitals collection:
+ * - TTFB, FCP, LCP (with load phases), CLS session windows, INP estimate
+ * - Attribution (selectors, load state) and ratings
+ * - Reporting through the unload delivery whenever the page is hidden with changed metrics
+ * - PerformanceObserver feature detection
+ */
+import { WebVitals } from '../src/web-vitals.js';
+
+// Polyfill CSS.escape for jsdom (not available by default)
+if (typeof CSS === 'undefined') {
+    global.CSS = {
+        escape: (str) => str.replace(/([^\w-])/g, '\\$1'),
+    };
+}
+
+// Mock Transport
+class MockTransport {
+    constructor() {
+        this.reports = [];
+    }
+
+    queueVitalsForUnload(report) {
+        this.reports.push(report);
+    }
+}
+
+// Mock SessionManager
+class MockSessionManager {
+    getSessionId() {
+        return 'session-123';
+    }
+}
+
+describe('WebVitals', () => {
+    const originalGetEntriesByType = performance.getEntriesByType;
+    const originalPerformanceObserver = global.PerformanceObserver;
+
+    const navigationEntry = {
+        type: 'navigate',
+        activationStart: 0,
+        domainLookupStart: 10,
+        domainLookupEnd: 30,
+        connectStart: 30,
+        connectEnd: 80,
+        requestStart: 90,
+        responseStart: 400,
+        domInteractive: 900,
+        domContentLoadedEventStart: 1000,
+        domComplete: 2000,
+    };
+
+    let transport;
+    let vitals;
+    let entriesByType;
+
+    const setVisibility = (state) => {
+        Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+        document.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<main><h1 id="hero">Hello</h1><button class="buy">Buy</button></main>';
+        entriesByType = { navigation: [navigationEntry], resource: [] };
+        performance.getEntriesByType = (type) => entriesByType[type] || [];
+
+        transport = new MockTransport();
+        vitals = new WebVitals(transport, new MockSessionManager(), { release: '1.2.3', environment: 'staging' });
+    });
+
+    afterEach(() => {
+        performance.getEntriesByType = originalGetEntriesByType;
+        global.PerformanceObserver = originalPerformanceObserver;
+        vitals.cleanup();
+        Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true });
+    });
+
+    describe('metrics', () => {
+        test('TTFB with phase breakdown', () => {
+            vitals.collectTtfb();
+
+            expect(vitals.metrics.ttfb).toEqual({
+                value: 400,
+                rating: 'good',
+                attribution: {
+                    waiting_duration: 10,
+                    dns_duration: 20,
+                    connection_duration: 50,
+                    request_duration: 310,
+                },
+            });
+        });
+
+        test('FCP from first-contentful-paint only', () => {
+            vitals.collectTtfb();
+            vitals.handlePaintEntries([
+                { name: 'first-paint', startTime: 500 },
+                { name: 'first-contentful-paint', startTime: 950.4 },
+            ]);
+
+            expect(vitals.metrics.fcp).toEqual({
+                value: 950,
+                rating: 'good',
+                attribution: { time_to_first_byte: 400, first_byte_to_fcp: 550, load_state: 'dom-interactive' },
+            });
+        });
+
+        test('LCP uses last entry with element selector and load phases', () => {
+            entriesByType.resource = [{ name: 'https://cdn.example.com/hero.jpg', startTime: 600, requestStart: 700, responseEnd: 2200 }];
+            vitals.collectTtfb();
+
+            vitals.handleLcpEntries([{ startTime: 1200, element: document.querySelector('button') }]);
+            vitals.handleLcpEntries([{
+                startTime: 3000,
+                element: document.getElementById('hero'),
+                url: 'https://cdn.example.com/hero.jpg',
+            }]);
+
+            expect(vitals.metrics.lcp).toEqual({
+                value: 3000,
+                rating: 'needs-improvement',
+                attribution: {
+                    element: 'h1#hero',
+                    url: 'https://cdn.example.com/hero.jpg',
+                    time_to_first_byte: 400,
+                    resource_load_delay: 300,
+                    resource_load_duration: 1500,
+                    element_render_delay: 800,
+                    load_state: 'complete',
+                },
+            });
+        });
+
+        test('CLS keeps the largest session window and ignores recent input', () => {
+            const button = document.querySelector('button');
+
+            vitals.handleLayoutShiftEntries([
+                { startTime: 100, value: 0.05, sources: [{ node: button }] },
+                { startTime: 600, value: 0.02, sources: [] },
+                { startTime: 700, value: 0.5, hadRecentInput: true },
+                // New window (gap > 1s), smaller total
+                { startTime: 3000, value: 0.03, sources: [] },
+            ]);
+
+            expect(vitals.metrics.cls.value).toBe(0.07);
+            expect(vitals.metrics.cls.rating).toBe('good');
+            expect(vitals.metrics.cls.attribution).toMatchObject({
+                largest_shift_target: 'html > body > main > button.buy',
+                largest_shift_time: 100,
+                largest_shift_value: 0.05,
+                load_state: 'loading',
+            });
+        });
+
+        test('INP uses the longest interaction with phases', () => {
+            const button = document.querySelector('button');
+
+            vitals.handleEventEntries([
+                { interactionId: 1, name: 'pointerdown', startTime: 2500, duration: 48, processingStart: 2510, processingEnd: 2520, target: button },
+                { interactionId: 1, name: 'click', startTime: 2500, duration: 320, processingStart: 2540, processingEnd: 2780, target: button },
+                { interactionId: 2, name: 'keydown', startTime: 4000, duration: 80, processingStart: 4005, processingEnd: 4050, target: null },
+                { interactionId: 0, name: 'mouseover', startTime: 100, duration: 900 },
+            ]);
+
+            expect(vitals.getMetrics().inp).toEqual({
+                value: 320,
+                rating: 'needs-improvement',
+                attribution: {
+                    target: 'html > body > main > button.buy',
+                    event_type: 'click',
+                    input_delay: 40,
+                    processing_duration: 240,
+                    presentation_delay: 40,
+                    load_state: 'complete',
+                },
+            });
+        });
+
+        test('INP ignores one outlier per 50 interactions', () => {
+            const entries = [];
+            for (let id = 1; id <= 60; id++) {
+                entries.push({ interactionId: id, name: 'click', startTime: 3000, duration: id === 60 ? 2000 : id === 59 ? 300 : 50 });
+            }
+
+            vitals.handleEventEntries(entries);
+
+            expect(vitals.getMetrics().inp.value).toBe(300);
+            expect(vitals.interactions.size).toBe(WebVitals.MAX_INTERACTIONS);
+        });
+    });
+
+    describe('report', () => {
+        test('sends metrics with session, url and context when the page is hidden', async () => {
+            vitals.install();
+            vitals.handlePaintEntries([{ name: 'first-contentful-paint', startTime: 950 }]);
+
+            setVisibility('hidden');
+
+            expect(transport.reports).toHaveLength(1);
+            expect(transport.reports[0]).toMatchObject({
+                page_view_id: vitals.pageViewId,
+                url: window.location.href,
+                session_id: 'session-123',
+                release: '1.2.3',
+                environment: 'staging',
+                navigation_type: 'navigate',
+            });
+            expect(Object.keys(transport.reports[0].metrics).sort()).toEqual(['fcp', 'ttfb']);
+        });
+
+        test('reports again only when the metrics changed', async () => {
+            vitals.collectTtfb();
+
+            await vitals.report();
+            await vitals.report();
+
+            expect(transport.reports).toHaveLength(1);
+        });
+
+        test('sends the final CLS at a later hide', () => {
+            vitals.install();
+            vitals.handleLayoutShiftEntries([{ startTime: 100, value: 0.05, sources: [] }]);
+            setVisibility('hidden');
+            setVisibility('visible');
+
+            vitals.handleLayoutShiftEntries([{ startTime: 500, value: 0.2, sources: [] }]);
+            window.dispatchEvent(new Event('pagehide'));
+
+            expect(transport.reports.map(report => report.metrics.cls.value)).toEqual([0.05, 0.25]);
+            expect(transport.reports[1].page_view_id).toBe(transport.reports[0].page_view_id);
+        });
+
+        test('does not report without metrics', async () => {
+            entriesByType.navigation = [];
+
+            expect(await vitals.report()).toBe(false);
+            expect(transport.reports).toHaveLength(0);
+        });
+    });
+
+    describe('observers', () => {
+        test('observes only supported entry types with buffered entries', () => {
+            const observed = [];
+            global.PerformanceObserver = class {
+                static supportedEntryTypes = ['paint', 'layout-shift'];
+
+                constructor(callback) {
+                    this.callback = callback;
+                }
+
+                observe(options) {
+                    observed.push(options);
+                }
+
+                disconnect() {}
+            };
+
+            vitals.install();
+
+            expect(observed).toEqual([
+                { type: 'paint', buffered: true },
+                { type: 'layout-shift', buffered: true },
+            ]);
+        });
+
+        test('install works without PerformanceObserver', () => {
+            global.PerformanceObserver = undefined;
+
+            vitals.install();
+
+            expect(vitals.installed).toBe(true);
+            expect(vitals.metrics.ttfb.value).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for XhrTransport
+ *
+ * Tests the XMLHttpRequest transport adapter against a fake XMLHttpRequest:
+ * - Method, URL, headers and body
+ * - Response status, headers and body
+ * - Network errors and timeouts
+ */
+import { XhrTransport } from '../src/xhr-transport.js';
+
+class FakeXMLHttpRequest {
+    static instances = [];
+
+    constructor() {
+        this.headers = {};
+        FakeXMLHttpRequest.instances.push(this);
+    }
+
+    open(method, url, async) {
+        Object.assign(this, { method, url, async });
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    send(body) {
+        this.body = body;
+    }
+
+    getAllResponseHeaders() {
+        return this.responseHeaders || '';
+    }
+
+    respond(status, headers = '', body = '') {
+        Object.assign(this, { status, statusText: 'OK', responseHeaders: headers, responseText: body });
+        this.onload();
+    }
+}
+
+describe('XhrTransport', () => {
+    const originalXMLHttpRequest = global.XMLHttpRequest;
+
+    beforeEach(() => {
+        FakeXMLHttpRequest.instances = [];
+        global.XMLHttpRequest = FakeXMLHttpRequest;
+    });
+
+    afterEach(() => {
+        global.XMLHttpRequest = originalXMLHttpRequest;
+    });
+
+    const send = () => new XhrTransport().send({
+        url: 'https://logger.test/api/errors/ingest',
+        headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'key', 'User-Agent': 'SDK' },
+        body: '{"message":"a"}',
+        timeout: 3000,
+    });
+
+    test('sends method, headers and body', () => {
+        send();
+        const xhr = FakeXMLHttpRequest.instances[0];
+
+        expect(xhr).toMatchObject({ method: 'POST', url: 'https://logger.test/api/errors/ingest', async: true, timeout: 3000 });
+        expect(xhr.headers).toEqual({ 'Content-Type': 'application/json', 'X-Api-Key': 'key' });
+        expect(xhr.body).toBe('{"message":"a"}');
+    });
+
+    test('resolves with status, headers and body', async () => {
+        const pending = send();
+        FakeXMLHttpRequest.instances[0].respond(429, 'retry-after: 30\r\ncontent-type: application/json\r\n', '{"error":"slow down"}');
+
+        const result = await pending;
+
+        expect(result.ok).toBe(false);
+        expect(result.status).toBe(429);
+        expect(result.headers.get('Retry-After')).toBe('30');
+        expect(await result.json()).toEqual({ error: 'slow down' });
+    });
+
+    test('rejects on network errors and timeouts', async () => {
+        const failing = send();
+        FakeXMLHttpRequest.instances[0].onerror();
+        await expect(failing).rejects.toThrow(TypeError);
+
+        const timingOut = send();
+        FakeXMLHttpRequest.instances[1].ontimeout();
+        await expect(timingOut).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});